@@ -54,6 +54,13 @@ module.exports = {
         server: 'readonly',
       },
     },
+    {
+      // Backend tests run under mocha
+      files: ['backend/test/**/*.js'],
+      env: {
+        mocha: true,
+      },
+    },
     {
       // Frontend configuration
       files: ['src/**/*.js', 'src/**/*.jsx'],
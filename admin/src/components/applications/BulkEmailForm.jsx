@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import applicationService from '../../services/applicationService';
+
+/**
+ * Form for emailing a template to the selected candidates, or to everyone in a status.
+ * `selectedCount` of 0 means only the status option is offered.
+ */
+const BulkEmailForm = ({ selectedCount, statuses, counts, onSubmit, onCancel, isSaving }) => {
+  const [templates, setTemplates] = useState([]);
+  const [template, setTemplate] = useState('');
+  const [subject, setSubject] = useState('');
+  const [nextSteps, setNextSteps] = useState('');
+  const [recipients, setRecipients] = useState(selectedCount ? 'selected' : 'status');
+  const [status, setStatus] = useState(statuses[0] || '');
+
+  useEffect(() => {
+    applicationService.getEmailTemplates()
+      .then((list) => {
+        setTemplates(list);
+        if (list.length) {
+          setTemplate(list[0].key);
+          setSubject(list[0].subject);
+        }
+      })
+      .catch((err) => console.error('Fetch email templates error:', err));
+  }, []);
+
+  const handleTemplateChange = (key) => {
+    setTemplate(key);
+    setSubject(templates.find((t) => t.key === key)?.subject || '');
+  };
+
+  const recipientCount = recipients === 'selected' ? selectedCount : counts[status] || 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!window.confirm(`Send this email to ${recipientCount} candidate(s)?`)) return;
+    onSubmit({
+      template,
+      subject: subject.trim(),
+      nextSteps: nextSteps.trim(),
+      ...(recipients === 'status' && { status }),
+    });
+  };
+
+  return (
+    <form className="interview-form" onSubmit={handleSubmit}>
+      <h3>Email candidates</h3>
+      <label>Recipients</label>
+      <div className="export-options">
+        {selectedCount > 0 && (
+          <label>
+            <input
+              type="radio"
+              name="bulk-email-recipients"
+              checked={recipients === 'selected'}
+              onChange={() => setRecipients('selected')}
+            />
+            {selectedCount} selected
+          </label>
+        )}
+        <label>
+          <input
+            type="radio"
+            name="bulk-email-recipients"
+            checked={recipients === 'status'}
+            onChange={() => setRecipients('status')}
+          />
+          Everyone in
+        </label>
+        <select
+          aria-label="Status"
+          className="bulk-email-status"
+          value={status}
+          onChange={(e) => { setStatus(e.target.value); setRecipients('status'); }}
+        >
+          {statuses.map((s) => (
+            <option key={s} value={s}>{s} ({counts[s] || 0})</option>
+          ))}
+        </select>
+      </div>
+      <label htmlFor="bulk-email-template">Template</label>
+      <select id="bulk-email-template" value={template} onChange={(e) => handleTemplateChange(e.target.value)} required>
+        {templates.map((t) => (
+          <option key={t.key} value={t.key}>{t.name}</option>
+        ))}
+      </select>
+      <label htmlFor="bulk-email-subject">Subject</label>
+      <input
+        id="bulk-email-subject"
+        type="text"
+        value={subject}
+        maxLength={200}
+        onChange={(e) => setSubject(e.target.value)}
+        required
+      />
+      <label htmlFor="bulk-email-next-steps">Next steps</label>
+      <textarea
+        id="bulk-email-next-steps"
+        rows={5}
+        value={nextSteps}
+        maxLength={3000}
+        onChange={(e) => setNextSteps(e.target.value)}
+        placeholder="e.g. Please reply with your availability for next week. Leave a blank line between paragraphs."
+      />
+      <p className="interview-form-hint">
+        {'{{firstName}}'}, {'{{name}}'} and {'{{internshipTitle}}'} are filled in for each candidate.
+        Every email is recorded in the candidate&apos;s history.
+      </p>
+      <div className="move-dialog-actions">
+        <button type="submit" className="btn-primary" disabled={isSaving || !template || !recipientCount}>
+          {isSaving ? 'Sending...' : `Send to ${recipientCount}`}
+        </button>
+        <button type="button" className="btn-secondary" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default BulkEmailForm;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+
+const DURATIONS = [15, 30, 45, 60, 90];
+
+// datetime-local inputs want local time without a timezone suffix
+const toLocalInput = (date) => {
+  const d = new Date(date);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+};
+
+const defaultStart = () => {
+  const d = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  d.setHours(10, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Form for scheduling a new interview or rescheduling an existing one.
+ * Pass `interview` to edit; the candidate is emailed either way.
+ */
+const InterviewForm = ({ candidateName, interview, onSubmit, onCancel, isSaving }) => {
+  const initialDuration = interview
+    ? Math.round((new Date(interview.end) - new Date(interview.start)) / 60000)
+    : 30;
+
+  const [start, setStart] = useState(toLocalInput(interview?.start || defaultStart()));
+  const [duration, setDuration] = useState(initialDuration);
+  const [type, setType] = useState(interview?.type || 'meeting');
+  const [location, setLocation] = useState(interview?.location || '');
+  const [description, setDescription] = useState(interview?.description || '');
+
+  const durations = DURATIONS.includes(initialDuration) ? DURATIONS : [...DURATIONS, initialDuration].sort((a, b) => a - b);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const startDate = new Date(start);
+    onSubmit({
+      start: startDate.toISOString(),
+      end: new Date(startDate.getTime() + duration * 60000).toISOString(),
+      type,
+      location: location.trim(),
+      description: description.trim(),
+    });
+  };
+
+  return (
+    <form className="interview-form" onSubmit={handleSubmit}>
+      <h3>{interview ? 'Reschedule' : 'Schedule'} interview with {candidateName}</h3>
+      <div className="form-row">
+        <div>
+          <label htmlFor="interview-start">Date & time</label>
+          <input
+            id="interview-start"
+            type="datetime-local"
+            value={start}
+            onChange={(e) => setStart(e.target.value)}
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="interview-duration">Duration</label>
+          <select id="interview-duration" value={duration} onChange={(e) => setDuration(Number(e.target.value))}>
+            {durations.map((minutes) => (
+              <option key={minutes} value={minutes}>{minutes} minutes</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="interview-type">Format</label>
+          <select id="interview-type" value={type} onChange={(e) => setType(e.target.value)}>
+            <option value="meeting">Meeting</option>
+            <option value="call">Call</option>
+          </select>
+        </div>
+      </div>
+      <label htmlFor="interview-location">Location or meeting link</label>
+      <input
+        id="interview-location"
+        type="text"
+        value={location}
+        maxLength={300}
+        onChange={(e) => setLocation(e.target.value)}
+        placeholder="e.g. https://meet.google.com/abc-defg-hij"
+      />
+      <label htmlFor="interview-description">Notes for the candidate</label>
+      <textarea
+        id="interview-description"
+        rows={3}
+        value={description}
+        maxLength={500}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="e.g. Please have your portfolio ready to share"
+      />
+      <p className="interview-form-hint">
+        {candidateName} will be emailed {interview ? 'an updated' : 'a'} calendar invitation.
+      </p>
+      <div className="move-dialog-actions">
+        <button type="submit" className="btn-primary" disabled={isSaving}>
+          {isSaving ? 'Saving...' : interview ? 'Reschedule' : 'Schedule'}
+        </button>
+        <button type="button" className="btn-secondary" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default InterviewForm;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { FiSearch, FiLoader } from 'react-icons/fi';
+import applicationService from '../../services/applicationService';
+
+// Split a snippet into plain and highlighted parts using the server's [start, end] offsets
+const renderSnippet = ({ text, highlights }) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return parts;
+};
+
+/**
+ * Keyword search across applicants' resumes, e.g. for past candidates with a skill
+ * needed for a new opening. Pass `internship` to only search one posting.
+ */
+const ResumeSearch = ({ internship, internshipTitle, onOpen }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    try {
+      setIsSearching(true);
+      const params = { q: query.trim(), limit: 50 };
+      if (internship) params.internship = internship;
+      const { applications, pagination } = await applicationService.searchResumes(params);
+      setResults(applications);
+      setTotal(pagination.total || 0);
+      setError(null);
+    } catch (err) {
+      setError(typeof err === 'string' ? err : err?.message || 'Failed to search resumes.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <div className="resume-search">
+      <h3>Search resumes</h3>
+      <p className="interview-form-hint">
+        {internshipTitle ? `Applicants for ${internshipTitle}.` : 'Applicants for every internship, past and present.'}{' '}
+        Use quotes for phrases and a minus sign to exclude a word, e.g. react &quot;node.js&quot; -php
+      </p>
+      <form className="resume-search-form" onSubmit={handleSearch}>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="e.g. React MongoDB"
+          aria-label="Keywords"
+          autoFocus
+        />
+        <button type="submit" className="btn-primary" disabled={isSearching || !query.trim()}>
+          {isSearching ? <FiLoader className="spinner" /> : <FiSearch />} Search
+        </button>
+      </form>
+
+      {error && <p className="resume-search-error">{error}</p>}
+      {results && results.length === 0 && <p>No resumes mention those keywords.</p>}
+      {results && results.length > 0 && (
+        <>
+          <p className="status-history-meta">
+            {total > results.length ? `Best ${results.length} of ${total} matches` : `${total} match${total === 1 ? '' : 'es'}`}
+          </p>
+          <ul className="resume-search-results">
+            {results.map((application) => (
+              <li key={application._id}>
+                <button type="button" className="link-button" onClick={() => onOpen(application._id)}>
+                  {application.name}
+                </button>
+                <span className="status-history-meta">
+                  {application.internship?.title || 'Internship'} · {application.status} · applied {new Date(application.appliedAt).toLocaleDateString()}
+                </span>
+                {application.snippets.map((snippet, index) => (
+                  <p key={index} className="resume-snippet">{renderSnippet(snippet)}</p>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ResumeSearch;
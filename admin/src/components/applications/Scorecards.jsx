@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { message } from 'antd';
+import applicationService from '../../services/applicationService';
+
+// Statuses after which scores are locked and visible to every reviewer
+const DECIDED_STATUSES = ['Hired', 'Rejected', 'Withdrawn'];
+
+// Postings without their own criteria are scored on one overall rating
+const DEFAULT_CRITERIA = [{ _id: 'overall', label: 'Overall' }];
+
+const SCORES = [1, 2, 3, 4, 5];
+
+const reviewerId = (card) => card.reviewer?._id || card.reviewer;
+
+/**
+ * Reviewer scorecards for an application: the current user's own scorecard
+ * form, plus whichever other scorecards the server lets them see.
+ */
+const Scorecards = ({ application, user, onSaved }) => {
+  const userId = user?._id || user?.id;
+  const criteria = application.internship?.scoringCriteria?.length
+    ? application.internship.scoringCriteria
+    : DEFAULT_CRITERIA;
+  const scorecards = application.scorecards || [];
+  const ownCard = scorecards.find((card) => reviewerId(card) === userId);
+  const otherCards = scorecards.filter((card) => card !== ownCard);
+  const isDecided = DECIDED_STATUSES.includes(application.status);
+
+  const [ratings, setRatings] = useState({});
+  const [comment, setComment] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setRatings(Object.fromEntries((ownCard?.ratings || []).map((r) => [r.criterion, r.score])));
+    setComment(ownCard?.comment || '');
+  }, [ownCard]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      const updated = await applicationService.updateScorecard(application._id, { ratings, comment: comment.trim() });
+      onSaved(updated);
+      message.success('Scorecard saved');
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to save scorecard.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderCard = (card, title) => (
+    <div className="scorecard" key={card._id || reviewerId(card)}>
+      <div className="scorecard-header">
+        <strong>{title}</strong>
+        <span className="score-badge">{card.average?.toFixed(1)}</span>
+      </div>
+      <ul className="scorecard-ratings">
+        {card.ratings.map((rating) => (
+          <li key={rating.criterion}>{rating.label}: {rating.score}</li>
+        ))}
+      </ul>
+      {card.comment && <p className="status-history-note">{card.comment}</p>}
+    </div>
+  );
+
+  return (
+    <div className="scorecards">
+      <h3>
+        Scores
+        {application.averageScore != null && (
+          <span className="scorecards-summary">
+            Average {application.averageScore.toFixed(1)} from {scorecards.length} reviewer{scorecards.length === 1 ? '' : 's'}
+          </span>
+        )}
+      </h3>
+
+      {otherCards.map((card) => renderCard(card, card.reviewer?.username || 'Reviewer'))}
+
+      {isDecided ? (
+        <>
+          {ownCard && renderCard(ownCard, 'Your scores')}
+          {scorecards.length === 0 && <p className="interviews-empty">No scores were given.</p>}
+          <p className="interview-form-hint">Scores are locked once an application is {application.status.toLowerCase()}.</p>
+        </>
+      ) : (
+        <form className="scorecard-form" onSubmit={handleSave}>
+          <h4>{ownCard ? 'Your scores' : 'Add your scores'}</h4>
+          {criteria.map((criterion) => (
+            <div className="scorecard-criterion" key={criterion._id}>
+              <div>
+                <span>{criterion.label}</span>
+                {criterion.description && <span className="status-history-meta">{criterion.description}</span>}
+              </div>
+              <div className="score-picker" role="radiogroup" aria-label={criterion.label}>
+                {SCORES.map((score) => (
+                  <button
+                    type="button"
+                    key={score}
+                    role="radio"
+                    aria-checked={ratings[criterion._id] === score}
+                    className={ratings[criterion._id] === score ? 'selected' : ''}
+                    onClick={() => setRatings((prev) => ({ ...prev, [criterion._id]: score }))}
+                  >
+                    {score}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+          <textarea
+            rows={2}
+            value={comment}
+            maxLength={2000}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Comments for the other reviewers (optional)"
+          />
+          <button
+            type="submit"
+            className="btn-primary"
+            disabled={isSaving || criteria.some((c) => !ratings[c._id])}
+          >
+            {isSaving ? 'Saving...' : 'Save scores'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default Scorecards;
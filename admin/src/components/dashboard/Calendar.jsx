@@ -261,7 +261,12 @@ const Calendar = () => {
     }
   };
 
+  // Moving an interview emails the candidate an updated invitation
+  const confirmInterviewMove = (event) =>
+    !event.application || window.confirm(`Reschedule "${event.title}"? The candidate will be emailed the new time.`);
+
   const handleEventDrop = async ({ event, start, end }) => {
+    if (!confirmInterviewMove(event)) return;
     await handleUpdateEvent({
       ...event,
       start,
@@ -270,6 +275,7 @@ const Calendar = () => {
   };
 
   const handleEventResize = async ({ event, start, end }) => {
+    if (!confirmInterviewMove(event)) return;
     await handleUpdateEvent({
       ...event,
       start,
@@ -284,7 +290,8 @@ const Calendar = () => {
         start: updatedEvent.start,
         end: updatedEvent.end,
         type: updatedEvent.type,
-        description: updatedEvent.description
+        description: updatedEvent.description,
+        location: updatedEvent.location
       });
       await fetchEvents();
       toast.success('Event updated successfully');
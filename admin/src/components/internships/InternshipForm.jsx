@@ -1,13 +1,31 @@
 import React, { useState, useEffect } from 'react';
+import ScreeningQuestionsEditor from './ScreeningQuestionsEditor';
+import ScoringCriteriaEditor from './ScoringCriteriaEditor';
 import './InternshipForm.css';
 
+// <input type="datetime-local"> wants local time without a zone suffix
+const toDateTimeLocal = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
 const InternshipForm = ({ internship, onSubmit, onCancel }) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     eligibility: '',
+    location: '',
+    workMode: 'remote',
+    duration: '',
+    stipend: '',
+    requiredSkills: '',
+    openings: 1,
+    applicationDeadline: '',
     isOpen: true,
   });
+  const [questions, setQuestions] = useState([]);
+  const [scoringCriteria, setScoringCriteria] = useState([]);
   const [photo, setPhoto] = useState(null);
 
   useEffect(() => {
@@ -16,8 +34,17 @@ const InternshipForm = ({ internship, onSubmit, onCancel }) => {
         title: internship.title || '',
         description: internship.description || '',
         eligibility: internship.eligibility || '',
+        location: internship.location || '',
+        workMode: internship.workMode || 'remote',
+        duration: internship.duration || '',
+        stipend: internship.stipend || '',
+        requiredSkills: (internship.requiredSkills || []).join(', '),
+        openings: internship.openings || 1,
+        applicationDeadline: toDateTimeLocal(internship.applicationDeadline),
         isOpen: internship.isOpen !== undefined ? internship.isOpen : true,
       });
+      setQuestions(internship.questions || []);
+      setScoringCriteria(internship.scoringCriteria || []);
     }
   }, [internship]);
 
@@ -34,6 +61,16 @@ const InternshipForm = ({ internship, onSubmit, onCancel }) => {
     e.preventDefault();
     const data = new FormData();
     Object.keys(formData).forEach((key) => data.append(key, formData[key]));
+    // Send the deadline as an absolute instant so the server doesn't apply its own timezone
+    data.set(
+      'applicationDeadline',
+      formData.applicationDeadline ? new Date(formData.applicationDeadline).toISOString() : ''
+    );
+    data.append('questions', JSON.stringify(questions.map((q) => ({
+      ...q,
+      options: (q.options || []).map((o) => o.trim()).filter(Boolean),
+    }))));
+    data.append('scoringCriteria', JSON.stringify(scoringCriteria));
     if (photo) {
       data.append('photo', photo);
     }
@@ -75,6 +112,88 @@ const InternshipForm = ({ internship, onSubmit, onCancel }) => {
           required
         />
       </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="location">Location</label>
+          <input
+            type="text"
+            id="location"
+            name="location"
+            value={formData.location}
+            onChange={handleChange}
+            placeholder="e.g. Bengaluru"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="workMode">Work Mode</label>
+          <select id="workMode" name="workMode" value={formData.workMode} onChange={handleChange}>
+            <option value="remote">Remote</option>
+            <option value="onsite">On-site</option>
+            <option value="hybrid">Hybrid</option>
+          </select>
+        </div>
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="duration">Duration</label>
+          <input
+            type="text"
+            id="duration"
+            name="duration"
+            value={formData.duration}
+            onChange={handleChange}
+            placeholder="e.g. 3 months"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="stipend">Stipend</label>
+          <input
+            type="text"
+            id="stipend"
+            name="stipend"
+            value={formData.stipend}
+            onChange={handleChange}
+            placeholder="e.g. ₹10,000/month or Unpaid"
+          />
+        </div>
+      </div>
+      <div className="form-group">
+        <label htmlFor="requiredSkills">Required Skills</label>
+        <input
+          type="text"
+          id="requiredSkills"
+          name="requiredSkills"
+          value={formData.requiredSkills}
+          onChange={handleChange}
+          placeholder="Comma separated, e.g. React, Node.js, MongoDB"
+        />
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="openings">Openings</label>
+          <input
+            type="number"
+            id="openings"
+            name="openings"
+            min="1"
+            value={formData.openings}
+            onChange={handleChange}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="applicationDeadline">Application Deadline</label>
+          <input
+            type="datetime-local"
+            id="applicationDeadline"
+            name="applicationDeadline"
+            value={formData.applicationDeadline}
+            onChange={handleChange}
+          />
+        </div>
+      </div>
+      <ScreeningQuestionsEditor questions={questions} onChange={setQuestions} />
+      <ScoringCriteriaEditor criteria={scoringCriteria} onChange={setScoringCriteria} />
       <div className="form-group">
         <label htmlFor="photo">Photo</label>
         <input
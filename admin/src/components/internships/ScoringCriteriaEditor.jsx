@@ -0,0 +1,61 @@
+import React from 'react';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+
+/**
+ * Editor for what reviewers score an internship's applicants on. Criteria keep
+ * their server `_id` so scores already given stay linked after edits.
+ */
+const ScoringCriteriaEditor = ({ criteria, onChange }) => {
+  const updateCriterion = (index, changes) => {
+    onChange(criteria.map((c, i) => (i === index ? { ...c, ...changes } : c)));
+  };
+
+  return (
+    <div className="scoring-criteria">
+      <div className="screening-questions-header">
+        <label>Scoring Criteria</label>
+        <button
+          type="button"
+          className="btn-add-question"
+          onClick={() => onChange([...criteria, { label: '', description: '' }])}
+        >
+          <FiPlus /> Add criterion
+        </button>
+      </div>
+      {criteria.length === 0 && (
+        <p className="screening-questions-empty">
+          Reviewers will give a single overall score from 1 to 5.
+        </p>
+      )}
+      {criteria.map((criterion, index) => (
+        <div className="scoring-criterion" key={criterion._id || index}>
+          <input
+            type="text"
+            placeholder="Criterion, e.g. Technical skills"
+            value={criterion.label}
+            onChange={(e) => updateCriterion(index, { label: e.target.value })}
+            maxLength={100}
+            required
+          />
+          <input
+            type="text"
+            placeholder="What reviewers should look for (optional)"
+            value={criterion.description || ''}
+            onChange={(e) => updateCriterion(index, { description: e.target.value })}
+            maxLength={300}
+          />
+          <button
+            type="button"
+            className="icon-btn delete-btn"
+            onClick={() => onChange(criteria.filter((_, i) => i !== index))}
+            aria-label="Remove criterion"
+          >
+            <FiTrash2 />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ScoringCriteriaEditor;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { FiPlus, FiTrash2, FiArrowUp, FiArrowDown } from 'react-icons/fi';
+
+export const QUESTION_TYPES = [
+  { value: 'short_text', label: 'Short text' },
+  { value: 'long_text', label: 'Long text' },
+  { value: 'multiple_choice', label: 'Multiple choice' },
+  { value: 'url', label: 'Link (URL)' },
+  { value: 'yes_no', label: 'Yes / No' },
+];
+
+const emptyQuestion = () => ({
+  label: '',
+  type: 'short_text',
+  required: false,
+  helpText: '',
+  options: [],
+});
+
+/**
+ * Editor for an internship's screening questions. Questions keep their
+ * server `_id` so answers already collected stay linked after edits.
+ */
+const ScreeningQuestionsEditor = ({ questions, onChange }) => {
+  const updateQuestion = (index, changes) => {
+    onChange(questions.map((q, i) => (i === index ? { ...q, ...changes } : q)));
+  };
+
+  const removeQuestion = (index) => {
+    onChange(questions.filter((_, i) => i !== index));
+  };
+
+  const moveQuestion = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= questions.length) return;
+    const reordered = [...questions];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  return (
+    <div className="screening-questions">
+      <div className="screening-questions-header">
+        <label>Screening Questions</label>
+        <button type="button" className="btn-add-question" onClick={() => onChange([...questions, emptyQuestion()])}>
+          <FiPlus /> Add question
+        </button>
+      </div>
+      {questions.length === 0 && (
+        <p className="screening-questions-empty">
+          Applicants will only be asked for name, email, phone and resume.
+        </p>
+      )}
+      {questions.map((question, index) => (
+        <div className="screening-question" key={question._id || index}>
+          <div className="screening-question-row">
+            <input
+              type="text"
+              placeholder="Question, e.g. Link to your GitHub profile"
+              value={question.label}
+              onChange={(e) => updateQuestion(index, { label: e.target.value })}
+              required
+            />
+            <select
+              value={question.type}
+              onChange={(e) => updateQuestion(index, { type: e.target.value })}
+            >
+              {QUESTION_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          {question.type === 'multiple_choice' && (
+            <input
+              type="text"
+              placeholder="Options, comma separated (at least two)"
+              value={(question.options || []).join(', ')}
+              onChange={(e) => updateQuestion(index, { options: e.target.value.split(',').map((o) => o.trimStart()) })}
+              required
+            />
+          )}
+          <input
+            type="text"
+            placeholder="Help text (optional)"
+            value={question.helpText || ''}
+            onChange={(e) => updateQuestion(index, { helpText: e.target.value })}
+          />
+          <div className="screening-question-actions">
+            <label className="screening-question-required">
+              <input
+                type="checkbox"
+                checked={!!question.required}
+                onChange={(e) => updateQuestion(index, { required: e.target.checked })}
+              />
+              Required
+            </label>
+            <div>
+              <button type="button" className="icon-btn" onClick={() => moveQuestion(index, -1)} disabled={index === 0} aria-label="Move question up">
+                <FiArrowUp />
+              </button>
+              <button type="button" className="icon-btn" onClick={() => moveQuestion(index, 1)} disabled={index === questions.length - 1} aria-label="Move question down">
+                <FiArrowDown />
+              </button>
+              <button type="button" className="icon-btn delete-btn" onClick={() => removeQuestion(index)} aria-label="Remove question">
+                <FiTrash2 />
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ScreeningQuestionsEditor;
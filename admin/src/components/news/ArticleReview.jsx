@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Card, Button, Space, Tag, Modal, Input, Timeline, Typography, Alert, message } from 'antd';
+import { AuditOutlined } from '@ant-design/icons';
+import { useQueryClient } from 'react-query';
+import dayjs from 'dayjs';
+import { useAuth } from '../../contexts/AuthContext';
+import newsService from '../../services/newsService';
+import {
+  STATUS_LABELS,
+  ACTION_LABELS,
+  allowedStatuses,
+  isRejection,
+} from '../../utils/newsWorkflow';
+
+const { Text } = Typography;
+
+const STATUS_COLORS = {
+  'draft': 'warning',
+  'in-review': 'orange',
+  'approved': 'cyan',
+  'published': 'success',
+  'archived': 'default',
+};
+
+/**
+ * Where an article is in the editorial workflow, the moves the current user can
+ * make, and the history of earlier reviews
+ */
+const ArticleReview = ({ article }) => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [saving, setSaving] = useState(null);
+  const [rejecting, setRejecting] = useState(false);
+  const [comment, setComment] = useState('');
+
+  const history = article.reviewHistory || [];
+  const lastChange = history[history.length - 1];
+  const sentBack = article.status === 'draft' && lastChange?.comment
+    && ['in-review', 'approved'].includes(lastChange.from);
+  const actions = allowedStatuses(article, user);
+
+  const changeStatus = async (status, reviewComment) => {
+    setSaving(status);
+    try {
+      const result = await newsService.updateStatus(article._id, status, reviewComment);
+      message.success(
+        result.authorNotified
+          ? `Article is now ${STATUS_LABELS[status].toLowerCase()}; the author has been emailed`
+          : `Article is now ${STATUS_LABELS[status].toLowerCase()}`
+      );
+      setRejecting(false);
+      setComment('');
+      queryClient.invalidateQueries(['newsItem', article._id]);
+      queryClient.invalidateQueries('news');
+    } catch (err) {
+      message.error(err.message || 'Failed to change article status');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleAction = (status) => {
+    if (isRejection(article, status, user)) {
+      setRejecting(true);
+    } else {
+      changeStatus(status);
+    }
+  };
+
+  return (
+    <Card
+      title={<Space><AuditOutlined /> Review</Space>}
+      extra={<Tag color={STATUS_COLORS[article.status]}>{STATUS_LABELS[article.status]}</Tag>}
+      style={{ marginTop: 24 }}
+    >
+      {sentBack && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message={`Sent back by ${lastChange.changedBy?.username || 'a reviewer'}`}
+          description={<span style={{ whiteSpace: 'pre-line' }}>{lastChange.comment}</span>}
+        />
+      )}
+
+      {actions.length > 0 ? (
+        <Space wrap style={{ marginBottom: history.length ? 24 : 0 }}>
+          {actions.map(status => (
+            <Button
+              key={status}
+              type={['approved', 'published', 'in-review'].includes(status) ? 'primary' : 'default'}
+              danger={isRejection(article, status, user)}
+              loading={saving === status}
+              disabled={Boolean(saving)}
+              onClick={() => handleAction(status)}
+            >
+              {isRejection(article, status, user) ? 'Send back' : ACTION_LABELS[status]}
+            </Button>
+          ))}
+        </Space>
+      ) : (
+        <Text type="secondary" style={{ display: 'block', marginBottom: history.length ? 24 : 0 }}>
+          {article.status === 'in-review' ? 'Waiting for an admin to review this article.' : 'No status changes available.'}
+        </Text>
+      )}
+
+      {history.length > 0 && (
+        <Timeline
+          items={[...history].reverse().map((entry, index) => ({
+            key: index,
+            color: entry.to === 'draft' && entry.comment ? 'red' : 'blue',
+            children: (
+              <>
+                <Text>
+                  {STATUS_LABELS[entry.from] || 'New'} → <Text strong>{STATUS_LABELS[entry.to]}</Text>
+                </Text>
+                <Text type="secondary">
+                  {' · '}{dayjs(entry.changedAt).format('MMM D, YYYY HH:mm')}
+                  {entry.changedBy?.username ? ` · ${entry.changedBy.username}` : ''}
+                </Text>
+                {entry.comment && <div style={{ whiteSpace: 'pre-line' }}>{entry.comment}</div>}
+              </>
+            ),
+          }))}
+        />
+      )}
+
+      <Modal
+        title="Send back to the author"
+        open={rejecting}
+        okText="Send back"
+        okButtonProps={{ danger: true, disabled: !comment.trim(), loading: saving === 'draft' }}
+        onOk={() => changeStatus('draft', comment.trim())}
+        onCancel={() => setRejecting(false)}
+      >
+        <Text type="secondary">The article goes back to draft and its author is emailed your comment.</Text>
+        <Input.TextArea
+          rows={4}
+          maxLength={1000}
+          showCount
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder="What should the author change?"
+          style={{ marginTop: 12 }}
+        />
+      </Modal>
+    </Card>
+  );
+};
+
+export default ArticleReview;
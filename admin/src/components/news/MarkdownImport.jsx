@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { Modal, Upload, List, Typography, Alert, Tag, message } from 'antd';
+import { InboxOutlined, CheckCircleOutlined, CloseCircleOutlined } from '@ant-design/icons';
+import { useQueryClient } from 'react-query';
+import { Link } from 'react-router-dom';
+import newsService from '../../services/newsService';
+
+const { Text, Paragraph } = Typography;
+
+const FRONT_MATTER_EXAMPLE = `---
+title: Our new office
+excerpt: We have moved.
+category: company-news
+tags: [office, team]
+status: draft
+publishedAt: 2024-05-01
+featuredImage: images/office.jpg
+---`;
+
+/**
+ * Create articles from Markdown files written outside the admin. Images the
+ * files refer to by relative path are uploaded with them, loose or in a zip.
+ */
+const MarkdownImport = ({ open, onClose }) => {
+  const queryClient = useQueryClient();
+  const [files, setFiles] = useState([]);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleClose = () => {
+    setFiles([]);
+    setResult(null);
+    onClose();
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const response = await newsService.importMarkdown(files);
+      setResult(response);
+      setFiles([]);
+      if (response.created) {
+        message.success(`${response.created} article${response.created === 1 ? '' : 's'} imported`);
+        queryClient.invalidateQueries('news');
+      }
+    } catch (err) {
+      message.error(err.message || 'Failed to import articles');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title="Import from Markdown"
+      open={open}
+      width={640}
+      okText="Import"
+      okButtonProps={{ disabled: !files.length, loading: importing }}
+      cancelText={result ? 'Close' : 'Cancel'}
+      onOk={handleImport}
+      onCancel={handleClose}
+    >
+      <Paragraph type="secondary">
+        Each Markdown file becomes an article, with its details in YAML front matter.
+        The category is given by its slug. Add the images the files use, or upload a zip
+        of everything; a zip exported from here can be imported as it is.
+      </Paragraph>
+      <pre style={{ fontSize: 12, background: '#fafafa', padding: 8, borderRadius: 4 }}>{FRONT_MATTER_EXAMPLE}</pre>
+
+      <Upload.Dragger
+        multiple
+        accept=".md,.markdown,.zip,image/*"
+        fileList={files}
+        beforeUpload={(file) => {
+          setFiles(current => [...current, file]);
+          return false;
+        }}
+        onRemove={file => setFiles(current => current.filter(item => item.uid !== file.uid))}
+      >
+        <p className="ant-upload-drag-icon"><InboxOutlined /></p>
+        <p className="ant-upload-text">Drop .md files, images or a .zip here</p>
+      </Upload.Dragger>
+
+      {result && (
+        <>
+          <Alert
+            type={result.failed ? (result.created ? 'warning' : 'error') : 'success'}
+            showIcon
+            style={{ marginTop: 16 }}
+            message={`${result.created} imported, ${result.failed} failed`}
+          />
+          <List
+            size="small"
+            dataSource={result.data}
+            renderItem={item => (
+              <List.Item>
+                <List.Item.Meta
+                  avatar={item.success
+                    ? <CheckCircleOutlined style={{ color: '#52c41a' }} />
+                    : <CloseCircleOutlined style={{ color: '#ff4d4f' }} />}
+                  title={item.success
+                    ? <Link to={`/news/${item.article._id}`} onClick={handleClose}>{item.article.title}</Link>
+                    : item.file}
+                  description={item.success
+                    ? <><Text type="secondary">{item.file}</Text> <Tag>{item.article.status}</Tag></>
+                    : <Text type="danger">{item.error}</Text>}
+                />
+              </List.Item>
+            )}
+          />
+        </>
+      )}
+    </Modal>
+  );
+};
+
+export default MarkdownImport;
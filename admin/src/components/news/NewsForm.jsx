@@ -11,7 +11,9 @@ import {
   Space, 
   Col, 
   Row,
-  Spin
+  Spin,
+  Switch,
+  DatePicker
 } from 'antd';
 import { 
   UploadOutlined, 
@@ -20,7 +22,10 @@ import {
 } from '@ant-design/icons';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
+import dayjs from 'dayjs';
+import { useAuth } from '../../contexts/AuthContext';
 import newsService from '../../services/newsService';
+import { STATUS_LABELS, allowedStatuses, isRejection } from '../../utils/newsWorkflow';
 import { mockCategories } from '../../utils/mockNewsData';
 
 // Fallback editor component if TinyMCE is not available
@@ -41,6 +46,9 @@ const NewsForm = ({ isEdit = false, onSuccess, onCancel }) => {
   const [form] = Form.useForm();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const status = Form.useWatch('status', form);
   
   const [imageUrl, setImageUrl] = useState('');
   const [uploading, setUploading] = useState(false);
@@ -50,7 +58,7 @@ const NewsForm = ({ isEdit = false, onSuccess, onCancel }) => {
   // Fetch article data if in edit mode
   const { data: article, isLoading: isLoadingArticle } = useQuery(
     ['newsItem', id],
-    () => newsService.getNewsItem(id),
+    () => newsService.getNewsItem(id).then(response => response.data),
     {
       enabled: !!id,
       onSuccess: (data) => {
@@ -58,6 +66,7 @@ const NewsForm = ({ isEdit = false, onSuccess, onCancel }) => {
           form.setFieldsValue({
             ...data,
             category: data.category?._id || data.category,
+            scheduledPublish: data.scheduledPublish ? dayjs(data.scheduledPublish) : null,
           });
           if (data.featuredImage) {
             setImageUrl(data.featuredImage);
@@ -79,14 +88,30 @@ const NewsForm = ({ isEdit = false, onSuccess, onCancel }) => {
   
   const loading = isLoadingArticle || isSubmitting;
 
+  // The current status plus the moves this user can make from it. Sending someone
+  // else's article back needs a comment, so that's done from the review panel.
+  const currentStatus = article?.status || 'draft';
+  const statusOptions = [
+    currentStatus,
+    ...allowedStatuses({ status: currentStatus, author: article ? article.author : user }, user)
+      .filter(value => !isRejection(article, value, user)),
+  ];
+
   // Handle form submission
   const onFinish = async (values) => {
     try {
+      const { scheduledPublish, ...rest } = values;
       const articleData = {
-        ...values,
+        ...rest,
         status: values.status || 'draft',
         featuredImage: imageUrl,
       };
+      // Only admins can schedule, and only articles that aren't live yet wait for a schedule
+      if (isAdmin) {
+        articleData.scheduledPublish = ['draft', 'approved'].includes(articleData.status) && scheduledPublish
+          ? scheduledPublish.toISOString()
+          : null;
+      }
       
       const result = await saveArticle(articleData);
       message.success(
@@ -203,7 +228,9 @@ const NewsForm = ({ isEdit = false, onSuccess, onCancel }) => {
             content: '',
             category: categories[0]?._id,
             tags: [],
-            featuredImage: ''
+            featuredImage: '',
+            allowComments: true,
+            scheduledPublish: null
           }}
           onFinish={onFinish}
         >
@@ -250,12 +277,35 @@ const NewsForm = ({ isEdit = false, onSuccess, onCancel }) => {
                 rules={[{ required: true }]}
               >
                 <Select disabled={loading}>
-                  <Option value="draft">Draft</Option>
-                  <Option value="published">Published</Option>
-                  <Option value="archived">Archived</Option>
+                  {statusOptions.map(value => (
+                    <Option key={value} value={value}>
+                      {value === 'in-review' && value !== currentStatus ? 'Submit for review' : STATUS_LABELS[value]}
+                    </Option>
+                  ))}
                 </Select>
               </Form.Item>
 
+              {isAdmin && ['draft', 'approved'].includes(status) && (
+                <Form.Item
+                  name="scheduledPublish"
+                  label="Publish At"
+                  extra="Leave empty to publish it yourself later"
+                  rules={[{
+                    validator: (_, value) => (!value || value.isAfter(dayjs())
+                      ? Promise.resolve()
+                      : Promise.reject(new Error('Pick a time in the future'))),
+                  }]}
+                >
+                  <DatePicker
+                    showTime={{ format: 'HH:mm' }}
+                    format="MMM D, YYYY HH:mm"
+                    disabledDate={(date) => date && date.isBefore(dayjs(), 'day')}
+                    style={{ width: '100%' }}
+                    disabled={loading}
+                  />
+                </Form.Item>
+              )}
+
               <Form.Item
                 name="category"
                 label="Category"
@@ -293,6 +343,15 @@ const NewsForm = ({ isEdit = false, onSuccess, onCancel }) => {
                 />
               </Form.Item>
 
+              <Form.Item
+                name="allowComments"
+                label="Comments"
+                valuePropName="checked"
+                extra="Closing comments keeps existing ones visible"
+              >
+                <Switch checkedChildren="Open" unCheckedChildren="Closed" disabled={loading} />
+              </Form.Item>
+
               <Form.Item
                 name="featuredImage"
                 label="Featured Image"
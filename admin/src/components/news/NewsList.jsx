@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Row, Col, Card, Button, Space, Typography, Spin, Empty, Tag, Image } from 'antd';
 import { 
   EyeOutlined, 
@@ -9,7 +9,11 @@ import {
   CheckCircleOutlined,
   FileTextOutlined,
   PlusOutlined,
-  ReloadOutlined
+  ReloadOutlined,
+  StopOutlined,
+  AuditOutlined,
+  LikeOutlined,
+  InboxOutlined
 } from '@ant-design/icons';
 import { Link } from 'react-router-dom';
 import dayjs from 'dayjs';
@@ -21,8 +25,26 @@ dayjs.extend(relativeTime);
 
 const { Title, Text } = Typography;
 
-const NewsCard = ({ article, onEdit, onDelete, showActions }) => {
-  const { _id, title, excerpt, featuredImage, status, publishedAt, author } = article;
+// Drafts and approved articles with a publish time show as scheduled
+export const getDisplayStatus = (article) => (
+  ['draft', 'approved'].includes(article.status) && article.scheduledPublish ? 'scheduled' : article.status
+);
+
+// Re-renders every half minute so "in 5 minutes" stays current
+const useNow = (enabled) => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, [enabled]);
+  return now;
+};
+
+const NewsCard = ({ article, onEdit, onDelete, onUnschedule, showActions }) => {
+  const { _id, title, excerpt, featuredImage, publishedAt, scheduledPublish, author } = article;
+  const status = getDisplayStatus(article);
+  const now = useNow(status === 'scheduled');
   
   const statusProps = {
     published: {
@@ -35,6 +57,21 @@ const NewsCard = ({ article, onEdit, onDelete, showActions }) => {
       text: 'Draft',
       icon: <FileTextOutlined />
     },
+    'in-review': {
+      color: 'orange',
+      text: 'In review',
+      icon: <AuditOutlined />
+    },
+    approved: {
+      color: 'cyan',
+      text: 'Approved',
+      icon: <LikeOutlined />
+    },
+    archived: {
+      color: 'default',
+      text: 'Archived',
+      icon: <InboxOutlined />
+    },
     scheduled: {
       color: 'processing',
       text: 'Scheduled',
@@ -68,12 +105,20 @@ const NewsCard = ({ article, onEdit, onDelete, showActions }) => {
     >
       <div className="news-card-body">
         <div className="news-meta">
-          <Text type="secondary">
-            {dayjs(publishedAt).format('MMM D, YYYY')}
-          </Text>
+          {status === 'scheduled' ? (
+            <Text type="secondary" title={dayjs(scheduledPublish).format('MMM D, YYYY HH:mm')}>
+              {dayjs(scheduledPublish).isAfter(now)
+                ? `Publishes ${dayjs(scheduledPublish).from(now)}`
+                : 'Publishing now'}
+            </Text>
+          ) : (
+            <Text type="secondary">
+              {dayjs(publishedAt).format('MMM D, YYYY')}
+            </Text>
+          )}
           {author && (
             <Text type="secondary">
-              • By {typeof author === 'object' ? author.name : author}
+              • By {typeof author === 'object' ? author.username || author.name : author}
             </Text>
           )}
         </div>
@@ -100,6 +145,14 @@ const NewsCard = ({ article, onEdit, onDelete, showActions }) => {
               onClick={() => onEdit(article)}
               title="Edit"
             />
+            {status === 'scheduled' && onUnschedule && (
+              <Button
+                type="text"
+                icon={<StopOutlined />}
+                onClick={() => onUnschedule(article)}
+                title="Unschedule"
+              />
+            )}
             <Button 
               type="text" 
               danger 
@@ -122,6 +175,7 @@ const NewsList = ({
   onRefresh,
   onEdit,
   onDelete,
+  onUnschedule,
   title = 'News Articles',
   showCreateButton = true,
   grid = { xs: 1, sm: 2, md: 2, lg: 3, xl: 4, xxl: 4 },
@@ -203,6 +257,7 @@ const NewsList = ({
               article={article} 
               onEdit={onEdit}
               onDelete={onDelete}
+              onUnschedule={onUnschedule}
               showActions={showActions}
             />
           </Col>
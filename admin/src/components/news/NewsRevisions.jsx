@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Space,
+  Select,
+  Tag,
+  Modal,
+  Typography,
+  Empty,
+  message
+} from 'antd';
+import { DiffOutlined, RollbackOutlined, HistoryOutlined } from '@ant-design/icons';
+import { useQuery, useQueryClient } from 'react-query';
+import dayjs from 'dayjs';
+import newsService from '../../services/newsService';
+
+import './news.css';
+
+const { Text } = Typography;
+
+const FIELD_LABELS = {
+  title: 'Title',
+  excerpt: 'Excerpt',
+  category: 'Category',
+  featuredImage: 'Featured image',
+};
+
+const revisionLabel = (revision) => (
+  `#${revision.number} · ${dayjs(revision.createdAt).format('MMM D, YYYY HH:mm')}${revision.editedBy ? ` · ${revision.editedBy.username}` : ''}`
+);
+
+const DiffView = ({ diff }) => {
+  const changedFields = Object.keys(FIELD_LABELS).filter(key => diff.fields[key].changed);
+  const { tags } = diff.fields;
+
+  return (
+    <div>
+      {changedFields.map(key => (
+        <div key={key} className="revision-field">
+          <Text strong>{FIELD_LABELS[key]}</Text>
+          <div className="revision-diff">
+            <div className="revision-diff-cell removed">{diff.fields[key].before || <Text type="secondary">(empty)</Text>}</div>
+            <div className="revision-diff-cell added">{diff.fields[key].after || <Text type="secondary">(empty)</Text>}</div>
+          </div>
+        </div>
+      ))}
+
+      {(tags.added.length > 0 || tags.removed.length > 0) && (
+        <div className="revision-field">
+          <Text strong>Tags</Text>
+          <div>
+            {tags.removed.map(tag => <Tag key={`-${tag}`} color="red">− {tag}</Tag>)}
+            {tags.added.map(tag => <Tag key={`+${tag}`} color="green">+ {tag}</Tag>)}
+          </div>
+        </div>
+      )}
+
+      <div className="revision-field">
+        <Text strong>Content</Text>{' '}
+        <Text type="secondary">
+          {diff.content.added || diff.content.removed
+            ? `${diff.content.added} line${diff.content.added === 1 ? '' : 's'} added, ${diff.content.removed} removed`
+            : 'No changes'}
+        </Text>
+        <div className="revision-diff-table">
+          <div className="revision-diff revision-diff-header">
+            <div className="revision-diff-cell">{revisionLabel(diff.from)}</div>
+            <div className="revision-diff-cell">{revisionLabel(diff.to)}</div>
+          </div>
+          {diff.content.rows.map((row, index) => (
+            <div key={index} className={`revision-diff ${row.type}`}>
+              <div className={`revision-diff-cell ${row.left !== null && row.type !== 'equal' ? 'removed' : ''}`}>
+                {row.left}
+              </div>
+              <div className={`revision-diff-cell ${row.right !== null && row.type !== 'equal' ? 'added' : ''}`}>
+                {row.right}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {changedFields.length === 0 && !tags.added.length && !tags.removed.length
+        && !diff.content.added && !diff.content.removed && (
+        <Empty description="These revisions are identical" image={Empty.PRESENTED_IMAGE_SIMPLE} />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Saved versions of an article. Any two can be compared side by side, and an
+ * earlier one restored; restoring saves a new revision, so it can be undone too.
+ */
+const NewsRevisions = ({ articleId, onRestored }) => {
+  const queryClient = useQueryClient();
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [comparing, setComparing] = useState(false);
+
+  const { data: revisions = [], isLoading } = useQuery(
+    ['newsRevisions', articleId],
+    () => newsService.getRevisions(articleId),
+    {
+      enabled: !!articleId,
+      refetchOnWindowFocus: false,
+      onError: (err) => message.error(err.message || 'Failed to load revisions'),
+    }
+  );
+
+  const latest = revisions[0];
+
+  const compare = async (fromNumber, toNumber) => {
+    try {
+      setComparing(true);
+      setDiff(await newsService.compareRevisions(articleId, fromNumber, toNumber));
+    } catch (err) {
+      message.error(err.message || 'Failed to compare revisions');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handleRestore = (revision) => {
+    Modal.confirm({
+      title: `Restore revision #${revision.number}?`,
+      content: 'The title, excerpt, content, tags, category and images go back to this version. The current version stays in the history.',
+      okText: 'Restore',
+      cancelText: 'Cancel',
+      onOk: async () => {
+        try {
+          const { article } = await newsService.restoreRevision(articleId, revision.number);
+          message.success(`Restored revision #${revision.number}`);
+          setDiff(null);
+          queryClient.invalidateQueries(['newsRevisions', articleId]);
+          queryClient.invalidateQueries(['newsItem', articleId]);
+          queryClient.invalidateQueries('news');
+          if (onRestored) onRestored(article);
+        } catch (err) {
+          message.error(err.message || 'Failed to restore revision');
+        }
+      },
+    });
+  };
+
+  const columns = [
+    {
+      title: 'Revision',
+      dataIndex: 'number',
+      width: 110,
+      render: (number, revision) => (
+        <Space size={4}>
+          <Text strong>#{number}</Text>
+          {revision === latest && <Tag color="blue">Current</Tag>}
+        </Space>
+      ),
+    },
+    {
+      title: 'Title',
+      dataIndex: 'title',
+      ellipsis: true,
+      render: (title, revision) => (
+        <div>
+          <div>{title}</div>
+          {revision.restoredFrom && <Text type="secondary">Restored from #{revision.restoredFrom}</Text>}
+        </div>
+      ),
+    },
+    {
+      title: 'Saved',
+      dataIndex: 'createdAt',
+      width: 200,
+      render: (date, revision) => (
+        <div>
+          <div>{dayjs(date).format('MMM D, YYYY HH:mm')}</div>
+          <Text type="secondary">{revision.editedBy?.username || 'Unknown'}</Text>
+        </div>
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 220,
+      render: (_, revision) => revision !== latest && (
+        <Space>
+          <Button size="small" icon={<DiffOutlined />} onClick={() => compare(revision.number)} loading={comparing}>
+            Compare
+          </Button>
+          <Button size="small" icon={<RollbackOutlined />} onClick={() => handleRestore(revision)}>
+            Restore
+          </Button>
+        </Space>
+      ),
+    },
+  ];
+
+  const options = revisions.map(revision => ({ value: revision.number, label: revisionLabel(revision) }));
+
+  return (
+    <Card
+      title={<Space><HistoryOutlined /> Revision History</Space>}
+      style={{ marginTop: 24 }}
+      extra={revisions.length > 1 && (
+        <Space wrap>
+          <Select placeholder="From" value={from} onChange={setFrom} options={options} style={{ width: 260 }} />
+          <Select placeholder="To" value={to} onChange={setTo} options={options} style={{ width: 260 }} />
+          <Button
+            icon={<DiffOutlined />}
+            disabled={!from || !to || from === to}
+            loading={comparing}
+            onClick={() => compare(Math.min(from, to), Math.max(from, to))}
+          >
+            Compare
+          </Button>
+        </Space>
+      )}
+    >
+      <Table
+        rowKey="_id"
+        size="small"
+        columns={columns}
+        dataSource={revisions}
+        loading={isLoading}
+        pagination={{ pageSize: 10, hideOnSinglePage: true }}
+        locale={{ emptyText: 'No revisions yet. One is saved every time the article changes.' }}
+      />
+
+      <Modal
+        open={!!diff}
+        title={diff && `Revision #${diff.from.number} → #${diff.to.number}`}
+        width={1100}
+        onCancel={() => setDiff(null)}
+        footer={diff && [
+          <Button key="close" onClick={() => setDiff(null)}>Close</Button>,
+          diff.from.number !== latest?.number && (
+            <Button
+              key="restore"
+              type="primary"
+              icon={<RollbackOutlined />}
+              onClick={() => handleRestore(diff.from)}
+            >
+              Restore #{diff.from.number}
+            </Button>
+          ),
+        ]}
+      >
+        {diff && <DiffView diff={diff} />}
+      </Modal>
+    </Card>
+  );
+};
+
+export default NewsRevisions;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Space,
+  Tag,
+  Modal,
+  Form,
+  Input,
+  InputNumber,
+  Typography,
+  Alert,
+  Popconfirm,
+  message
+} from 'antd';
+import { EyeOutlined, PlusOutlined, StopOutlined } from '@ant-design/icons';
+import { useQuery, useQueryClient } from 'react-query';
+import dayjs from 'dayjs';
+import newsService from '../../services/newsService';
+
+const { Text, Paragraph } = Typography;
+
+// Same limit the API enforces
+const MAX_DAYS = 30;
+
+const STATUS_COLORS = {
+  active: 'success',
+  expired: 'default',
+  revoked: 'error',
+};
+
+/**
+ * Links that let someone without an account read an unpublished article. The
+ * URL is only shown once, when the link is created; links can be revoked at any time.
+ */
+const PreviewLinks = ({ article }) => {
+  const queryClient = useQueryClient();
+  const [form] = Form.useForm();
+  const [creating, setCreating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [created, setCreated] = useState(null);
+
+  const { data: links = [], isLoading } = useQuery(
+    ['newsPreviewLinks', article._id],
+    () => newsService.getPreviewLinks(article._id),
+    {
+      refetchOnWindowFocus: false,
+      onError: (err) => message.error(err.message || 'Failed to load preview links'),
+    }
+  );
+
+  const refresh = () => queryClient.invalidateQueries(['newsPreviewLinks', article._id]);
+
+  const handleCreate = async ({ label, expiresInDays }) => {
+    setSaving(true);
+    try {
+      setCreated(await newsService.createPreviewLink(article._id, { label, expiresInDays }));
+      setCreating(false);
+      form.resetFields();
+      refresh();
+    } catch (err) {
+      message.error(err.message || 'Failed to create preview link');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    try {
+      await newsService.revokePreviewLink(article._id, link._id);
+      message.success('Preview link revoked');
+      refresh();
+    } catch (err) {
+      message.error(err.message || 'Failed to revoke preview link');
+    }
+  };
+
+  const columns = [
+    {
+      title: 'For',
+      dataIndex: 'label',
+      render: (label, link) => (
+        <>
+          {label || <Text type="secondary">No label</Text>}
+          <Text type="secondary" style={{ display: 'block', fontSize: 12 }}>
+            {dayjs(link.createdAt).format('MMM D, YYYY')}{link.createdBy?.username ? ` · ${link.createdBy.username}` : ''}
+          </Text>
+        </>
+      ),
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      render: (status, link) => (
+        <>
+          <Tag color={STATUS_COLORS[status]}>{status}</Tag>
+          <Text type="secondary" style={{ display: 'block', fontSize: 12 }}>
+            {status === 'revoked'
+              ? dayjs(link.revokedAt).format('MMM D, YYYY HH:mm')
+              : `${status === 'active' ? 'Expires' : 'Expired'} ${dayjs(link.expiresAt).format('MMM D, YYYY HH:mm')}`}
+          </Text>
+        </>
+      ),
+    },
+    {
+      title: 'Views',
+      dataIndex: 'viewCount',
+      render: (viewCount, link) => (
+        <>
+          {viewCount}
+          {link.lastViewedAt && (
+            <Text type="secondary" style={{ display: 'block', fontSize: 12 }}>
+              Last {dayjs(link.lastViewedAt).format('MMM D, HH:mm')}
+            </Text>
+          )}
+        </>
+      ),
+    },
+    {
+      title: '',
+      key: 'actions',
+      align: 'right',
+      render: (_, link) => link.status === 'active' && (
+        <Popconfirm
+          title="Revoke this preview link?"
+          description="Anyone opening it afterwards will be told it has expired."
+          okText="Revoke"
+          okButtonProps={{ danger: true }}
+          onConfirm={() => handleRevoke(link)}
+        >
+          <Button size="small" danger icon={<StopOutlined />}>Revoke</Button>
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={<Space><EyeOutlined /> Preview Links</Space>}
+      extra={article.status !== 'published' && (
+        <Button icon={<PlusOutlined />} onClick={() => setCreating(true)}>Create preview link</Button>
+      )}
+      style={{ marginTop: 24 }}
+    >
+      {article.status === 'published' && (
+        <Alert
+          type="info"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="This article is published; share its normal link instead"
+        />
+      )}
+
+      <Table
+        rowKey="_id"
+        size="small"
+        loading={isLoading}
+        columns={columns}
+        dataSource={links}
+        pagination={false}
+        locale={{ emptyText: 'No preview links yet' }}
+      />
+
+      <Modal
+        title="Create preview link"
+        open={creating}
+        okText="Create"
+        okButtonProps={{ loading: saving }}
+        onOk={() => form.submit()}
+        onCancel={() => setCreating(false)}
+      >
+        <Paragraph type="secondary">
+          Anyone with the link can read this article as it is now, without signing in, until it expires or you revoke it.
+        </Paragraph>
+        <Form form={form} layout="vertical" initialValues={{ expiresInDays: 7 }} onFinish={handleCreate}>
+          <Form.Item name="label" label="Who is it for?">
+            <Input maxLength={100} placeholder="e.g. Client review" />
+          </Form.Item>
+          <Form.Item name="expiresInDays" label="Expires after (days)" rules={[{ required: true }]}>
+            <InputNumber min={1} max={MAX_DAYS} precision={0} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="Preview link created"
+        open={Boolean(created)}
+        footer={<Button type="primary" onClick={() => setCreated(null)}>Done</Button>}
+        onCancel={() => setCreated(null)}
+      >
+        <Paragraph>
+          Copy the link now; it won&apos;t be shown again. It works until {created && dayjs(created.expiresAt).format('MMM D, YYYY HH:mm')}.
+        </Paragraph>
+        <Paragraph copyable={{ text: created?.url }} code style={{ wordBreak: 'break-all' }}>
+          {created?.url}
+        </Paragraph>
+      </Modal>
+    </Card>
+  );
+};
+
+export default PreviewLinks;
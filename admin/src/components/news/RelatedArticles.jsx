@@ -0,0 +1,137 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Card, Button, Space, Tag, Select, List, Typography, Alert, Spin, message } from 'antd';
+import { LinkOutlined, PushpinOutlined } from '@ant-design/icons';
+import { useQuery, useQueryClient } from 'react-query';
+import newsService from '../../services/newsService';
+
+const { Text } = Typography;
+
+// Same limit the API enforces
+const MAX_PINS = 8;
+
+const toOption = related => ({
+  value: related._id,
+  label: related.status && related.status !== 'published'
+    ? `${related.title} (${related.status})`
+    : related.title,
+});
+
+/**
+ * The related articles shown under an article. Admins can pin articles, in
+ * order, ahead of the automatic suggestions.
+ */
+const RelatedArticles = ({ article }) => {
+  const queryClient = useQueryClient();
+  const pins = useMemo(() => (article.relatedNews || []).filter(pin => pin && pin._id), [article.relatedNews]);
+  const [selected, setSelected] = useState(pins.map(pin => pin._id));
+  const [options, setOptions] = useState(pins.map(toOption));
+  const [searching, setSearching] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const searchTimer = useRef(null);
+
+  useEffect(() => {
+    setSelected(pins.map(pin => pin._id));
+    setOptions(pins.map(toOption));
+  }, [pins]);
+
+  useEffect(() => () => clearTimeout(searchTimer.current), []);
+
+  const isPublished = article.status === 'published';
+  const { data: related = [], isLoading } = useQuery(
+    ['relatedNews', article._id],
+    () => newsService.getRelatedArticles(article._id),
+    { enabled: isPublished }
+  );
+
+  const handleSearch = (search) => {
+    clearTimeout(searchTimer.current);
+    if (!search.trim()) return;
+    searchTimer.current = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const { data } = await newsService.getNews({ search, limit: 10 });
+        setOptions(current => {
+          const kept = current.filter(option => selected.includes(option.value));
+          const found = (data || [])
+            .filter(item => item._id !== article._id && !selected.includes(item._id))
+            .map(toOption);
+          return [...kept, ...found];
+        });
+      } catch (err) {
+        message.error(err.message || 'Failed to search articles');
+      } finally {
+        setSearching(false);
+      }
+    }, 300);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await newsService.setRelatedNews(article._id, selected);
+      message.success(selected.length ? 'Related articles pinned' : 'Pins cleared; showing suggestions only');
+      queryClient.invalidateQueries(['newsItem', article._id]);
+      queryClient.invalidateQueries(['relatedNews', article._id]);
+    } catch (err) {
+      message.error(err.message || 'Failed to save related articles');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changed = selected.join() !== pins.map(pin => pin._id).join();
+
+  return (
+    <Card title={<Space><LinkOutlined /> Related Articles</Space>} style={{ marginTop: 24 }}>
+      <Text strong>Pinned</Text>
+      <Text type="secondary" style={{ display: 'block', marginBottom: 8 }}>
+        Shown first, in this order. The rest are suggested from articles with similar content and tags.
+      </Text>
+      <Space.Compact style={{ width: '100%', marginBottom: 24 }}>
+        <Select
+          mode="multiple"
+          value={selected}
+          options={options}
+          onChange={setSelected}
+          onSearch={handleSearch}
+          filterOption={false}
+          notFoundContent={searching ? <Spin size="small" /> : 'Type to search articles'}
+          placeholder="Search articles to pin"
+          maxCount={MAX_PINS}
+          style={{ width: '100%' }}
+        />
+        <Button type="primary" icon={<PushpinOutlined />} onClick={handleSave} loading={saving} disabled={!changed}>
+          Save
+        </Button>
+      </Space.Compact>
+
+      <Text strong>Shown to readers</Text>
+      {!isPublished ? (
+        <Alert
+          type="info"
+          showIcon
+          style={{ marginTop: 8 }}
+          message="Suggestions are worked out once the article is published"
+        />
+      ) : (
+        <List
+          size="small"
+          loading={isLoading}
+          dataSource={related}
+          locale={{ emptyText: 'No related articles yet' }}
+          renderItem={item => (
+            <List.Item
+              extra={item.pinned
+                ? <Tag color="blue" icon={<PushpinOutlined />}>Pinned</Tag>
+                : <Tag>Score {item.score}</Tag>}
+            >
+              {item.title}
+            </List.Item>
+          )}
+        />
+      )}
+    </Card>
+  );
+};
+
+export default RelatedArticles;
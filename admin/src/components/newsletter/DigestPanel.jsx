@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import {
+  Card,
+  Space,
+  Radio,
+  Button,
+  Input,
+  Alert,
+  Typography,
+  Table,
+  Tag,
+  Tooltip,
+  Empty,
+  message
+} from 'antd';
+import { SendOutlined, ReloadOutlined, MailOutlined } from '@ant-design/icons';
+import { useQuery } from 'react-query';
+import dayjs from 'dayjs';
+import newsletterService from '../../services/newsletterService';
+
+const { Text } = Typography;
+
+export const FREQUENCY_LABELS = {
+  weekly: 'Weekly digest',
+  instant: 'Every new article',
+};
+
+/**
+ * The next digest as subscribers would get it, with a test send to check it in
+ * a real inbox, and the digests that have already gone out
+ */
+const DigestPanel = () => {
+  const [frequency, setFrequency] = useState('weekly');
+  const [testEmail, setTestEmail] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const { data: preview, isFetching: isLoadingPreview, refetch: refetchPreview } = useQuery(
+    ['newsletterDigestPreview', frequency],
+    () => newsletterService.previewDigest(frequency),
+    {
+      refetchOnWindowFocus: false,
+      onError: (err) => message.error(err.message || 'Failed to load the digest preview'),
+    }
+  );
+
+  const { data: digests = [], isLoading: isLoadingDigests } = useQuery(
+    'newsletterDigests',
+    () => newsletterService.getDigests(),
+    {
+      refetchOnWindowFocus: false,
+      onError: (err) => message.error(err.message || 'Failed to load sent digests'),
+    }
+  );
+
+  const handleSendTest = async () => {
+    try {
+      setSending(true);
+      const result = await newsletterService.sendTestDigest(frequency, testEmail.trim());
+      message.success(result.message);
+    } catch (err) {
+      message.error(err.message || 'Failed to send the test digest');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const digestColumns = [
+    {
+      title: 'Sent',
+      dataIndex: 'createdAt',
+      render: (date, digest) => (
+        <>
+          {dayjs(date).format('MMM D, YYYY HH:mm')}
+          <Text type="secondary" style={{ display: 'block', fontSize: 12 }}>
+            {FREQUENCY_LABELS[digest.frequency]}
+          </Text>
+        </>
+      ),
+    },
+    {
+      title: 'Articles',
+      dataIndex: 'articles',
+      render: (articles, digest) => (
+        <Tooltip title={articles.map(article => article.title).join(', ')}>
+          {articles.length + (digest.moreArticles || 0)}
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'Delivered',
+      key: 'delivered',
+      render: (_, digest) => (
+        <Space>
+          {digest.status === 'sending' && <Tag color="processing">Sending</Tag>}
+          <span>{digest.sent} of {digest.recipients}</span>
+          {digest.failed > 0 && (
+            <Tooltip title={digest.failures.map(failure => <div key={failure.email}>{failure.email}: {failure.error}</div>)}>
+              <Tag color="error">{digest.failed} failed</Tag>
+            </Tooltip>
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <>
+      <Card
+        title={<Space><MailOutlined /> Next Digest</Space>}
+        extra={(
+          <Radio.Group value={frequency} onChange={(e) => setFrequency(e.target.value)} optionType="button">
+            {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+              <Radio.Button key={value} value={value}>{label}</Radio.Button>
+            ))}
+          </Radio.Group>
+        )}
+        style={{ marginTop: 24 }}
+      >
+        {preview?.sample && (
+          <Alert
+            type="info"
+            showIcon
+            style={{ marginBottom: 16 }}
+            message="Nothing new has been published since the last digest"
+            description="This preview uses the latest articles so you can check the layout. No digest goes out until there is something new."
+          />
+        )}
+
+        {preview && !preview.html && !isLoadingPreview && (
+          <Empty description="There are no published articles to put in a digest yet" />
+        )}
+
+        {preview?.html && (
+          <>
+            <Space direction="vertical" size={2} style={{ marginBottom: 16 }}>
+              <Text><Text type="secondary">Subject:</Text> {preview.subject}</Text>
+              <Text type="secondary">
+                {preview.sample
+                  ? `Would go to ${preview.recipients} subscriber${preview.recipients === 1 ? '' : 's'}`
+                  : `${preview.articleCount} article${preview.articleCount === 1 ? '' : 's'} published since ${dayjs(preview.periodStart).format('MMM D, HH:mm')}, going to ${preview.recipients} subscriber${preview.recipients === 1 ? '' : 's'}`}
+              </Text>
+            </Space>
+            <iframe
+              title="Digest preview"
+              srcDoc={preview.html}
+              sandbox=""
+              style={{ width: '100%', height: 600, border: '1px solid #f0f0f0', borderRadius: 4 }}
+            />
+          </>
+        )}
+
+        <Space.Compact style={{ width: '100%', maxWidth: 520, marginTop: 16 }}>
+          <Input
+            type="email"
+            placeholder="Your email address"
+            value={testEmail}
+            onChange={(e) => setTestEmail(e.target.value)}
+            onPressEnter={handleSendTest}
+          />
+          <Button type="primary" icon={<SendOutlined />} loading={sending} disabled={!preview?.html} onClick={handleSendTest}>
+            Send test
+          </Button>
+          <Button icon={<ReloadOutlined />} loading={isLoadingPreview} onClick={() => refetchPreview()} />
+        </Space.Compact>
+        <Text type="secondary" style={{ display: 'block', fontSize: 12, marginTop: 4 }}>
+          Leave the address empty to send the test to yourself. Subscribers don&apos;t get it.
+        </Text>
+      </Card>
+
+      <Card title="Sent Digests" style={{ marginTop: 24 }}>
+        <Table
+          rowKey="_id"
+          size="small"
+          columns={digestColumns}
+          dataSource={digests}
+          loading={isLoadingDigests}
+          pagination={false}
+          locale={{ emptyText: 'No digests sent yet' }}
+        />
+      </Card>
+    </>
+  );
+};
+
+export default DigestPanel;
@@ -0,0 +1,779 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { message } from 'antd';
+import { FiSearch, FiLoader, FiMail, FiPhone, FiFileText, FiRefreshCw, FiCalendar, FiDownload, FiCopy, FiSend } from 'react-icons/fi';
+import applicationService from '../services/applicationService';
+import internshipService from '../services/internshipService';
+import eventService from '../services/eventService';
+import Modal from '../components/shared/Modal';
+import InterviewForm from '../components/applications/InterviewForm';
+import BulkEmailForm from '../components/applications/BulkEmailForm';
+import ResumeSearch from '../components/applications/ResumeSearch';
+import Scorecards from '../components/applications/Scorecards';
+import { useAuth } from '../contexts/AuthContext';
+import '../styles/ApplicationsPage.css';
+
+// The board loads a whole internship at once rather than paging
+const BOARD_LIMIT = 200;
+
+// Score sorts are admin-only; sub-admins don't see other reviewers' scores before a decision
+const SORT_OPTIONS = [
+  { value: '-appliedAt', label: 'Newest first' },
+  { value: 'appliedAt', label: 'Oldest first' },
+  { value: '-averageScore', label: 'Highest average score', adminOnly: true },
+  { value: '-consensusScore', label: 'Reviewers agree', adminOnly: true },
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const renderAnswer = (answer) => {
+  if (answer.type === 'yes_no') return answer.value ? 'Yes' : 'No';
+  if (answer.type === 'url') {
+    return <a href={answer.value} target="_blank" rel="noopener noreferrer">{answer.value}</a>;
+  }
+  return answer.value;
+};
+
+const ApplicationsPage = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [internships, setInternships] = useState([]);
+  const [selectedInternship, setSelectedInternship] = useState('');
+  const [applications, setApplications] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [transitions, setTransitions] = useState({});
+  const [counts, setCounts] = useState({});
+  const [failedEmails, setFailedEmails] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [sort, setSort] = useState('-appliedAt');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedApplication, setSelectedApplication] = useState(null);
+  const [pendingMove, setPendingMove] = useState(null);
+  const [moveNote, setMoveNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [dragOverStatus, setDragOverStatus] = useState(null);
+  const [interviews, setInterviews] = useState([]);
+  const [interviewForm, setInterviewForm] = useState(null);
+  const [exportOptions, setExportOptions] = useState(null);
+  const [relatedApplications, setRelatedApplications] = useState([]);
+  const [duplicateGroups, setDuplicateGroups] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [checkedIds, setCheckedIds] = useState([]);
+  const [isEmailing, setIsEmailing] = useState(false);
+  const [showEmailForm, setShowEmailForm] = useState(false);
+  const [showResumeSearch, setShowResumeSearch] = useState(false);
+
+  useEffect(() => {
+    internshipService.getInternships()
+      .then(setInternships)
+      .catch((err) => console.error('Fetch internships error:', err));
+  }, []);
+
+  const fetchBoard = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { limit: BOARD_LIMIT, sort };
+      if (selectedInternship) params.internship = selectedInternship;
+      if (searchTerm.trim()) params.search = searchTerm.trim();
+
+      const [list, stats] = await Promise.all([
+        applicationService.getApplications(params),
+        applicationService.getStats(selectedInternship),
+      ]);
+      setApplications(list.applications);
+      setTotal(list.pagination.total || 0);
+      setStatuses(stats.statuses || []);
+      setTransitions(stats.transitions || {});
+      setCounts(stats.counts || {});
+      setFailedEmails(stats.failedEmails || 0);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch applications. Please try again later.');
+      console.error('Fetch applications error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedInternship, searchTerm, sort]);
+
+  // Debounce so typing in the search box doesn't fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(fetchBoard, 300);
+    return () => clearTimeout(timer);
+  }, [fetchBoard]);
+
+  // Don't email candidates who are no longer on the board
+  useEffect(() => {
+    setCheckedIds([]);
+  }, [selectedInternship]);
+
+  const selectedId = selectedApplication?._id;
+
+  const fetchInterviews = useCallback(async () => {
+    if (!selectedId) return;
+    try {
+      setInterviews(await applicationService.getInterviews(selectedId));
+    } catch (err) {
+      console.error('Fetch interviews error:', err);
+    }
+  }, [selectedId]);
+
+  useEffect(() => {
+    setInterviews([]);
+    fetchInterviews();
+  }, [fetchInterviews]);
+
+  useEffect(() => {
+    setRelatedApplications([]);
+    if (!selectedId) return;
+    applicationService.getRelated(selectedId)
+      .then(setRelatedApplications)
+      .catch((err) => console.error('Fetch related applications error:', err));
+  }, [selectedId]);
+
+  const columns = useMemo(() => {
+    const grouped = statuses.reduce((acc, status) => ({ ...acc, [status]: [] }), {});
+    applications.forEach((application) => {
+      if (grouped[application.status]) grouped[application.status].push(application);
+    });
+    return grouped;
+  }, [applications, statuses]);
+
+  const canMove = (application, status) =>
+    (transitions[application.status] || []).includes(status);
+
+  const requestMove = (application, status) => {
+    if (!canMove(application, status)) return;
+    setMoveNote('');
+    setPendingMove({ application, status });
+  };
+
+  const confirmMove = async () => {
+    const { application, status } = pendingMove;
+    try {
+      setIsSaving(true);
+      const updated = await applicationService.updateStatus(application._id, status, moveNote.trim() || undefined);
+      replaceApplication(updated);
+      setPendingMove(null);
+      message.success(`${updated.name} moved to ${status}`);
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to update application status.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const replaceApplication = (updated) => {
+    setApplications((prev) => prev.map((a) => (a._id === updated._id ? updated : a)));
+    if (selectedApplication?._id === updated._id) setSelectedApplication(updated);
+  };
+
+  // Rescheduling and cancelling add notes to the application history, so reload it afterwards
+  const refreshSelected = async () => {
+    replaceApplication(await applicationService.getApplication(selectedApplication._id));
+    await fetchInterviews();
+  };
+
+  const canScheduleInterview = (application) =>
+    application.status === 'Interviewing' || canMove(application, 'Interviewing');
+
+  const submitInterview = async (details) => {
+    try {
+      setIsSaving(true);
+      if (interviewForm.interview) {
+        await eventService.updateEvent(interviewForm.interview._id, details);
+        await refreshSelected();
+        message.success('Interview rescheduled and the candidate notified');
+      } else {
+        const result = await applicationService.scheduleInterview(selectedApplication._id, details);
+        replaceApplication(result.application);
+        await fetchInterviews();
+        if (result.invitationSent) {
+          message.success('Interview scheduled and invitation sent');
+        } else {
+          message.warning('Interview scheduled, but the invitation email could not be sent');
+        }
+      }
+      setInterviewForm(null);
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to save interview.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const cancelInterview = async (interview) => {
+    if (!window.confirm(`Cancel the interview on ${formatDate(interview.start)}? The candidate will be notified.`)) return;
+    try {
+      await eventService.deleteEvent(interview._id);
+      await refreshSelected();
+      message.success('Interview cancelled');
+    } catch (err) {
+      message.error(err?.message || 'Failed to cancel interview.');
+    }
+  };
+
+  const openDuplicates = async () => {
+    try {
+      setDuplicateGroups(await applicationService.getDuplicateGroups());
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to load possible duplicates.');
+    }
+  };
+
+  // Duplicate and related lists only carry a summary, so load the full record before showing it
+  const openApplication = async (id) => {
+    try {
+      const application = await applicationService.getApplication(id);
+      setDuplicateGroups(null);
+      setShowResumeSearch(false);
+      setSelectedApplication(application);
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to load application.');
+    }
+  };
+
+  // Resume links expire after a few minutes, so ask for a fresh one each time. The tab is
+  // opened straight away so the browser doesn't treat it as an unrequested popup.
+  const viewResume = async () => {
+    const tab = window.open('', '_blank');
+    try {
+      const { url } = await applicationService.getResumeUrl(selectedApplication._id);
+      tab.opener = null;
+      tab.location.href = url;
+    } catch (err) {
+      tab.close();
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to open resume.');
+    }
+  };
+
+  const openExport = () => {
+    setExportOptions({ format: 'xlsx', statuses: [], from: '', to: '' });
+  };
+
+  const toggleExportStatus = (status) => {
+    setExportOptions((prev) => ({
+      ...prev,
+      statuses: prev.statuses.includes(status)
+        ? prev.statuses.filter((s) => s !== status)
+        : [...prev.statuses, status],
+    }));
+  };
+
+  const runExport = async () => {
+    const params = { format: exportOptions.format };
+    if (selectedInternship) params.internship = selectedInternship;
+    if (searchTerm.trim()) params.search = searchTerm.trim();
+    if (exportOptions.statuses.length) params.status = exportOptions.statuses.join(',');
+    if (exportOptions.from) params.from = exportOptions.from;
+    if (exportOptions.to) params.to = exportOptions.to;
+
+    try {
+      setIsExporting(true);
+      await applicationService.exportApplications(params);
+      setExportOptions(null);
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to export applications.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const toggleChecked = (id) => {
+    setCheckedIds((prev) => (prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id]));
+  };
+
+  const reportEmailResult = ({ sent, failed }) => {
+    if (failed.length) {
+      message.warning(`${sent} sent, ${failed.length} failed (${failed.map((f) => f.name).join(', ')}). Failed emails can be retried.`);
+    } else {
+      message.success(`${sent} email(s) sent`);
+    }
+  };
+
+  const sendBulkEmail = async (email) => {
+    const request = email.status
+      ? { ...email, internship: selectedInternship || undefined }
+      : { ...email, applicationIds: checkedIds };
+    try {
+      setIsEmailing(true);
+      reportEmailResult(await applicationService.sendBulkEmail(request));
+      setShowEmailForm(false);
+      setCheckedIds([]);
+      fetchBoard();
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to send emails.');
+    } finally {
+      setIsEmailing(false);
+    }
+  };
+
+  const retryFailedEmails = async () => {
+    try {
+      setIsEmailing(true);
+      reportEmailResult(await applicationService.retryFailedEmails());
+      fetchBoard();
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to retry emails.');
+    } finally {
+      setIsEmailing(false);
+    }
+  };
+
+  const retryEmail = async (email) => {
+    try {
+      const result = await applicationService.retryEmail(selectedApplication._id, email._id);
+      replaceApplication(result.application);
+      if (result.sent) {
+        message.success('Email sent');
+      } else {
+        message.error('The email failed again');
+      }
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to retry email.');
+    }
+  };
+
+  const handleDragStart = (e, application) => {
+    e.dataTransfer.setData('text/plain', application._id);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    setDragOverStatus(null);
+    const application = applications.find((a) => a._id === e.dataTransfer.getData('text/plain'));
+    if (application && application.status !== status) {
+      requestMove(application, status);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="error-message">
+        <p>{error}</p>
+        <button onClick={() => { setError(null); fetchBoard(); }} className="retry-button">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="applications-page">
+      <div className="applications-header">
+        <h1>Applications</h1>
+        <div className="header-actions">
+          <select
+            className="internship-filter"
+            value={selectedInternship}
+            onChange={(e) => setSelectedInternship(e.target.value)}
+          >
+            <option value="">All internships</option>
+            {internships.map((internship) => (
+              <option key={internship._id} value={internship._id}>
+                {internship.title}{internship.isOpen ? '' : ' (closed)'}
+              </option>
+            ))}
+          </select>
+          <select className="internship-filter" value={sort} onChange={(e) => setSort(e.target.value)} aria-label="Sort">
+            {SORT_OPTIONS.filter((option) => isAdmin || !option.adminOnly).map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <div className="search-container">
+            <FiSearch className="search-icon" />
+            <input
+              type="text"
+              placeholder="Search name, email or phone..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="search-input"
+            />
+          </div>
+          <button className="icon-btn" onClick={fetchBoard} title="Refresh" aria-label="Refresh">
+            <FiRefreshCw size={18} />
+          </button>
+          <button className="btn-secondary" onClick={() => setShowResumeSearch(true)}>
+            <FiFileText /> Search resumes
+          </button>
+          <button className="btn-secondary" onClick={openDuplicates}>
+            <FiCopy /> Possible duplicates
+          </button>
+          <button className="btn-secondary" onClick={() => setShowEmailForm(true)}>
+            <FiSend /> Email{checkedIds.length ? ` (${checkedIds.length})` : ''}
+          </button>
+          <button className="btn-secondary" onClick={openExport}>
+            <FiDownload /> Export
+          </button>
+        </div>
+      </div>
+
+      {!loading && total > applications.length && (
+        <p className="board-notice">
+          Showing the {applications.length} most recent of {total} applications. Narrow the filters to see the rest.
+        </p>
+      )}
+
+      {failedEmails > 0 && (
+        <p className="board-notice">
+          {failedEmails} candidate(s) have emails that failed to send.{' '}
+          <button type="button" className="link-button" onClick={retryFailedEmails} disabled={isEmailing}>
+            {isEmailing ? 'Retrying...' : 'Retry now'}
+          </button>
+        </p>
+      )}
+
+      {loading ? (
+        <div className="loading-row">
+          <FiLoader className="spinner" /> Loading applications...
+        </div>
+      ) : (
+        <div className="kanban-board">
+          {statuses.map((status) => (
+            <div
+              key={status}
+              className={`kanban-column ${dragOverStatus === status ? 'drag-over' : ''}`}
+              onDragOver={(e) => { e.preventDefault(); setDragOverStatus(status); }}
+              onDragLeave={() => setDragOverStatus(null)}
+              onDrop={(e) => handleDrop(e, status)}
+            >
+              <div className="kanban-column-header">
+                <span>{status}</span>
+                <span className="kanban-count">{columns[status]?.length || 0}</span>
+              </div>
+              <div className="kanban-cards">
+                {(columns[status] || []).map((application) => (
+                  <div
+                    key={application._id}
+                    className="kanban-card"
+                    draggable
+                    onDragStart={(e) => handleDragStart(e, application)}
+                    onClick={() => setSelectedApplication(application)}
+                  >
+                    <div className="kanban-card-name">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${application.name}`}
+                        checked={checkedIds.includes(application._id)}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => toggleChecked(application._id)}
+                      />
+                      {application.name}
+                    </div>
+                    {!selectedInternship && application.internship?.title && (
+                      <div className="kanban-card-internship">{application.internship.title}</div>
+                    )}
+                    <div className="kanban-card-meta">
+                      Applied {new Date(application.appliedAt).toLocaleDateString()}
+                      {application.averageScore != null && (
+                        <span className="score-badge" title={`Average of ${application.scorecards.length} reviewer(s)`}>
+                          {application.averageScore.toFixed(1)}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                {(columns[status] || []).length === 0 && <div className="kanban-empty">No candidates</div>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Modal isOpen={!!selectedApplication && !pendingMove && !interviewForm} onClose={() => setSelectedApplication(null)}>
+        {selectedApplication && (
+          <div className="application-detail">
+            <h2>{selectedApplication.name}</h2>
+            <p className="application-detail-internship">{selectedApplication.internship?.title}</p>
+            <ul className="application-contact">
+              <li><FiMail /> <a href={`mailto:${selectedApplication.email}`}>{selectedApplication.email}</a></li>
+              <li><FiPhone /> {selectedApplication.phone}</li>
+              <li><FiFileText /> <button type="button" className="link-button" onClick={viewResume}>View resume</button></li>
+            </ul>
+
+            {selectedApplication.answers?.length > 0 && (
+              <>
+                <h3>Screening answers</h3>
+                <dl className="application-answers">
+                  {selectedApplication.answers.map((answer) => (
+                    <React.Fragment key={answer.question}>
+                      <dt>{answer.label}</dt>
+                      <dd>{renderAnswer(answer)}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
+              </>
+            )}
+
+            {relatedApplications.length > 0 && (
+              <>
+                <h3>Other applications from this candidate</h3>
+                <ul className="related-applications">
+                  {relatedApplications.map((related) => (
+                    <li key={related._id}>
+                      <button type="button" className="link-button" onClick={() => openApplication(related._id)}>
+                        {related.internship?.title || 'Internship'}
+                      </button>
+                      <span className="status-history-meta">
+                        {related.status} · applied {new Date(related.appliedAt).toLocaleDateString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            <Scorecards application={selectedApplication} user={user} onSaved={replaceApplication} />
+
+            <h3>Status: <span className="status-badge">{selectedApplication.status}</span></h3>
+            <div className="application-actions">
+              {(transitions[selectedApplication.status] || []).map((status) => (
+                <button key={status} className="btn-secondary" onClick={() => requestMove(selectedApplication, status)}>
+                  Move to {status}
+                </button>
+              ))}
+            </div>
+
+            <h3>Interviews</h3>
+            {interviews.length === 0 && <p className="interviews-empty">No interviews scheduled.</p>}
+            <ul className="interview-list">
+              {interviews.map((interview) => {
+                const upcoming = new Date(interview.end) > new Date();
+                return (
+                  <li key={interview._id} className={upcoming ? '' : 'interview-past'}>
+                    <div>
+                      <strong><FiCalendar /> {formatDate(interview.start)}</strong>
+                      <span className="status-history-meta">
+                        {interview.type === 'call' ? 'Call' : 'Meeting'}
+                        {interview.location ? ` · ${interview.location}` : ''}
+                      </span>
+                    </div>
+                    {upcoming && (
+                      <div className="interview-actions">
+                        <button className="btn-secondary" onClick={() => setInterviewForm({ interview })}>Reschedule</button>
+                        <button className="btn-secondary" onClick={() => cancelInterview(interview)}>Cancel</button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            {canScheduleInterview(selectedApplication) && (
+              <button className="btn-primary" onClick={() => setInterviewForm({})}>
+                <FiCalendar /> Schedule interview
+              </button>
+            )}
+
+            {selectedApplication.emails?.length > 0 && (
+              <>
+                <h3>Emails</h3>
+                <ul className="interview-list">
+                  {selectedApplication.emails.map((email) => (
+                    <li key={email._id} className={email.status === 'failed' ? 'email-failed' : ''}>
+                      <div>
+                        <strong><FiMail /> {email.subject}</strong>
+                        <span className="status-history-meta">
+                          {email.status === 'sent' ? 'Sent' : `Failed: ${email.error}`} · {formatDate(email.lastAttemptAt)}
+                          {email.attempts > 1 ? ` · ${email.attempts} attempts` : ''}
+                        </span>
+                      </div>
+                      {email.status === 'failed' && (
+                        <div className="interview-actions">
+                          <button className="btn-secondary" onClick={() => retryEmail(email)}>Retry</button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            <h3>History</h3>
+            <ol className="status-history">
+              <li>
+                <strong>Received</strong>
+                <span className="status-history-meta">{formatDate(selectedApplication.appliedAt)}</span>
+              </li>
+              {(selectedApplication.statusHistory || []).map((entry, index) => (
+                <li key={index}>
+                  <strong>{entry.from === entry.to ? entry.note : `${entry.from} → ${entry.to}`}</strong>
+                  <span className="status-history-meta">
+                    {formatDate(entry.changedAt)}
+                    {entry.changedBy?.username ? ` by ${entry.changedBy.username}` : ''}
+                  </span>
+                  {entry.note && entry.from !== entry.to && <p className="status-history-note">{entry.note}</p>}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+      </Modal>
+
+      <Modal isOpen={!!interviewForm} onClose={() => !isSaving && setInterviewForm(null)}>
+        {interviewForm && selectedApplication && (
+          <InterviewForm
+            candidateName={selectedApplication.name}
+            interview={interviewForm.interview}
+            onSubmit={submitInterview}
+            onCancel={() => setInterviewForm(null)}
+            isSaving={isSaving}
+          />
+        )}
+      </Modal>
+
+      <Modal isOpen={showEmailForm} onClose={() => !isEmailing && setShowEmailForm(false)}>
+        {showEmailForm && (
+          <BulkEmailForm
+            selectedCount={checkedIds.length}
+            statuses={statuses}
+            counts={counts}
+            onSubmit={sendBulkEmail}
+            onCancel={() => setShowEmailForm(false)}
+            isSaving={isEmailing}
+          />
+        )}
+      </Modal>
+
+      <Modal isOpen={showResumeSearch} onClose={() => setShowResumeSearch(false)}>
+        {showResumeSearch && (
+          <ResumeSearch
+            internship={selectedInternship}
+            internshipTitle={internships.find((i) => i._id === selectedInternship)?.title}
+            onOpen={openApplication}
+          />
+        )}
+      </Modal>
+
+      <Modal isOpen={!!duplicateGroups} onClose={() => setDuplicateGroups(null)}>
+        {duplicateGroups && (
+          <div className="duplicates-dialog">
+            <h3>Possible duplicates</h3>
+            <p className="interview-form-hint">
+              Applications that share an email address or phone number, across all internships.
+            </p>
+            {duplicateGroups.length === 0 && <p>No possible duplicates found.</p>}
+            {duplicateGroups.map((group) => (
+              <div className="duplicate-group" key={group.applications[0]._id}>
+                <div className="duplicate-group-header">
+                  <strong>{[...new Set(group.applications.map((a) => a.name))].join(' / ')}</strong>
+                  <span className="status-history-meta">
+                    Same {group.matchedOn.join(' and ')} · {group.applications.length} applications
+                  </span>
+                </div>
+                <ul className="related-applications">
+                  {group.applications.map((application) => (
+                    <li key={application._id}>
+                      <button type="button" className="link-button" onClick={() => openApplication(application._id)}>
+                        {application.internship?.title || 'Internship'}
+                      </button>
+                      <span className="status-history-meta">
+                        {application.status} · {application.email} · {application.phone} · applied {new Date(application.appliedAt).toLocaleDateString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </Modal>
+
+      <Modal isOpen={!!exportOptions} onClose={() => !isExporting && setExportOptions(null)}>
+        {exportOptions && (
+          <div className="export-dialog">
+            <h3>Export applications</h3>
+            <p className="interview-form-hint">
+              {selectedInternship
+                ? `Applications for ${internships.find((i) => i._id === selectedInternship)?.title || 'the selected internship'}`
+                : 'Applications for all internships'}
+              {searchTerm.trim() ? ` matching "${searchTerm.trim()}"` : ''}, with screening answers.
+            </p>
+            <label>Format</label>
+            <div className="export-options">
+              {['xlsx', 'csv'].map((format) => (
+                <label key={format}>
+                  <input
+                    type="radio"
+                    name="export-format"
+                    checked={exportOptions.format === format}
+                    onChange={() => setExportOptions((prev) => ({ ...prev, format }))}
+                  />
+                  {format === 'xlsx' ? 'Excel (.xlsx)' : 'CSV'}
+                </label>
+              ))}
+            </div>
+            <label>Statuses (leave empty for all)</label>
+            <div className="export-options">
+              {statuses.map((status) => (
+                <label key={status}>
+                  <input
+                    type="checkbox"
+                    checked={exportOptions.statuses.includes(status)}
+                    onChange={() => toggleExportStatus(status)}
+                  />
+                  {status}
+                </label>
+              ))}
+            </div>
+            <div className="export-dates">
+              <div>
+                <label htmlFor="export-from">Applied from</label>
+                <input
+                  id="export-from"
+                  type="date"
+                  value={exportOptions.from}
+                  onChange={(e) => setExportOptions((prev) => ({ ...prev, from: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label htmlFor="export-to">Applied to</label>
+                <input
+                  id="export-to"
+                  type="date"
+                  value={exportOptions.to}
+                  min={exportOptions.from || undefined}
+                  onChange={(e) => setExportOptions((prev) => ({ ...prev, to: e.target.value }))}
+                />
+              </div>
+            </div>
+            <div className="move-dialog-actions">
+              <button className="btn-primary" onClick={runExport} disabled={isExporting}>
+                {isExporting ? 'Exporting...' : 'Download'}
+              </button>
+              <button className="btn-secondary" onClick={() => setExportOptions(null)} disabled={isExporting}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <Modal isOpen={!!pendingMove} onClose={() => !isSaving && setPendingMove(null)}>
+        {pendingMove && (
+          <div className="move-dialog">
+            <h3>Move {pendingMove.application.name} to {pendingMove.status}?</h3>
+            <label htmlFor="move-note">Reason (optional)</label>
+            <textarea
+              id="move-note"
+              rows={3}
+              value={moveNote}
+              onChange={(e) => setMoveNote(e.target.value)}
+              placeholder="e.g. Strong portfolio, schedule technical interview"
+            />
+            <div className="move-dialog-actions">
+              <button className="btn-primary" onClick={confirmMove} disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Confirm'}
+              </button>
+              <button className="btn-secondary" onClick={() => setPendingMove(null)} disabled={isSaving}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default ApplicationsPage;
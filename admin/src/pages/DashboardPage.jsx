@@ -1,12 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { FiHome, FiBriefcase, FiFileText, FiMessageSquare, FiSettings, FiAward, FiImage } from 'react-icons/fi';
+import { FiHome, FiBriefcase, FiFileText, FiFolder, FiMessageCircle, FiMessageSquare, FiSettings, FiAward, FiImage, FiUsers, FiMail } from 'react-icons/fi';
 import DashboardLayout from './dashboard/DashboardLayout'; // This component should contain the layout JSX
 import DashboardHome from './dashboard/Home';
 import ProjectsPage from './ProjectsPage';
 import InternshipsPage from './InternshipsPage';
+import ApplicationsPage from './ApplicationsPage';
 import TestimonialsPage from './TestimonialsPage';
 import NewsPage from './NewsPage';
+import NewsCategoriesPage from './NewsCategoriesPage';
+import NewsCommentsPage from './NewsCommentsPage';
+import NewsletterPage from './NewsletterPage';
 import SettingsPage from './SettingsPage';
 import Gallery from './gallery';
 import '../styles/dashboard.css';
@@ -79,8 +83,12 @@ const DashboardPage = () => {
     home: DashboardHome,
     projects: ProjectsPage,
     news: NewsPage,
+    newsCategories: NewsCategoriesPage,
+    newsComments: NewsCommentsPage,
+    newsletter: NewsletterPage,
     gallery: Gallery,
     internships: InternshipsPage,
+    applications: ApplicationsPage,
     testimonials: TestimonialsPage,
     settings: SettingsPage,
   };
@@ -90,8 +98,12 @@ const DashboardPage = () => {
     { id: 'home', label: 'Dashboard', icon: <FiHome /> },
     { id: 'projects', label: 'Projects', icon: <FiBriefcase /> },
     { id: 'news', label: 'News', icon: <FiFileText /> },
+    { id: 'newsCategories', label: 'News Categories', icon: <FiFolder /> },
+    { id: 'newsComments', label: 'Comments', icon: <FiMessageCircle /> },
+    { id: 'newsletter', label: 'Newsletter', icon: <FiMail /> },
     { id: 'gallery', label: 'Gallery', icon: <FiImage /> },
     { id: 'internships', label: 'Internships', icon: <FiAward /> },
+    { id: 'applications', label: 'Applications', icon: <FiUsers /> },
     { id: 'testimonials', label: 'Testimonials', icon: <FiMessageSquare /> },
     { id: 'settings', label: 'Settings', icon: <FiSettings /> },
   ];
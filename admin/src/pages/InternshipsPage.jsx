@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { FiEdit, FiTrash2, FiSearch, FiChevronLeft, FiChevronRight, FiChevronsLeft, FiChevronsRight, FiLoader } from 'react-icons/fi';
+import { FiEdit, FiTrash2, FiSearch, FiChevronLeft, FiChevronRight, FiChevronsLeft, FiChevronsRight, FiLoader, FiDownload } from 'react-icons/fi';
+import { message } from 'antd';
 import internshipService from '../services/internshipService';
+import applicationService from '../services/applicationService';
 import Modal from '../components/shared/Modal';
 import InternshipForm from '../components/internships/InternshipForm';
 import '../styles/InternshipsPage.css';
@@ -11,6 +13,12 @@ const ITEMS_PER_PAGE = 10;
 // Available page sizes
 const PAGE_SIZES = [5, 10, 20, 50];
 
+// Why a posting was closed, as recorded by the server
+const CLOSED_REASON_LABELS = {
+  deadline: 'Deadline passed',
+  filled: 'All openings filled',
+};
+
 // Error boundary component
 class ErrorBoundary extends React.Component {
   constructor(props) {
@@ -58,7 +66,7 @@ const InternshipsPage = () => {
   const fetchInternships = useCallback(async () => {
     try {
       setLoading(true);
-      const data = await internshipService.getInternships();
+      const data = await internshipService.getManagedInternships();
       const internshipsData = Array.isArray(data) ? data : [];
       setInternships(internshipsData);
       setFilteredInternships(internshipsData);
@@ -186,6 +194,14 @@ const InternshipsPage = () => {
     }
   };
 
+  const handleExportApplications = async (internship) => {
+    try {
+      await applicationService.exportApplications({ internship: internship._id, format: 'xlsx' });
+    } catch (err) {
+      message.error(typeof err === 'string' ? err : err?.message || 'Failed to export applications.');
+    }
+  };
+
   if (error) {
     return (
       <div className="error-message">
@@ -239,6 +255,9 @@ const InternshipsPage = () => {
               <th onClick={() => requestSort('title')} className="sortable-header">
                 Title {renderSortIcon('title')}
               </th>
+              <th onClick={() => requestSort('applicationDeadline')} className="sortable-header">
+                Deadline {renderSortIcon('applicationDeadline')}
+              </th>
               <th>Status</th>
               <th>Actions</th>
             </tr>
@@ -246,7 +265,7 @@ const InternshipsPage = () => {
           <tbody>
             {loading ? (
               <tr>
-                <td colSpan="4" className="loading-row">
+                <td colSpan="5" className="loading-row">
                   <FiLoader className="spinner" /> Loading internships...
                 </td>
               </tr>
@@ -257,12 +276,28 @@ const InternshipsPage = () => {
                   <img src={internship.photo} alt={internship.title} className="internship-photo" />
                 </td>
                 <td>{internship.title}</td>
+                <td>
+                  {internship.applicationDeadline
+                    ? new Date(internship.applicationDeadline).toLocaleString()
+                    : 'None'}
+                </td>
                 <td>
                   <span className={`status-badge ${internship.isOpen ? 'status-open' : 'status-closed'}`}>
                     {internship.isOpen ? 'Open' : 'Closed'}
                   </span>
+                  {!internship.isOpen && CLOSED_REASON_LABELS[internship.closedReason] && (
+                    <div className="closed-reason">{CLOSED_REASON_LABELS[internship.closedReason]}</div>
+                  )}
                 </td>
                 <td className="actions-column">
+                  <button
+                    className="icon-btn"
+                    onClick={() => handleExportApplications(internship)}
+                    aria-label="Export applications"
+                    title="Export applications (.xlsx)"
+                  >
+                    <FiDownload size={18} />
+                  </button>
                   <button 
                     className="icon-btn edit-btn" 
                     onClick={() => setInternshipToEdit(internship)}
@@ -284,7 +319,7 @@ const InternshipsPage = () => {
               ))
             ) : (
               <tr>
-                <td colSpan="4" className="no-data">
+                <td colSpan="5" className="no-data">
                   {searchTerm ? 'No internships match your search.' : 'No internships found.'}
                 </td>
               </tr>
@@ -0,0 +1,346 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Space,
+  Typography,
+  Tag,
+  Tooltip,
+  Modal,
+  Form,
+  Input,
+  InputNumber,
+  Switch,
+  Select,
+  TreeSelect,
+  message
+} from 'antd';
+import {
+  PlusOutlined,
+  ReloadOutlined,
+  EditOutlined,
+  DeleteOutlined,
+  ArrowUpOutlined,
+  ArrowDownOutlined,
+  StarFilled
+} from '@ant-design/icons';
+import { useQuery, useQueryClient } from 'react-query';
+import { useAuth } from '../contexts/AuthContext';
+import newsService from '../services/newsService';
+
+const { Title, Text } = Typography;
+
+// antd's tree table expects `children`, and shows an expand arrow for any array, even an empty one
+const toRows = (categories) => categories.map(({ subcategories, ...category }) => ({
+  ...category,
+  ...(subcategories.length ? { children: toRows(subcategories) } : {})
+}));
+
+const flatten = (rows, depth = 0) => rows.flatMap(row => [
+  { ...row, depth },
+  ...flatten(row.children || [], depth + 1)
+]);
+
+// TreeSelect options for choosing a parent; a category can't be moved under itself or its subcategories
+const toParentOptions = (rows, excludeId) => rows
+  .filter(row => row._id !== excludeId)
+  .map(row => ({
+    value: row._id,
+    title: row.name,
+    children: toParentOptions(row.children || [], excludeId)
+  }));
+
+const CategoryForm = ({ form, rows, category }) => (
+  <Form
+    form={form}
+    layout="vertical"
+    preserve={false}
+    initialValues={category
+      ? { ...category, parent: category.parent || undefined }
+      : { featured: false, isActive: true, featuredOrder: 0 }}
+  >
+    <Form.Item name="name" label="Name" rules={[{ required: true, min: 2, max: 50 }]}>
+      <Input />
+    </Form.Item>
+    <Form.Item name="description" label="Description" rules={[{ max: 500 }]}>
+      <Input.TextArea rows={3} />
+    </Form.Item>
+    <Form.Item name="parent" label="Parent category">
+      <TreeSelect
+        allowClear
+        placeholder="None (top level)"
+        treeData={toParentOptions(rows, category?._id)}
+        treeDefaultExpandAll
+      />
+    </Form.Item>
+    <Space size="large">
+      <Form.Item name="featured" label="Featured" valuePropName="checked">
+        <Switch />
+      </Form.Item>
+      <Form.Item name="isActive" label="Active" valuePropName="checked">
+        <Switch />
+      </Form.Item>
+      <Form.Item name="featuredOrder" label="Order">
+        <InputNumber min={0} />
+      </Form.Item>
+    </Space>
+    <Form.Item name="icon" label="Icon URL" rules={[{ type: 'url' }]}>
+      <Input placeholder="https://" />
+    </Form.Item>
+    <Form.Item name="coverImage" label="Cover image URL" rules={[{ type: 'url' }]}>
+      <Input placeholder="https://" />
+    </Form.Item>
+    <Form.Item name="coverImageAlt" label="Cover image alt text">
+      <Input />
+    </Form.Item>
+    <Form.Item name={['seo', 'metaTitle']} label="SEO title">
+      <Input />
+    </Form.Item>
+    <Form.Item name={['seo', 'metaDescription']} label="SEO description">
+      <Input.TextArea rows={2} />
+    </Form.Item>
+    <Form.Item name={['seo', 'keywords']} label="SEO keywords" rules={[{ type: 'array', max: 10 }]}>
+      <Select mode="tags" tokenSeparators={[',']} placeholder="Up to 10 keywords" />
+    </Form.Item>
+  </Form>
+);
+
+/**
+ * Create, edit, nest, reorder and deactivate news categories. Categories with
+ * articles can only be deleted after choosing where their articles go.
+ */
+const NewsCategoriesPage = () => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [form] = Form.useForm();
+  const [editing, setEditing] = useState(null); // null, 'new' or the category being edited
+  const [deleting, setDeleting] = useState(null);
+  const [reassignTo, setReassignTo] = useState();
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { data: tree = [], isLoading, isFetching, refetch } = useQuery(
+    'newsCategoryTree',
+    () => newsService.getCategoryTree(),
+    {
+      refetchOnWindowFocus: false,
+      onError: (err) => message.error(err.message || 'Failed to load categories'),
+    }
+  );
+
+  const rows = useMemo(() => toRows(tree), [tree]);
+  const allCategories = useMemo(() => flatten(rows), [rows]);
+
+  const refresh = () => queryClient.invalidateQueries('newsCategoryTree');
+
+  const openForm = (category) => setEditing(category || 'new');
+
+  const handleSave = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch {
+      return;
+    }
+    const payload = { ...values, parent: values.parent || null };
+    try {
+      setIsSaving(true);
+      if (editing === 'new') {
+        await newsService.createCategory(payload);
+        message.success('Category created');
+      } else {
+        await newsService.updateCategory(editing._id, payload);
+        message.success('Category updated');
+      }
+      setEditing(null);
+      refresh();
+    } catch (err) {
+      message.error(err.message || 'Failed to save category');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (category) => {
+    try {
+      await newsService.updateCategory(category._id, { isActive: !category.isActive });
+      message.success(category.isActive ? 'Category deactivated' : 'Category activated');
+      refresh();
+    } catch (err) {
+      message.error(err.message || 'Failed to update category');
+    }
+  };
+
+  const handleMove = async (category, offset) => {
+    const siblings = allCategories
+      .filter(row => (row.parent || null) === (category.parent || null))
+      .map(row => row._id);
+    const index = siblings.indexOf(category._id);
+    const target = index + offset;
+    if (target < 0 || target >= siblings.length) return;
+    [siblings[index], siblings[target]] = [siblings[target], siblings[index]];
+    try {
+      await newsService.reorderCategories(siblings);
+      refresh();
+    } catch (err) {
+      message.error(err.message || 'Failed to reorder categories');
+    }
+  };
+
+  const openDelete = (category) => {
+    setReassignTo(undefined);
+    setDeleting(category);
+  };
+
+  const handleDelete = async () => {
+    try {
+      setIsSaving(true);
+      const { moved } = await newsService.deleteCategory(deleting._id, reassignTo);
+      message.success(moved ? `Category deleted; ${moved} article${moved === 1 ? '' : 's'} moved` : 'Category deleted');
+      setDeleting(null);
+      refresh();
+    } catch (err) {
+      message.error(err.message || 'Failed to delete category');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      render: (name, category) => (
+        <Space>
+          <span>{name}</span>
+          {category.featured && <Tooltip title="Featured"><StarFilled style={{ color: '#faad14' }} /></Tooltip>}
+          {!category.isActive && <Tag>Inactive</Tag>}
+        </Space>
+      ),
+    },
+    {
+      title: 'Slug',
+      dataIndex: 'slug',
+      render: (slug) => <Text type="secondary">{slug}</Text>,
+    },
+    {
+      title: 'Articles',
+      dataIndex: 'articleCount',
+      render: (count, category) => (
+        category.totalArticleCount > count
+          ? <Tooltip title="Including subcategories">{count} ({category.totalArticleCount})</Tooltip>
+          : count
+      ),
+    },
+    {
+      title: 'Order',
+      key: 'order',
+      render: (_, category) => (
+        <Space size={0}>
+          <Button type="text" size="small" icon={<ArrowUpOutlined />} aria-label="Move up" onClick={() => handleMove(category, -1)} />
+          <Button type="text" size="small" icon={<ArrowDownOutlined />} aria-label="Move down" onClick={() => handleMove(category, 1)} />
+        </Space>
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, category) => (
+        <Space>
+          <Button size="small" icon={<EditOutlined />} onClick={() => openForm(category)}>Edit</Button>
+          <Button size="small" onClick={() => handleToggleActive(category)}>
+            {category.isActive ? 'Deactivate' : 'Activate'}
+          </Button>
+          {isAdmin && (
+            <Button size="small" danger icon={<DeleteOutlined />} onClick={() => openDelete(category)}>Delete</Button>
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  const reassignOptions = deleting
+    ? allCategories
+      .filter(category => category._id !== deleting._id)
+      .map(category => ({
+        value: category._id,
+        label: `${'— '.repeat(category.depth)}${category.name}${category.isActive ? '' : ' (inactive)'}`,
+      }))
+    : [];
+
+  return (
+    <div className="news-categories">
+      <div className="page-header">
+        <Title level={3} className="page-title">News Categories</Title>
+        <Space>
+          <Button icon={<ReloadOutlined />} onClick={() => refetch()} loading={isFetching}>
+            Refresh
+          </Button>
+          <Button type="primary" icon={<PlusOutlined />} onClick={() => openForm(null)}>
+            New Category
+          </Button>
+        </Space>
+      </div>
+
+      <Card>
+        <Table
+          rowKey="_id"
+          columns={columns}
+          dataSource={rows}
+          loading={isLoading}
+          pagination={false}
+          expandable={{ defaultExpandAllRows: true }}
+          locale={{ emptyText: 'No categories yet' }}
+        />
+      </Card>
+
+      <Modal
+        title={editing === 'new' ? 'New Category' : 'Edit Category'}
+        open={!!editing}
+        onOk={handleSave}
+        onCancel={() => setEditing(null)}
+        okText="Save"
+        confirmLoading={isSaving}
+        destroyOnClose
+      >
+        <CategoryForm form={form} rows={rows} category={editing === 'new' ? null : editing} />
+      </Modal>
+
+      <Modal
+        title={`Delete "${deleting?.name}"`}
+        open={!!deleting}
+        onOk={handleDelete}
+        onCancel={() => setDeleting(null)}
+        okText="Delete"
+        okButtonProps={{ danger: true, disabled: deleting?.articleCount > 0 && !reassignTo }}
+        confirmLoading={isSaving}
+      >
+        {deleting?.articleCount > 0 ? (
+          <>
+            <p>
+              This category has {deleting.articleCount} article{deleting.articleCount === 1 ? '' : 's'}.
+              Choose a category to move {deleting.articleCount === 1 ? 'it' : 'them'} to:
+            </p>
+            <Select
+              style={{ width: '100%' }}
+              placeholder="Move articles to..."
+              value={reassignTo}
+              onChange={setReassignTo}
+              options={reassignOptions}
+              showSearch
+              optionFilterProp="label"
+            />
+          </>
+        ) : (
+          <p>This category has no articles. This action cannot be undone.</p>
+        )}
+        {deleting?.children && (
+          <p style={{ marginTop: 16 }}>Its subcategories will move up a level.</p>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default NewsCategoriesPage;
@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Space,
+  Typography,
+  Tag,
+  Tooltip,
+  Modal,
+  message
+} from 'antd';
+import {
+  ReloadOutlined,
+  CheckOutlined,
+  CloseOutlined,
+  StopOutlined,
+  DeleteOutlined,
+  LockOutlined,
+  UnlockOutlined
+} from '@ant-design/icons';
+import { useQuery, useQueryClient } from 'react-query';
+import { useAuth } from '../contexts/AuthContext';
+import newsService from '../services/newsService';
+
+const { Title, Text, Paragraph } = Typography;
+
+const STATUS_TABS = [
+  { key: 'pending', tab: 'Pending' },
+  { key: 'approved', tab: 'Approved' },
+  { key: 'rejected', tab: 'Rejected' },
+  { key: 'spam', tab: 'Spam' },
+];
+
+// Actions offered for comments in each status
+const ACTIONS = {
+  approved: { label: 'Approve', icon: <CheckOutlined />, done: 'approved' },
+  rejected: { label: 'Reject', icon: <CloseOutlined />, done: 'rejected' },
+  spam: { label: 'Spam', icon: <StopOutlined />, done: 'marked as spam' },
+};
+
+const PAGE_SIZE = 20;
+
+/**
+ * Moderation queue for visitor comments on news articles. Only approved
+ * comments are shown on the site.
+ */
+const NewsCommentsPage = () => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const { data, isLoading, isFetching, refetch } = useQuery(
+    ['newsComments', status, page],
+    () => newsService.getComments({ status, page, limit: PAGE_SIZE }),
+    {
+      keepPreviousData: true,
+      refetchOnWindowFocus: false,
+      onError: (err) => message.error(err.message || 'Failed to load comments'),
+    }
+  );
+
+  const comments = data?.data || [];
+  const statusCounts = data?.statusCounts || {};
+
+  const refresh = () => queryClient.invalidateQueries('newsComments');
+
+  const handleTabChange = (key) => {
+    setStatus(key);
+    setPage(1);
+    setSelectedIds([]);
+  };
+
+  const handleModerate = async (ids, newStatus) => {
+    try {
+      setIsWorking(true);
+      const { updated } = await newsService.moderateComments(ids, newStatus);
+      message.success(`${updated} comment${updated === 1 ? '' : 's'} ${ACTIONS[newStatus].done}`);
+      setSelectedIds([]);
+      refresh();
+    } catch (err) {
+      message.error(err.message || 'Failed to update comments');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDelete = (comment) => {
+    Modal.confirm({
+      title: 'Delete Comment',
+      content: 'Delete this comment and any replies to it? This action cannot be undone.',
+      okText: 'Delete',
+      okType: 'danger',
+      cancelText: 'Cancel',
+      onOk: async () => {
+        try {
+          await newsService.deleteComment(comment._id);
+          message.success('Comment deleted');
+          setSelectedIds(ids => ids.filter(id => id !== comment._id));
+          refresh();
+        } catch (err) {
+          message.error(err.message || 'Failed to delete comment');
+        }
+      },
+    });
+  };
+
+  const handleToggleComments = async (article) => {
+    try {
+      const updated = await newsService.setCommentsOpen(article._id, !article.allowComments);
+      message.success(`Comments ${updated.allowComments ? 'opened' : 'closed'} on "${updated.title}"`);
+      refresh();
+    } catch (err) {
+      message.error(err.message || 'Failed to update article');
+    }
+  };
+
+  const actionsFor = (current) => Object.keys(ACTIONS).filter(key => key !== current);
+
+  const columns = [
+    {
+      title: 'Comment',
+      key: 'comment',
+      render: (_, comment) => (
+        <div>
+          <Text strong>{comment.name}</Text> <Text type="secondary">&lt;{comment.email}&gt;</Text>
+          {comment.parent && (
+            <div>
+              <Text type="secondary">
+                In reply to {comment.parent.name}: “{comment.parent.body?.slice(0, 80)}{comment.parent.body?.length > 80 ? '…' : ''}”
+              </Text>
+            </div>
+          )}
+          <Paragraph style={{ whiteSpace: 'pre-line', margin: '8px 0 0' }} ellipsis={{ rows: 4, expandable: true }}>
+            {comment.body}
+          </Paragraph>
+          {comment.spamReasons?.length > 0 && (
+            <Tooltip title={comment.spamReasons.join('; ')}>
+              <Tag color={comment.spamScore >= 3 ? 'red' : 'orange'}>Spam score {comment.spamScore}</Tag>
+            </Tooltip>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: 'Article',
+      key: 'article',
+      width: 240,
+      render: (_, comment) => (
+        <div>
+          <div>{comment.news?.title || 'Deleted article'}</div>
+          {comment.news?.title && (
+            <Button
+              type="link"
+              size="small"
+              style={{ padding: 0 }}
+              icon={comment.news.allowComments ? <LockOutlined /> : <UnlockOutlined />}
+              onClick={() => handleToggleComments(comment.news)}
+            >
+              {comment.news.allowComments ? 'Close comments' : 'Reopen comments'}
+            </Button>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: 'Posted',
+      dataIndex: 'createdAt',
+      width: 160,
+      render: (date, comment) => (
+        <div>
+          <div>{new Date(date).toLocaleString()}</div>
+          {comment.moderatedBy && (
+            <Text type="secondary">by {comment.moderatedBy.username}</Text>
+          )}
+        </div>
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 200,
+      render: (_, comment) => (
+        <Space wrap>
+          {actionsFor(status).map(key => (
+            <Button
+              key={key}
+              size="small"
+              icon={ACTIONS[key].icon}
+              danger={key === 'spam'}
+              disabled={isWorking}
+              onClick={() => handleModerate([comment._id], key)}
+            >
+              {ACTIONS[key].label}
+            </Button>
+          ))}
+          {isAdmin && (
+            <Button size="small" danger icon={<DeleteOutlined />} onClick={() => handleDelete(comment)} />
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div className="news-comments">
+      <div className="page-header">
+        <Title level={3} className="page-title">Comment Moderation</Title>
+        <Space>
+          {selectedIds.length > 0 && actionsFor(status).map(key => (
+            <Button
+              key={key}
+              icon={ACTIONS[key].icon}
+              danger={key === 'spam'}
+              loading={isWorking}
+              onClick={() => handleModerate(selectedIds, key)}
+            >
+              {ACTIONS[key].label} {selectedIds.length}
+            </Button>
+          ))}
+          <Button icon={<ReloadOutlined />} onClick={() => refetch()} loading={isFetching}>
+            Refresh
+          </Button>
+        </Space>
+      </div>
+
+      <Card
+        tabList={STATUS_TABS.map(tab => ({
+          ...tab,
+          tab: statusCounts[tab.key] ? `${tab.tab} (${statusCounts[tab.key]})` : tab.tab,
+        }))}
+        activeTabKey={status}
+        onTabChange={handleTabChange}
+      >
+        <Table
+          rowKey="_id"
+          columns={columns}
+          dataSource={comments}
+          loading={isLoading}
+          rowSelection={{ selectedRowKeys: selectedIds, onChange: setSelectedIds }}
+          pagination={{
+            current: page,
+            pageSize: PAGE_SIZE,
+            total: data?.total || 0,
+            onChange: (nextPage) => {
+              setPage(nextPage);
+              setSelectedIds([]);
+            },
+          }}
+          locale={{ emptyText: status === 'pending' ? 'No comments waiting for moderation' : 'No comments' }}
+        />
+      </Card>
+    </div>
+  );
+};
+
+export default NewsCommentsPage;
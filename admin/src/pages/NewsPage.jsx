@@ -16,25 +16,48 @@ import {
   BookOutlined,
   FileDoneOutlined,
   EditOutlined,
-  ArrowLeftOutlined
+  ClockCircleOutlined,
+  ArrowLeftOutlined,
+  AuditOutlined,
+  ImportOutlined,
+  ExportOutlined
 } from '@ant-design/icons';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useAuth } from '../contexts/AuthContext';
-import NewsList from '../components/news/NewsList';
+import NewsList, { getDisplayStatus } from '../components/news/NewsList';
 import NewsForm from '../components/news/NewsForm';
+import NewsRevisions from '../components/news/NewsRevisions';
+import ArticleReview from '../components/news/ArticleReview';
+import RelatedArticles from '../components/news/RelatedArticles';
+import PreviewLinks from '../components/news/PreviewLinks';
+import MarkdownImport from '../components/news/MarkdownImport';
 import newsService from '../services/newsService';
+import { isOwnArticle } from '../utils/newsWorkflow';
 
 const { Title, Text } = Typography;
 
-const NewsListing = React.memo(({ onEdit, onDelete, onRefresh, articles = [], loading, error, isEmpty }) => {
+const NewsListing = React.memo(({ onEdit, onDelete, onUnschedule, onRefresh, articles = [], loading, error, isEmpty }) => {
   const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState('all');
+  const [importOpen, setImportOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await newsService.exportMarkdown();
+    } catch (err) {
+      message.error(err.message || 'Failed to export articles');
+    } finally {
+      setExporting(false);
+    }
+  };
 
   const filteredArticles = React.useMemo(() => {
     if (!Array.isArray(articles)) return [];
     if (activeTab === 'all') return articles;
-    return articles.filter(article => article?.status === activeTab);
+    return articles.filter(article => article && getDisplayStatus(article) === activeTab);
   }, [articles, activeTab]);
   
   // Memoize the NewsList props to prevent unnecessary re-renders
@@ -45,12 +68,21 @@ const NewsListing = React.memo(({ onEdit, onDelete, onRefresh, articles = [], lo
     isEmpty: isEmpty || (!loading && filteredArticles.length === 0),
     onRefresh,
     onEdit,
-    onDelete
-  }), [filteredArticles, loading, error, isEmpty, onRefresh, onEdit, onDelete]);
+    onDelete,
+    onUnschedule
+  }), [filteredArticles, loading, error, isEmpty, onRefresh, onEdit, onDelete, onUnschedule]);
+
+  const reviewCount = React.useMemo(
+    () => (Array.isArray(articles) ? articles.filter(article => article?.status === 'in-review').length : 0),
+    [articles]
+  );
 
   const tabs = [
     { key: 'all', tab: 'All Articles', icon: <BookOutlined /> },
+    { key: 'in-review', tab: reviewCount ? `Needs Review (${reviewCount})` : 'Needs Review', icon: <AuditOutlined /> },
+    { key: 'approved', tab: 'Approved', icon: <FileDoneOutlined /> },
     { key: 'published', tab: 'Published', icon: <FileDoneOutlined /> },
+    { key: 'scheduled', tab: 'Scheduled', icon: <ClockCircleOutlined /> },
     { key: 'draft', tab: 'Drafts', icon: <EditOutlined /> },
   ];
 
@@ -66,6 +98,12 @@ const NewsListing = React.memo(({ onEdit, onDelete, onRefresh, articles = [], lo
           >
             Refresh
           </Button>
+          <Button icon={<ImportOutlined />} onClick={() => setImportOpen(true)}>
+            Import Markdown
+          </Button>
+          <Button icon={<ExportOutlined />} onClick={handleExport} loading={exporting}>
+            Export All
+          </Button>
           <Button 
             type="primary" 
             icon={<PlusOutlined />}
@@ -76,6 +114,8 @@ const NewsListing = React.memo(({ onEdit, onDelete, onRefresh, articles = [], lo
         </Space>
       </div>
 
+      <MarkdownImport open={importOpen} onClose={() => setImportOpen(false)} />
+
       <Card 
         className="news-container"
         tabList={tabs}
@@ -90,9 +130,11 @@ const NewsListing = React.memo(({ onEdit, onDelete, onRefresh, articles = [], lo
 
 const NewsDetail = ({ id }) => {
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const [exporting, setExporting] = useState(false);
   const { data: article, isLoading, error } = useQuery(
     ['newsItem', id],
-    () => newsService.getNewsItem(id),
+    () => newsService.getNewsItem(id).then(response => response.data),
     {
       enabled: !!id,
     }
@@ -133,7 +175,11 @@ const NewsDetail = ({ id }) => {
           <div className="article-content">
             <Title level={2}>{article.title}</Title>
             <Text type="secondary" style={{ display: 'block', marginBottom: 16 }}>
-              Published on {new Date(article.publishedAt).toLocaleDateString()}
+              {article.scheduledPublish
+                ? `Scheduled for ${new Date(article.scheduledPublish).toLocaleString()}`
+                : article.publishedAt
+                  ? `Published on ${new Date(article.publishedAt).toLocaleDateString()}`
+                  : 'Not published yet'}
             </Text>
             
             {article.featuredImage && (
@@ -160,10 +206,32 @@ const NewsDetail = ({ id }) => {
               >
                 Edit Article
               </Button>
+              <Button
+                icon={<ExportOutlined />}
+                loading={exporting}
+                style={{ marginLeft: 8 }}
+                onClick={async () => {
+                  setExporting(true);
+                  try {
+                    await newsService.exportArticle(id);
+                  } catch (err) {
+                    message.error(err.message || 'Failed to export article');
+                  } finally {
+                    setExporting(false);
+                  }
+                }}
+              >
+                Export Markdown
+              </Button>
             </div>
           </div>
         )}
       </Card>
+
+      {article && <ArticleReview article={article} />}
+      {article && user?.role === 'admin' && <RelatedArticles article={article} />}
+      {article && (user?.role === 'admin' || isOwnArticle(article, user)) && <PreviewLinks article={article} />}
+      {article && <NewsRevisions articleId={id} />}
     </div>
   );
 };
@@ -172,7 +240,8 @@ const NewsPage = React.memo(({ isCreate = false, isEdit = false }) => {
   const navigate = useNavigate();
   const { id } = useParams();
   const queryClient = useQueryClient();
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, user } = useAuth();
+  const isAdmin = user?.role === 'admin';
   
   // Memoize query options to prevent unnecessary re-renders
   const queryOptions = React.useMemo(() => ({
@@ -245,6 +314,25 @@ const NewsPage = React.memo(({ isCreate = false, isEdit = false }) => {
     });
   };
 
+  const handleUnschedule = (article) => {
+    Modal.confirm({
+      title: 'Unschedule Article',
+      content: `"${article.title}" will stay a draft until it is published or scheduled again.`,
+      okText: 'Unschedule',
+      cancelText: 'Cancel',
+      onOk: async () => {
+        try {
+          await newsService.unscheduleArticle(article._id);
+          message.success('Article unscheduled');
+          queryClient.invalidateQueries('news');
+        } catch (err) {
+          message.error(err.message || 'Failed to unschedule article');
+        }
+      },
+      centered: true,
+    });
+  };
+
   const handleSuccess = () => {
     queryClient.invalidateQueries('news');
     navigate('/news');
@@ -291,6 +379,7 @@ const NewsPage = React.memo(({ isCreate = false, isEdit = false }) => {
       onRefresh={refetch}
       onEdit={handleEdit}
       onDelete={handleDelete}
+      onUnschedule={isAdmin ? handleUnschedule : undefined}
     />
   );
 });
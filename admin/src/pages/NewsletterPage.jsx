@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Space,
+  Typography,
+  Tag,
+  Input,
+  Select,
+  Modal,
+  message
+} from 'antd';
+import { ReloadOutlined, DownloadOutlined, DeleteOutlined } from '@ant-design/icons';
+import { useQuery, useQueryClient } from 'react-query';
+import dayjs from 'dayjs';
+import { useAuth } from '../contexts/AuthContext';
+import newsletterService from '../services/newsletterService';
+import DigestPanel, { FREQUENCY_LABELS } from '../components/newsletter/DigestPanel';
+
+const { Title, Text } = Typography;
+
+const STATUS_TABS = [
+  { key: 'active', tab: 'Subscribed' },
+  { key: 'pending', tab: 'Awaiting confirmation' },
+  { key: 'unsubscribed', tab: 'Unsubscribed' },
+];
+
+const STATUS_COLORS = {
+  active: 'success',
+  pending: 'warning',
+  unsubscribed: 'default',
+};
+
+const PAGE_SIZE = 20;
+
+const formatDate = date => (date ? dayjs(date).format('MMM D, YYYY') : '—');
+
+/**
+ * Newsletter subscribers, and the digests of new articles they are emailed.
+ * Subscribers confirm their address before they get anything.
+ */
+const NewsletterPage = () => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [status, setStatus] = useState('active');
+  const [frequency, setFrequency] = useState();
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [exporting, setExporting] = useState(false);
+
+  const filters = { status, frequency, search: search || undefined };
+
+  const { data, isLoading, isFetching, refetch } = useQuery(
+    ['newsletterSubscribers', status, frequency, search, page],
+    () => newsletterService.getSubscribers({ ...filters, page, limit: PAGE_SIZE }),
+    {
+      keepPreviousData: true,
+      refetchOnWindowFocus: false,
+      onError: (err) => message.error(err.message || 'Failed to load subscribers'),
+    }
+  );
+
+  const subscribers = data?.data || [];
+  const summary = data?.summary || {};
+
+  const handleTabChange = (key) => {
+    setStatus(key);
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      await newsletterService.exportSubscribers(filters);
+    } catch (err) {
+      message.error(err.message || 'Failed to export subscribers');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = (subscriber) => {
+    Modal.confirm({
+      title: 'Delete Subscriber',
+      content: `Delete ${subscriber.email} and everything stored about them? To just stop their emails, they can unsubscribe instead.`,
+      okText: 'Delete',
+      okType: 'danger',
+      cancelText: 'Cancel',
+      onOk: async () => {
+        try {
+          await newsletterService.deleteSubscriber(subscriber._id);
+          message.success('Subscriber deleted');
+          queryClient.invalidateQueries('newsletterSubscribers');
+        } catch (err) {
+          message.error(err.message || 'Failed to delete subscriber');
+        }
+      },
+    });
+  };
+
+  const columns = [
+    {
+      title: 'Email',
+      dataIndex: 'email',
+      render: (email, subscriber) => (
+        <>
+          {email}
+          {subscriber.source && (
+            <Text type="secondary" style={{ display: 'block', fontSize: 12 }}>From {subscriber.source}</Text>
+          )}
+        </>
+      ),
+    },
+    {
+      title: 'Gets',
+      dataIndex: 'frequency',
+      width: 160,
+      render: value => FREQUENCY_LABELS[value],
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      width: 200,
+      render: (value, subscriber) => (
+        <>
+          <Tag color={STATUS_COLORS[value]}>{value}</Tag>
+          <Text type="secondary" style={{ display: 'block', fontSize: 12 }}>
+            {value === 'active' && `Confirmed ${formatDate(subscriber.confirmedAt)}`}
+            {value === 'pending' && `Asked ${formatDate(subscriber.confirmationSentAt || subscriber.createdAt)}`}
+            {value === 'unsubscribed' && `Left ${formatDate(subscriber.unsubscribedAt)}`}
+          </Text>
+        </>
+      ),
+    },
+    {
+      title: 'Last digest',
+      dataIndex: 'lastDigestAt',
+      width: 140,
+      render: formatDate,
+    },
+    {
+      title: 'Signed up',
+      dataIndex: 'createdAt',
+      width: 140,
+      render: formatDate,
+    },
+    ...(isAdmin ? [{
+      title: '',
+      key: 'actions',
+      width: 60,
+      align: 'right',
+      render: (_, subscriber) => (
+        <Button size="small" danger icon={<DeleteOutlined />} onClick={() => handleDelete(subscriber)} />
+      ),
+    }] : []),
+  ];
+
+  return (
+    <div className="newsletter">
+      <div className="page-header">
+        <Title level={3} className="page-title">Newsletter</Title>
+        <Space>
+          {isAdmin && (
+            <Button icon={<DownloadOutlined />} loading={exporting} onClick={handleExport}>
+              Export CSV
+            </Button>
+          )}
+          <Button icon={<ReloadOutlined />} onClick={() => refetch()} loading={isFetching}>
+            Refresh
+          </Button>
+        </Space>
+      </div>
+
+      <Card
+        tabList={STATUS_TABS.map(tab => ({
+          ...tab,
+          tab: summary[tab.key] ? `${tab.tab} (${summary[tab.key]})` : tab.tab,
+        }))}
+        activeTabKey={status}
+        onTabChange={handleTabChange}
+      >
+        <Space wrap style={{ marginBottom: 16 }}>
+          <Input.Search
+            placeholder="Search by email"
+            allowClear
+            onSearch={(value) => {
+              setSearch(value.trim());
+              setPage(1);
+            }}
+            style={{ width: 260 }}
+          />
+          <Select
+            placeholder="Any frequency"
+            allowClear
+            value={frequency}
+            onChange={(value) => {
+              setFrequency(value);
+              setPage(1);
+            }}
+            options={Object.entries(FREQUENCY_LABELS).map(([value, label]) => ({ value, label }))}
+            style={{ width: 180 }}
+          />
+        </Space>
+        <Table
+          rowKey="_id"
+          columns={columns}
+          dataSource={subscribers}
+          loading={isLoading}
+          pagination={{
+            current: page,
+            pageSize: PAGE_SIZE,
+            total: data?.total || 0,
+            onChange: setPage,
+          }}
+          locale={{ emptyText: 'No subscribers' }}
+        />
+      </Card>
+
+      <DigestPanel />
+    </div>
+  );
+};
+
+export default NewsletterPage;
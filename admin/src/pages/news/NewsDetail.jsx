@@ -15,6 +15,7 @@ import {
 } from '@ant-design/icons';
 import moment from 'moment';
 import newsService from '../../services/newsService';
+import NewsRevisions from '../../components/news/NewsRevisions';
 import styles from './news.module.css';
 
 const { Title, Text, Paragraph } = Typography;
@@ -223,6 +224,8 @@ const NewsDetail = () => {
         )}
       </Card>
 
+      <NewsRevisions articleId={id} onRestored={setArticle} />
+
       {relatedNews.length > 0 && (
         <div className={styles.relatedNews}>
           <Divider orientation="left">
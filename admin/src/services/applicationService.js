@@ -0,0 +1,306 @@
+import api from '../api';
+
+const APPLICATION_ENDPOINT = '/applications';
+
+/**
+ * A service object for handling internship application requests.
+ */
+const applicationService = {
+  /**
+   * Fetches a page of applications.
+   * @param {Object} params - Query filters: internship, status, search, page, limit, sort.
+   * @returns {Promise<{applications: Array, pagination: Object}>}
+   */
+  async getApplications(params = {}) {
+    try {
+      const response = await api.get(APPLICATION_ENDPOINT, { params });
+      const data = response.data?.data || {};
+      return {
+        applications: Array.isArray(data.applications) ? data.applications : [],
+        pagination: data.pagination || { total: 0, page: 1, totalPages: 0 },
+      };
+    } catch (error) {
+      console.error('Error fetching applications:', error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Searches resume text for keywords, best matches first.
+   * @param {Object} params - q (keywords, "quoted phrases" and -exclusions), internship, status, page, limit.
+   * @returns {Promise<{applications: Array, pagination: Object}>} Each application has highlighted `snippets`.
+   */
+  async searchResumes(params = {}) {
+    try {
+      const response = await api.get(`${APPLICATION_ENDPOINT}/search`, { params });
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to search resumes');
+      }
+      const data = response.data?.data || {};
+      return {
+        applications: Array.isArray(data.applications) ? data.applications : [],
+        pagination: data.pagination || { total: 0, page: 1, totalPages: 0 },
+      };
+    } catch (error) {
+      console.error('Error searching resumes:', error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Fetches per-status counts and the allowed status transitions.
+   * @param {string} [internship] - Restrict the counts to one internship.
+   * @returns {Promise<{counts: Object, statuses: Array, transitions: Object}>}
+   */
+  async getStats(internship) {
+    try {
+      const response = await api.get(`${APPLICATION_ENDPOINT}/stats`, {
+        params: internship ? { internship } : {},
+      });
+      return response.data?.data || { counts: {}, statuses: [], transitions: {} };
+    } catch (error) {
+      console.error('Error fetching application stats:', error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Fetches a single application including its status history.
+   * @param {string} id - The application ID.
+   * @returns {Promise<Object>}
+   */
+  async getApplication(id) {
+    try {
+      const response = await api.get(`${APPLICATION_ENDPOINT}/${id}`);
+      return response.data?.data?.application;
+    } catch (error) {
+      console.error(`Error fetching application ${id}:`, error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Moves an application to a new status.
+   * @param {string} id - The application ID.
+   * @param {string} status - The target status.
+   * @param {string} [note] - Why the candidate was moved.
+   * @returns {Promise<Object>} The updated application.
+   */
+  async updateStatus(id, status, note) {
+    try {
+      const response = await api.patch(`${APPLICATION_ENDPOINT}/${id}/status`, { status, note });
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to update application status');
+      }
+      return response.data?.data?.application;
+    } catch (error) {
+      console.error(`Error updating application ${id}:`, error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Saves the current reviewer's scorecard.
+   * @param {string} id - The application ID.
+   * @param {Object} scorecard - ratings (1-5 keyed by criterion id) and an optional comment.
+   * @returns {Promise<Object>} The updated application.
+   */
+  async updateScorecard(id, scorecard) {
+    try {
+      const response = await api.put(`${APPLICATION_ENDPOINT}/${id}/scorecard`, scorecard);
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to save scorecard');
+      }
+      return response.data?.data?.application;
+    } catch (error) {
+      console.error(`Error saving scorecard for application ${id}:`, error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Fetches groups of applications that look like the same person applying more than once.
+   * @returns {Promise<Array<{applications: Array, matchedOn: Array<string>}>>}
+   */
+  async getDuplicateGroups() {
+    try {
+      const response = await api.get(`${APPLICATION_ENDPOINT}/duplicates`);
+      return response.data?.data?.groups || [];
+    } catch (error) {
+      console.error('Error fetching duplicate applications:', error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Fetches other applications sharing an applicant's email or phone.
+   * @param {string} id - The application ID.
+   * @returns {Promise<Array>}
+   */
+  async getRelated(id) {
+    try {
+      const response = await api.get(`${APPLICATION_ENDPOINT}/${id}/related`);
+      return response.data?.data?.applications || [];
+    } catch (error) {
+      console.error(`Error fetching applications related to ${id}:`, error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Gets a short-lived link for viewing an applicant's resume.
+   * @param {string} id - The application ID.
+   * @returns {Promise<{url: string, expiresAt: string|null}>}
+   */
+  async getResumeUrl(id) {
+    try {
+      const response = await api.get(`${APPLICATION_ENDPOINT}/${id}/resume-url`);
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to get resume link');
+      }
+      return response.data?.data;
+    } catch (error) {
+      console.error(`Error getting resume link for application ${id}:`, error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Fetches the interviews scheduled for an application.
+   * @param {string} id - The application ID.
+   * @returns {Promise<Array>}
+   */
+  async getInterviews(id) {
+    try {
+      const response = await api.get(`${APPLICATION_ENDPOINT}/${id}/interviews`);
+      return response.data?.data?.interviews || [];
+    } catch (error) {
+      console.error(`Error fetching interviews for application ${id}:`, error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Schedules an interview and emails the candidate a calendar invitation.
+   * @param {string} id - The application ID.
+   * @param {Object} interview - start, end, type ('call' or 'meeting'), location, description.
+   * @returns {Promise<{application: Object, event: Object, invitationSent: boolean}>}
+   */
+  async scheduleInterview(id, interview) {
+    try {
+      const response = await api.post(`${APPLICATION_ENDPOINT}/${id}/interviews`, interview);
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to schedule interview');
+      }
+      return response.data?.data;
+    } catch (error) {
+      console.error(`Error scheduling interview for application ${id}:`, error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Fetches the templates available for emailing applicants.
+   * @returns {Promise<Array<{key: string, name: string, subject: string}>>}
+   */
+  async getEmailTemplates() {
+    try {
+      const response = await api.get(`${APPLICATION_ENDPOINT}/email-templates`);
+      return response.data?.data?.templates || [];
+    } catch (error) {
+      console.error('Error fetching email templates:', error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Emails a template to the chosen applications, or to every application in a status.
+   * @param {Object} email - template, subject, nextSteps and either applicationIds or status (+ internship).
+   * @returns {Promise<{sent: number, failed: Array<{application: string, name: string, error: string}>}>}
+   */
+  async sendBulkEmail(email) {
+    try {
+      const response = await api.post(`${APPLICATION_ENDPOINT}/bulk-email`, email, {
+        timeout: 0, // Each recipient is a separate send, so large batches take a while
+      });
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to send emails');
+      }
+      return response.data?.data;
+    } catch (error) {
+      console.error('Error sending bulk email:', error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Retries one failed email to an applicant.
+   * @param {string} id - The application ID.
+   * @param {string} emailId - The failed email's ID.
+   * @returns {Promise<{application: Object, sent: boolean}>}
+   */
+  async retryEmail(id, emailId) {
+    try {
+      const response = await api.post(`${APPLICATION_ENDPOINT}/${id}/emails/${emailId}/retry`);
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to retry email');
+      }
+      return response.data?.data;
+    } catch (error) {
+      console.error(`Error retrying email for application ${id}:`, error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Retries every applicant email that failed to send.
+   * @returns {Promise<{sent: number, failed: Array}>}
+   */
+  async retryFailedEmails() {
+    try {
+      const response = await api.post(`${APPLICATION_ENDPOINT}/emails/retry-failed`, null, { timeout: 0 });
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to retry emails');
+      }
+      return response.data?.data;
+    } catch (error) {
+      console.error('Error retrying failed emails:', error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+
+  /**
+   * Downloads applications matching the filters as a spreadsheet.
+   * @param {Object} params - format ('csv' or 'xlsx'), internship, status, from, to, search.
+   * @returns {Promise<void>}
+   */
+  async exportApplications(params = {}) {
+    try {
+      const response = await api.get(`${APPLICATION_ENDPOINT}/export`, {
+        params,
+        responseType: 'blob',
+        timeout: 0, // Large cohorts can take longer than the default timeout
+      });
+      if (response.status >= 400) {
+        const body = JSON.parse(await response.data.text());
+        throw new Error(body?.message || 'Failed to export applications');
+      }
+
+      const disposition = response.headers['content-disposition'] || '';
+      const filename = disposition.match(/filename="?([^"]+)"?/)?.[1] || `applications.${params.format || 'csv'}`;
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting applications:', error);
+      throw error?.response?.data?.message || error?.message || JSON.stringify(error);
+    }
+  },
+};
+
+export default applicationService;
@@ -94,6 +94,9 @@ const eventService = {
       };
       
       const response = await api.put(`${EVENT_ENDPOINT}/${eventId}`, formattedEvent);
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to update event');
+      }
       
       // Return the data property from the response
       return response.data;
@@ -108,6 +111,9 @@ const eventService = {
     console.log(`Deleting event ${eventId}`);
     try {
       const response = await api.delete(`${EVENT_ENDPOINT}/${eventId}`);
+      if (response.status >= 400) {
+        throw new Error(response.data?.message || 'Failed to delete event');
+      }
       
       // Return the data property from the response
       return response.data;
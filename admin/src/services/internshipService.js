@@ -11,8 +11,26 @@ const internshipService = {
    * @returns {Promise<Array>} A promise that resolves to an array of internships.
    */
   async getInternships() {
+    return this.fetchInternships(INTERNSHIP_ENDPOINT);
+  },
+
+  /**
+   * Fetches all internships with the fields only the admin panel sees, such as
+   * their scoring criteria.
+   * @returns {Promise<Array>} A promise that resolves to an array of internships.
+   */
+  async getManagedInternships() {
+    return this.fetchInternships(`${INTERNSHIP_ENDPOINT}/manage`);
+  },
+
+  /**
+   * Fetches a list of internships from an endpoint.
+   * @param {string} url - The endpoint to fetch from.
+   * @returns {Promise<Array>} A promise that resolves to an array of internships.
+   */
+  async fetchInternships(url) {
     try {
-      const response = await api.get(INTERNSHIP_ENDPOINT);
+      const response = await api.get(url);
       // The response now contains the full response object
       const data = response.data?.data || response.data;
       
@@ -21,13 +21,39 @@ const handleError = (error, defaultMessage = 'An error occurred') => {
 
 const NEWS_ENDPOINT = '/news';
 
+// Save a zip download under the name the server gave it
+const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const filename = disposition.match(/filename="?([^"]+)"?/)?.[1] || fallbackName;
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Errors on blob requests arrive as a blob too
+const handleBlobError = async (error, defaultMessage) => {
+  if (error.response?.data instanceof Blob) {
+    try {
+      error.response.data = JSON.parse(await error.response.data.text());
+    } catch (parseError) {
+      // Not JSON; fall back to the default message
+    }
+  }
+  return handleError(error, defaultMessage);
+};
+
 const newsService = {
   /**
-   * Get all news articles with optional filters
+   * Get news articles in any status, with optional filters
    * @param {Object} params - Query parameters
    * @param {number} [params.page=1] - Page number
    * @param {number} [params.limit=10] - Items per page
-   * @param {string} [params.status] - Filter by status (published/draft/archived)
+   * @param {string} [params.status] - Filter by status (published/draft/scheduled/archived)
    * @param {string} [params.category] - Filter by category ID
    * @param {string} [params.search] - Search query
    * @param {string} [params.tag] - Filter by tag
@@ -37,7 +63,7 @@ const newsService = {
   async getNews(params = {}, options = {}) {
     try {
       console.log('[newsService] Fetching news with params:', params);
-      const response = await api.get(NEWS_ENDPOINT, {
+      const response = await api.get(`${NEWS_ENDPOINT}/manage`, {
         params,
         signal: options.signal,
         timeout: 15000, // 15 second timeout
@@ -83,13 +109,13 @@ const newsService = {
   },
 
   /**
-   * Get a single news article by ID or slug
-   * @param {string} idOrSlug - Article ID or slug
-   * @returns {Promise<Object>} News article data
+   * Get a single news article by ID, whatever its status
+   * @param {string} id - Article ID
+   * @returns {Promise<Object>} { success, data } with the article in `data`
    */
-  async getNewsItem(idOrSlug) {
+  async getNewsItem(id) {
     try {
-      const response = await api.get(`${NEWS_ENDPOINT}/${idOrSlug}`);
+      const response = await api.get(`${NEWS_ENDPOINT}/manage/${id}`);
       return handleResponse(response);
     } catch (error) {
       return handleError(error, 'Failed to fetch article');
@@ -118,7 +144,7 @@ const newsService = {
    */
   async updateNews(id, articleData) {
     try {
-      const response = await api.patch(`${NEWS_ENDPOINT}/${id}`, articleData);
+      const response = await api.put(`${NEWS_ENDPOINT}/${id}`, articleData);
       return handleResponse(response);
     } catch (error) {
       return handleError(error, 'Failed to update article');
@@ -139,6 +165,171 @@ const newsService = {
     }
   },
 
+  /**
+   * Schedule a draft to be published at a later time
+   * @param {string} id - Article ID
+   * @param {string|Date} scheduledPublish - When to publish it
+   * @returns {Promise<Object>} Updated article
+   */
+  async scheduleArticle(id, scheduledPublish) {
+    try {
+      const response = await api.patch(`${NEWS_ENDPOINT}/${id}/schedule`, { scheduledPublish });
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to schedule article');
+    }
+  },
+
+  /**
+   * Cancel a draft's scheduled publishing; it stays a draft
+   * @param {string} id - Article ID
+   * @returns {Promise<Object>} Updated article
+   */
+  async unscheduleArticle(id) {
+    try {
+      const response = await api.patch(`${NEWS_ENDPOINT}/${id}/schedule`, { scheduledPublish: null });
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to unschedule article');
+    }
+  },
+
+  /**
+   * Move an article through the editorial workflow
+   * @param {string} id - Article ID
+   * @param {string} status - in-review, approved, published, draft or archived
+   * @param {string} [comment] - Reviewer's comment; needed to send someone else's article back to draft
+   * @returns {Promise<Object>} { data: article, authorNotified }
+   */
+  async updateStatus(id, status, comment) {
+    try {
+      const response = await api.patch(`${NEWS_ENDPOINT}/${id}/status`, { status, comment });
+      return handleResponse(response);
+    } catch (error) {
+      return handleError(error, 'Failed to change article status');
+    }
+  },
+
+  /**
+   * Get the related articles shown under a published article
+   * @param {string} id - Article ID
+   * @returns {Promise<Array>} Pinned articles first (`pinned: true`), then automatic suggestions with a `score`
+   */
+  async getRelatedArticles(id) {
+    try {
+      const response = await api.get(`${NEWS_ENDPOINT}/${id}/related`, { params: { limit: 8 } });
+      return handleResponse(response).data || [];
+    } catch (error) {
+      return handleError(error, 'Failed to fetch related articles');
+    }
+  },
+
+  /**
+   * Pin related articles in order; an empty list goes back to automatic suggestions
+   * @param {string} id - Article ID
+   * @param {Array<string>} relatedNews - IDs of the articles to pin
+   * @returns {Promise<Array>} The pinned articles
+   */
+  async setRelatedNews(id, relatedNews) {
+    try {
+      const response = await api.put(`${NEWS_ENDPOINT}/${id}/related`, { relatedNews });
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to save related articles');
+    }
+  },
+
+  /**
+   * Get the preview links issued for an article, newest first
+   * @param {string} id - Article ID
+   * @returns {Promise<Array>} Links with their `status`: active, expired or revoked
+   */
+  async getPreviewLinks(id) {
+    try {
+      const response = await api.get(`${NEWS_ENDPOINT}/${id}/preview-links`);
+      return handleResponse(response).data || [];
+    } catch (error) {
+      return handleError(error, 'Failed to fetch preview links');
+    }
+  },
+
+  /**
+   * Create a link that shows an unpublished article to anyone holding it
+   * @param {string} id - Article ID
+   * @param {Object} options - `label` and `expiresInDays`
+   * @returns {Promise<Object>} The link, with its `url`; the URL can't be fetched again later
+   */
+  async createPreviewLink(id, options = {}) {
+    try {
+      const response = await api.post(`${NEWS_ENDPOINT}/${id}/preview-links`, options);
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to create preview link');
+    }
+  },
+
+  /**
+   * Revoke a preview link
+   * @param {string} id - Article ID
+   * @param {string} linkId - Preview link ID
+   * @returns {Promise<Object>} The revoked link
+   */
+  async revokePreviewLink(id, linkId) {
+    try {
+      const response = await api.delete(`${NEWS_ENDPOINT}/${id}/preview-links/${linkId}`);
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to revoke preview link');
+    }
+  },
+
+  /**
+   * Get an article's saved revisions, newest first
+   * @param {string} id - Article ID
+   * @returns {Promise<Array>} Revisions without their content
+   */
+  async getRevisions(id) {
+    try {
+      const response = await api.get(`${NEWS_ENDPOINT}/${id}/revisions`);
+      return handleResponse(response).data || [];
+    } catch (error) {
+      return handleError(error, 'Failed to fetch revisions');
+    }
+  },
+
+  /**
+   * Compare two revisions of an article
+   * @param {string} id - Article ID
+   * @param {number} from - Older revision number
+   * @param {number} [to] - Newer revision number; the latest when omitted
+   * @returns {Promise<Object>} { from, to, fields, content: { rows, added, removed } }
+   */
+  async compareRevisions(id, from, to) {
+    try {
+      const response = await api.get(`${NEWS_ENDPOINT}/${id}/revisions/compare`, {
+        params: to ? { from, to } : { from },
+      });
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to compare revisions');
+    }
+  },
+
+  /**
+   * Restore an earlier revision; it is saved as a new revision
+   * @param {string} id - Article ID
+   * @param {number} number - Revision number to restore
+   * @returns {Promise<Object>} { article, revision }
+   */
+  async restoreRevision(id, number) {
+    try {
+      const response = await api.post(`${NEWS_ENDPOINT}/${id}/revisions/${number}/restore`);
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to restore revision');
+    }
+  },
+
   /**
    * Get news categories
    * @returns {Promise<Array>} Array of categories
@@ -164,6 +355,199 @@ const newsService = {
     }
   },
 
+  /**
+   * Get every category, including inactive ones, as a tree
+   * @returns {Promise<Array>} Root categories with nested `subcategories`,
+   * `articleCount` and `totalArticleCount` (articles in any status)
+   */
+  async getCategoryTree() {
+    try {
+      const response = await api.get(`${NEWS_ENDPOINT}/categories/manage`);
+      return handleResponse(response).data || [];
+    } catch (error) {
+      return handleError(error, 'Failed to fetch categories');
+    }
+  },
+
+  /**
+   * Create a news category
+   * @param {Object} categoryData - name, description, parent, featured, icon, coverImage, seo, isActive
+   * @returns {Promise<Object>} Created category
+   */
+  async createCategory(categoryData) {
+    try {
+      const response = await api.post(`${NEWS_ENDPOINT}/categories`, categoryData);
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to create category');
+    }
+  },
+
+  /**
+   * Update a news category
+   * @param {string} id - Category ID
+   * @param {Object} categoryData - Fields to change
+   * @returns {Promise<Object>} Updated category
+   */
+  async updateCategory(id, categoryData) {
+    try {
+      const response = await api.put(`${NEWS_ENDPOINT}/categories/${id}`, categoryData);
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to update category');
+    }
+  },
+
+  /**
+   * Save the display order of categories that share a parent
+   * @param {Array<string>} ids - Category IDs in their new order
+   * @returns {Promise<Object>}
+   */
+  async reorderCategories(ids) {
+    try {
+      const response = await api.patch(`${NEWS_ENDPOINT}/categories/reorder`, { ids });
+      return handleResponse(response);
+    } catch (error) {
+      return handleError(error, 'Failed to reorder categories');
+    }
+  },
+
+  /**
+   * Delete a news category
+   * @param {string} id - Category ID
+   * @param {string} [reassignTo] - Category to move its articles to; required when it has any
+   * @returns {Promise<Object>} { moved } - Number of articles moved
+   */
+  async deleteCategory(id, reassignTo) {
+    try {
+      const response = await api.delete(`${NEWS_ENDPOINT}/categories/${id}`, {
+        params: reassignTo ? { reassignTo } : {},
+      });
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to delete category');
+    }
+  },
+
+  /**
+   * Get comments for moderation
+   * @param {Object} params - status (pending/approved/rejected/spam), news, page, limit
+   * @returns {Promise<Object>} { data, total, totalPages, currentPage, statusCounts }
+   */
+  async getComments(params = {}) {
+    try {
+      const response = await api.get(`${NEWS_ENDPOINT}/comments`, { params });
+      return handleResponse(response);
+    } catch (error) {
+      return handleError(error, 'Failed to fetch comments');
+    }
+  },
+
+  /**
+   * Approve, reject or mark comments as spam
+   * @param {Array<string>} ids - Comment IDs
+   * @param {string} status - approved, rejected or spam
+   * @returns {Promise<Object>} { updated }
+   */
+  async moderateComments(ids, status) {
+    try {
+      const response = await api.patch(`${NEWS_ENDPOINT}/comments/moderate`, { ids, status });
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to update comments');
+    }
+  },
+
+  /**
+   * Delete a comment along with its replies
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object>} { deleted }
+   */
+  async deleteComment(id) {
+    try {
+      const response = await api.delete(`${NEWS_ENDPOINT}/comments/${id}`);
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to delete comment');
+    }
+  },
+
+  /**
+   * Open or close comments on an article
+   * @param {string} id - Article ID
+   * @param {boolean} allowComments
+   * @returns {Promise<Object>} The article's title and allowComments
+   */
+  async setCommentsOpen(id, allowComments) {
+    try {
+      const response = await api.patch(`${NEWS_ENDPOINT}/${id}/comments`, { allowComments });
+      return handleResponse(response).data;
+    } catch (error) {
+      return handleError(error, 'Failed to update article');
+    }
+  },
+
+  /**
+   * Create articles from Markdown files with YAML front matter
+   * @param {Array<File>} files - .md files, their images, or zips of both
+   * @returns {Promise<Object>} `created` and `failed` counts, and a result per file in `data`
+   */
+  async importMarkdown(files) {
+    try {
+      const formData = new FormData();
+      files.forEach(file => formData.append('files', file));
+
+      const response = await api.post(`${NEWS_ENDPOINT}/import`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        timeout: 0, // Images are uploaded one by one
+      });
+      return handleResponse(response);
+    } catch (error) {
+      // When every file failed the response still says why, file by file
+      if (Array.isArray(error.response?.data?.data)) {
+        return error.response.data;
+      }
+      return handleError(error, 'Failed to import articles');
+    }
+  },
+
+  /**
+   * Download articles as a zip of Markdown files and images
+   * @param {Object} [params] - `status`, or `ids` separated by commas; all articles when neither is given
+   * @returns {Promise<void>}
+   */
+  async exportMarkdown(params = {}) {
+    try {
+      const response = await api.get(`${NEWS_ENDPOINT}/export`, {
+        params,
+        responseType: 'blob',
+        timeout: 0, // Every article's images are downloaded into the zip
+      });
+      saveDownload(response, 'news.zip');
+    } catch (error) {
+      return handleBlobError(error, 'Failed to export articles');
+    }
+  },
+
+  /**
+   * Download one article as a zip of Markdown and its images
+   * @param {string} id - Article ID
+   * @returns {Promise<void>}
+   */
+  async exportArticle(id) {
+    try {
+      const response = await api.get(`${NEWS_ENDPOINT}/${id}/export`, {
+        responseType: 'blob',
+        timeout: 0,
+      });
+      saveDownload(response, 'article.zip');
+    } catch (error) {
+      return handleBlobError(error, 'Failed to export article');
+    }
+  },
+
   /**
    * Upload featured image
    * @param {File} file - Image file to upload
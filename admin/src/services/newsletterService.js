@@ -0,0 +1,119 @@
+import api from './api';
+
+const NEWSLETTER_ENDPOINT = '/newsletter';
+
+const handleError = (error, defaultMessage) => {
+  console.error(error);
+  const errorToThrow = new Error(error.response?.data?.message || error.message || defaultMessage);
+  errorToThrow.status = error.response?.status;
+  throw errorToThrow;
+};
+
+const newsletterService = {
+  /**
+   * Get a page of newsletter subscribers, newest first
+   * @param {Object} params - status, frequency, search, page, limit
+   * @returns {Promise<Object>} { data, total, summary } where summary counts subscribers by status
+   */
+  async getSubscribers(params = {}) {
+    try {
+      const response = await api.get(`${NEWSLETTER_ENDPOINT}/subscribers`, { params });
+      return response.data;
+    } catch (error) {
+      return handleError(error, 'Failed to load subscribers');
+    }
+  },
+
+  /**
+   * Download subscribers matching the filters as CSV (admins only)
+   * @param {Object} params - status, frequency, search
+   * @returns {Promise<void>}
+   */
+  async exportSubscribers(params = {}) {
+    try {
+      const response = await api.get(`${NEWSLETTER_ENDPOINT}/subscribers/export`, {
+        params,
+        responseType: 'blob',
+        timeout: 0, // Long lists can take longer than the default timeout
+      });
+
+      const disposition = response.headers['content-disposition'] || '';
+      const filename = disposition.match(/filename="?([^"]+)"?/)?.[1] || 'subscribers.csv';
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      // Errors on blob requests arrive as a blob too
+      if (error.response?.data instanceof Blob) {
+        try {
+          error.response.data = JSON.parse(await error.response.data.text());
+        } catch (parseError) {
+          // Not JSON; fall back to the default message
+        }
+      }
+      return handleError(error, 'Failed to export subscribers');
+    }
+  },
+
+  /**
+   * Delete a subscriber and everything stored about them (admins only)
+   * @param {string} id - Subscriber ID
+   * @returns {Promise<void>}
+   */
+  async deleteSubscriber(id) {
+    try {
+      await api.delete(`${NEWSLETTER_ENDPOINT}/subscribers/${id}`);
+    } catch (error) {
+      return handleError(error, 'Failed to delete subscriber');
+    }
+  },
+
+  /**
+   * The next digest as it would be emailed now
+   * @param {string} frequency - weekly or instant
+   * @returns {Promise<Object>} { subject, html, articleCount, recipients, sample, periodStart, periodEnd }
+   */
+  async previewDigest(frequency) {
+    try {
+      const response = await api.get(`${NEWSLETTER_ENDPOINT}/digest/preview`, { params: { frequency } });
+      return response.data.data;
+    } catch (error) {
+      return handleError(error, 'Failed to load the digest preview');
+    }
+  },
+
+  /**
+   * Email the next digest to yourself, or to another address
+   * @param {string} frequency - weekly or instant
+   * @param {string} [email] - Defaults to your own address
+   * @returns {Promise<Object>} { message }
+   */
+  async sendTestDigest(frequency, email) {
+    try {
+      const response = await api.post(`${NEWSLETTER_ENDPOINT}/digest/test`, { frequency, email: email || undefined });
+      return response.data;
+    } catch (error) {
+      return handleError(error, 'Failed to send the test digest');
+    }
+  },
+
+  /**
+   * Digests sent so far, newest first
+   * @returns {Promise<Array>}
+   */
+  async getDigests() {
+    try {
+      const response = await api.get(`${NEWSLETTER_ENDPOINT}/digests`);
+      return response.data.data;
+    } catch (error) {
+      return handleError(error, 'Failed to load sent digests');
+    }
+  },
+};
+
+export default newsletterService;
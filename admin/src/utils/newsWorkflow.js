@@ -0,0 +1,67 @@
+/**
+ * Editorial workflow for news articles, mirroring STATUS_TRANSITIONS in the
+ * backend's news model. The server enforces these rules; the admin panel uses
+ * them to only offer moves the current user can make.
+ */
+
+const STAFF = ['admin', 'sub-admin'];
+const ADMIN = ['admin'];
+
+export const STATUS_TRANSITIONS = {
+  'draft': { 'in-review': STAFF, 'published': ADMIN },
+  'in-review': { 'approved': ADMIN, 'published': ADMIN, 'draft': STAFF },
+  'approved': { 'published': ADMIN, 'draft': ADMIN },
+  'published': { 'archived': ADMIN, 'draft': ADMIN },
+  'archived': { 'published': ADMIN, 'draft': ADMIN },
+};
+
+export const STATUS_LABELS = {
+  'draft': 'Draft',
+  'in-review': 'In review',
+  'approved': 'Approved',
+  'published': 'Published',
+  'archived': 'Archived',
+};
+
+// What each move is called on buttons, keyed by the status it leads to
+export const ACTION_LABELS = {
+  'in-review': 'Submit for review',
+  'approved': 'Approve',
+  'published': 'Publish',
+  'archived': 'Archive',
+  'draft': 'Move to draft',
+};
+
+export const isOwnArticle = (article, user) => {
+  const authorId = article?.author?._id || article?.author;
+  return Boolean(user) && String(authorId) === String(user._id || user.id);
+};
+
+/**
+ * Statuses the user can move an article to from its current status.
+ * Sub-admins can only submit and withdraw their own articles.
+ * @param {Object} article - Needs status and author
+ * @param {Object} user - Logged-in user with role
+ * @returns {Array<string>}
+ */
+export const allowedStatuses = (article, user) => {
+  const from = article?.status || 'draft';
+  if (user?.role !== 'admin' && !isOwnArticle(article, user)) return [];
+  return Object.entries(STATUS_TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(user?.role))
+    .map(([to]) => to);
+};
+
+/**
+ * Whether moving to this status sends the article back to its author, who
+ * needs a comment saying what to change
+ * @param {Object} article
+ * @param {string} status - Status being moved to
+ * @param {Object} user - Logged-in user
+ * @returns {boolean}
+ */
+export const isRejection = (article, status, user) => (
+  status === 'draft'
+  && ['in-review', 'approved'].includes(article?.status)
+  && !isOwnArticle(article, user)
+);
@@ -81,6 +81,11 @@ app.get('/', (req, res) => {
   });
 });
 
+// robots.txt and sitemaps, served from the root
+const seoRouter = require('./routes/seo');
+
+app.use(seoRouter);
+
 // API routes
 const apiRouter = require('./routes/api');
 
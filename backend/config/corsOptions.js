@@ -32,8 +32,9 @@ const corsOptions = {
     'Pragma',
     'Expires',
     'If-Modified-Since',
+    'X-Visitor-Id', // Anonymous id the public site sends with likes and shares
   ],
-  exposedHeaders: ['Content-Range', 'X-Total-Count'],
+  exposedHeaders: ['Content-Range', 'X-Total-Count', 'Content-Disposition'],
   credentials: true, // This is crucial for sending cookies or auth headers.
   optionsSuccessStatus: 204,
   preflightContinue: false,
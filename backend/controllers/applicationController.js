@@ -0,0 +1,729 @@
+const mongoose = require('mongoose');
+const Application = require('../models/application.model');
+const Event = require('../models/Event');
+const Internship = require('../models/internship.model');
+const emailService = require('../services/email.service');
+const {
+  APPLICANT_TEMPLATES,
+  MAX_BULK_RECIPIENTS,
+  listTemplates,
+  deliver,
+  sendBulk
+} = require('../services/applicantEmail.service');
+const { EXPORT_FORMATS, streamApplications } = require('../services/applicationExport.service');
+const resumeStorage = require('../services/resumeStorage.service');
+const { extractResumeText } = require('../services/resumeText.service');
+const { escapeRegex, searchTerms, buildSnippets } = require('../utils/textSearch');
+const catchAsync = require('../utils/catchAsync');
+const { AppError } = require('../utils/appError');
+
+const SORT_FIELDS = ['appliedAt', 'name', 'status', 'updatedAt'];
+
+// Scores stay hidden from sub-admins until a decision, so they can't sort by them either
+const SCORE_SORT_FIELDS = ['averageScore', 'consensusScore'];
+
+// What the admin pipeline views need populated on an application
+const REVIEW_POPULATE = [
+  { path: 'internship', select: 'title isOpen +scoringCriteria' },
+  { path: 'statusHistory.changedBy', select: 'username email' },
+  { path: 'scorecards.reviewer', select: 'username' }
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDateParam = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`Invalid '${name}' date: ${value}`, 400);
+  }
+  return date;
+};
+
+// Build a Mongo filter from the list query string
+const buildFilter = (query) => {
+  const filter = {};
+
+  if (query.internship) {
+    if (!mongoose.Types.ObjectId.isValid(query.internship)) {
+      throw new AppError(`Invalid internship id: ${query.internship}`, 400);
+    }
+    filter.internship = query.internship;
+  }
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+    const invalid = statuses.filter(s => !Application.STATUSES.includes(s));
+    if (invalid.length) {
+      throw new AppError(`Invalid status filter: ${invalid.join(', ')}`, 400);
+    }
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  if (query.from || query.to) {
+    filter.appliedAt = {};
+    if (query.from) filter.appliedAt.$gte = parseDateParam(query.from, 'from');
+    if (query.to) {
+      const to = parseDateParam(query.to, 'to');
+      // A bare date such as 2025-03-31 includes the whole of that day
+      if (DATE_ONLY.test(query.to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+        filter.appliedAt.$lt = to;
+      } else {
+        filter.appliedAt.$lte = to;
+      }
+    }
+  }
+
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+  }
+
+  return filter;
+};
+
+// Only allow sorting on known fields, e.g. "-appliedAt" or "name"
+const buildSort = (sort, user) => {
+  const field = String(sort || '').replace(/^-/, '');
+  if (SORT_FIELDS.includes(field)) return sort;
+  if (SCORE_SORT_FIELDS.includes(field) && user.role === 'admin') return `${sort} -appliedAt`;
+  return '-appliedAt';
+};
+
+// @desc    List applications with filtering and pagination
+// @route   GET /api/applications
+// @access  Private/Admin
+exports.getApplications = catchAsync(async (req, res) => {
+  const filter = buildFilter(req.query);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+  const skip = (page - 1) * limit;
+
+  const [applications, total] = await Promise.all([
+    Application.find(filter)
+      .sort(buildSort(req.query.sort, req.user))
+      .skip(skip)
+      .limit(limit)
+      .populate(REVIEW_POPULATE),
+    Application.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: applications.length,
+    data: {
+      applications: applications.map(application => application.toReviewerJSON(req.user)),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Search resume text for keywords, best matches first, with highlighted snippets
+// @route   GET /api/applications/search
+// @access  Private/Admin
+exports.searchResumes = catchAsync(async (req, res, next) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) {
+    return next(new AppError('Enter some keywords to search for', 400));
+  }
+
+  // Same internship, status and date filters as the list; the text search replaces `search`
+  const filter = { ...buildFilter({ ...req.query, search: undefined }), $text: { $search: q } };
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const [applications, total] = await Promise.all([
+    Application.find(filter, { score: { $meta: 'textScore' } })
+      .select('+resumeText')
+      .sort({ score: { $meta: 'textScore' }, appliedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('internship', 'title'),
+    Application.countDocuments(filter)
+  ]);
+
+  const terms = searchTerms(q);
+  const results = applications.map((application) => {
+    const json = application.toReviewerJSON(req.user);
+    delete json.resumeText;
+    json.score = application.get('score');
+    json.snippets = buildSnippets(application.resumeText, terms);
+    return json;
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: results.length,
+    data: {
+      applications: results,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Count applications per status, optionally for one internship
+// @route   GET /api/applications/stats
+// @access  Private/Admin
+exports.getApplicationStats = catchAsync(async (req, res) => {
+  const match = {};
+  if (req.query.internship) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.internship)) {
+      throw new AppError(`Invalid internship id: ${req.query.internship}`, 400);
+    }
+    match.internship = new mongoose.Types.ObjectId(req.query.internship);
+  }
+
+  const [grouped, failedEmails] = await Promise.all([
+    Application.aggregate([
+      { $match: match },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Application.countDocuments({ ...match, 'emails.status': 'failed' })
+  ]);
+
+  const counts = Application.STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  grouped.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      counts,
+      failedEmails,
+      statuses: Application.STATUSES,
+      transitions: Application.STATUS_TRANSITIONS
+    }
+  });
+});
+
+// @desc    Download filtered applications as a CSV or XLSX spreadsheet
+// @route   GET /api/applications/export
+// @access  Private/Admin
+exports.exportApplications = catchAsync(async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new AppError(`Export format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+  }
+
+  const filter = buildFilter(req.query);
+  const filename = `applications-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200);
+  res.attachment(filename);
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  try {
+    await streamApplications(filter, format, res);
+  } catch (err) {
+    // Once rows have gone out the error handler can't send a JSON error, so cut the download short
+    if (!res.headersSent) throw err;
+    // Nothing to report if the client went away
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Application export failed part way through:', err);
+    }
+    res.destroy(err);
+  }
+});
+
+// @desc    Applications that look like the same person applying more than once
+// @route   GET /api/applications/duplicates
+// @access  Private/Admin
+exports.getDuplicateGroups = catchAsync(async (req, res) => {
+  const groups = await Application.findDuplicateGroups();
+
+  res.status(200).json({
+    status: 'success',
+    results: groups.length,
+    data: {
+      groups
+    }
+  });
+});
+
+// @desc    List the templates available for emailing applicants
+// @route   GET /api/applications/email-templates
+// @access  Private/Admin
+exports.getEmailTemplates = catchAsync(async (req, res) => {
+  const templates = listTemplates();
+
+  res.status(200).json({
+    status: 'success',
+    results: templates.length,
+    data: {
+      templates
+    }
+  });
+});
+
+// @desc    Email a template to selected applications, or to every application in a status
+// @route   POST /api/applications/bulk-email
+// @access  Private/Admin
+exports.sendBulkEmail = catchAsync(async (req, res, next) => {
+  const { template, applicationIds, status, internship, subject, nextSteps } = req.body;
+
+  if (!APPLICANT_TEMPLATES[template]) {
+    return next(new AppError(`Template must be one of: ${Object.keys(APPLICANT_TEMPLATES).join(', ')}`, 400));
+  }
+
+  let filter;
+  if (Array.isArray(applicationIds) && applicationIds.length) {
+    const invalid = applicationIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length) {
+      return next(new AppError(`Invalid application id: ${invalid.join(', ')}`, 400));
+    }
+    filter = { _id: { $in: applicationIds } };
+  } else if (status) {
+    filter = buildFilter({ status, internship });
+  } else {
+    return next(new AppError('Select some applications or a status to email', 400));
+  }
+
+  const total = await Application.countDocuments(filter);
+  if (!total) {
+    return next(new AppError('No applications match that selection', 400));
+  }
+  if (total > MAX_BULK_RECIPIENTS) {
+    return next(new AppError(`Can only email up to ${MAX_BULK_RECIPIENTS} applicants at once; narrow the selection`, 400));
+  }
+
+  const applications = await Application.find(filter).populate('internship', 'title');
+  const result = await sendBulk(applications, {
+    template,
+    subject: typeof subject === 'string' ? subject.trim() : undefined,
+    nextSteps: typeof nextSteps === 'string' ? nextSteps.trim() : undefined
+  }, req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      sent: result.sent,
+      failed: result.failed
+    }
+  });
+});
+
+// @desc    Retry every applicant email that failed to send
+// @route   POST /api/applications/emails/retry-failed
+// @access  Private/Admin
+exports.retryFailedEmails = catchAsync(async (req, res) => {
+  const applications = await Application.find({ 'emails.status': 'failed' })
+    .limit(MAX_BULK_RECIPIENTS)
+    .populate('internship', 'title');
+
+  const result = { sent: 0, failed: [] };
+  for (const application of applications) {
+    for (const email of application.emails.filter(e => e.status === 'failed')) {
+      const entry = await deliver(application, email, req.user._id);
+      if (entry.status === 'sent') {
+        result.sent++;
+      } else {
+        result.failed.push({ application: application._id, name: application.name, error: entry.error });
+      }
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+// @desc    Get a single application with its status history
+// @route   GET /api/applications/:id
+// @access  Private/Admin
+exports.getApplication = catchAsync(async (req, res, next) => {
+  const application = await Application.findById(req.params.id).populate(REVIEW_POPULATE);
+
+  if (!application) {
+    return next(new AppError('No application found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application: application.toReviewerJSON(req.user)
+    }
+  });
+});
+
+// @desc    Move an application to a new pipeline status
+// @route   PATCH /api/applications/:id/status
+// @access  Private/Admin
+exports.updateApplicationStatus = catchAsync(async (req, res, next) => {
+  const { status, note } = req.body;
+
+  if (!Application.STATUSES.includes(status)) {
+    return next(new AppError(`Status must be one of: ${Application.STATUSES.join(', ')}`, 400));
+  }
+
+  const application = await Application.findById(req.params.id);
+
+  if (!application) {
+    return next(new AppError('No application found with that ID', 404));
+  }
+
+  if (!Application.canTransition(application.status, status)) {
+    return next(new AppError(`Cannot move an application from '${application.status}' to '${status}'`, 400));
+  }
+
+  application.transitionTo(status, { changedBy: req.user._id, note });
+  await application.save();
+  await application.populate(REVIEW_POPULATE);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application: application.toReviewerJSON(req.user)
+    }
+  });
+});
+
+// @desc    Add or update the current reviewer's scorecard
+// @route   PUT /api/applications/:id/scorecard
+// @access  Private/Admin
+exports.updateScorecard = catchAsync(async (req, res, next) => {
+  const application = await Application.findById(req.params.id)
+    .populate({ path: 'internship', select: '+scoringCriteria' });
+
+  if (!application) {
+    return next(new AppError('No application found with that ID', 404));
+  }
+
+  if (application.isDecided()) {
+    return next(new AppError(`Scores are locked once an application is '${application.status}'`, 400));
+  }
+
+  const criteria = application.internship
+    ? application.internship.getScoringCriteria()
+    : Internship.DEFAULT_CRITERIA;
+  const errors = application.setScorecard(req.user._id, req.body, criteria);
+  if (errors.length) {
+    return next(new AppError(errors.join('. '), 400));
+  }
+
+  await application.save();
+  await application.populate(REVIEW_POPULATE);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application: application.toReviewerJSON(req.user)
+    }
+  });
+});
+
+// @desc    Retry sending one failed applicant email
+// @route   POST /api/applications/:id/emails/:emailId/retry
+// @access  Private/Admin
+exports.retryEmail = catchAsync(async (req, res, next) => {
+  const application = await Application.findById(req.params.id).populate('internship', 'title');
+
+  if (!application) {
+    return next(new AppError('No application found with that ID', 404));
+  }
+
+  const email = application.emails.id(req.params.emailId);
+  if (!email) {
+    return next(new AppError('No email found with that ID', 404));
+  }
+  if (email.status !== 'failed') {
+    return next(new AppError('Only failed emails can be retried', 400));
+  }
+
+  const entry = await deliver(application, email, req.user._id);
+  await application.populate(REVIEW_POPULATE);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application: application.toReviewerJSON(req.user),
+      sent: entry.status === 'sent'
+    }
+  });
+});
+
+// @desc    Get a short-lived link for downloading the applicant's resume
+// @route   GET /api/applications/:id/resume-url
+// @access  Private/Admin
+exports.getResumeUrl = catchAsync(async (req, res, next) => {
+  const application = await Application.findById(req.params.id).select('resume');
+
+  if (!application) {
+    return next(new AppError('No application found with that ID', 404));
+  }
+
+  // Resumes uploaded before local storage are still served by Cloudinary
+  if (resumeStorage.isLegacyUrl(application.resume)) {
+    return res.status(200).json({
+      status: 'success',
+      data: { url: application.resume, expiresAt: null }
+    });
+  }
+
+  const { token, expiresAt } = resumeStorage.createDownloadToken(application);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/resume/${token}`,
+      expiresAt
+    }
+  });
+});
+
+// @desc    Stream a resume through a signed link from getResumeUrl
+// @route   GET /api/applications/resume/:token
+// @access  Public (signed link)
+exports.downloadResume = catchAsync(async (req, res, next) => {
+  let signed;
+  try {
+    signed = resumeStorage.verifyDownloadToken(req.params.token);
+  } catch (err) {
+    return next(new AppError('This download link is invalid or has expired.', 401));
+  }
+
+  // A link stops working once the candidate replaces the resume it was issued for
+  const application = await Application.findById(signed.applicationId).select('name resume');
+  if (!application || application.resume !== signed.resume) {
+    return next(new AppError('This resume is no longer available.', 404));
+  }
+
+  let file;
+  try {
+    file = await resumeStorage.openResume(application.resume);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return next(new AppError('This resume is no longer available.', 404));
+    }
+    throw err;
+  }
+  const { stream, size } = file;
+  const filename = `${application.name.replace(/[^\w-]+/g, '_')}_Resume.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': size,
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  stream.on('error', (err) => {
+    console.error('Resume download failed:', err);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+});
+
+// @desc    Other applications sharing this applicant's email or phone
+// @route   GET /api/applications/:id/related
+// @access  Private/Admin
+exports.getRelatedApplications = catchAsync(async (req, res, next) => {
+  const application = await Application.findById(req.params.id);
+
+  if (!application) {
+    return next(new AppError('No application found with that ID', 404));
+  }
+
+  const applications = await application.findRelated();
+
+  res.status(200).json({
+    status: 'success',
+    results: applications.length,
+    data: {
+      applications
+    }
+  });
+});
+
+// @desc    List the interviews scheduled for an application
+// @route   GET /api/applications/:id/interviews
+// @access  Private/Admin
+exports.getApplicationInterviews = catchAsync(async (req, res) => {
+  const interviews = await Event.find({ application: req.params.id }).sort({ start: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: interviews.length,
+    data: {
+      interviews
+    }
+  });
+});
+
+// @desc    Schedule an interview, move the candidate to Interviewing and email an invitation
+// @route   POST /api/applications/:id/interviews
+// @access  Private/Admin
+exports.scheduleInterview = catchAsync(async (req, res, next) => {
+  const { start, end, type = 'meeting', location, description } = req.body;
+
+  if (!Event.INTERVIEW_TYPES.includes(type)) {
+    return next(new AppError(`Interview type must be one of: ${Event.INTERVIEW_TYPES.join(', ')}`, 400));
+  }
+
+  const application = await Application.findById(req.params.id).populate('internship', 'title isOpen');
+
+  if (!application) {
+    return next(new AppError('No application found with that ID', 404));
+  }
+
+  if (application.status !== 'Interviewing' && !Application.canTransition(application.status, 'Interviewing')) {
+    return next(new AppError(`Cannot schedule an interview for an application that is '${application.status}'`, 400));
+  }
+
+  const title = `Interview: ${application.name} (${application.internship?.title || 'Internship'})`;
+  const event = await Event.create({
+    title: title.length > 100 ? `${title.slice(0, 99)}…` : title,
+    description,
+    start,
+    end,
+    type,
+    location,
+    application: application._id
+  });
+
+  const note = `Interview scheduled for ${event.formatStart()}`;
+  if (application.status === 'Interviewing') {
+    application.addHistoryNote(note, { changedBy: req.user._id });
+  } else {
+    application.transitionTo('Interviewing', { changedBy: req.user._id, note });
+  }
+  await application.save();
+
+  // The interview stands even if the email fails; the admin can let the candidate know another way
+  let invitationSent = true;
+  try {
+    await emailService.sendInterviewInvite(application, event, 'scheduled');
+  } catch (err) {
+    invitationSent = false;
+    console.error('Failed to send interview invitation:', err);
+  }
+
+  await application.populate(REVIEW_POPULATE);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      application: application.toReviewerJSON(req.user),
+      event,
+      invitationSent
+    }
+  });
+});
+
+// Look up the application a candidate portal token points at
+const findByPortalToken = async (token) => {
+  let applicationId;
+  try {
+    applicationId = Application.verifyPortalToken(token);
+  } catch (err) {
+    throw new AppError('This link is invalid or has expired. Please contact us for a new one.', 401);
+  }
+
+  const application = await Application.findById(applicationId).populate(
+    'internship',
+    'title description location workMode duration stipend applicationDeadline'
+  );
+  if (!application) {
+    throw new AppError('This application no longer exists.', 404);
+  }
+  return application;
+};
+
+// Only expose what the candidate needs; reviewer notes and names stay internal
+const toPortalView = (application) => ({
+  application: {
+    _id: application._id,
+    name: application.name,
+    email: application.email,
+    status: application.status,
+    appliedAt: application.appliedAt,
+    updatedAt: application.updatedAt,
+    canWithdraw: application.canWithdraw(),
+    canUpdateResume: application.canUpdateResume(),
+    timeline: [
+      { status: 'Received', date: application.appliedAt },
+      ...application.statusHistory
+        .filter(entry => entry.from !== entry.to)
+        .map(entry => ({ status: entry.to, date: entry.changedAt }))
+    ]
+  },
+  internship: application.internship
+});
+
+// @desc    Candidate view of their own application
+// @route   GET /api/applications/portal/:token
+// @access  Public (signed link)
+exports.getPortalApplication = catchAsync(async (req, res) => {
+  const application = await findByPortalToken(req.params.token);
+
+  res.status(200).json({
+    status: 'success',
+    data: toPortalView(application)
+  });
+});
+
+// @desc    Candidate withdraws their application
+// @route   POST /api/applications/portal/:token/withdraw
+// @access  Public (signed link)
+exports.withdrawPortalApplication = catchAsync(async (req, res, next) => {
+  const application = await findByPortalToken(req.params.token);
+
+  if (!application.canWithdraw()) {
+    return next(new AppError(`An application that is '${application.status}' can no longer be withdrawn.`, 400));
+  }
+
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 1000) : '';
+  application.transitionTo('Withdrawn', {
+    note: reason ? `Withdrawn by candidate: ${reason}` : 'Withdrawn by candidate'
+  });
+  await application.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: toPortalView(application)
+  });
+});
+
+// @desc    Candidate uploads a newer resume
+// @route   POST /api/applications/portal/:token/resume
+// @access  Public (signed link)
+exports.updatePortalResume = catchAsync(async (req, res, next) => {
+  const application = await findByPortalToken(req.params.token);
+
+  if (!application.canUpdateResume()) {
+    return next(new AppError(`The resume on an application that is '${application.status}' can no longer be changed.`, 400));
+  }
+
+  if (!(await resumeStorage.isValidResume(req.body.resume))) {
+    return next(new AppError('Please upload your resume before saving it.', 400));
+  }
+
+  const previousResume = application.resume;
+  application.resume = req.body.resume;
+  application.resumeText = await extractResumeText(req.body.resume);
+  application.addHistoryNote('Candidate uploaded an updated resume');
+  await application.save();
+  await resumeStorage.claimResume(application.resume);
+
+  // The replaced file isn't referenced anywhere else
+  try {
+    await resumeStorage.removeResume(previousResume);
+  } catch (err) {
+    console.error('Could not delete replaced resume:', err);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: toPortalView(application)
+  });
+});
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const News = require('../models/news.model');
+const GalleryItem = require('../models/gallery.model');
+const Engagement = require('../models/engagement.model');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const { visitorKey } = require('../utils/visitor');
+
+// What visitors can like and share, and where each keeps its counts
+const TARGETS = {
+  news: {
+    model: News,
+    label: 'Article',
+    // Same rule as the public article page
+    visible: () => ({ status: 'published', publishedAt: { $lte: new Date() } }),
+    counters: { like: 'meta.likeCount', share: 'meta.shareCount' }
+  },
+  gallery: {
+    model: GalleryItem,
+    label: 'Gallery item',
+    visible: () => ({ status: 'published' }),
+    counters: { like: 'likes', share: 'shares' }
+  }
+};
+
+const readCount = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc) || 0;
+
+const counts = (doc, { counters }) => ({
+  likeCount: readCount(doc, counters.like),
+  shareCount: readCount(doc, counters.share)
+});
+
+const findVisible = (target, id) => (
+  mongoose.Types.ObjectId.isValid(id)
+    ? target.model.findOne({ _id: id, ...target.visible() })
+      .select(Object.values(target.counters).join(' '))
+      .lean()
+    : null
+);
+
+// GET /:id/engagement: counts, plus whether this visitor already liked or shared it
+const getEngagement = (targetType) => catchAsync(async (req, res, next) => {
+  const target = TARGETS[targetType];
+  const item = await findVisible(target, req.params.id);
+
+  if (!item) {
+    return next(new ApiError(`${target.label} not found`, httpStatus.NOT_FOUND));
+  }
+
+  const visitor = await Engagement.forVisitor(targetType, item._id, visitorKey(req));
+
+  // Answers differ per visitor
+  res.set('Cache-Control', 'private, no-store');
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: { ...counts(item, target), ...visitor }
+  });
+});
+
+// POST /:id/like and /:id/share: counted once per visitor per window; repeats
+// succeed without changing the count
+const recordEngagement = (targetType, action) => catchAsync(async (req, res, next) => {
+  const target = TARGETS[targetType];
+  const network = action === 'share' ? req.body?.network || 'other' : undefined;
+
+  if (network && !Engagement.SHARE_NETWORKS.includes(network)) {
+    return next(new ApiError(`network must be one of ${Engagement.SHARE_NETWORKS.join(', ')}`, httpStatus.BAD_REQUEST));
+  }
+
+  let item = await findVisible(target, req.params.id);
+  if (!item) {
+    return next(new ApiError(`${target.label} not found`, httpStatus.NOT_FOUND));
+  }
+
+  const counted = await Engagement.record({
+    targetType,
+    target: item._id,
+    action,
+    visitor: visitorKey(req),
+    network
+  });
+
+  if (counted) {
+    // Without timestamps, so a like doesn't look like an edit to feeds and sitemaps
+    item = await target.model.findOneAndUpdate(
+      { _id: item._id, ...target.visible() },
+      { $inc: { [target.counters[action]]: 1 } },
+      { new: true, timestamps: false }
+    ).select(Object.values(target.counters).join(' ')).lean() || item;
+  }
+
+  res.status(counted ? httpStatus.CREATED : httpStatus.OK).json({
+    success: true,
+    data: { counted, ...counts(item, target) }
+  });
+});
+
+// @desc    Like and share counts for an article, and whether this visitor liked or shared it
+// @route   GET /api/news/:id/engagement
+// @access  Public
+exports.getNewsEngagement = getEngagement('news');
+
+// @desc    Like an article
+// @route   POST /api/news/:id/like
+// @access  Public
+exports.likeNews = recordEngagement('news', 'like');
+
+// @desc    Record that an article was shared, with `network`
+// @route   POST /api/news/:id/share
+// @access  Public
+exports.shareNews = recordEngagement('news', 'share');
+
+// @desc    Like and share counts for a gallery item, and whether this visitor liked or shared it
+// @route   GET /api/gallery/:id/engagement
+// @access  Public
+exports.getGalleryEngagement = getEngagement('gallery');
+
+// @desc    Like a gallery item
+// @route   POST /api/gallery/:id/like
+// @access  Public
+exports.likeGalleryItem = recordEngagement('gallery', 'like');
+
+// @desc    Record that a gallery item was shared, with `network`
+// @route   POST /api/gallery/:id/share
+// @access  Public
+exports.shareGalleryItem = recordEngagement('gallery', 'share');
@@ -1,4 +1,6 @@
 const Event = require('../models/Event');
+const Application = require('../models/application.model');
+const emailService = require('../services/email.service');
 const catchAsync = require('../utils/catchAsync');
 const { AppError } = require('../utils/appError');
 
@@ -11,6 +13,25 @@ const filterObj = (obj, ...allowedFields) => {
   return newObj;
 };
 
+// Record an interview change on the linked application and let the candidate know.
+// The event change itself has already been saved, so failures here are only logged.
+const notifyInterviewChange = async (event, kind, user) => {
+  try {
+    const application = await Application.findById(event.application).populate('internship', 'title');
+    if (!application) return;
+
+    const note = kind === 'cancelled'
+      ? `Interview on ${event.formatStart()} cancelled`
+      : `Interview rescheduled to ${event.formatStart()}`;
+    application.addHistoryNote(note, { changedBy: user?._id });
+    await application.save();
+
+    await emailService.sendInterviewInvite(application, event, kind);
+  } catch (err) {
+    console.error(`Failed to process ${kind} interview for event ${event._id}:`, err);
+  }
+};
+
 // Create a new event
 exports.createEvent = catchAsync(async (req, res, next) => {
   // 1) Filter out unwanted fields that are not allowed to be set
@@ -20,7 +41,8 @@ exports.createEvent = catchAsync(async (req, res, next) => {
     'description',
     'start',
     'end',
-    'type'
+    'type',
+    'location'
   );
 
   // 2) Create event
@@ -73,27 +95,31 @@ exports.updateEvent = catchAsync(async (req, res, next) => {
     'description',
     'start',
     'end',
-    'type'
+    'type',
+    'location'
   );
 
-  // 2) Update event
-  const updatedEvent = await Event.findByIdAndUpdate(
-    req.params.id,
-    filteredBody,
-    {
-      new: true,
-      runValidators: true
-    }
-  );
+  // 2) Load the event so an interview reschedule can be detected
+  const event = await Event.findById(req.params.id);
 
-  if (!updatedEvent) {
+  if (!event) {
     return next(new AppError('No event found with that ID', 404));
   }
 
+  // 3) Apply the changes; save() runs the validators with both start and end in scope
+  event.set(filteredBody);
+  const rescheduled = !!event.application && (event.isModified('start') || event.isModified('end'));
+  if (rescheduled) event.sequence += 1;
+  await event.save();
+
+  if (rescheduled) {
+    await notifyInterviewChange(event, 'rescheduled', req.user);
+  }
+
   res.status(200).json({
     status: 'success',
     data: {
-      event: updatedEvent
+      event
     }
   });
 });
@@ -105,6 +131,12 @@ exports.deleteEvent = catchAsync(async (req, res, next) => {
   if (!event) {
     return next(new AppError('No event found with that ID', 404));
   }
+
+  // Deleting an interview cancels it for the candidate
+  if (event.application && event.end > Date.now()) {
+    event.sequence += 1;
+    await notifyInterviewChange(event, 'cancelled', req.user);
+  }
   
   res.status(204).send();
 });
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const News = require('../models/news.model');
+const NewsCategory = require('../models/newsCategory.model');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+
+// Fields an editor may set; slug follows the name on create and never changes after
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'parent',
+  'featured',
+  'featuredOrder',
+  'icon',
+  'coverImage',
+  'coverImageAlt',
+  'seo',
+  'isActive'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    // An empty parent moves the category to the top level
+    fields[key] = key === 'parent' && !body[key] ? null : body[key];
+  }
+  return fields;
+}, {});
+
+// @desc    Category tree with article counts
+// @route   GET /api/news/categories/tree
+// @access  Public
+exports.getCategoryTree = catchAsync(async (req, res) => {
+  const tree = await NewsCategory.getCategoryHierarchy();
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(httpStatus.OK).json({
+    success: true,
+    count: tree.length,
+    data: tree
+  });
+});
+
+// @desc    Every category, including inactive ones, with counts of articles in any status
+// @route   GET /api/news/categories/manage
+// @access  Private/Admin & Sub-admin
+exports.getManagedCategories = catchAsync(async (req, res) => {
+  const tree = await NewsCategory.getCategoryHierarchy({ includeInactive: true, publishedOnly: false });
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    count: tree.length,
+    data: tree
+  });
+});
+
+// @desc    Create a category
+// @route   POST /api/news/categories
+// @access  Private/Admin & Sub-admin
+exports.createCategory = catchAsync(async (req, res) => {
+  const category = await NewsCategory.create({
+    ...pickEditable(req.body),
+    createdBy: req.user.id
+  });
+
+  logger.info(`[News] Category "${category.name}" created by ${req.user.id}`);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    data: category
+  });
+});
+
+// @desc    Update a category, including moving it to another parent or deactivating it
+// @route   PUT /api/news/categories/:id
+// @access  Private/Admin & Sub-admin
+exports.updateCategory = catchAsync(async (req, res, next) => {
+  const category = await NewsCategory.findById(req.params.id);
+
+  if (!category) {
+    return next(new ApiError('Category not found', httpStatus.NOT_FOUND));
+  }
+
+  category.set(pickEditable(req.body));
+  category.updatedBy = req.user.id;
+  await category.save();
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: category
+  });
+});
+
+// @desc    Set the display order of sibling categories
+// @route   PATCH /api/news/categories/reorder
+// @access  Private/Admin & Sub-admin
+exports.reorderCategories = catchAsync(async (req, res, next) => {
+  const { ids } = req.body;
+
+  if (!Array.isArray(ids) || !ids.length || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return next(new ApiError('Provide the category ids in their new order', httpStatus.BAD_REQUEST));
+  }
+
+  const categories = await NewsCategory.find({ _id: { $in: ids } }).select('parent').lean();
+  if (categories.length !== new Set(ids.map(String)).size) {
+    return next(new ApiError('One or more categories were not found', httpStatus.NOT_FOUND));
+  }
+  if (new Set(categories.map(category => String(category.parent))).size > 1) {
+    return next(new ApiError('Only categories with the same parent can be reordered together', httpStatus.BAD_REQUEST));
+  }
+
+  await NewsCategory.bulkWrite(ids.map((id, index) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { featuredOrder: index, updatedBy: req.user.id } }
+    }
+  })));
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Delete a category. Its articles must be moved to `reassignTo` first;
+//          subcategories move up to the deleted category's parent.
+// @route   DELETE /api/news/categories/:id?reassignTo=:categoryId
+// @access  Private/Admin
+exports.deleteCategory = catchAsync(async (req, res, next) => {
+  const category = await NewsCategory.findById(req.params.id);
+
+  if (!category) {
+    return next(new ApiError('Category not found', httpStatus.NOT_FOUND));
+  }
+
+  const { reassignTo } = req.query;
+  const articleCount = await News.countDocuments({ category: category._id });
+
+  if (articleCount && !reassignTo) {
+    return next(new ApiError(
+      `This category has ${articleCount} article${articleCount === 1 ? '' : 's'}. Choose a category to move them to before deleting it.`,
+      httpStatus.CONFLICT
+    ));
+  }
+
+  let moved = 0;
+  if (articleCount) {
+    if (!mongoose.Types.ObjectId.isValid(reassignTo) || category._id.equals(reassignTo)) {
+      return next(new ApiError('Choose a different category to move the articles to', httpStatus.BAD_REQUEST));
+    }
+    if (!(await NewsCategory.exists({ _id: reassignTo }))) {
+      return next(new ApiError('Category to move the articles to was not found', httpStatus.NOT_FOUND));
+    }
+
+    const result = await News.updateMany({ category: category._id }, { $set: { category: reassignTo } });
+    moved = result.modifiedCount;
+  }
+
+  await NewsCategory.updateMany({ parent: category._id }, { $set: { parent: category.parent || null } });
+  await category.deleteOne();
+
+  logger.info(`[News] Category "${category.name}" deleted by ${req.user.id}; ${moved} articles moved`);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: { moved }
+  });
+});
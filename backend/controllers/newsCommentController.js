@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const News = require('../models/news.model');
+const NewsComment = require('../models/newsComment.model');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+const { scoreComment } = require('../services/commentSpam.service');
+
+const RECENT_WINDOW = 10 * 60 * 1000;
+
+// Articles a visitor can see: published and not scheduled for later
+const findLiveArticle = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return News.findOne({ _id: id, status: 'published', publishedAt: { $lte: new Date() } })
+    .select('allowComments');
+};
+
+// @desc    Approved comments on an article, threaded
+// @route   GET /api/news/:id/comments
+// @access  Public
+exports.getComments = catchAsync(async (req, res, next) => {
+  const article = await findLiveArticle(req.params.id);
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+
+  const comments = await NewsComment.getThread(article._id);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    allowComments: article.allowComments,
+    maxDepth: NewsComment.MAX_DEPTH,
+    data: comments
+  });
+});
+
+// @desc    Post a comment or reply; it appears once a moderator approves it
+// @route   POST /api/news/:id/comments
+// @access  Public
+exports.createComment = catchAsync(async (req, res, next) => {
+  const article = await findLiveArticle(req.params.id);
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+  if (!article.allowComments) {
+    return next(new ApiError('Comments are closed on this article', httpStatus.FORBIDDEN));
+  }
+
+  const { name, email, body, parent, website } = req.body;
+
+  let depth = 0;
+  if (parent) {
+    const parentComment = mongoose.Types.ObjectId.isValid(parent)
+      ? await NewsComment.findOne({ _id: parent, news: article._id, status: 'approved' }).select('depth').lean()
+      : null;
+    if (!parentComment) {
+      return next(new ApiError('The comment you are replying to was not found', httpStatus.NOT_FOUND));
+    }
+    if (parentComment.depth >= NewsComment.MAX_DEPTH) {
+      return next(new ApiError(`Replies can only be nested ${NewsComment.MAX_DEPTH} levels deep`, httpStatus.BAD_REQUEST));
+    }
+    depth = parentComment.depth + 1;
+  }
+
+  const since = new Date(Date.now() - RECENT_WINDOW);
+  const sender = [{ ip: req.ip }];
+  if (typeof email === 'string' && email) sender.push({ email: email.trim().toLowerCase() });
+  const [recentFromSender, duplicate] = await Promise.all([
+    NewsComment.countDocuments({ ip: req.ip, createdAt: { $gte: since } }),
+    typeof body === 'string' && body.trim()
+      ? NewsComment.exists({ $or: sender, body: body.trim() })
+      : null
+  ]);
+
+  const spam = scoreComment(
+    { name: String(name || ''), email: String(email || ''), body: String(body || '') },
+    { honeypot: !!website, recentFromSender, duplicate: !!duplicate }
+  );
+
+  const comment = await NewsComment.create({
+    news: article._id,
+    parent: parent || null,
+    depth,
+    name,
+    email,
+    body,
+    status: spam.isSpam ? 'spam' : 'pending',
+    spamScore: spam.score,
+    spamReasons: spam.reasons,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  if (spam.isSpam) {
+    logger.info(`[News] Comment ${comment._id} marked as spam: ${spam.reasons.join('; ')}`);
+  }
+
+  // Spam gets the same response so senders can't tell it was caught
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    message: 'Thanks! Your comment will appear once it has been approved.',
+    data: { _id: comment._id }
+  });
+});
+
+// @desc    Comments awaiting moderation, or in any other status
+// @route   GET /api/news/comments?status=pending&news=:id
+// @access  Private/Admin & Sub-admin
+exports.getModerationQueue = catchAsync(async (req, res, next) => {
+  const { status = 'pending', news } = req.query;
+
+  if (!NewsComment.STATUSES.includes(status)) {
+    return next(new ApiError(`Status must be one of: ${NewsComment.STATUSES.join(', ')}`, httpStatus.BAD_REQUEST));
+  }
+
+  const filter = { status };
+  if (news && mongoose.Types.ObjectId.isValid(news)) filter.news = news;
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const [comments, total, counts] = await Promise.all([
+    NewsComment.find(filter)
+      // Oldest first so the queue is worked through in order; other tabs show the latest
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('+email +ip')
+      .populate('parent', 'name body')
+      .populate('moderatedBy', 'username')
+      .lean(),
+    NewsComment.countDocuments(filter),
+    NewsComment.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  // Populated separately: the News find hooks would hide comments on unpublished articles
+  const articles = await News.find({
+    _id: { $in: [...new Set(comments.map(comment => String(comment.news)))] }
+  }).anyStatus().select('title slug allowComments').lean();
+  const articleMap = Object.fromEntries(articles.map(article => [String(article._id), article]));
+  comments.forEach((comment) => {
+    comment.news = articleMap[String(comment.news)] || { _id: comment.news };
+  });
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    count: comments.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    statusCounts: Object.fromEntries(NewsComment.STATUSES.map(name => [
+      name,
+      counts.find(entry => entry._id === name)?.count || 0
+    ])),
+    data: comments
+  });
+});
+
+// @desc    Approve, reject or mark comments as spam
+// @route   PATCH /api/news/comments/moderate
+// @access  Private/Admin & Sub-admin
+exports.moderateComments = catchAsync(async (req, res, next) => {
+  const { ids, status } = req.body;
+
+  if (!Array.isArray(ids) || !ids.length || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return next(new ApiError('Select at least one comment', httpStatus.BAD_REQUEST));
+  }
+  if (!['approved', 'rejected', 'spam'].includes(status)) {
+    return next(new ApiError('Status must be approved, rejected or spam', httpStatus.BAD_REQUEST));
+  }
+
+  const articleIds = await NewsComment.distinct('news', { _id: { $in: ids } });
+  const result = await NewsComment.updateMany(
+    { _id: { $in: ids } },
+    { $set: { status, moderatedBy: req.user.id, moderatedAt: new Date() } }
+  );
+  await Promise.all(articleIds.map(id => NewsComment.syncCommentCount(id)));
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: { updated: result.modifiedCount }
+  });
+});
+
+// @desc    Delete a comment and its replies
+// @route   DELETE /api/news/comments/:commentId
+// @access  Private/Admin
+exports.deleteComment = catchAsync(async (req, res, next) => {
+  const comment = mongoose.Types.ObjectId.isValid(req.params.commentId)
+    ? await NewsComment.findById(req.params.commentId).select('news')
+    : null;
+
+  if (!comment) {
+    return next(new ApiError('Comment not found', httpStatus.NOT_FOUND));
+  }
+
+  const ids = await NewsComment.getSubtreeIds(comment._id);
+  await NewsComment.deleteMany({ _id: { $in: ids } });
+  await NewsComment.syncCommentCount(comment.news);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: { deleted: ids.length }
+  });
+});
+
+// @desc    Open or close comments on an article
+// @route   PATCH /api/news/:id/comments
+// @access  Private/Admin & Sub-admin
+exports.setCommentsOpen = catchAsync(async (req, res, next) => {
+  const { allowComments } = req.body;
+
+  if (typeof allowComments !== 'boolean') {
+    return next(new ApiError('allowComments must be true or false', httpStatus.BAD_REQUEST));
+  }
+
+  const article = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await News.findByIdAndUpdate(req.params.id, { $set: { allowComments } }, { new: true })
+      .anyStatus()
+      .select('title allowComments')
+    : null;
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: article
+  });
+});
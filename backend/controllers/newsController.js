@@ -1,11 +1,83 @@
 const News = require('../models/news.model');
 const NewsCategory = require('../models/newsCategory.model');
+const NewsComment = require('../models/newsComment.model');
+const NewsRevision = require('../models/newsRevision.model');
+const User = require('../models/user.model');
+const Activity = require('../models/activity.model');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
 const httpStatus = require('http-status');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
 const slugify = require('slugify');
+const mongoose = require('mongoose');
 const logger = require('../config/logger');
+const { buildSearchFilter, highlightArticle } = require('../services/newsSearch.service');
+const emailService = require('../services/email.service');
+const { getRelated, refreshRelatedLater } = require('../services/relatedNews.service');
+
+const STAFF_ROLES = ['admin', 'sub-admin'];
+
+// Parse a scheduled publish time from a request; null clears the schedule
+const parseSchedule = (value) => {
+  if (value === null || value === '' || value === 'null') return { date: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: 'Invalid scheduled publish date' };
+  if (date <= new Date()) return { error: 'Scheduled publish date must be in the future' };
+  return { date };
+};
+
+const adminUrl = () => (process.env.ADMIN_URL || 'http://localhost:3001').replace(/\/+$/, '');
+
+// Author may be populated by the find hook or a bare id
+const isAuthor = (article, user) => String(article.author?._id || article.author) === String(user.id);
+
+// Statuses an article is sent back from when a reviewer rejects it
+const REVIEW_STATUSES = ['in-review', 'approved'];
+
+// Check a status change against the editorial workflow; returns an error and
+// status code when it isn't allowed
+const checkTransition = (article, status, user, comment) => {
+  if (!News.STATUS_TRANSITIONS[status]) {
+    return { error: `Invalid status '${status}'`, code: httpStatus.BAD_REQUEST };
+  }
+  if (!News.STATUS_TRANSITIONS[article.status]?.[status]) {
+    return { error: `Cannot move an article from '${article.status}' to '${status}'`, code: httpStatus.BAD_REQUEST };
+  }
+  // Sub-admins can submit their own articles for review and withdraw them; the rest is for admins
+  if (!News.canTransition(article.status, status, user.role) || (user.role !== 'admin' && !isAuthor(article, user))) {
+    return { error: 'Only admins can approve, publish or send back articles', code: httpStatus.FORBIDDEN };
+  }
+  if (status === 'draft' && REVIEW_STATUSES.includes(article.status) && !isAuthor(article, user) && !comment) {
+    return { error: 'Add a comment telling the author what to change', code: httpStatus.BAD_REQUEST };
+  }
+  return {};
+};
+
+// Email the author when their article is approved, published from review or
+// sent back. The status change stands if the email fails.
+const notifyAuthor = async (article, from, reviewer, comment) => {
+  let decision = null;
+  if (article.status === 'approved') {
+    decision = 'approved';
+  } else if (REVIEW_STATUSES.includes(from)) {
+    decision = { published: 'published', draft: 'rejected' }[article.status];
+  }
+  if (!decision || isAuthor(article, reviewer)) return false;
+
+  try {
+    const author = await User.findById(article.author?._id || article.author).select('email username');
+    if (!author?.email) return false;
+    await emailService.sendNewsReviewDecision(author, article, decision, {
+      reviewerName: reviewer.username || 'An editor',
+      comment,
+      articleUrl: `${adminUrl()}/news/${article._id}`
+    });
+    return true;
+  } catch (err) {
+    logger.error('[News] Failed to send review decision email', { article: article._id, error: err.message });
+    return false;
+  }
+};
 
 // Helper function to generate slug from title
 const generateSlug = (title) => {
@@ -16,43 +88,67 @@ const generateSlug = (title) => {
   });
 };
 
-// @desc    Get all news articles
-// @route   GET /api/news
+// @desc    Get all news articles; staff see every status through /manage.
+//          ?search ranks matches by relevance and adds highlighted snippets.
+// @route   GET /api/news?search=react "node.js" -php
+// @route   GET /api/news/manage?status=draft|scheduled|published|archived
 // @access  Public
 exports.getAllNews = catchAsync(async (req, res, next) => {
   const startTime = Date.now();
   logger.info('[News] Starting to fetch news articles', { query: req.query });
   
   try {
-    const { category, status, search, tag, featured, author, fields } = req.query;
+    const { category, status, tag, featured, author, fields, year, month } = req.query;
     
     // Build query
     const query = {};
     
-    // Only show published articles to non-admin users
-    if (req.user?.role !== 'admin') {
+    // Only show published articles to visitors
+    if (!STAFF_ROLES.includes(req.user?.role)) {
       query.status = 'published';
       query.publishedAt = { $lte: new Date() };
       logger.debug('[News] Non-admin access - filtering published articles only');
+    } else if (status === 'scheduled') {
+      query.status = { $in: News.SCHEDULABLE_STATUSES };
+      query.scheduledPublish = { $ne: null };
     } else if (status) {
       query.status = status;
+    } else {
+      // Without a status the find hook would hide everything but published articles
+      query.status = { $in: News.schema.path('status').enumValues };
     }
     
-    // Add filters
-    if (category) query.category = category;
+    // Add filters; category can be given by id or by slug
+    if (category) {
+      if (mongoose.Types.ObjectId.isValid(category)) {
+        query.category = category;
+      } else {
+        const found = await NewsCategory.findOne({ slug: category }).select('_id').lean();
+        if (!found) {
+          return next(new ApiError('Category not found', httpStatus.NOT_FOUND));
+        }
+        query.category = found._id;
+      }
+    }
+    if (year) {
+      const y = parseInt(year, 10);
+      const m = month ? parseInt(month, 10) : null;
+      if (!y || (month && (!m || m < 1 || m > 12))) {
+        return next(new ApiError('Invalid archive year or month', httpStatus.BAD_REQUEST));
+      }
+      const from = new Date(Date.UTC(y, m ? m - 1 : 0, 1));
+      const to = new Date(Date.UTC(m ? y : y + 1, m ? m : 0, 1));
+      query.publishedAt = { ...query.publishedAt, $gte: from, $lt: to };
+    }
     if (featured) query['meta.isFeatured'] = featured === 'true';
     if (author) query.author = author;
     if (tag) query.tags = tag;
     
-    // Handle text search
+    // Handle text search: ranked by the text index, or by word prefix for very short searches
+    const search = buildSearchFilter(req.query.search || req.query.q);
     if (search) {
-      const searchRegex = { $regex: search, $options: 'i' };
-      query.$or = [
-        { title: searchRegex },
-        { excerpt: searchRegex },
-        { content: searchRegex }
-      ];
-      logger.debug('[News] Adding regex search filter', { search });
+      Object.assign(query, search.filter);
+      logger.debug('[News] Adding search filter', { mode: search.mode, terms: search.terms });
     }
     
     // Pagination
@@ -60,11 +156,16 @@ exports.getAllNews = catchAsync(async (req, res, next) => {
     const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100); // Max 100 items per page
     const skip = (page - 1) * limit;
     
-    // Field selection
-    const selectFields = fields ? fields.split(',').join(' ') : '';
+    // Field selection; highlighting a search needs the title, excerpt and body
+    const requestedFields = fields ? fields.split(',').map(field => field.trim()).filter(Boolean) : [];
+    const highlightFields = search && requestedFields.length
+      ? ['title', 'excerpt', 'content'].filter(field => !requestedFields.includes(field))
+      : [];
+    const selectFields = [...requestedFields, ...highlightFields].join(' ');
+    const isRanked = search?.mode === 'text';
     
-    // Sorting - default to most recent first
-    let sort = { publishedAt: -1, _id: -1 };
+    // Sorting - best match first for searches, otherwise most recent first
+    let sort = isRanked ? { score: { $meta: 'textScore' }, publishedAt: -1 } : { publishedAt: -1, _id: -1 };
     if (req.query.sort) {
       sort = {};
       sort[req.query.sort] = req.query.order === 'asc' ? 1 : -1;
@@ -76,10 +177,11 @@ exports.getAllNews = catchAsync(async (req, res, next) => {
     const [articles, total] = await Promise.all([
       News.find(query)
         .select(selectFields)
+        .select(isRanked ? { score: { $meta: 'textScore' } } : {})
         .sort(sort)
         .skip(skip)
         .limit(limit)
-        .populate('author', 'name email avatar')
+        .populate('author', 'username')
         .lean()
         .maxTimeMS(10000), // 10 second timeout
       
@@ -87,6 +189,13 @@ exports.getAllNews = catchAsync(async (req, res, next) => {
         .maxTimeMS(5000) // 5 second timeout for count
     ]);
     
+    if (search) {
+      articles.forEach((article) => {
+        article.search = highlightArticle(article, search.terms);
+        highlightFields.forEach((field) => { delete article[field]; });
+      });
+    }
+    
     const totalPages = Math.ceil(total / limit);
     const duration = Date.now() - startTime;
     
@@ -97,15 +206,16 @@ exports.getAllNews = catchAsync(async (req, res, next) => {
       totalPages
     });
     
-    // Set cache headers
-    res.set('Cache-Control', 'public, max-age=60'); // Cache for 1 minute
+    // Set cache headers; staff listings include drafts, so keep them out of shared caches
+    res.set('Cache-Control', req.user ? 'private, no-store' : 'public, max-age=60'); // Cache for 1 minute
     
     // Increment view count for each article (non-blocking)
     if (req.query.trackView === 'true') {
       const articleIds = articles.map(article => article._id);
       News.updateMany(
         { _id: { $in: articleIds } },
-        { $inc: { 'meta.views': 1 } }
+        { $inc: { 'meta.viewCount': 1 } },
+        { timestamps: false }
       ).catch(err => {
         logger.error('[News] Error updating view counts', { error: err.message });
       });
@@ -117,6 +227,7 @@ exports.getAllNews = catchAsync(async (req, res, next) => {
       total,
       totalPages,
       currentPage: page,
+      ...(search && { searchMode: search.mode }),
       data: articles
     });
     
@@ -144,8 +255,8 @@ exports.getAllNews = catchAsync(async (req, res, next) => {
 exports.getNewsBySlug = catchAsync(async (req, res, next) => {
   const { slug } = req.params;
   const article = await News.findOne({ slug })
-    .populate('author', 'name email avatar bio')
-    .populate('relatedArticles');
+    .populate('author', 'username')
+    .populate('relatedNews', 'title slug excerpt featuredImage publishedAt readingTime');
     
   if (!article) {
     return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
@@ -158,8 +269,7 @@ exports.getNewsBySlug = catchAsync(async (req, res, next) => {
   
   // Increment view count
   if (req.query.trackView !== 'false') {
-    article.meta.views += 1;
-    await article.save();
+    await article.incrementViewCount();
   }
   
   res.status(httpStatus.OK).json({
@@ -168,11 +278,51 @@ exports.getNewsBySlug = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Get any article by id, whatever its status
+// @route   GET /api/news/manage/:id
+// @access  Private/Admin & Sub-admin
+exports.getManagedArticle = catchAsync(async (req, res, next) => {
+  const article = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await News.findById(req.params.id)
+      .anyStatus()
+      .populate('author', 'username')
+      .populate('scheduledBy', 'username')
+      .populate('reviewHistory.changedBy', 'username')
+      .populate('relatedNews', 'title slug status publishedAt')
+    : null;
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: article
+  });
+});
+
 // @desc    Create new article
 // @route   POST /api/news
 // @access  Private/Author & Admin
 exports.createArticle = catchAsync(async (req, res, next) => {
-  const { title, excerpt, content, category, tags, status, metaTitle, metaDescription, metaKeywords } = req.body;
+  const { title, excerpt, content, category, tags, status, metaTitle, metaDescription, metaKeywords, allowComments, scheduledPublish } = req.body;
+  
+  // Only admins decide when an article goes live
+  const schedule = scheduledPublish === undefined ? { date: null } : parseSchedule(scheduledPublish);
+  if (schedule.error) {
+    return next(new ApiError(schedule.error, httpStatus.BAD_REQUEST));
+  }
+  if (schedule.date && req.user.role !== 'admin') {
+    return next(new ApiError('Only admins can schedule articles', httpStatus.FORBIDDEN));
+  }
+  
+  // New articles start as drafts; sub-admins may submit straight for review, admins may publish
+  const initialStatus = status || 'draft';
+  if (initialStatus !== 'draft' && !News.canTransition('draft', initialStatus, req.user.role)) {
+    return next(News.STATUS_TRANSITIONS.draft[initialStatus]
+      ? new ApiError('Only admins can publish articles', httpStatus.FORBIDDEN)
+      : new ApiError(`New articles can't be '${initialStatus}'`, httpStatus.BAD_REQUEST));
+  }
   
   // Generate slug from title
   const slug = generateSlug(title);
@@ -198,7 +348,7 @@ exports.createArticle = catchAsync(async (req, res, next) => {
     featuredImage,
     category,
     tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-    status: status || 'draft',
+    allowComments: allowComments === undefined ? true : String(allowComments) === 'true',
     author: req.user.id,
     seo: {
       metaTitle: metaTitle || title,
@@ -207,12 +357,20 @@ exports.createArticle = catchAsync(async (req, res, next) => {
     }
   };
   
-  // Set publishedAt if status is published
-  if (status === 'published') {
-    articleData.publishedAt = new Date();
+  const article = new News(articleData);
+  if (initialStatus !== 'draft') {
+    article.transitionTo(initialStatus, { changedBy: req.user.id });
+  }
+  if (schedule.date && News.SCHEDULABLE_STATUSES.includes(article.status)) {
+    article.scheduledPublish = schedule.date;
+    article.scheduledBy = req.user.id;
   }
   
-  const article = await News.create(articleData);
+  await article.save();
+  await NewsRevision.record(article, req.user.id);
+  if (article.status === 'published') {
+    refreshRelatedLater(article._id);
+  }
   
   res.status(httpStatus.CREATED).json({
     success: true,
@@ -225,19 +383,25 @@ exports.createArticle = catchAsync(async (req, res, next) => {
 // @access  Private/Author & Admin
 exports.updateArticle = catchAsync(async (req, res, next) => {
   const { id } = req.params;
-  const { title, excerpt, content, category, tags, status, metaTitle, metaDescription, metaKeywords } = req.body;
+  const { title, excerpt, content, category, tags, status, metaTitle, metaDescription, metaKeywords, allowComments, scheduledPublish, reviewComment } = req.body;
   
-  const article = await News.findById(id);
+  const article = await News.findById(id).anyStatus();
   
   if (!article) {
     return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
   }
   
-  // Check if user is the author or admin
-  if (article.author.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user is the author or admin; author is populated by the find hook
+  if (String(article.author._id) !== req.user.id && req.user.role !== 'admin') {
     return next(new ApiError('Not authorized to update this article', httpStatus.FORBIDDEN));
   }
   
+  // Articles written before revisions were kept get their current state saved
+  // first, so this edit can be undone
+  if (!await NewsRevision.exists({ news: article._id })) {
+    await NewsRevision.record(article, article.lastEditedBy || article.author._id);
+  }
+  
   // Update fields
   if (title) {
     article.title = title;
@@ -248,13 +412,36 @@ exports.updateArticle = catchAsync(async (req, res, next) => {
   if (content) article.content = content;
   if (category) article.category = category;
   if (tags) article.tags = tags.split(',').map(tag => tag.trim());
+  // Sent as a string when the form is multipart
+  if (allowComments !== undefined) article.allowComments = String(allowComments) === 'true';
+  
+  // Status changes follow the editorial workflow, as through PATCH /:id/status
+  const previousStatus = article.status;
+  const comment = typeof reviewComment === 'string' ? reviewComment.trim().slice(0, 1000) : '';
+  if (status && status !== article.status) {
+    const check = checkTransition(article, status, req.user, comment);
+    if (check.error) {
+      return next(new ApiError(check.error, check.code));
+    }
+    article.transitionTo(status, { changedBy: req.user.id, comment: comment || undefined });
+  }
   
-  // Handle status change
-  if (status && ['draft', 'published', 'archived'].includes(status)) {
-    article.status = status;
-    // Set publishedAt if status changes to published
-    if (status === 'published' && article.status !== 'published') {
-      article.publishedAt = new Date();
+  // Schedule or unschedule a draft; the form sends the current value back unchanged
+  if (scheduledPublish !== undefined) {
+    const schedule = parseSchedule(scheduledPublish);
+    const current = article.scheduledPublish ? article.scheduledPublish.getTime() : null;
+    if (schedule.error) {
+      return next(new ApiError(schedule.error, httpStatus.BAD_REQUEST));
+    }
+    if ((schedule.date ? schedule.date.getTime() : null) !== current) {
+      if (req.user.role !== 'admin') {
+        return next(new ApiError('Only admins can schedule articles', httpStatus.FORBIDDEN));
+      }
+      if (schedule.date && !News.SCHEDULABLE_STATUSES.includes(article.status)) {
+        return next(new ApiError('Only drafts and approved articles can be scheduled', httpStatus.BAD_REQUEST));
+      }
+      article.scheduledPublish = schedule.date || undefined;
+      article.scheduledBy = schedule.date ? req.user.id : undefined;
     }
   }
   
@@ -263,6 +450,13 @@ exports.updateArticle = catchAsync(async (req, res, next) => {
   if (metaDescription) article.seo.metaDescription = metaDescription;
   if (metaKeywords) article.seo.metaKeywords = metaKeywords.split(',').map(kw => kw.trim());
   
+  // Only admins publish, so a live article can't be changed by anyone else. Checked
+  // before the image is replaced, which can't be undone.
+  if (article.status === 'published' && req.user.role !== 'admin'
+    && (article.isModified(NewsRevision.SNAPSHOT_FIELDS) || req.files?.featuredImage)) {
+    return next(new ApiError('Only admins can change a published article', httpStatus.FORBIDDEN));
+  }
+  
   // Handle featured image update
   if (req.files?.featuredImage) {
     // Delete old image if exists
@@ -273,10 +467,31 @@ exports.updateArticle = catchAsync(async (req, res, next) => {
     article.featuredImage = result.secure_url;
   }
   
+  const contentChanged = article.isModified(NewsRevision.SNAPSHOT_FIELDS);
+  
+  // What an admin approved is what gets published; later edits by others need another look
+  if (contentChanged && article.status === 'approved' && req.user.role !== 'admin') {
+    article.transitionTo('in-review', { changedBy: req.user.id, comment: 'Edited after approval' });
+  }
+  
+  article.lastEditedBy = req.user.id;
+  article.lastEditedAt = new Date();
   await article.save();
+  if (contentChanged) {
+    await NewsRevision.record(article, req.user.id);
+  }
+  // Suggestions only involve published articles
+  if ((contentChanged || article.status !== previousStatus) && [previousStatus, article.status].includes('published')) {
+    refreshRelatedLater(article._id);
+  }
+  
+  const authorNotified = article.status !== previousStatus
+    ? await notifyAuthor(article, previousStatus, req.user, comment)
+    : false;
   
   res.status(httpStatus.OK).json({
     success: true,
+    authorNotified,
     data: article
   });
 });
@@ -285,14 +500,14 @@ exports.updateArticle = catchAsync(async (req, res, next) => {
 // @route   DELETE /api/news/:id
 // @access  Private/Author & Admin
 exports.deleteArticle = catchAsync(async (req, res, next) => {
-  const article = await News.findById(req.params.id);
+  const article = await News.findById(req.params.id).anyStatus();
   
   if (!article) {
     return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
   }
   
   // Check if user is the author or admin
-  if (article.author.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (String(article.author._id) !== req.user.id && req.user.role !== 'admin') {
     return next(new ApiError('Not authorized to delete this article', httpStatus.FORBIDDEN));
   }
   
@@ -301,7 +516,12 @@ exports.deleteArticle = catchAsync(async (req, res, next) => {
     await deleteFromCloudinary(article.featuredImage);
   }
   
-  await article.remove();
+  await article.deleteOne();
+  await NewsComment.deleteMany({ news: article._id });
+  await NewsRevision.deleteMany({ news: article._id });
+  if (article.status === 'published') {
+    refreshRelatedLater(article._id);
+  }
   
   res.status(httpStatus.OK).json({
     success: true,
@@ -313,7 +533,7 @@ exports.deleteArticle = catchAsync(async (req, res, next) => {
 // @route   PATCH /api/news/:id/featured
 // @access  Private/Admin
 exports.toggleFeatured = catchAsync(async (req, res, next) => {
-  const article = await News.findById(req.params.id);
+  const article = await News.findById(req.params.id).anyStatus();
   
   if (!article) {
     return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
@@ -328,30 +548,115 @@ exports.toggleFeatured = catchAsync(async (req, res, next) => {
   });
 });
 
-// @desc    Get related articles
-// @route   GET /api/news/:id/related
+// @desc    Schedule a draft for publishing, or unschedule it with null
+// @route   PATCH /api/news/:id/schedule
+// @access  Private/Admin
+exports.scheduleArticle = catchAsync(async (req, res, next) => {
+  const { scheduledPublish } = req.body;
+
+  if (scheduledPublish === undefined) {
+    return next(new ApiError('Provide scheduledPublish, or null to unschedule', httpStatus.BAD_REQUEST));
+  }
+  const schedule = parseSchedule(scheduledPublish);
+  if (schedule.error) {
+    return next(new ApiError(schedule.error, httpStatus.BAD_REQUEST));
+  }
+
+  const article = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await News.findById(req.params.id).anyStatus()
+    : null;
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+  if (!News.SCHEDULABLE_STATUSES.includes(article.status)) {
+    return next(new ApiError('Only drafts and approved articles can be scheduled', httpStatus.BAD_REQUEST));
+  }
+
+  article.scheduledPublish = schedule.date || undefined;
+  article.scheduledBy = schedule.date ? req.user.id : undefined;
+  await article.save();
+
+  logger.info(`[News] "${article.title}" ${schedule.date ? `scheduled for ${schedule.date.toISOString()}` : 'unscheduled'} by ${req.user.id}`);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: article
+  });
+});
+
+// @desc    Move an article through the editorial workflow: submit it for review,
+//          approve, publish or archive it, or send it back to draft with a comment
+// @route   PATCH /api/news/:id/status
+// @access  Private/Admin & Sub-admin (sub-admins submit and withdraw their own articles)
+exports.updateStatus = catchAsync(async (req, res, next) => {
+  const { status } = req.body;
+  const comment = typeof req.body.comment === 'string' ? req.body.comment.trim().slice(0, 1000) : '';
+
+  if (!status) {
+    return next(new ApiError('Provide the new status', httpStatus.BAD_REQUEST));
+  }
+
+  const article = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await News.findById(req.params.id).anyStatus()
+    : null;
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+  if (article.status === status) {
+    return next(new ApiError(`Article is already '${status}'`, httpStatus.BAD_REQUEST));
+  }
+
+  const check = checkTransition(article, status, req.user, comment);
+  if (check.error) {
+    return next(new ApiError(check.error, check.code));
+  }
+
+  const from = article.status;
+  article.transitionTo(status, { changedBy: req.user.id, comment: comment || undefined });
+  await article.save();
+  if ([from, status].includes('published')) {
+    refreshRelatedLater(article._id);
+  }
+
+  await Activity.logActivity({
+    user: req.user.id,
+    type: status === 'published' ? 'publish' : 'update',
+    entityType: 'news',
+    entityId: article._id,
+    title: 'Article status changed',
+    description: `"${article.title}" moved from ${from} to ${status}`,
+    metadata: { from, to: status, comment: comment || undefined }
+  });
+  const authorNotified = await notifyAuthor(article, from, req.user, comment);
+
+  logger.info(`[News] "${article.title}" moved from ${from} to ${status} by ${req.user.id}`);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    authorNotified,
+    data: article
+  });
+});
+
+// @desc    Get related articles: admin pins first, then the most similar
+//          articles by content, shared tags and recency
+// @route   GET /api/news/:id/related?limit=4
 // @access  Public
 exports.getRelatedArticles = catchAsync(async (req, res, next) => {
-  const article = await News.findById(req.params.id);
+  const article = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await News.findById(req.params.id).select('+relatedCache')
+    : null;
   
   if (!article) {
     return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
   }
   
-  const relatedArticles = await News.find({
-    _id: { $ne: article._id },
-    status: 'published',
-    publishedAt: { $lte: new Date() },
-    $or: [
-      { category: article.category },
-      { tags: { $in: article.tags } }
-    ]
-  })
-  .sort({ 'meta.views': -1, publishedAt: -1 })
-  .limit(4)
-  .select('title slug excerpt featuredImage publishedAt')
-  .lean();
+  const limit = Math.min(parseInt(req.query.limit, 10) || 4, 8);
+  const relatedArticles = await getRelated(article, limit);
   
+  res.set('Cache-Control', 'public, max-age=300');
   res.status(httpStatus.OK).json({
     success: true,
     count: relatedArticles.length,
@@ -359,14 +664,68 @@ exports.getRelatedArticles = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Pin related articles, in order; an empty list goes back to automatic suggestions
+// @route   PUT /api/news/:id/related
+// @access  Private/Admin
+exports.setRelatedNews = catchAsync(async (req, res, next) => {
+  const { relatedNews } = req.body;
+
+  if (!Array.isArray(relatedNews)) {
+    return next(new ApiError('relatedNews must be a list of article ids', httpStatus.BAD_REQUEST));
+  }
+  const ids = [...new Set(relatedNews.map(String))];
+  if (ids.length > 8) {
+    return next(new ApiError('Pin at most 8 related articles', httpStatus.BAD_REQUEST));
+  }
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id)) || ids.includes(req.params.id)) {
+    return next(new ApiError('relatedNews must be other articles\' ids', httpStatus.BAD_REQUEST));
+  }
+
+  const article = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await News.findById(req.params.id).anyStatus()
+    : null;
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+
+  // Pins to drafts are allowed; they show once those articles are published
+  const found = await News.countDocuments({ _id: { $in: ids } }).anyStatus();
+  if (found !== ids.length) {
+    return next(new ApiError('Some of the pinned articles don\'t exist', httpStatus.BAD_REQUEST));
+  }
+
+  article.relatedNews = ids;
+  await article.save();
+  await article.populate('relatedNews', 'title slug status publishedAt');
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: article.relatedNews
+  });
+});
+
+// @desc    Months that have published articles, newest first
+// @route   GET /api/news/archives
+// @access  Public
+exports.getArchives = catchAsync(async (req, res) => {
+  const archives = await News.getArchives();
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(httpStatus.OK).json({
+    success: true,
+    count: archives.length,
+    data: archives.map(({ _id, count }) => ({ year: _id.year, month: _id.month, count }))
+  });
+});
+
 // @desc    Get article categories
 // @route   GET /api/news/categories
 // @access  Public
 exports.getCategories = catchAsync(async (req, res, next) => {
   // Fetch active categories and optionally populate with article count
-  const categories = await NewsCategory.find({ status: 'active' })
-    .sort({ name: 1 })
-    .select('name slug description featured')
+  const categories = await NewsCategory.find({ isActive: true })
+    .sort({ featuredOrder: 1, name: 1 })
+    .select('name slug description parent featured')
     .lean();
   
   res.status(httpStatus.OK).json({
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const News = require('../models/news.model');
+const NewsCategory = require('../models/newsCategory.model');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const { FEED_FORMATS, buildFeed } = require('../services/newsFeed.service');
+
+const FEED_LIMIT = 20;
+
+const siteUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const siteName = () => process.env.EMAIL_FROM_NAME || 'Goklyn';
+
+// @desc    Latest published articles as RSS, Atom or JSON Feed; all of them,
+//          one category's, or one tag's
+// @route   GET /api/news/feed.:format
+// @route   GET /api/news/categories/:slug/feed.:format
+// @route   GET /api/news/tags/:tag/feed.:format
+// @access  Public
+exports.getFeed = catchAsync(async (req, res, next) => {
+  const { format, slug, tag } = req.params;
+
+  if (!Object.prototype.hasOwnProperty.call(FEED_FORMATS, format)) {
+    return next(new ApiError('Feeds are available as rss, atom or json', httpStatus.NOT_FOUND));
+  }
+
+  // Same rule as the public article listing
+  const query = { status: 'published', publishedAt: { $lte: new Date() } };
+  let title = `${siteName()} News`;
+  let description = `The latest news from ${siteName()}`;
+  let homeUrl = `${siteUrl()}/news`;
+
+  if (slug) {
+    const category = await NewsCategory.findOne({ slug, isActive: true }).select('name description').lean();
+    if (!category) {
+      return next(new ApiError('Category not found', httpStatus.NOT_FOUND));
+    }
+    query.category = category._id;
+    title = `${siteName()} News: ${category.name}`;
+    description = category.description || `The latest ${category.name} news from ${siteName()}`;
+    homeUrl = `${siteUrl()}/news/category/${encodeURIComponent(slug)}`;
+  } else if (tag) {
+    query.tags = tag;
+    title = `${siteName()} News tagged "${tag}"`;
+    description = `The latest news from ${siteName()} tagged "${tag}"`;
+    homeUrl = `${siteUrl()}/news/tag/${encodeURIComponent(tag)}`;
+  }
+
+  const articles = await News.find(query)
+    .select('title slug excerpt featuredImage category tags author publishedAt updatedAt')
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(FEED_LIMIT)
+    .populate('author', 'username')
+    .lean();
+
+  // Changes whenever an article is added, drops out or is edited
+  const lastModified = articles.reduce((latest, article) => {
+    const changed = new Date(article.updatedAt || article.publishedAt);
+    return changed > latest ? changed : latest;
+  }, new Date(0));
+  const etag = `"${crypto
+    .createHash('sha1')
+    .update(`${req.originalUrl}:${articles.map(article => `${article._id}:${new Date(article.updatedAt).getTime()}`).join(',')}`)
+    .digest('base64url')}"`;
+
+  res.set({
+    ETag: etag,
+    'Cache-Control': 'public, max-age=300'
+  });
+  if (articles.length) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  // Compares If-None-Match / If-Modified-Since with the headers set above
+  if (req.fresh) {
+    return res.status(httpStatus.NOT_MODIFIED).end();
+  }
+
+  const { body, contentType } = buildFeed(format, {
+    title,
+    description,
+    siteUrl: siteUrl(),
+    homeUrl,
+    feedUrl: `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`,
+    updated: articles.length ? lastModified : new Date()
+  }, articles);
+
+  res.status(httpStatus.OK).type(contentType).send(body);
+});
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const News = require('../models/news.model');
+const Activity = require('../models/activity.model');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+const { importMarkdown, exportMarkdown } = require('../services/newsMarkdown.service');
+
+const sendZip = (res, zip, filename) => {
+  res.status(httpStatus.OK);
+  res.attachment(filename);
+  res.type('application/zip');
+
+  const stream = zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' });
+  // Once the download has started the error handler can't send a JSON error, so cut it short
+  stream.on('error', (error) => {
+    logger.error('[News] Markdown export failed part way through', { error: error.message });
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// @desc    Create articles from Markdown files with YAML front matter
+// @route   POST /api/news/import
+// @access  Private/Admin & Sub-admin
+exports.importArticles = catchAsync(async (req, res, next) => {
+  if (!req.files?.length) {
+    return next(new ApiError('Upload Markdown files, or a zip of them and their images, as "files"', httpStatus.BAD_REQUEST));
+  }
+
+  let results;
+  try {
+    results = await importMarkdown(req.files, req.user);
+  } catch (error) {
+    // A zip that can't be read or is too large
+    return next(new ApiError(error.message, httpStatus.BAD_REQUEST));
+  }
+  if (!results.length) {
+    return next(new ApiError('No Markdown (.md) files found in the upload', httpStatus.BAD_REQUEST));
+  }
+
+  const created = results.filter(result => result.success);
+  await Promise.all(created.map(({ file, article }) => Activity.logActivity({
+    user: req.user.id,
+    type: 'create',
+    entityType: 'news',
+    entityId: article._id,
+    title: 'Article imported',
+    description: `"${article.title}" imported from ${file}`,
+    metadata: { file, status: article.status }
+  })));
+
+  logger.info(`[News] Markdown import by ${req.user.id}: ${created.length} created, ${results.length - created.length} failed`);
+
+  res.status(created.length ? httpStatus.CREATED : httpStatus.BAD_REQUEST).json({
+    success: created.length > 0,
+    created: created.length,
+    failed: results.length - created.length,
+    data: results
+  });
+});
+
+// @desc    Download articles as Markdown with their images, as a zip; all of
+//          them by default, or those in `ids` (comma-separated) or with `status`
+// @route   GET /api/news/export
+// @access  Private/Admin & Sub-admin
+exports.exportArticles = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+  const filter = { status: status || { $in: News.schema.path('status').enumValues } };
+
+  if (status && !News.STATUS_TRANSITIONS[status]) {
+    return next(new ApiError(`Invalid status '${status}'`, httpStatus.BAD_REQUEST));
+  }
+  if (req.query.ids) {
+    const ids = String(req.query.ids).split(',').filter(Boolean);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return next(new ApiError('ids must be article ids separated by commas', httpStatus.BAD_REQUEST));
+    }
+    filter._id = { $in: ids };
+  }
+
+  const articles = await News.find(filter).sort({ createdAt: 1 }).lean();
+  if (!articles.length) {
+    return next(new ApiError('No articles to export', httpStatus.NOT_FOUND));
+  }
+
+  const zip = await exportMarkdown(articles);
+  logger.info(`[News] ${articles.length} articles exported to Markdown by ${req.user.id}`);
+
+  sendZip(res, zip, `news-${new Date().toISOString().slice(0, 10)}.zip`);
+});
+
+// @desc    Download one article as Markdown with its images, as a zip
+// @route   GET /api/news/:id/export
+// @access  Private/Admin & Sub-admin
+exports.exportArticle = catchAsync(async (req, res, next) => {
+  const article = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await News.findById(req.params.id).anyStatus().lean()
+    : null;
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+
+  const zip = await exportMarkdown([article]);
+
+  sendZip(res, zip, `${article.slug}.zip`);
+});
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const News = require('../models/news.model');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+
+const siteUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const previewUrl = (article, token) => `${siteUrl()}/news/${encodeURIComponent(article.slug)}?preview=${token}`;
+
+const findArticle = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return News.findById(id).anyStatus().select('+previewLinks');
+};
+
+// Same rule as editing the article
+const canManage = (article, user) => String(article.author._id || article.author) === user.id || user.role === 'admin';
+
+const linkStatus = (link) => {
+  if (link.revokedAt) return 'revoked';
+  return link.expiresAt > new Date() ? 'active' : 'expired';
+};
+
+const toLinkView = link => ({
+  _id: link._id,
+  label: link.label,
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt,
+  status: linkStatus(link)
+});
+
+// @desc    Preview links issued for an article, newest first
+// @route   GET /api/news/:id/preview-links
+// @access  Private/Author & Admin
+exports.getPreviewLinks = catchAsync(async (req, res, next) => {
+  const article = await findArticle(req.params.id);
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+  if (!canManage(article, req.user)) {
+    return next(new ApiError('Not authorized to manage preview links for this article', httpStatus.FORBIDDEN));
+  }
+
+  await article.populate('previewLinks.createdBy', 'username');
+  const links = [...article.previewLinks].reverse().map(toLinkView);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    count: links.length,
+    data: links
+  });
+});
+
+// @desc    Issue a link that shows the unpublished article to anyone holding it
+// @route   POST /api/news/:id/preview-links
+// @access  Private/Author & Admin
+exports.createPreviewLink = catchAsync(async (req, res, next) => {
+  const { label } = req.body;
+  const days = req.body.expiresInDays === undefined ? undefined : parseInt(req.body.expiresInDays, 10);
+
+  if (days !== undefined && !(days >= 1 && days <= News.PREVIEW_LINK_MAX_DAYS)) {
+    return next(new ApiError(`expiresInDays must be between 1 and ${News.PREVIEW_LINK_MAX_DAYS}`, httpStatus.BAD_REQUEST));
+  }
+
+  const article = await findArticle(req.params.id);
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+  if (!canManage(article, req.user)) {
+    return next(new ApiError('Not authorized to manage preview links for this article', httpStatus.FORBIDDEN));
+  }
+  if (article.status === 'published') {
+    return next(new ApiError('This article is published; share its normal link instead', httpStatus.BAD_REQUEST));
+  }
+
+  const { token, link } = article.createPreviewLink({
+    createdBy: req.user.id,
+    label: typeof label === 'string' ? label : undefined,
+    days
+  });
+  // Not an edit to the article, so updatedAt stays put
+  await article.save({ timestamps: false });
+
+  logger.info(`[News] Preview link ${link._id} for "${article.title}" created by ${req.user.id}, expires ${link.expiresAt.toISOString()}`);
+
+  res.status(httpStatus.CREATED).json({
+    success: true,
+    data: {
+      ...toLinkView(link),
+      url: previewUrl(article, token),
+      token
+    }
+  });
+});
+
+// @desc    Revoke a preview link; anyone opening it afterwards is turned away
+// @route   DELETE /api/news/:id/preview-links/:linkId
+// @access  Private/Author & Admin
+exports.revokePreviewLink = catchAsync(async (req, res, next) => {
+  const article = await findArticle(req.params.id);
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+  if (!canManage(article, req.user)) {
+    return next(new ApiError('Not authorized to manage preview links for this article', httpStatus.FORBIDDEN));
+  }
+
+  const link = mongoose.Types.ObjectId.isValid(req.params.linkId) ? article.previewLinks.id(req.params.linkId) : null;
+  if (!link) {
+    return next(new ApiError('Preview link not found', httpStatus.NOT_FOUND));
+  }
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    link.revokedBy = req.user.id;
+    await article.save({ timestamps: false });
+    logger.info(`[News] Preview link ${link._id} for "${article.title}" revoked by ${req.user.id}`);
+  }
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: toLinkView(link)
+  });
+});
+
+// @desc    Show an article, whatever its status, to the holder of a preview link.
+//          Requests without `preview` go on to the published article.
+// @route   GET /api/news/:slug?preview=:token
+// @access  Public (signed link)
+exports.getPreviewArticle = catchAsync(async (req, res, next) => {
+  const { preview } = req.query;
+  if (!preview) return next();
+
+  const gone = new ApiError('This preview link has expired or been revoked', httpStatus.GONE);
+  let claims;
+  try {
+    claims = News.verifyPreviewToken(preview);
+  } catch (err) {
+    return next(gone);
+  }
+
+  // Found by id rather than slug, which changes when a draft's title is edited
+  const article = await News.findById(claims.articleId)
+    .anyStatus()
+    .select('+previewLinks')
+    .populate('author', 'username')
+    .populate('relatedNews', 'title slug excerpt featuredImage publishedAt readingTime');
+  const link = article?.previewLinks.id(claims.linkId);
+
+  if (!link || link.revokedAt) {
+    return next(gone);
+  }
+
+  await News.updateOne(
+    { _id: article._id, 'previewLinks._id': link._id },
+    { $inc: { 'previewLinks.$.viewCount': 1 }, $set: { 'previewLinks.$.lastViewedAt': new Date() } },
+    { timestamps: false }
+  );
+
+  const data = article.toJSON();
+  delete data.previewLinks;
+
+  // Drafts must not end up in shared caches or search results
+  res.set('Cache-Control', 'private, no-store');
+  res.set('X-Robots-Tag', 'noindex, nofollow');
+  res.status(httpStatus.OK).json({
+    success: true,
+    preview: {
+      status: article.status,
+      expiresAt: link.expiresAt
+    },
+    data
+  });
+});
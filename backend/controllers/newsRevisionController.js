@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const News = require('../models/news.model');
+const NewsRevision = require('../models/newsRevision.model');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+const { refreshRelatedLater } = require('../services/relatedNews.service');
+const { compareText } = require('../utils/textDiff');
+
+const findArticle = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return News.findById(id).anyStatus();
+};
+
+const findRevision = (newsId, number) => {
+  const parsed = parseInt(number, 10);
+  if (!parsed) return null;
+  return NewsRevision.findOne({ news: newsId, number: parsed })
+    .populate('editedBy', 'username')
+    .populate('category', 'name')
+    .lean();
+};
+
+const summarise = ({ _id, number, title, editedBy, createdAt, restoredFrom }) => ({
+  _id, number, title, editedBy, createdAt, restoredFrom
+});
+
+const compareField = (before, after) => ({
+  before: before ?? null,
+  after: after ?? null,
+  changed: String(before ?? '') !== String(after ?? '')
+});
+
+// @desc    Saved versions of an article, newest first
+// @route   GET /api/news/:id/revisions
+// @access  Private/Admin & Sub-admin
+exports.getRevisions = catchAsync(async (req, res, next) => {
+  const article = await findArticle(req.params.id);
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+
+  const revisions = await NewsRevision.find({ news: article._id })
+    .sort({ number: -1 })
+    .select('number title content editedBy createdAt restoredFrom')
+    .populate('editedBy', 'username')
+    .lean();
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    count: revisions.length,
+    data: revisions.map(revision => ({
+      ...summarise(revision),
+      contentLength: (revision.content || '').length
+    }))
+  });
+});
+
+// @desc    Compare two revisions; `to` defaults to the latest
+// @route   GET /api/news/:id/revisions/compare?from=:number&to=:number
+// @access  Private/Admin & Sub-admin
+exports.compareRevisions = catchAsync(async (req, res, next) => {
+  const article = await findArticle(req.params.id);
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+
+  const latest = await NewsRevision.findOne({ news: article._id }).sort({ number: -1 }).select('number').lean();
+  const [from, to] = await Promise.all([
+    findRevision(article._id, req.query.from),
+    findRevision(article._id, req.query.to || latest?.number)
+  ]);
+
+  if (!from || !to) {
+    return next(new ApiError('Revision not found', httpStatus.NOT_FOUND));
+  }
+
+  const fromTags = from.tags || [];
+  const toTags = to.tags || [];
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: {
+      from: summarise(from),
+      to: summarise(to),
+      fields: {
+        title: compareField(from.title, to.title),
+        excerpt: compareField(from.excerpt, to.excerpt),
+        category: compareField(from.category?.name, to.category?.name),
+        featuredImage: compareField(from.featuredImage, to.featuredImage),
+        tags: {
+          added: toTags.filter(tag => !fromTags.includes(tag)),
+          removed: fromTags.filter(tag => !toTags.includes(tag))
+        }
+      },
+      content: compareText(from.content, to.content)
+    }
+  });
+});
+
+// @desc    Put an earlier revision's content back; saved as a new revision
+// @route   POST /api/news/:id/revisions/:number/restore
+// @access  Private/Author & Admin
+exports.restoreRevision = catchAsync(async (req, res, next) => {
+  const article = await findArticle(req.params.id);
+
+  if (!article) {
+    return next(new ApiError('Article not found', httpStatus.NOT_FOUND));
+  }
+
+  // Same rule as editing the article
+  if (String(article.author._id) !== req.user.id && req.user.role !== 'admin') {
+    return next(new ApiError('Not authorized to update this article', httpStatus.FORBIDDEN));
+  }
+
+  const revision = await findRevision(article._id, req.params.number);
+
+  if (!revision) {
+    return next(new ApiError('Revision not found', httpStatus.NOT_FOUND));
+  }
+
+  NewsRevision.SNAPSHOT_FIELDS.forEach((field) => {
+    const value = revision[field];
+    article.set(field, value && value._id ? value._id : value);
+  });
+  // Only admins publish, so a sub-admin can't put other content live
+  if (article.status === 'published' && req.user.role !== 'admin' && article.isModified(NewsRevision.SNAPSHOT_FIELDS)) {
+    return next(new ApiError('Only admins can change a published article', httpStatus.FORBIDDEN));
+  }
+  // Same rule as editing: an approved article changed by a sub-admin goes back to review
+  if (article.status === 'approved' && req.user.role !== 'admin' && article.isModified(NewsRevision.SNAPSHOT_FIELDS)) {
+    article.transitionTo('in-review', { changedBy: req.user.id, comment: `Restored revision ${revision.number} after approval` });
+  }
+  article.lastEditedBy = req.user.id;
+  article.lastEditedAt = new Date();
+  await article.save();
+
+  const restored = await NewsRevision.record(article, req.user.id, { restoredFrom: revision.number });
+  if (article.status === 'published') {
+    refreshRelatedLater(article._id);
+  }
+
+  logger.info(`[News] "${article.title}" restored to revision ${revision.number} by ${req.user.id}`);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: {
+      article,
+      revision: summarise(restored)
+    }
+  });
+});
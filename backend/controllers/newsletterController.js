@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const Subscriber = require('../models/subscriber.model');
+const NewsletterDigest = require('../models/newsletterDigest.model');
+const Activity = require('../models/activity.model');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+const { escapeRegex } = require('../utils/textSearch');
+const { writeCsvLine } = require('../utils/csv');
+const {
+  sendConfirmation,
+  previewDigest,
+  renderDigest,
+  sendTestDigest
+} = require('../services/newsletter.service');
+
+const UNSUBSCRIBE_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+// The same answer whether or not the address was already subscribed, so the
+// form can't be used to find out who is
+const SUBSCRIBE_MESSAGE = 'Thanks! Check your inbox for an email to confirm your subscription.';
+
+const toSubscriptionView = subscriber => ({
+  email: subscriber.email,
+  status: subscriber.status,
+  frequency: subscriber.frequency
+});
+
+const buildFilter = ({ status, frequency, search }) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (frequency) filter.frequency = frequency;
+  if (search) filter.email = new RegExp(escapeRegex(String(search).trim()), 'i');
+  return filter;
+};
+
+const checkFrequency = (frequency) => {
+  if (frequency && !Subscriber.DIGEST_FREQUENCIES.includes(frequency)) {
+    throw new ApiError(`Frequency must be one of: ${Subscriber.DIGEST_FREQUENCIES.join(', ')}`, httpStatus.BAD_REQUEST);
+  }
+};
+
+// @desc    Subscribe an address to news emails; it gets a link to confirm first
+// @route   POST /api/newsletter/subscribe
+// @access  Public
+exports.subscribe = catchAsync(async (req, res, next) => {
+  const { email, frequency = 'weekly', source } = req.body;
+  checkFrequency(frequency);
+
+  const candidate = new Subscriber({ email, frequency, source });
+  const invalid = candidate.validateSync(['email', 'source']);
+  if (invalid) {
+    return next(new ApiError(Object.values(invalid.errors)[0].message, httpStatus.BAD_REQUEST));
+  }
+
+  let subscriber = await Subscriber.findOne({ email: candidate.email });
+
+  // Already confirmed: nothing to do, and changing the frequency needs the owner
+  if (subscriber?.status === 'active') {
+    return res.status(httpStatus.ACCEPTED).json({ success: true, message: SUBSCRIBE_MESSAGE });
+  }
+  // Someone pressing subscribe again shouldn't flood the inbox
+  if (subscriber?.status === 'pending' && subscriber.confirmationRecentlySent()) {
+    return res.status(httpStatus.ACCEPTED).json({ success: true, message: SUBSCRIBE_MESSAGE });
+  }
+
+  if (!subscriber) {
+    subscriber = candidate;
+  } else {
+    if (subscriber.status === 'unsubscribed') subscriber.resubscribe();
+    subscriber.frequency = frequency;
+    if (source) subscriber.source = source;
+  }
+
+  try {
+    await subscriber.save();
+  } catch (error) {
+    // The same address submitted twice at once
+    if (error.code === 11000) {
+      return res.status(httpStatus.ACCEPTED).json({ success: true, message: SUBSCRIBE_MESSAGE });
+    }
+    throw error;
+  }
+
+  try {
+    await sendConfirmation(subscriber);
+  } catch (error) {
+    logger.error(`[Newsletter] Failed to send confirmation to ${subscriber.email}`, { error: error.message });
+    return next(new ApiError("We couldn't send the confirmation email. Please try again later.", httpStatus.SERVICE_UNAVAILABLE));
+  }
+
+  res.status(httpStatus.ACCEPTED).json({ success: true, message: SUBSCRIBE_MESSAGE });
+});
+
+// @desc    Confirm a subscription from the link in the confirmation email
+// @route   POST /api/newsletter/confirm/:token
+// @access  Public (signed link)
+exports.confirmSubscription = catchAsync(async (req, res, next) => {
+  const invalid = new ApiError('This confirmation link has expired or is no longer valid. Subscribe again to get a new one.', httpStatus.GONE);
+  let claims;
+  try {
+    claims = Subscriber.verifyConfirmToken(req.params.token);
+  } catch (err) {
+    return next(invalid);
+  }
+
+  const subscriber = await Subscriber.findById(claims.subscriberId);
+  // Links from before an unsubscribe, or for another address, don't count
+  if (!subscriber || subscriber.email !== claims.email || subscriber.status === 'unsubscribed') {
+    return next(invalid);
+  }
+
+  if (subscriber.status === 'pending') {
+    subscriber.status = 'active';
+    subscriber.confirmedAt = new Date();
+    await subscriber.save();
+    logger.info(`[Newsletter] ${subscriber.email} confirmed a ${subscriber.frequency} subscription`);
+  }
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: toSubscriptionView(subscriber)
+  });
+});
+
+const findByUnsubscribeToken = (token) => {
+  if (!UNSUBSCRIBE_TOKEN_PATTERN.test(token)) return null;
+  return Subscriber.findOne({ unsubscribeToken: token });
+};
+
+// @desc    The subscription an unsubscribe link belongs to
+// @route   GET /api/newsletter/unsubscribe/:token
+// @access  Public (link from a newsletter email)
+exports.getSubscription = catchAsync(async (req, res, next) => {
+  const subscriber = await findByUnsubscribeToken(req.params.token);
+
+  if (!subscriber) {
+    return next(new ApiError('This unsubscribe link is not valid', httpStatus.NOT_FOUND));
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: toSubscriptionView(subscriber)
+  });
+});
+
+// @desc    Unsubscribe, or switch between weekly and instant emails when `frequency` is given
+// @route   POST /api/newsletter/unsubscribe/:token
+// @access  Public (link from a newsletter email)
+exports.unsubscribe = catchAsync(async (req, res, next) => {
+  const { frequency } = req.body;
+  checkFrequency(frequency);
+
+  const subscriber = await findByUnsubscribeToken(req.params.token);
+  if (!subscriber) {
+    return next(new ApiError('This unsubscribe link is not valid', httpStatus.NOT_FOUND));
+  }
+
+  if (frequency) {
+    if (subscriber.status !== 'active') {
+      return next(new ApiError('This address is not subscribed', httpStatus.BAD_REQUEST));
+    }
+    subscriber.frequency = frequency;
+  } else if (subscriber.status !== 'unsubscribed') {
+    subscriber.status = 'unsubscribed';
+    subscriber.unsubscribedAt = new Date();
+    logger.info(`[Newsletter] ${subscriber.email} unsubscribed`);
+  }
+  await subscriber.save();
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: toSubscriptionView(subscriber)
+  });
+});
+
+// @desc    Subscribers, newest first, with totals by status
+// @route   GET /api/newsletter/subscribers
+// @access  Private/Admin & Sub-admin
+exports.getSubscribers = catchAsync(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const filter = buildFilter(req.query);
+
+  const [subscribers, total, byStatus] = await Promise.all([
+    Subscriber.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Subscriber.countDocuments(filter),
+    Subscriber.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  const summary = Object.fromEntries(Subscriber.SUBSCRIBER_STATUSES.map(status => [status, 0]));
+  byStatus.forEach(({ _id, count }) => { summary[_id] = count; });
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    count: subscribers.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    summary,
+    data: subscribers
+  });
+});
+
+// @desc    Download subscribers matching the list filters as CSV
+// @route   GET /api/newsletter/subscribers/export
+// @access  Private/Admin
+exports.exportSubscribers = catchAsync(async (req, res) => {
+  const cursor = Subscriber.find(buildFilter(req.query)).sort({ createdAt: 1 }).lean().cursor();
+
+  res.status(httpStatus.OK);
+  res.attachment(`subscribers-${new Date().toISOString().slice(0, 10)}.csv`);
+  res.type('text/csv; charset=utf-8');
+
+  try {
+    // BOM so Excel opens the file as UTF-8
+    res.write('\uFEFF');
+    await writeCsvLine(res, ['Email', 'Status', 'Frequency', 'Source', 'Subscribed At', 'Confirmed At', 'Unsubscribed At', 'Last Digest']);
+    for await (const subscriber of cursor) {
+      await writeCsvLine(res, [
+        subscriber.email,
+        subscriber.status,
+        subscriber.frequency,
+        subscriber.source,
+        subscriber.createdAt,
+        subscriber.confirmedAt,
+        subscriber.unsubscribedAt,
+        subscriber.lastDigestAt
+      ]);
+    }
+    res.end();
+    logger.info(`[Newsletter] Subscribers exported by ${req.user.id}`);
+  } catch (error) {
+    // The download has started, so the error handler can't send a JSON error; cut it short.
+    // Nothing to report if the client went away.
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.error('[Newsletter] Subscriber export failed part way through', { error: error.message });
+    }
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+});
+
+// @desc    Remove a subscriber and everything stored about them
+// @route   DELETE /api/newsletter/subscribers/:id
+// @access  Private/Admin
+exports.deleteSubscriber = catchAsync(async (req, res, next) => {
+  const subscriber = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Subscriber.findByIdAndDelete(req.params.id)
+    : null;
+
+  if (!subscriber) {
+    return next(new ApiError('Subscriber not found', httpStatus.NOT_FOUND));
+  }
+
+  await Activity.logActivity({
+    user: req.user.id,
+    type: 'delete',
+    entityType: 'other',
+    entityId: subscriber._id,
+    title: 'Newsletter subscriber removed',
+    description: `${subscriber.email} was removed from the newsletter`
+  });
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    The next digest of a frequency as it would be emailed now
+// @route   GET /api/newsletter/digest/preview?frequency=weekly
+// @access  Private/Admin & Sub-admin
+exports.previewDigest = catchAsync(async (req, res) => {
+  const { frequency = 'weekly' } = req.query;
+  checkFrequency(frequency);
+
+  const digest = await previewDigest(frequency);
+  const recipients = await Subscriber.countDocuments({ status: 'active', frequency });
+
+  res.set('Cache-Control', 'private, no-store');
+  res.status(httpStatus.OK).json({
+    success: true,
+    data: {
+      frequency,
+      subject: digest.subject || null,
+      html: digest.subject ? renderDigest(digest, req.user.email) : null,
+      periodStart: digest.periodStart,
+      periodEnd: digest.periodEnd,
+      articleCount: digest.articleCount,
+      sample: digest.sample,
+      recipients
+    }
+  });
+});
+
+// @desc    Email the next digest of a frequency to yourself, or to `email`
+// @route   POST /api/newsletter/digest/test
+// @access  Private/Admin & Sub-admin
+exports.sendTestDigest = catchAsync(async (req, res, next) => {
+  const { frequency = 'weekly' } = req.body;
+  checkFrequency(frequency);
+
+  const to = String(req.body.email || req.user.email).trim().toLowerCase();
+  const invalid = new Subscriber({ email: to }).validateSync(['email']);
+  if (invalid) {
+    return next(new ApiError(invalid.errors.email.message, httpStatus.BAD_REQUEST));
+  }
+
+  const digest = await sendTestDigest(frequency, to);
+  if (!digest) {
+    return next(new ApiError('There are no published articles to put in a digest yet', httpStatus.BAD_REQUEST));
+  }
+
+  logger.info(`[Newsletter] Test ${frequency} digest sent to ${to} by ${req.user.id}`);
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    message: `Test digest sent to ${to}`,
+    data: { subject: digest.subject, sample: digest.sample }
+  });
+});
+
+// @desc    Digests that have gone out, newest first
+// @route   GET /api/newsletter/digests
+// @access  Private/Admin & Sub-admin
+exports.getDigests = catchAsync(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const digests = await NewsletterDigest.find()
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('articles', 'title slug')
+    .lean();
+
+  res.status(httpStatus.OK).json({
+    success: true,
+    count: digests.length,
+    data: digests
+  });
+});
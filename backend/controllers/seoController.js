@@ -0,0 +1,64 @@
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/ApiError');
+const httpStatus = require('http-status');
+const {
+  isIndexingAllowed,
+  collectUrls,
+  buildUrlset,
+  buildIndex,
+  paginate,
+  buildRobots
+} = require('../services/sitemap.service');
+
+// The public site proxies these files to the API, so links between them point at
+// it too. Never taken from the request: the responses are cached.
+const siteUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const sendXml = (res, body) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  if (!isIndexingAllowed()) res.set('X-Robots-Tag', 'noindex');
+  res.status(httpStatus.OK).type('application/xml; charset=utf-8').send(body);
+};
+
+const newestIn = (urls) => urls.reduce(
+  (newest, url) => (url.lastmod && (!newest || url.lastmod > newest) ? url.lastmod : newest),
+  null
+);
+
+// @desc    Sitemap of the public site, or a sitemap index once it outgrows one file
+// @route   GET /sitemap.xml
+// @access  Public
+exports.getSitemap = catchAsync(async (req, res) => {
+  const pages = paginate(await collectUrls(siteUrl()));
+
+  if (pages.length <= 1) {
+    return sendXml(res, buildUrlset(pages[0] || []));
+  }
+
+  sendXml(res, buildIndex(pages.map((urls, index) => ({
+    loc: `${siteUrl()}/sitemap-${index + 1}.xml`,
+    lastmod: newestIn(urls)
+  }))));
+});
+
+// @desc    One page of a split sitemap
+// @route   GET /sitemap-:page.xml
+// @access  Public
+exports.getSitemapPage = catchAsync(async (req, res, next) => {
+  const pages = paginate(await collectUrls(siteUrl()));
+  const urls = pages[parseInt(req.params.page, 10) - 1];
+
+  if (!urls) {
+    return next(new ApiError('Sitemap not found', httpStatus.NOT_FOUND));
+  }
+
+  sendXml(res, buildUrlset(urls));
+});
+
+// @desc    robots.txt; blocks everything unless ALLOW_INDEXING=true
+// @route   GET /robots.txt
+// @access  Public
+exports.getRobots = (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.status(httpStatus.OK).type('text/plain; charset=utf-8').send(buildRobots(`${siteUrl()}/sitemap.xml`));
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './.env' });
+
+// Fill in normalizedEmail/normalizedPhone on applications submitted before
+// duplicate detection existed, so they are matched against new submissions.
+async function normalizeApplicationContacts() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected\n');
+
+    const Application = require('../models/application.model');
+
+    const cursor = Application.find({
+      $or: [{ normalizedEmail: { $exists: false } }, { normalizedPhone: { $exists: false } }]
+    })
+      .select('email phone')
+      .lean()
+      .cursor();
+
+    let updated = 0;
+    for await (const application of cursor) {
+      // Update the raw documents so timestamps and history are left untouched
+      await Application.collection.updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            normalizedEmail: Application.normalizeEmail(application.email),
+            normalizedPhone: Application.normalizePhone(application.phone)
+          }
+        }
+      );
+      updated++;
+    }
+
+    console.log(`✅ Normalized contact details on ${updated} applications`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✅ MongoDB Disconnected');
+  }
+}
+
+// Run the migration
+normalizeApplicationContacts();
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './.env' });
+
+// Extract the text of resumes uploaded before keyword search existed, so those
+// applicants turn up in resume searches too. Safe to run again; only applications
+// without extracted text are processed.
+async function extractResumeText() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected\n');
+
+    const Application = require('../models/application.model');
+    const { extractResumeText: extract } = require('../services/resumeText.service');
+
+    // Builds the text index if the app hasn't been started since it was added
+    await Application.createIndexes();
+
+    const cursor = Application.find({ resumeText: { $exists: false } })
+      .select('resume')
+      .lean()
+      .cursor();
+
+    let extracted = 0;
+    let empty = 0;
+    for await (const application of cursor) {
+      const resumeText = await extract(application.resume);
+      // An empty string marks the resume as done even when it had no readable text
+      await Application.collection.updateOne({ _id: application._id }, { $set: { resumeText } });
+      if (resumeText) {
+        extracted++;
+      } else {
+        empty++;
+      }
+    }
+
+    console.log(`✅ Extracted text from ${extracted} resumes`);
+    if (empty) console.log(`⚠️  ${empty} resumes had no readable text (scanned or unavailable)`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✅ MongoDB Disconnected');
+  }
+}
+
+// Run the migration
+extractResumeText();
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './.env' });
+
+// Replace the unweighted news text index with the weighted one search ranks by.
+// MongoDB only allows one text index per collection, so the old one has to go
+// before the new one can be built. Safe to run again.
+async function reindexNewsSearch() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected\n');
+
+    const News = require('../models/news.model');
+    const indexes = await News.collection.indexes();
+
+    for (const index of indexes) {
+      if (index.key._fts === 'text' && index.name !== 'news_text_search') {
+        await News.collection.dropIndex(index.name);
+        console.log(`🗑️  Dropped text index ${index.name}`);
+      }
+    }
+
+    await News.createIndexes();
+    console.log('✅ Built text index news_text_search');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✅ MongoDB Disconnected');
+  }
+}
+
+// Run the migration
+reindexNewsSearch();
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './.env' });
+
+// Work out related-article suggestions for every published article. Articles
+// published before suggestions were cached have none, and the public endpoint
+// only shows their pins until they do. Safe to run again.
+async function computeRelatedNews() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB Connected\n');
+
+    const { refreshAllRelated } = require('../services/relatedNews.service');
+    const count = await refreshAllRelated();
+    console.log(`✅ Computed related articles for ${count} published articles`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n✅ MongoDB Disconnected');
+  }
+}
+
+// Run the migration
+computeRelatedNews();
@@ -36,6 +36,21 @@ const eventSchema = new mongoose.Schema({
     },
     default: 'meeting'
   },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Location cannot be longer than 300 characters']
+  },
+  // Set when the event is an interview scheduled from an application
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  // iCalendar SEQUENCE, bumped on every reschedule so calendar clients replace the old invite
+  sequence: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now(),
@@ -49,6 +64,21 @@ const eventSchema = new mongoose.Schema({
 // Index for better query performance
 eventSchema.index({ start: 1 });
 eventSchema.index({ end: 1 });
+eventSchema.index({ application: 1, start: 1 });
+
+eventSchema.statics.INTERVIEW_TYPES = ['call', 'meeting'];
+
+/**
+ * Human readable start time for emails and history notes
+ * @returns {string} e.g. "Monday, 3 March 2025 at 10:30 am"
+ */
+eventSchema.methods.formatStart = function() {
+  return this.start.toLocaleString('en-IN', {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone: process.env.TIMEZONE || 'Asia/Kolkata'
+  });
+};
 
 const Event = mongoose.model('Event', eventSchema);
 
@@ -11,13 +11,13 @@ const activitySchema = new mongoose.Schema(
       type: String,
       required: [true, 'Activity must have a type'],
       enum: [
-        'login', 'logout', 'create', 'update', 'delete',
+        'login', 'logout', 'create', 'update', 'delete', 'publish',
         'register', 'password_reset', 'profile_update', 'other'
       ]
     },
     entityType: {
       type: String,
-      enum: ['user', 'project', 'internship', 'testimonial', 'other'],
+      enum: ['user', 'project', 'internship', 'testimonial', 'news', 'other'],
       required: [true, 'Please specify the entity type']
     },
     entityId: {
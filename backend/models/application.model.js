@@ -1,4 +1,167 @@
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const APPLICATION_STATUSES = ['Received', 'Under Review', 'Interviewing', 'Rejected', 'Hired', 'Withdrawn'];
+
+// Candidates can pull out of the process until a decision has been made
+const WITHDRAWABLE_STATUSES = ['Received', 'Under Review', 'Interviewing'];
+
+const PORTAL_TOKEN_PURPOSE = 'application-portal';
+
+// Don't resend the "you already applied" link more often than this
+const PORTAL_LINK_RESEND_INTERVAL = 10 * 60 * 1000;
+
+// Lowercase, drop "+tag" suffixes, and ignore dots in Gmail addresses
+const normalizeEmail = (email = '') => {
+  const [local, domain] = String(email).trim().toLowerCase().split('@');
+  if (!domain) return local;
+  const gmail = domain === 'gmail.com' || domain === 'googlemail.com';
+  const user = local.split('+')[0];
+  return `${gmail ? user.replace(/\./g, '') : user}@${gmail ? 'gmail.com' : domain}`;
+};
+
+// Digits only, without the country code, so "+91 98765-43210" matches "9876543210"
+const normalizePhone = (phone = '') => {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+// Once decided, every reviewer's scores are visible to all reviewers
+const DECIDED_STATUSES = ['Hired', 'Rejected', 'Withdrawn'];
+
+// Allowed moves through the hiring pipeline, keyed by the current status
+const STATUS_TRANSITIONS = {
+  'Received': ['Under Review', 'Rejected'],
+  'Under Review': ['Interviewing', 'Rejected'],
+  'Interviewing': ['Hired', 'Rejected', 'Under Review'],
+  'Rejected': ['Under Review'],
+  'Hired': [],
+  'Withdrawn': []
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: APPLICATION_STATUSES
+  },
+  to: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot be more than 1000 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Answers keep a copy of the question label and type so they stay readable
+// if the internship's questions are edited later
+const answerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+// A templated email sent to the candidate; failed ones keep what's needed to retry
+const emailLogSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nextSteps: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastAttemptAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+const ratingSchema = new mongoose.Schema({
+  // Criterion id on the internship, or "overall" for postings without criteria
+  criterion: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: [1, 'Scores must be between 1 and 5'],
+    max: [5, 'Scores must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Scores must be whole numbers'
+    }
+  }
+}, { _id: false });
+
+// One scorecard per reviewer
+const scorecardSchema = new mongoose.Schema({
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ratings: {
+    type: [ratingSchema],
+    default: []
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  average: {
+    type: Number
+  }
+}, { timestamps: true });
 
 const applicationSchema = new mongoose.Schema({
   internship: {
@@ -21,21 +184,359 @@ const applicationSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Used to spot the same person applying more than once
+  normalizedEmail: {
+    type: String,
+    select: false
+  },
+  normalizedPhone: {
+    type: String,
+    select: false
+  },
   resume: {
-    type: String, // This will store the URL to the resume
+    type: String, // Stored resume reference, or a Cloudinary URL for older applications
     required: true
   },
+  // Plain text of the resume for keyword search
+  resumeText: {
+    type: String,
+    select: false
+  },
+  portalLinkSentAt: {
+    type: Date,
+    select: false
+  },
+  answers: {
+    type: [answerSchema],
+    default: []
+  },
   status: {
     type: String,
-    enum: ['Received', 'Under Review', 'Interviewing', 'Rejected', 'Hired'],
+    enum: APPLICATION_STATUSES,
     default: 'Received'
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  scorecards: {
+    type: [scorecardSchema],
+    default: []
+  },
+  emails: {
+    type: [emailLogSchema],
+    default: []
+  },
+  // Aggregates over the scorecards, kept in step by setScorecard()
+  averageScore: {
+    type: Number
+  },
+  // Average minus the spread between reviewers, so agreed-on candidates rank first
+  consensusScore: {
+    type: Number
+  },
   appliedAt: {
     type: Date,
     default: Date.now
   }
+}, { timestamps: true });
+
+applicationSchema.index({ internship: 1, status: 1, appliedAt: -1 });
+applicationSchema.index({ internship: 1, consensusScore: -1 });
+applicationSchema.index({ 'emails.status': 1 });
+applicationSchema.index({ normalizedEmail: 1 });
+applicationSchema.index({ normalizedPhone: 1 });
+applicationSchema.index({ resumeText: 'text' }, { name: 'resume_text', default_language: 'english' });
+
+applicationSchema.pre('validate', function(next) {
+  if (this.isModified('email')) this.normalizedEmail = normalizeEmail(this.email);
+  if (this.isModified('phone')) this.normalizedPhone = normalizePhone(this.phone);
+  next();
 });
 
+applicationSchema.statics.STATUSES = APPLICATION_STATUSES;
+applicationSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+applicationSchema.statics.DECIDED_STATUSES = DECIDED_STATUSES;
+applicationSchema.statics.normalizeEmail = normalizeEmail;
+applicationSchema.statics.normalizePhone = normalizePhone;
+
+// Match on email, or on phone when there are enough digits to be meaningful
+const contactConditions = (normalizedEmail, normalizedPhone) => {
+  const conditions = [];
+  if (normalizedEmail) conditions.push({ normalizedEmail });
+  if (normalizedPhone && normalizedPhone.length >= 7) conditions.push({ normalizedPhone });
+  return conditions;
+};
+
+/**
+ * Find an earlier, non-withdrawn application by the same person for the same internship
+ * @param {ObjectId|string} internship - Internship id
+ * @param {Object} contact
+ * @param {string} contact.email
+ * @param {string} contact.phone
+ * @returns {Promise<Object|null>} The most recent matching application
+ */
+applicationSchema.statics.findDuplicate = function(internship, { email, phone }) {
+  const conditions = contactConditions(normalizeEmail(email), normalizePhone(phone));
+  if (!conditions.length) return Promise.resolve(null);
+
+  return this.findOne({ internship, status: { $ne: 'Withdrawn' }, $or: conditions })
+    .select('+portalLinkSentAt')
+    .sort('-appliedAt');
+};
+
+/**
+ * Group applications that look like they came from the same person, across all internships.
+ * Applications sharing an email or a phone number end up in the same group.
+ * @returns {Promise<Array<{applications: Array, matchedOn: Array<string>}>>} Groups, most recently active first
+ */
+applicationSchema.statics.findDuplicateGroups = async function() {
+  const fields = ['normalizedEmail', 'normalizedPhone'];
+  const matches = await Promise.all(fields.map(field => this.aggregate([
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ])));
+
+  // Union-find so an email match and a phone match on overlapping applications become one group
+  const parent = new Map();
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const matchedOn = new Map();
+  matches.forEach((groups, index) => {
+    groups.forEach(({ ids }) => {
+      const [first, ...rest] = ids.map(id => id.toString());
+      rest.forEach(id => parent.set(find(id), find(first)));
+      matchedOn.set(first, [...(matchedOn.get(first) || []), fields[index] === 'normalizedEmail' ? 'email' : 'phone']);
+    });
+  });
+  if (!parent.size) return [];
+
+  const applications = await this.find({ _id: { $in: [...parent.keys()] } })
+    .select('name email phone status appliedAt internship')
+    .populate('internship', 'title')
+    .sort('-appliedAt');
+
+  const groups = new Map();
+  applications.forEach((application) => {
+    const root = find(application._id.toString());
+    if (!groups.has(root)) groups.set(root, { applications: [], matchedOn: new Set() });
+    groups.get(root).applications.push(application);
+  });
+  matchedOn.forEach((reasons, id) => {
+    reasons.forEach(reason => groups.get(find(id))?.matchedOn.add(reason));
+  });
+
+  return [...groups.values()].map(group => ({
+    applications: group.applications,
+    matchedOn: [...group.matchedOn]
+  }));
+};
+
+/**
+ * Check whether the pipeline allows moving between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+applicationSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Verify a candidate portal token and return the application id it grants access to
+ * @param {string} token - Signed token from the candidate's email link
+ * @returns {string} Application id
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token is invalid or expired
+ */
+applicationSchema.statics.verifyPortalToken = function(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== PORTAL_TOKEN_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Token is not a candidate portal token');
+  }
+  return decoded.sub;
+};
+
+/**
+ * Create a signed, expiring token that lets the candidate view this application
+ * @returns {{token: string, expiresAt: Date}}
+ */
+applicationSchema.methods.createPortalToken = function() {
+  const token = jwt.sign(
+    { purpose: PORTAL_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    {
+      subject: this._id.toString(),
+      expiresIn: process.env.APPLICATION_LINK_EXPIRES_IN || '60d'
+    }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+applicationSchema.methods.canWithdraw = function() {
+  return WITHDRAWABLE_STATUSES.includes(this.status);
+};
+
+// Candidates can send a newer resume while their application is still in progress
+applicationSchema.methods.canUpdateResume = function() {
+  return WITHDRAWABLE_STATUSES.includes(this.status);
+};
+
+/**
+ * Whether the candidate can be sent their portal link again without flooding their inbox
+ * @returns {boolean}
+ */
+applicationSchema.methods.canResendPortalLink = function() {
+  return !this.portalLinkSentAt || Date.now() - this.portalLinkSentAt.getTime() > PORTAL_LINK_RESEND_INTERVAL;
+};
+
+/**
+ * Other applications, to any internship, that share this one's email or phone
+ * @returns {Promise<Array>}
+ */
+applicationSchema.methods.findRelated = function() {
+  const conditions = contactConditions(normalizeEmail(this.email), normalizePhone(this.phone));
+  if (!conditions.length) return Promise.resolve([]);
+
+  return this.constructor.find({ _id: { $ne: this._id }, $or: conditions })
+    .select('name email phone status appliedAt internship')
+    .populate('internship', 'title')
+    .sort('-appliedAt');
+};
+
+applicationSchema.methods.isDecided = function() {
+  return DECIDED_STATUSES.includes(this.status);
+};
+
+/**
+ * Add or replace a reviewer's scorecard and refresh the aggregate scores.
+ * Does not save the document.
+ * @param {ObjectId} reviewer - User giving the scores
+ * @param {Object} scorecard
+ * @param {Object} scorecard.ratings - Scores from 1 to 5 keyed by criterion id
+ * @param {string} [scorecard.comment]
+ * @param {Array} criteria - The internship's scoring criteria
+ * @returns {Array<string>} Problems with the ratings; nothing is changed if any are returned
+ */
+applicationSchema.methods.setScorecard = function(reviewer, { ratings = {}, comment } = {}, criteria) {
+  const errors = [];
+  const scored = criteria.map((criterion) => {
+    const score = Number(ratings[criterion._id]);
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      errors.push(`Give "${criterion.label}" a score from 1 to 5`);
+    }
+    return { criterion: criterion._id, label: criterion.label, score };
+  });
+  if (errors.length) return errors;
+
+  const average = scored.reduce((sum, rating) => sum + rating.score, 0) / scored.length;
+  const existing = this.scorecards.find(card => card.reviewer.equals(reviewer._id || reviewer));
+  if (existing) {
+    existing.set({ ratings: scored, comment, average });
+  } else {
+    this.scorecards.push({ reviewer, ratings: scored, comment, average });
+  }
+
+  const averages = this.scorecards.map(card => card.average);
+  const mean = averages.reduce((sum, value) => sum + value, 0) / averages.length;
+  const spread = Math.sqrt(averages.reduce((sum, value) => sum + (value - mean) ** 2, 0) / averages.length);
+  this.averageScore = Math.round(mean * 100) / 100;
+  this.consensusScore = Math.round((mean - spread) * 100) / 100;
+  return [];
+};
+
+/**
+ * Plain object for a reviewer. Until the application is decided, sub-admins only
+ * see their own scorecard and no aggregates, so they score independently.
+ * @param {Object} user - The requesting user
+ * @returns {Object}
+ */
+applicationSchema.methods.toReviewerJSON = function(user) {
+  const json = this.toJSON();
+  if (user.role === 'admin' || this.isDecided()) return json;
+
+  const userId = user._id.toString();
+  json.scorecards = (json.scorecards || []).filter((card) => {
+    const reviewerId = card.reviewer?._id || card.reviewer;
+    return reviewerId && reviewerId.toString() === userId;
+  });
+  delete json.averageScore;
+  delete json.consensusScore;
+  return json;
+};
+
+/**
+ * Move the application to a new status and record it in the history.
+ * Does not save the document.
+ * @param {string} status - The new status
+ * @param {Object} options
+ * @param {ObjectId} [options.changedBy] - User making the change
+ * @param {string} [options.note] - Reason for the change
+ */
+applicationSchema.methods.transitionTo = function(status, { changedBy, note } = {}) {
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy,
+    note
+  });
+  this.status = status;
+};
+
+/**
+ * Record an event such as a scheduled interview in the history without changing status.
+ * Does not save the document.
+ * @param {string} note - What happened
+ * @param {Object} options
+ * @param {ObjectId} [options.changedBy] - User responsible
+ */
+applicationSchema.methods.addHistoryNote = function(note, { changedBy } = {}) {
+  this.statusHistory.push({
+    from: this.status,
+    to: this.status,
+    changedBy,
+    note
+  });
+};
+
+/**
+ * Log an attempt at sending the candidate a templated email and note it in the history.
+ * Pass an existing log entry to record a retry of it. Does not save the document.
+ * @param {Object} email - New entry ({template, subject, nextSteps}) or an entry from `emails`
+ * @param {Object} options
+ * @param {Error} [options.error] - Why the send failed, if it did
+ * @param {ObjectId} [options.changedBy] - User sending the email
+ * @returns {Object} The log entry
+ */
+applicationSchema.methods.recordEmail = function(email, { error, changedBy } = {}) {
+  let entry = email._id && this.emails.id(email._id);
+  if (!entry) {
+    this.emails.push({ template: email.template, subject: email.subject, nextSteps: email.nextSteps });
+    entry = this.emails[this.emails.length - 1];
+  }
+
+  entry.set({
+    status: error ? 'failed' : 'sent',
+    error: error ? error.message : undefined,
+    attempts: entry.attempts + 1,
+    sentBy: changedBy,
+    lastAttemptAt: new Date()
+  });
+
+  this.addHistoryNote(
+    error ? `Email failed: "${entry.subject}" (${error.message})` : `Email sent: "${entry.subject}"`,
+    { changedBy }
+  );
+  return entry;
+};
+
 const Application = mongoose.model('Application', applicationSchema);
 
 module.exports = Application;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const HOUR = 60 * 60 * 1000;
+
+// How long one visitor's like or share counts for before they can add another
+const ENGAGEMENT_WINDOWS = {
+  like: (parseInt(process.env.LIKE_WINDOW_HOURS, 10) || 24 * 30) * HOUR,
+  share: (parseInt(process.env.SHARE_WINDOW_HOURS, 10) || 24) * HOUR
+};
+
+const SHARE_NETWORKS = ['native', 'copy', 'twitter', 'facebook', 'linkedin', 'whatsapp', 'email', 'other'];
+
+// One row per visitor, item and action while the window lasts; MongoDB removes
+// rows once they expire. Visitors are only stored as a hash.
+const engagementSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ['news', 'gallery'],
+      required: true
+    },
+    target: {
+      type: mongoose.Schema.ObjectId,
+      required: true
+    },
+    action: {
+      type: String,
+      enum: Object.keys(ENGAGEMENT_WINDOWS),
+      required: true
+    },
+    visitor: {
+      type: String,
+      required: true
+    },
+    network: {
+      type: String,
+      enum: SHARE_NETWORKS
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+engagementSchema.index({ targetType: 1, target: 1, action: 1, visitor: 1 }, { unique: true });
+engagementSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+engagementSchema.statics.ENGAGEMENT_WINDOWS = ENGAGEMENT_WINDOWS;
+engagementSchema.statics.SHARE_NETWORKS = SHARE_NETWORKS;
+
+/**
+ * Record a like or share unless this visitor already made one within the window
+ * @param {Object} engagement
+ * @param {string} engagement.targetType - news or gallery
+ * @param {ObjectId} engagement.target - Article or gallery item
+ * @param {string} engagement.action - like or share
+ * @param {string} engagement.visitor - Hashed visitor identifier
+ * @param {string} [engagement.network] - Where a share went
+ * @returns {Promise<boolean>} Whether it should be counted
+ */
+engagementSchema.statics.record = async function({ targetType, target, action, visitor, network }) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ENGAGEMENT_WINDOWS[action]);
+
+  try {
+    await this.create({ targetType, target, action, visitor, network, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // MongoDB only sweeps expired rows every minute or so; one past its window
+  // starts a new window rather than blocking the visitor
+  const renewed = await this.findOneAndUpdate(
+    { targetType, target, action, visitor, expiresAt: { $lte: now } },
+    { $set: { expiresAt, network, createdAt: now } }
+  );
+  return Boolean(renewed);
+};
+
+/**
+ * Which actions a visitor has made on an item within the current window
+ * @param {string} targetType
+ * @param {ObjectId} target
+ * @param {string} visitor - Hashed visitor identifier
+ * @returns {Promise<{liked: boolean, shared: boolean}>}
+ */
+engagementSchema.statics.forVisitor = async function(targetType, target, visitor) {
+  const rows = await this.find({ targetType, target, visitor, expiresAt: { $gt: new Date() } })
+    .select('action')
+    .lean();
+  const actions = rows.map(row => row.action);
+  return { liked: actions.includes('like'), shared: actions.includes('share') };
+};
+
+const Engagement = mongoose.model('Engagement', engagementSchema);
+
+module.exports = Engagement;
@@ -92,6 +92,15 @@ const galleryItemSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Visitor likes and shares, each counted once per visitor per window (see engagement.model)
+  likes: {
+    type: Number,
+    default: 0
+  },
+  shares: {
+    type: Number,
+    default: 0
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -1,5 +1,78 @@
 const mongoose = require('mongoose');
 
+const WORK_MODES = ['remote', 'onsite', 'hybrid'];
+const CLOSED_REASONS = ['manual', 'deadline', 'filled'];
+const QUESTION_TYPES = ['short_text', 'long_text', 'multiple_choice', 'url', 'yes_no'];
+
+const ANSWER_LIMITS = {
+  short_text: 300,
+  long_text: 5000,
+  url: 500
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(String(value));
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+};
+
+const questionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'A screening question must have a label'],
+    trim: true,
+    maxlength: [300, 'Question label cannot be more than 300 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: QUESTION_TYPES,
+      message: 'Question type must be one of: ' + QUESTION_TYPES.join(', ')
+    },
+    required: true,
+    default: 'short_text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  helpText: {
+    type: String,
+    trim: true
+  },
+  options: {
+    type: [String],
+    default: undefined,
+    validate: {
+      validator: function(options) {
+        return this.type !== 'multiple_choice' || (Array.isArray(options) && options.length >= 2);
+      },
+      message: 'Multiple choice questions need at least two options'
+    }
+  }
+});
+
+// What reviewers rate candidates on, e.g. "Technical skills"
+const criterionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'A scoring criterion must have a label'],
+    trim: true,
+    maxlength: [100, 'Criterion label cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Criterion description cannot be more than 300 characters']
+  }
+});
+
+// Used when a posting has no criteria of its own
+const DEFAULT_CRITERIA = [{ _id: 'overall', label: 'Overall' }];
+
 const internshipSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -22,16 +95,226 @@ const internshipSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  location: {
+    type: String,
+    trim: true
+  },
+  workMode: {
+    type: String,
+    enum: {
+      values: WORK_MODES,
+      message: 'Work mode must be either: remote, onsite, or hybrid'
+    },
+    default: 'remote'
+  },
+  duration: {
+    type: String, // Free text, e.g. "3 months"
+    trim: true
+  },
+  stipend: {
+    type: String, // Free text, e.g. "₹10,000/month" or "Unpaid"
+    trim: true
+  },
+  requiredSkills: {
+    type: [String],
+    default: []
+  },
+  openings: {
+    type: Number,
+    min: [1, 'There must be at least one opening'],
+    default: 1
+  },
+  applicationDeadline: {
+    type: Date
+  },
+  questions: {
+    type: [questionSchema],
+    default: []
+  },
+  // Reviewers' rubric; only loaded where it's asked for, never sent to applicants
+  scoringCriteria: {
+    type: [criterionSchema],
+    default: [],
+    select: false
+  },
   isOpen: {
     type: Boolean,
     default: true
   },
+  closedReason: {
+    type: String,
+    enum: CLOSED_REASONS
+  },
+  closedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+internshipSchema.index({ isOpen: 1, applicationDeadline: 1 });
+
+internshipSchema.statics.WORK_MODES = WORK_MODES;
+internshipSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+internshipSchema.statics.DEFAULT_CRITERIA = DEFAULT_CRITERIA;
+
+internshipSchema.virtual('isDeadlinePassed').get(function() {
+  return !!this.applicationDeadline && this.applicationDeadline.getTime() <= Date.now();
+});
+
+// Open and still before the deadline. Filled openings are closed by the scheduler.
+internshipSchema.virtual('acceptingApplications').get(function() {
+  return this.isOpen && !this.isDeadlinePassed;
+});
+
+// Keep the closing metadata in step with manual open/close toggles
+internshipSchema.pre('save', function(next) {
+  if (this.isModified('isOpen')) {
+    if (this.isOpen) {
+      this.closedReason = undefined;
+      this.closedAt = undefined;
+    } else if (!this.closedReason) {
+      this.closedReason = 'manual';
+      this.closedAt = new Date();
+    }
+  }
+  next();
 });
 
+/**
+ * Close the posting and record why
+ * @param {string} reason - One of manual, deadline, filled
+ */
+internshipSchema.methods.close = function(reason = 'manual') {
+  this.isOpen = false;
+  this.closedReason = reason;
+  this.closedAt = new Date();
+};
+
+/**
+ * Validate an applicant's answers against this posting's screening questions
+ * @param {Object} rawAnswers - Answers keyed by question id
+ * @returns {{answers: Array, errors: Array}} Normalized answers ready to store, and any validation errors
+ */
+internshipSchema.methods.checkAnswers = function(rawAnswers = {}) {
+  const answers = [];
+  const errors = [];
+
+  this.questions.forEach((question) => {
+    const id = question._id.toString();
+    let value = rawAnswers[id];
+    if (typeof value === 'string') value = value.trim();
+
+    const isEmpty = value === undefined || value === null || value === '';
+    if (isEmpty) {
+      if (question.required) {
+        errors.push({ question: id, message: `"${question.label}" is required` });
+      }
+      return;
+    }
+
+    switch (question.type) {
+      case 'yes_no':
+        if (value === true || value === 'yes' || value === 'true') value = true;
+        else if (value === false || value === 'no' || value === 'false') value = false;
+        else errors.push({ question: id, message: `"${question.label}" must be yes or no` });
+        break;
+      case 'multiple_choice':
+        if (!question.options.includes(value)) {
+          errors.push({ question: id, message: `"${question.label}" must be one of the listed options` });
+        }
+        break;
+      case 'url':
+        if (!isHttpUrl(value)) {
+          errors.push({ question: id, message: `"${question.label}" must be a valid http(s) link` });
+        }
+        break;
+      default:
+        value = String(value);
+    }
+
+    const limit = ANSWER_LIMITS[question.type];
+    if (limit && String(value).length > limit) {
+      errors.push({ question: id, message: `"${question.label}" cannot be more than ${limit} characters` });
+    }
+
+    answers.push({
+      question: question._id,
+      label: question.label,
+      type: question.type,
+      value
+    });
+  });
+
+  return { answers, errors };
+};
+
+/**
+ * Criteria reviewers score this posting's applicants on
+ * @returns {Array<{_id: string, label: string, description?: string}>}
+ */
+internshipSchema.methods.getScoringCriteria = function() {
+  if (!this.scoringCriteria || !this.scoringCriteria.length) return DEFAULT_CRITERIA;
+  return this.scoringCriteria.map(({ _id, label, description }) => ({ _id: _id.toString(), label, description }));
+};
+
+/**
+ * Check whether every opening has been filled by a hired candidate
+ * @returns {Promise<boolean>}
+ */
+internshipSchema.methods.isFilled = async function() {
+  const Application = mongoose.model('Application');
+  const hired = await Application.countDocuments({ internship: this._id, status: 'Hired' });
+  return hired >= (this.openings || 1);
+};
+
+/**
+ * Close open internships whose deadline has passed or whose openings are filled
+ * @returns {Promise<{deadline: number, filled: number}>} Number of postings closed for each reason
+ */
+internshipSchema.statics.closeExpired = async function() {
+  const now = new Date();
+
+  const deadlineResult = await this.updateMany(
+    { isOpen: true, applicationDeadline: { $lte: now } },
+    { $set: { isOpen: false, closedReason: 'deadline', closedAt: now } }
+  );
+
+  const Application = mongoose.model('Application');
+  const hiredCounts = await Application.aggregate([
+    { $match: { status: 'Hired' } },
+    { $group: { _id: '$internship', hired: { $sum: 1 } } },
+    {
+      $lookup: {
+        from: this.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'internship'
+      }
+    },
+    { $unwind: '$internship' },
+    { $match: { 'internship.isOpen': true } },
+    { $match: { $expr: { $gte: ['$hired', { $ifNull: ['$internship.openings', 1] }] } } },
+    { $project: { _id: 1 } }
+  ]);
+
+  let filled = 0;
+  if (hiredCounts.length) {
+    const filledResult = await this.updateMany(
+      { _id: { $in: hiredCounts.map(doc => doc._id) }, isOpen: true },
+      { $set: { isOpen: false, closedReason: 'filled', closedAt: now } }
+    );
+    filled = filledResult.modifiedCount;
+  }
+
+  return { deadline: deadlineResult.modifiedCount, filled };
+};
+
 const Internship = mongoose.model('Internship', internshipSchema);
 
 module.exports = Internship;
@@ -1,7 +1,90 @@
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const slugify = require('slugify');
 const readingTime = require('reading-time');
 
+const NEWS_STATUSES = ['draft', 'in-review', 'approved', 'published', 'archived'];
+
+const STAFF = ['admin', 'sub-admin'];
+const ADMIN = ['admin'];
+
+// Editorial workflow: who may move an article on from each status. Anyone on the
+// team can submit for review, only admins approve or publish. Sending an article
+// back to draft from review is a rejection unless its author withdraws it.
+const STATUS_TRANSITIONS = {
+  'draft': { 'in-review': STAFF, 'published': ADMIN },
+  'in-review': { 'approved': ADMIN, 'published': ADMIN, 'draft': STAFF },
+  'approved': { 'published': ADMIN, 'draft': ADMIN },
+  'published': { 'archived': ADMIN, 'draft': ADMIN },
+  'archived': { 'published': ADMIN, 'draft': ADMIN }
+};
+
+// A publish time can be set on articles that aren't live yet
+const SCHEDULABLE_STATUSES = ['draft', 'approved'];
+
+const PREVIEW_TOKEN_PURPOSE = 'news-preview';
+
+// Preview links last this many days unless asked otherwise, and never longer than the maximum
+const PREVIEW_LINK_DAYS = parseInt(process.env.NEWS_PREVIEW_LINK_DAYS, 10) || 7;
+const PREVIEW_LINK_MAX_DAYS = 30;
+
+const reviewHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: NEWS_STATUSES
+  },
+  to: {
+    type: String,
+    enum: NEWS_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review comment cannot be more than 1000 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A link that shows an unpublished article to anyone holding it. The token
+// itself isn't stored; it names the link by id, so revoking the link ends it.
+const previewLinkSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Preview link label cannot be more than 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+});
+
 const newsSchema = new mongoose.Schema(
   {
     title: {
@@ -47,13 +130,19 @@ const newsSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['draft', 'published', 'archived'],
+      enum: NEWS_STATUSES,
       default: 'draft'
     },
+    // Every status change, with the reviewer's comment when an article is sent back
+    reviewHistory: {
+      type: [reviewHistorySchema],
+      default: []
+    },
     publishedAt: {
       type: Date,
       default: Date.now()
     },
+    // Set on drafts and approved articles; the scheduler publishes them when this time comes
     scheduledPublish: {
       type: Date,
       validate: {
@@ -65,6 +154,10 @@ const newsSchema = new mongoose.Schema(
         message: 'Scheduled publish date must be in the future'
       }
     },
+    scheduledBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
     readingTime: {
       type: Number, // in minutes
       default: 0
@@ -77,10 +170,28 @@ const newsSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    // Visitors can post comments while this is on; closing keeps existing comments visible
+    allowComments: {
+      type: Boolean,
+      default: true
+    },
+    // Pinned by an admin; shown before, and instead of, the automatic suggestions
     relatedNews: [{
       type: mongoose.Schema.ObjectId,
       ref: 'News'
     }],
+    // Most similar published articles, kept up to date by services/relatedNews.service
+    relatedCache: {
+      type: new mongoose.Schema({
+        articles: [{
+          _id: false,
+          article: { type: mongoose.Schema.ObjectId, ref: 'News' },
+          score: Number
+        }],
+        computedAt: Date
+      }, { _id: false }),
+      select: false
+    },
     meta: {
       viewCount: {
         type: Number,
@@ -109,7 +220,11 @@ const newsSchema = new mongoose.Schema(
       type: mongoose.Schema.ObjectId,
       ref: 'User'
     },
-    lastEditedAt: Date
+    lastEditedAt: Date,
+    previewLinks: {
+      type: [previewLinkSchema],
+      select: false
+    }
   },
   {
     timestamps: true,
@@ -119,8 +234,14 @@ const newsSchema = new mongoose.Schema(
 );
 
 // Indexes for better query performance
-newsSchema.index({ title: 'text', excerpt: 'text', content: 'text' });
+// Search ranks title matches above tags, excerpt and body. MongoDB allows one text
+// index per collection; migrations/004 replaces the older unweighted one.
+newsSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  { name: 'news_text_search', weights: { title: 10, tags: 5, excerpt: 3, content: 1 } }
+);
 newsSchema.index({ status: 1, publishedAt: -1 });
+newsSchema.index({ status: 1, updatedAt: -1 });
 newsSchema.index({ featured: 1, publishedAt: -1 });
 newsSchema.index({ category: 1, publishedAt: -1 });
 newsSchema.index({ tags: 1, publishedAt: -1 });
@@ -153,15 +274,21 @@ newsSchema.pre('save', function(next) {
     this.publishedAt = Date.now();
   }
   
-  // If scheduledPublish is in the past and status is draft, set status to published
-  if (this.scheduledPublish && this.scheduledPublish <= Date.now() && this.status === 'draft') {
-    this.status = 'published';
-    this.publishedAt = this.scheduledPublish;
+  // A schedule only means something for articles that aren't live yet
+  if (this.isModified('status') && !SCHEDULABLE_STATUSES.includes(this.status)) {
+    this.scheduledPublish = undefined;
+    this.scheduledBy = undefined;
   }
   
   next();
 });
 
+// Query helper: News.findById(id).anyStatus() also finds drafts and archived articles,
+// which the default filter below hides
+newsSchema.query.anyStatus = function() {
+  return this.where({ status: { $in: newsSchema.path('status').enumValues } });
+};
+
 // Query middleware
 newsSchema.pre(/^find/, function(next) {
   // By default, only show published news unless specifically queried otherwise
@@ -183,25 +310,6 @@ newsSchema.pre(/^find/, function(next) {
   next();
 });
 
-// Static method to find related news based on tags
-newsSchema.statics.findRelatedNews = async function(newsId, limit = 3) {
-  const news = await this.findById(newsId);
-  if (!news) return [];
-  
-  return this.find({
-    _id: { $ne: news._id },
-    status: 'published',
-    publishedAt: { $lte: Date.now() },
-    $or: [
-      { tags: { $in: news.tags } },
-      { category: news.category }
-    ]
-  })
-  .sort('-publishedAt')
-  .limit(limit)
-  .select('title slug excerpt featuredImage publishedAt readingTime');
-};
-
 // Static method to get news by month for archive
 newsSchema.statics.getArchives = async function() {
   return this.aggregate([
@@ -230,22 +338,121 @@ newsSchema.statics.getArchives = async function() {
   ]);
 };
 
-// Method to increment view count
-newsSchema.methods.incrementViewCount = async function() {
-  this.meta.viewCount += 1;
-  await this.save({ validateBeforeSave: false });
+newsSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+newsSchema.statics.SCHEDULABLE_STATUSES = SCHEDULABLE_STATUSES;
+newsSchema.statics.PREVIEW_LINK_MAX_DAYS = PREVIEW_LINK_MAX_DAYS;
+
+/**
+ * Check whether the editorial workflow lets a user move an article between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Role of the user making the change
+ * @returns {boolean}
+ */
+newsSchema.statics.canTransition = function(from, to, role) {
+  return (STATUS_TRANSITIONS[from]?.[to] || []).includes(role);
 };
 
-// Method to increment like count
-newsSchema.methods.incrementLikeCount = async function() {
-  this.meta.likeCount += 1;
-  await this.save({ validateBeforeSave: false });
+/**
+ * Verify a preview token and return the article and link it was issued for.
+ * Doesn't check whether the link has since been revoked.
+ * @param {string} token - Token from a preview link
+ * @returns {{articleId: string, linkId: string}}
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token is invalid or expired
+ */
+newsSchema.statics.verifyPreviewToken = function(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== PREVIEW_TOKEN_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Token is not a news preview token');
+  }
+  return { articleId: decoded.sub, linkId: decoded.jti };
 };
 
-// Method to increment share count
-newsSchema.methods.incrementShareCount = async function() {
-  this.meta.shareCount += 1;
-  await this.save({ validateBeforeSave: false });
+/**
+ * Publish drafts and approved articles whose scheduled time has come. Each
+ * article is claimed with a single conditional update, so running this twice
+ * (or on two servers) can't publish an article twice, and anything missed while
+ * the server was down is published on the next run.
+ * @returns {Promise<Array>} The articles that were published
+ */
+newsSchema.statics.publishScheduled = async function() {
+  const now = new Date();
+  const due = await this.find({ status: { $in: SCHEDULABLE_STATUSES }, scheduledPublish: { $lte: now } })
+    .select('status scheduledPublish scheduledBy')
+    .lean();
+
+  const published = [];
+  for (const { _id, status, scheduledPublish, scheduledBy } of due) {
+    const article = await this.findOneAndUpdate(
+      { _id, status, scheduledPublish },
+      {
+        $set: { status: 'published', publishedAt: scheduledPublish },
+        $unset: { scheduledPublish: 1, scheduledBy: 1 },
+        $push: {
+          reviewHistory: { from: status, to: 'published', changedBy: scheduledBy, comment: 'Published on schedule', changedAt: now }
+        }
+      },
+      { new: false }
+    ).select('title slug author scheduledBy scheduledPublish').lean();
+    if (article) published.push(article);
+  }
+  return published;
+};
+
+/**
+ * Move the article to a new status and record it in the review history.
+ * Does not save the document.
+ * @param {string} status - The new status
+ * @param {Object} options
+ * @param {ObjectId} [options.changedBy] - User making the change
+ * @param {string} [options.comment] - Reviewer's comment
+ */
+newsSchema.methods.transitionTo = function(status, { changedBy, comment } = {}) {
+  this.reviewHistory.push({
+    from: this.status,
+    to: status,
+    changedBy,
+    comment
+  });
+  if (status === 'published' && this.status !== 'published') {
+    this.publishedAt = new Date();
+  }
+  this.status = status;
+};
+
+/**
+ * Add a preview link and sign its token. Needs previewLinks selected; does not
+ * save the document.
+ * @param {Object} options
+ * @param {ObjectId} options.createdBy - User creating the link
+ * @param {string} [options.label] - Who the link is for
+ * @param {number} [options.days] - Days until it expires, up to PREVIEW_LINK_MAX_DAYS
+ * @returns {{token: string, link: Object}}
+ */
+newsSchema.methods.createPreviewLink = function({ createdBy, label, days = PREVIEW_LINK_DAYS }) {
+  const lifetime = Math.min(Math.max(days, 1), PREVIEW_LINK_MAX_DAYS);
+  this.previewLinks.push({ createdBy, label });
+  const link = this.previewLinks[this.previewLinks.length - 1];
+
+  const token = jwt.sign(
+    { purpose: PREVIEW_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    {
+      subject: this._id.toString(),
+      jwtid: link._id.toString(),
+      expiresIn: `${lifetime}d`
+    }
+  );
+  link.expiresAt = new Date(jwt.decode(token).exp * 1000);
+  return { token, link };
+};
+
+// Count a view with $inc rather than saving the document, so simultaneous views
+// aren't lost and updatedAt only changes on real edits. Likes and shares are
+// counted once per visitor by the engagement controller.
+newsSchema.methods.incrementViewCount = async function() {
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { 'meta.viewCount': 1 } }, { timestamps: false });
+  this.meta.viewCount += 1;
 };
 
 const News = mongoose.model('News', newsSchema);
@@ -2,7 +2,7 @@
 'use strict';
 
 const mongoose = require('mongoose');
-const { slugify } = require('slugify');
+const slugify = require('slugify');
 const validator = require('validator');
 
 // Constants for validation messages and limits
@@ -28,6 +28,7 @@ const VALIDATION = {
   PARENT: {
     SELF_REFERENCE: 'A category cannot be its own parent',
     NOT_FOUND: 'Parent category not found',
+    CYCLE: 'A category cannot be moved under one of its own subcategories',
     INVALID: 'Invalid parent category reference'
   },
   KEYWORDS: {
@@ -134,14 +135,27 @@ const newsCategorySchema = new mongoose.Schema(
             throw new Error(VALIDATION.PARENT.SELF_REFERENCE);
           }
           
-          const parentExists = await mongoose
-            .model('NewsCategory')
-            .exists({ _id: value, _id: { $ne: this._id } });
+          const NewsCategory = mongoose.model('NewsCategory');
+          const parentExists = await NewsCategory.exists({ _id: value });
             
           if (!parentExists) {
             throw new Error(VALIDATION.PARENT.NOT_FOUND);
           }
           
+          // Walk up from the new parent; meeting this category means it would become its own ancestor
+          if (!this.isNew) {
+            let ancestorId = value;
+            const seen = new Set();
+            while (ancestorId && !seen.has(ancestorId.toString())) {
+              if (ancestorId.equals(this._id)) {
+                throw new Error(VALIDATION.PARENT.CYCLE);
+              }
+              seen.add(ancestorId.toString());
+              const ancestor = await NewsCategory.findById(ancestorId).select('parent').lean();
+              ancestorId = ancestor && ancestor.parent;
+            }
+          }
+          
           return true;
         },
         message: VALIDATION.PARENT.INVALID
@@ -311,14 +325,36 @@ newsCategorySchema.statics.getCategoriesWithCount = async function getCategories
 };
 
 /**
- * Get category hierarchy with nested subcategories
- * @returns {Promise<Array>} Array of categories with nested subcategories
+ * Get category hierarchy with nested subcategories and article counts
+ * @param {Object} options - Query options
+ * @param {boolean} [options.includeInactive=false] - Include inactive categories
+ * @param {boolean} [options.publishedOnly=true] - Only count articles that are live on the site
+ * @returns {Promise<Array>} Root categories, each with `subcategories`, `articleCount`
+ * (articles filed directly under it) and `totalArticleCount` (including its subcategories)
  */
-newsCategorySchema.statics.getCategoryHierarchy = async function getCategoryHierarchy() {
-  const categories = await this.find({ isActive: true })
-    .select('name slug parent featured featuredOrder')
-    .sort({ featuredOrder: 1, name: 1 })
-    .lean();
+newsCategorySchema.statics.getCategoryHierarchy = async function getCategoryHierarchy(
+  { includeInactive = false, publishedOnly = true } = {}
+) {
+  const match = includeInactive ? {} : { isActive: true };
+  const articleMatch = publishedOnly
+    ? { status: 'published', publishedAt: { $lte: new Date() } }
+    : {};
+
+  const [categories, counts] = await Promise.all([
+    this.find(match)
+      .select('name slug description parent featured featuredOrder icon coverImage isActive')
+      .sort({ featuredOrder: 1, name: 1 })
+      .lean(),
+    mongoose.model('News').aggregate([
+      { $match: articleMatch },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countMap = {};
+  counts.forEach(({ _id, count }) => {
+    if (_id) countMap[_id] = count;
+  });
 
   const categoryMap = {};
   const rootCategories = [];
@@ -326,17 +362,25 @@ newsCategorySchema.statics.getCategoryHierarchy = async function getCategoryHier
   // First pass: create a map of all categories
   categories.forEach((category) => {
     category.subcategories = [];
+    category.articleCount = countMap[category._id] || 0;
     categoryMap[category._id] = category;
   });
   
-  // Second pass: build the hierarchy
+  // Second pass: build the hierarchy. Children of a hidden parent are left out with it.
   categories.forEach((category) => {
-    if (category.parent && categoryMap[category.parent]) {
-      categoryMap[category.parent].subcategories.push(category);
-    } else {
+    if (!category.parent) {
       rootCategories.push(category);
+    } else if (categoryMap[category.parent]) {
+      categoryMap[category.parent].subcategories.push(category);
     }
   });
+
+  const sumCounts = (category) => {
+    category.totalArticleCount = category.subcategories
+      .reduce((total, child) => total + sumCounts(child), category.articleCount);
+    return category.totalArticleCount;
+  };
+  rootCategories.forEach(sumCounts);
   
   return rootCategories;
 };
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// Replies can nest this many levels below a top-level comment
+const MAX_DEPTH = 3;
+
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
+const newsCommentSchema = new mongoose.Schema(
+  {
+    news: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'News',
+      required: [true, 'A comment must belong to an article']
+    },
+    parent: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'NewsComment',
+      default: null
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      max: [MAX_DEPTH, `Replies can only be nested ${MAX_DEPTH} levels deep`]
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide your name'],
+      trim: true,
+      maxlength: [80, 'Name must have less or equal than 80 characters']
+    },
+    // Never shown publicly; lets moderators contact the commenter
+    email: {
+      type: String,
+      required: [true, 'Please provide your email'],
+      trim: true,
+      lowercase: true,
+      validate: [validator.isEmail, 'Please provide a valid email'],
+      select: false
+    },
+    body: {
+      type: String,
+      required: [true, 'Please write a comment'],
+      trim: true,
+      minlength: [2, 'Comment is too short'],
+      maxlength: [2000, 'A comment must have less or equal than 2000 characters']
+    },
+    status: {
+      type: String,
+      enum: COMMENT_STATUSES,
+      default: 'pending'
+    },
+    spamScore: {
+      type: Number,
+      default: 0
+    },
+    spamReasons: [String],
+    ip: {
+      type: String,
+      select: false
+    },
+    userAgent: {
+      type: String,
+      select: false
+    },
+    moderatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+newsCommentSchema.index({ news: 1, status: 1, createdAt: 1 });
+newsCommentSchema.index({ status: 1, createdAt: -1 });
+newsCommentSchema.index({ ip: 1, createdAt: -1 });
+newsCommentSchema.index({ parent: 1 });
+
+newsCommentSchema.statics.STATUSES = COMMENT_STATUSES;
+newsCommentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+/**
+ * Recount an article's approved comments into `meta.commentCount`
+ * @param {mongoose.Types.ObjectId|string} newsId
+ * @returns {Promise<number>} The new count
+ */
+newsCommentSchema.statics.syncCommentCount = async function(newsId) {
+  const count = await this.countDocuments({ news: newsId, status: 'approved' });
+  await mongoose.model('News').updateOne({ _id: newsId }, { $set: { 'meta.commentCount': count } });
+  return count;
+};
+
+/**
+ * Approved comments on an article, threaded. Replies under a comment that
+ * isn't approved are left out with it.
+ * @param {mongoose.Types.ObjectId|string} newsId
+ * @returns {Promise<Array>} Top-level comments, oldest first, each with `replies`
+ */
+newsCommentSchema.statics.getThread = async function(newsId) {
+  const comments = await this.find({ news: newsId, status: 'approved' })
+    .select('parent depth name body createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const commentMap = {};
+  comments.forEach((comment) => {
+    comment.replies = [];
+    commentMap[comment._id] = comment;
+  });
+
+  const thread = [];
+  comments.forEach((comment) => {
+    if (!comment.parent) {
+      thread.push(comment);
+    } else if (commentMap[comment.parent]) {
+      commentMap[comment.parent].replies.push(comment);
+    }
+  });
+
+  return thread;
+};
+
+/**
+ * Ids of a comment and every reply beneath it
+ * @param {mongoose.Types.ObjectId} commentId
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>}
+ */
+newsCommentSchema.statics.getSubtreeIds = async function(commentId) {
+  const ids = [commentId];
+  let level = [commentId];
+  while (level.length) {
+    const replies = await this.find({ parent: { $in: level } }).select('_id').lean();
+    level = replies.map(reply => reply._id);
+    ids.push(...level);
+  }
+  return ids;
+};
+
+const NewsComment = mongoose.model('NewsComment', newsCommentSchema);
+
+module.exports = NewsComment;
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Article fields captured in every revision and put back on restore
+const SNAPSHOT_FIELDS = ['title', 'excerpt', 'content', 'tags', 'category', 'featuredImage', 'featuredImageAlt', 'seo'];
+
+const newsRevisionSchema = new mongoose.Schema(
+  {
+    news: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'News',
+      required: [true, 'A revision must belong to an article']
+    },
+    // 1 for the first saved version, counting up
+    number: {
+      type: Number,
+      required: true
+    },
+    title: String,
+    excerpt: String,
+    content: String,
+    tags: [String],
+    category: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'NewsCategory'
+    },
+    featuredImage: String,
+    featuredImageAlt: String,
+    seo: {
+      metaTitle: String,
+      metaDescription: String,
+      keywords: [String],
+      ogImage: String
+    },
+    editedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    // Set when this revision was made by restoring an earlier one
+    restoredFrom: Number
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+newsRevisionSchema.index({ news: 1, number: -1 }, { unique: true });
+
+newsRevisionSchema.statics.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+/**
+ * Save an article's current state as its next revision
+ * @param {Object} article - News document
+ * @param {string} editedBy - User who made this version
+ * @param {Object} [options]
+ * @param {number} [options.restoredFrom] - Revision number this version was restored from
+ * @returns {Promise<Object>} The new revision
+ */
+newsRevisionSchema.statics.record = async function(article, editedBy, { restoredFrom } = {}) {
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach((field) => {
+    const value = article.get ? article.get(field) : article[field];
+    snapshot[field] = value && value._id ? value._id : value;
+  });
+  if (snapshot.seo && snapshot.seo.toObject) snapshot.seo = snapshot.seo.toObject();
+
+  // Two saves at once can pick the same number; the unique index turns
+  // that into a duplicate key error and the loser takes the next one
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ news: article._id }).sort({ number: -1 }).select('number').lean();
+    try {
+      return await this.create({
+        ...snapshot,
+        news: article._id,
+        number: (latest?.number || 0) + 1,
+        editedBy,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 2) throw error;
+    }
+  }
+  return null;
+};
+
+const NewsRevision = mongoose.model('NewsRevision', newsRevisionSchema);
+
+module.exports = NewsRevision;
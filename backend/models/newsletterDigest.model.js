@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Most failed addresses kept on a run; the rest are only counted
+const MAX_RECORDED_FAILURES = 50;
+
+// One digest send: which articles went to which subscribers, and how it went.
+// A run left `sending` by a restart is picked up again by the scheduler.
+const newsletterDigestSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'instant'],
+      required: true
+    },
+    // Articles published after periodStart and up to periodEnd
+    periodStart: {
+      type: Date,
+      required: true
+    },
+    periodEnd: {
+      type: Date,
+      required: true
+    },
+    articles: [{
+      type: mongoose.Schema.ObjectId,
+      ref: 'News'
+    }],
+    // Published in the period too, but left out to keep the email short
+    moreArticles: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['sending', 'sent'],
+      default: 'sending'
+    },
+    recipients: {
+      type: Number,
+      default: 0
+    },
+    sent: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    },
+    failures: [{
+      _id: false,
+      email: String,
+      error: String
+    }],
+    completedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+newsletterDigestSchema.index({ frequency: 1, periodEnd: -1 });
+newsletterDigestSchema.index({ status: 1 });
+
+newsletterDigestSchema.statics.MAX_RECORDED_FAILURES = MAX_RECORDED_FAILURES;
+
+/**
+ * Where the next digest of a frequency should start: the end of the last one
+ * @param {string} frequency - weekly or instant
+ * @returns {Promise<Date|null>} Null before the first digest
+ */
+newsletterDigestSchema.statics.lastPeriodEnd = async function(frequency) {
+  const last = await this.findOne({ frequency }).sort({ periodEnd: -1 }).select('periodEnd').lean();
+  return last ? last.periodEnd : null;
+};
+
+const NewsletterDigest = mongoose.model('NewsletterDigest', newsletterDigestSchema);
+
+module.exports = NewsletterDigest;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A resume uploaded through the public form that no application uses yet. The
+// row is removed when an application takes the file; a scheduled job deletes
+// files still unused after RESUME_UPLOAD_RETENTION_HOURS.
+const resumeUploadSchema = new mongoose.Schema(
+  {
+    resume: {
+      type: String, // Stored resume reference
+      required: true,
+      unique: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+resumeUploadSchema.index({ createdAt: 1 });
+
+const ResumeUpload = mongoose.model('ResumeUpload', resumeUploadSchema);
+
+module.exports = ResumeUpload;
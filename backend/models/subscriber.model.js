@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const SUBSCRIBER_STATUSES = ['pending', 'active', 'unsubscribed'];
+
+// Weekly subscribers get one email a week; instant ones hear about new articles
+// shortly after they go live, several at once if they were published together
+const DIGEST_FREQUENCIES = ['weekly', 'instant'];
+
+const CONFIRM_TOKEN_PURPOSE = 'newsletter-confirm';
+
+// Confirmation emails aren't sent again to the same address within this time
+const CONFIRMATION_RESEND_MINUTES = 10;
+
+// Addresses that never confirm are removed this long after the last confirmation email
+const PENDING_RETENTION_DAYS = 30;
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+const subscriberSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Please provide an email'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [254, 'Email address is too long'],
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/, 'Please provide a valid email']
+    },
+    status: {
+      type: String,
+      enum: SUBSCRIBER_STATUSES,
+      default: 'pending'
+    },
+    frequency: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: 'weekly'
+    },
+    // Put in every email's unsubscribe link. Only reissued if the address is
+    // resubscribed after unsubscribing, so old emails can't undo that.
+    unsubscribeToken: {
+      type: String,
+      default: newToken,
+      unique: true,
+      select: false
+    },
+    // Where on the site they signed up
+    source: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    confirmationSentAt: Date,
+    confirmedAt: Date,
+    unsubscribedAt: Date,
+    // End of the period covered by the last digest they were sent
+    lastDigestAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+subscriberSchema.index({ status: 1, frequency: 1 });
+subscriberSchema.index(
+  { confirmationSentAt: 1 },
+  {
+    expireAfterSeconds: PENDING_RETENTION_DAYS * 24 * 60 * 60,
+    partialFilterExpression: { status: 'pending' }
+  }
+);
+
+subscriberSchema.statics.SUBSCRIBER_STATUSES = SUBSCRIBER_STATUSES;
+subscriberSchema.statics.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+/**
+ * Verify a confirmation token from the double opt-in email
+ * @param {string} token - Signed token from the confirmation link
+ * @returns {{subscriberId: string, email: string}}
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token is invalid or expired
+ */
+subscriberSchema.statics.verifyConfirmToken = function(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== CONFIRM_TOKEN_PURPOSE) {
+    throw new jwt.JsonWebTokenError('Token is not a newsletter confirmation token');
+  }
+  return { subscriberId: decoded.sub, email: decoded.email };
+};
+
+/**
+ * Create a signed, expiring token that confirms this subscription. The address
+ * is part of it so a link can't confirm the record once it holds another one.
+ * @returns {{token: string, expiresAt: Date}}
+ */
+subscriberSchema.methods.createConfirmToken = function() {
+  const token = jwt.sign(
+    { purpose: CONFIRM_TOKEN_PURPOSE, email: this.email },
+    process.env.JWT_SECRET,
+    {
+      subject: this._id.toString(),
+      expiresIn: process.env.NEWSLETTER_CONFIRM_EXPIRES_IN || '3d'
+    }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+// Whether a confirmation email went out too recently to send another
+subscriberSchema.methods.confirmationRecentlySent = function() {
+  return Boolean(this.confirmationSentAt)
+    && Date.now() - this.confirmationSentAt.getTime() < CONFIRMATION_RESEND_MINUTES * 60 * 1000;
+};
+
+/**
+ * Start a subscription over for an address that unsubscribed. It has to be
+ * confirmed again, and links in emails sent before stop working.
+ */
+subscriberSchema.methods.resubscribe = function() {
+  this.status = 'pending';
+  this.unsubscribeToken = newToken();
+  this.confirmedAt = undefined;
+  this.unsubscribedAt = undefined;
+  this.confirmationSentAt = undefined;
+};
+
+const Subscriber = mongoose.model('Subscriber', subscriberSchema);
+
+module.exports = Subscriber;
@@ -10,7 +10,10 @@ const projectRoutes = require('./projects');
 const testimonialRoutes = require('./testimonials');
 const eventRoutes = require('./events');
 const internshipRoutes = require('./internships');
+const applicationRoutes = require('./applications');
 const activityRoutes = require('./activityRoutes');
+const uploadRoutes = require('./upload');
+const newsletterRoutes = require('./newsletter');
 
 // Debug log all route modules
 console.log('[api.js] Route modules loaded:');
@@ -22,7 +25,10 @@ console.log('- projectRoutes:', typeof projectRoutes === 'object' ? '✓ Loaded'
 console.log('- testimonialRoutes:', typeof testimonialRoutes === 'object' ? '✓ Loaded' : '✗ Not loaded');
 console.log('- eventRoutes:', typeof eventRoutes === 'object' ? '✓ Loaded' : '✗ Not loaded');
 console.log('- internshipRoutes:', typeof internshipRoutes === 'object' ? '✓ Loaded' : '✗ Not loaded');
+console.log('- applicationRoutes:', typeof applicationRoutes === 'function' ? '✓ Loaded' : '✗ Not loaded');
 console.log('- activityRoutes:', typeof activityRoutes === 'object' ? '✓ Loaded' : '✗ Not loaded');
+console.log('- uploadRoutes:', typeof uploadRoutes === 'function' ? '✓ Loaded' : '✗ Not loaded');
+console.log('- newsletterRoutes:', typeof newsletterRoutes === 'function' ? '✓ Loaded' : '✗ Not loaded');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -89,7 +95,10 @@ const mountRoutes = () => {
     { name: 'testimonials', path: '/testimonials', module: testimonialRoutes },
     { name: 'events', path: '/events', module: eventRoutes },
     { name: 'internships', path: '/internships', module: internshipRoutes },
-    { name: 'activities', path: '/activities', module: activityRoutes }
+    { name: 'applications', path: '/applications', module: applicationRoutes },
+    { name: 'activities', path: '/activities', module: activityRoutes },
+    { name: 'upload', path: '/upload', module: uploadRoutes },
+    { name: 'newsletter', path: '/newsletter', module: newsletterRoutes }
   ];
 
   let successCount = 0;
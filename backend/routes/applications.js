@@ -4,6 +4,32 @@ const Application = require('../models/application.model');
 const Internship = require('../models/internship.model');
 const nodemailer = require('nodemailer');
 const axios = require('axios');
+const { protect, isAdminOrSubAdmin } = require('../middleware/auth');
+const emailService = require('../services/email.service');
+const resumeStorage = require('../services/resumeStorage.service');
+const { extractResumeText } = require('../services/resumeText.service');
+const {
+  getApplications,
+  getApplicationStats,
+  exportApplications,
+  getApplication,
+  updateApplicationStatus,
+  updateScorecard,
+  getApplicationInterviews,
+  scheduleInterview,
+  getDuplicateGroups,
+  getRelatedApplications,
+  getEmailTemplates,
+  sendBulkEmail,
+  retryFailedEmails,
+  retryEmail,
+  getResumeUrl,
+  downloadResume,
+  searchResumes,
+  getPortalApplication,
+  withdrawPortalApplication,
+  updatePortalResume
+} = require('../controllers/applicationController');
 
 // Nodemailer transporter setup
 const transporter = nodemailer.createTransport({
@@ -16,22 +42,80 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+// Applicant input is put into the notification email's HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Render a stored screening answer for the notification email
+const formatAnswer = (answer) => {
+  if (answer.type === 'yes_no') return answer.value ? 'Yes' : 'No';
+  if (answer.type === 'url') {
+    // Answers were checked to be http(s) links when submitted
+    const { href } = new URL(answer.value);
+    return `<a href="${escapeHtml(href)}" target="_blank">${escapeHtml(answer.value)}</a>`;
+  }
+  return escapeHtml(answer.value);
+};
+
+// Email the candidate their private status link, recording when it went out
+const sendPortalLink = async (application, internship, options) => {
+  const { token, expiresAt } = application.createPortalToken();
+  const portalUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/application-status/${token}`;
+  await emailService.sendApplicationReceived(application, internship, portalUrl, expiresAt, options);
+  await Application.updateOne({ _id: application._id }, { portalLinkSentAt: new Date() });
+};
+
 // @route   POST api/applications
 // @desc    Submit a new application
 // @access  Public
 router.post('/', async (req, res) => {
-  const { internshipId, name, email, phone, resume } = req.body;
+  const { internshipId, name, email, phone, resume, answers: rawAnswers } = req.body;
 
   try {
-    // Check if the internship exists and is open
+    // Check if the internship exists and is still accepting applications
     const internship = await Internship.findById(internshipId);
-    if (!internship || !internship.isOpen) {
-      return res.status(404).json({ msg: 'Internship not found or is no longer open' });
+    if (!internship) {
+      return res.status(404).json({ msg: 'Internship not found' });
+    }
+    if (internship.isDeadlinePassed) {
+      return res.status(400).json({
+        msg: `Applications for ${internship.title} closed on ${internship.applicationDeadline.toDateString()}.`
+      });
+    }
+    if (!internship.isOpen || await internship.isFilled()) {
+      return res.status(400).json({ msg: `${internship.title} is no longer accepting applications.` });
+    }
+
+    // One application per person per internship; point repeat applicants at their existing one
+    const existing = await Application.findDuplicate(internship._id, { email, phone });
+    if (existing) {
+      if (existing.canResendPortalLink()) {
+        try {
+          await sendPortalLink(existing, internship, { alreadyApplied: true });
+        } catch (emailError) {
+          console.error('Error resending application link:', emailError);
+        }
+      }
+      return res.status(409).json({
+        msg: `You already applied for ${internship.title} on ${existing.appliedAt.toDateString()}. ` +
+          'We have emailed you a link to check your application, where you can also upload an updated resume.',
+        alreadyApplied: true
+      });
     }
 
-    // Validate resume URL (should be a Cloudinary URL)
-    if (!resume || typeof resume !== 'string' || !resume.startsWith('http') || !resume.includes('cloudinary.com')) {
-      return res.status(400).json({ msg: 'Resume must be uploaded and a valid Cloudinary URL provided.' });
+    // The resume must already have been uploaded through /api/upload/resume
+    if (!(await resumeStorage.isValidResume(resume))) {
+      return res.status(400).json({ msg: 'Please upload your resume before submitting the application.' });
+    }
+
+    // Validate the answers to this posting's screening questions
+    const { answers, errors } = internship.checkAnswers(rawAnswers || {});
+    if (errors.length) {
+      return res.status(400).json({ msg: errors[0].message, errors });
     }
 
     const newApplication = new Application({
@@ -39,19 +123,24 @@ router.post('/', async (req, res) => {
       name,
       email,
       phone,
-      resume
+      resume,
+      resumeText: await extractResumeText(resume),
+      answers
     });
 
     const application = await newApplication.save();
+    await resumeStorage.claimResume(application.resume);
 
     // Email Notification Logic with resume attachment
     let attachments = [];
     try {
-      // Fetch the PDF as a buffer
-      const pdfResponse = await axios.get(newApplication.resume, { responseType: 'arraybuffer' });
+      // Read the PDF as a buffer from storage, or from Cloudinary for older uploads
+      const content = resumeStorage.isLegacyUrl(newApplication.resume)
+        ? Buffer.from((await axios.get(newApplication.resume, { responseType: 'arraybuffer' })).data, 'binary')
+        : await resumeStorage.readResume(newApplication.resume);
       attachments.push({
         filename: `${newApplication.name.replace(/\s+/g, '_')}_Resume.pdf`,
-        content: Buffer.from(pdfResponse.data, 'binary'),
+        content,
         contentType: 'application/pdf'
       });
     } catch (fetchErr) {
@@ -65,11 +154,12 @@ router.post('/', async (req, res) => {
       subject: `New Application for ${internship.title}`,
       html: `
         <h3>New Internship Application</h3>
-        <p><strong>Position:</strong> ${internship.title}</p>
-        <p><strong>Applicant Name:</strong> ${newApplication.name}</p>
-        <p><strong>Email:</strong> ${newApplication.email}</p>
-        <p><strong>Phone:</strong> ${newApplication.phone}</p>
-        <p><strong>Resume:</strong> <a href="${newApplication.resume}" target="_blank">View Resume</a></p>
+        <p><strong>Position:</strong> ${escapeHtml(internship.title)}</p>
+        <p><strong>Applicant Name:</strong> ${escapeHtml(newApplication.name)}</p>
+        <p><strong>Email:</strong> ${escapeHtml(newApplication.email)}</p>
+        <p><strong>Phone:</strong> ${escapeHtml(newApplication.phone)}</p>
+        <p><strong>Resume:</strong> attached, and available from the admin panel</p>
+        ${answers.map(answer => `<p><strong>${escapeHtml(answer.label)}:</strong> ${formatAnswer(answer)}</p>`).join('')}
         <p>This application was submitted on ${application.appliedAt.toDateString()}.</p>
       `,
       attachments
@@ -84,6 +174,13 @@ router.post('/', async (req, res) => {
       // The application is already saved.
     }
 
+    // Give the candidate a private link to follow their application
+    try {
+      await sendPortalLink(application, internship);
+    } catch (emailError) {
+      console.error('Error sending applicant confirmation email:', emailError);
+    }
+
     res.json({ msg: 'Application submitted successfully!', application });
   } catch (err) {
     console.error(err.message);
@@ -94,4 +191,147 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/applications/portal/:token
+ * @desc    Candidate view of their application via the emailed link
+ * @access  Public (signed link)
+ */
+router.get('/portal/:token', getPortalApplication);
+
+/**
+ * @route   POST /api/applications/portal/:token/withdraw
+ * @desc    Candidate withdraws their application
+ * @access  Public (signed link)
+ */
+router.post('/portal/:token/withdraw', withdrawPortalApplication);
+
+/**
+ * @route   POST /api/applications/portal/:token/resume
+ * @desc    Candidate replaces their resume with a newer upload
+ * @access  Public (signed link)
+ */
+router.post('/portal/:token/resume', updatePortalResume);
+
+/**
+ * @route   GET /api/applications/resume/:token
+ * @desc    Download a resume through a short-lived link issued to an admin
+ * @access  Public (signed link)
+ */
+router.get('/resume/:token', downloadResume);
+
+// Admin pipeline routes below this point
+router.use(protect, isAdminOrSubAdmin);
+
+/**
+ * @route   GET /api/applications
+ * @desc    List applications, filterable by internship, status and search term
+ * @access  Private/Admin
+ */
+router.get('/', getApplications);
+
+/**
+ * @route   GET /api/applications/search
+ * @desc    Keyword search across resume text (q), with highlighted snippets
+ * @access  Private/Admin
+ */
+router.get('/search', searchResumes);
+
+/**
+ * @route   GET /api/applications/stats
+ * @desc    Application counts per status and the allowed status transitions
+ * @access  Private/Admin
+ */
+router.get('/stats', getApplicationStats);
+
+/**
+ * @route   GET /api/applications/export
+ * @desc    Stream filtered applications as CSV or XLSX (format, internship, status, from, to, search)
+ * @access  Private/Admin
+ */
+router.get('/export', exportApplications);
+
+/**
+ * @route   GET /api/applications/duplicates
+ * @desc    Groups of applications that share an email or phone, across internships
+ * @access  Private/Admin
+ */
+router.get('/duplicates', getDuplicateGroups);
+
+/**
+ * @route   GET /api/applications/email-templates
+ * @desc    Templates available for emailing applicants
+ * @access  Private/Admin
+ */
+router.get('/email-templates', getEmailTemplates);
+
+/**
+ * @route   POST /api/applications/bulk-email
+ * @desc    Email a template to chosen applications (applicationIds) or a whole status
+ * @access  Private/Admin
+ */
+router.post('/bulk-email', sendBulkEmail);
+
+/**
+ * @route   POST /api/applications/emails/retry-failed
+ * @desc    Retry every applicant email that failed to send
+ * @access  Private/Admin
+ */
+router.post('/emails/retry-failed', retryFailedEmails);
+
+/**
+ * @route   GET /api/applications/:id
+ * @desc    Get a single application with its status history
+ * @access  Private/Admin
+ */
+router.get('/:id', getApplication);
+
+/**
+ * @route   PATCH /api/applications/:id/status
+ * @desc    Move an application through the hiring pipeline
+ * @access  Private/Admin
+ */
+router.patch('/:id/status', updateApplicationStatus);
+
+/**
+ * @route   PUT /api/applications/:id/scorecard
+ * @desc    Rate the candidate 1-5 on each of the internship's criteria, with an optional comment
+ * @access  Private/Admin
+ */
+router.put('/:id/scorecard', updateScorecard);
+
+/**
+ * @route   GET /api/applications/:id/interviews
+ * @desc    Interviews scheduled for an application
+ * @access  Private/Admin
+ */
+router.get('/:id/interviews', getApplicationInterviews);
+
+/**
+ * @route   GET /api/applications/:id/related
+ * @desc    Other applications from the same candidate
+ * @access  Private/Admin
+ */
+router.get('/:id/related', getRelatedApplications);
+
+/**
+ * @route   GET /api/applications/:id/resume-url
+ * @desc    Short-lived signed link for downloading the applicant's resume
+ * @access  Private/Admin
+ */
+router.get('/:id/resume-url', getResumeUrl);
+
+/**
+ * @route   POST /api/applications/:id/interviews
+ * @desc    Schedule an interview and email the candidate a calendar invitation
+ * @access  Private/Admin
+ */
+router.post('/:id/interviews', scheduleInterview);
+
+/**
+ * @route   POST /api/applications/:id/emails/:emailId/retry
+ * @desc    Retry a failed email to the applicant
+ * @access  Private/Admin
+ */
+router.post('/:id/emails/:emailId/retry', retryEmail);
+
 module.exports = router;
@@ -19,6 +19,7 @@ router.route('/')
 router.route('/:id')
   .get(eventController.getEvent)
   .patch(eventController.updateEvent)
+  .put(eventController.updateEvent)
   .delete(eventController.deleteEvent);
 
 module.exports = router;
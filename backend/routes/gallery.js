@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const galleryController = require('../controllers/galleryController');
+const engagementController = require('../controllers/engagementController');
 const { protect, authorize } = require('../middleware/auth');
+const { publicApiLimiter } = require('../middleware/rateLimiter');
 const { upload } = require('../utils/multer');
 const advancedResults = require('../middleware/advancedResults');
 const Album = require('../models/Album');
@@ -23,6 +25,10 @@ router
   .route('/:id')
   .get(galleryController.getGalleryItem);
 
+router.get('/:id/engagement', engagementController.getGalleryEngagement);
+router.post('/:id/like', publicApiLimiter, engagementController.likeGalleryItem);
+router.post('/:id/share', publicApiLimiter, engagementController.shareGalleryItem);
+
 // --- Protected Routes ---
 router.use(protect);
 
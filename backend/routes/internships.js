@@ -3,6 +3,7 @@ const multer = require('multer');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const cloudinary = require('../config/cloudinary');
 const Internship = require('../models/internship.model');
+const { protect, isAdminOrSubAdmin } = require('../middleware/auth');
 
 const storage = new CloudinaryStorage({
   cloudinary,
@@ -15,12 +16,82 @@ const storage = new CloudinaryStorage({
 
 const upload = multer({ storage });
 
+// Arrays arrive as JSON strings in multipart requests
+const parseJsonArray = (value, name) => {
+    if (typeof value !== 'string') return Array.isArray(value) ? value : [];
+    try {
+        const parsed = value ? JSON.parse(value) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+        const error = new Error(`${name} must be valid JSON`);
+        error.name = 'ValidationError';
+        throw error;
+    }
+};
+
+// Pull the posting details out of a multipart body. Returns only the fields
+// that were sent so partial updates leave the rest untouched.
+const parsePostingFields = (body) => {
+    const fields = {};
+
+    ['location', 'workMode', 'duration', 'stipend'].forEach((key) => {
+        if (body[key] !== undefined) fields[key] = body[key];
+    });
+
+    if (body.requiredSkills !== undefined) {
+        const skills = Array.isArray(body.requiredSkills)
+            ? body.requiredSkills
+            : String(body.requiredSkills).split(',');
+        fields.requiredSkills = skills.map(skill => skill.trim()).filter(Boolean);
+    }
+
+    if (body.openings !== undefined && body.openings !== '') {
+        fields.openings = Number(body.openings);
+    }
+
+    if (body.applicationDeadline !== undefined) {
+        fields.applicationDeadline = body.applicationDeadline ? new Date(body.applicationDeadline) : null;
+    }
+
+    if (body.questions !== undefined) {
+        fields.questions = parseJsonArray(body.questions, 'Screening questions').map(q => ({
+            _id: q._id,
+            label: q.label,
+            type: q.type,
+            required: q.required === true || q.required === 'true',
+            helpText: q.helpText,
+            options: q.type === 'multiple_choice'
+                ? (q.options || []).map(option => String(option).trim()).filter(Boolean)
+                : undefined
+        }));
+    }
+
+    if (body.scoringCriteria !== undefined) {
+        fields.scoringCriteria = parseJsonArray(body.scoringCriteria, 'Scoring criteria').map(c => ({
+            _id: c._id,
+            label: c.label,
+            description: c.description
+        }));
+    }
+
+    return fields;
+};
+
 router.get('/', (req, res) => {
   Internship.find().sort({ createdAt: -1 })
     .then(internships => res.json(internships))
     .catch(err => res.status(400).json({ msg: 'Error: ' + err }));
 });
 
+// @route   GET api/internships/manage
+// @desc    All internships with their scoring criteria, for the admin panel
+// @access  Private/Admin
+router.get('/manage', protect, isAdminOrSubAdmin, (req, res) => {
+  Internship.find().select('+scoringCriteria').sort({ createdAt: -1 })
+    .then(internships => res.json(internships))
+    .catch(err => res.status(400).json({ msg: 'Error: ' + err }));
+});
+
 // @route   GET api/internships/:id
 // @desc    Get a single internship by ID
 // @access  Public
@@ -38,8 +109,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/internships/add
 // @desc    Add a new internship
-// @access  Private (should be protected)
-router.post('/add', upload.single('photo'), async (req, res) => {
+// @access  Private/Admin
+router.post('/add', protect, isAdminOrSubAdmin, upload.single('photo'), async (req, res) => {
     console.log('Received request to add internship');
     
     try {
@@ -72,6 +143,7 @@ router.post('/add', upload.single('photo'), async (req, res) => {
             description,
             eligibility: eligibility || '',
             isOpen: isOpen !== undefined ? isOpen : true,
+            ...parsePostingFields(req.body),
             photo: req.file ? req.file.path : undefined,
             photoPublicId: req.file ? req.file.filename : undefined
         });
@@ -87,6 +159,13 @@ router.post('/add', upload.single('photo'), async (req, res) => {
         });
         
     } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: err.message
+            });
+        }
+
         console.error('Error adding internship:', {
             error: err,
             message: err.message,
@@ -102,12 +181,10 @@ router.post('/add', upload.single('photo'), async (req, res) => {
     }
 });
 
-// @route   POST api/internships/update-with-photo/:id
-// @desc    Update an internship (with/without new photo) - for React admin update form
-// @access  Private (should be protected)
-router.post('/update-with-photo/:id', upload.single('photo'), async (req, res) => {
+// Shared handler for the update routes below
+const updateInternship = async (req, res) => {
     try {
-        const internship = await Internship.findById(req.params.id);
+        const internship = await Internship.findById(req.params.id).select('+scoringCriteria');
         if (!internship) {
             return res.status(404).json({ msg: 'Internship not found' });
         }
@@ -126,6 +203,7 @@ router.post('/update-with-photo/:id', upload.single('photo'), async (req, res) =
         internship.title = title || internship.title;
         internship.description = description || internship.description;
         internship.eligibility = eligibility || internship.eligibility;
+        internship.set(parsePostingFields(req.body));
         if (isOpen !== undefined) {
             internship.isOpen = isOpen;
         }
@@ -135,51 +213,32 @@ router.post('/update-with-photo/:id', upload.single('photo'), async (req, res) =
 
     } catch (err) {
         console.error('Error updating internship:', err);
+        if (err.name === 'ValidationError' || err.name === 'CastError') {
+            return res.status(400).json({ msg: err.message });
+        }
         res.status(500).json({ msg: 'Server error while updating internship.' });
     }
-});
+};
+
+// @route   POST api/internships/update-with-photo/:id
+// @desc    Update an internship (with/without new photo) - for React admin update form
+// @access  Private/Admin
+router.post('/update-with-photo/:id', protect, isAdminOrSubAdmin, upload.single('photo'), updateInternship);
 
 // @route   POST api/internships/update/:id
 // @desc    Update an internship
-// @access  Private (should be protected)
-router.post('/update/:id', upload.single('photo'), async (req, res) => {
-    try {
-        const internship = await Internship.findById(req.params.id);
-        if (!internship) {
-            return res.status(404).json({ msg: 'Internship not found' });
-        }
-
-        // If a new photo is uploaded, delete the old one from Cloudinary and update fields
-        if (req.file) {
-            if (internship.photoPublicId) {
-                await cloudinary.uploader.destroy(internship.photoPublicId);
-            }
-            internship.photo = req.file.path;
-            internship.photoPublicId = req.file.filename;
-        }
-
-        // Update other fields
-        const { title, description, eligibility, isOpen } = req.body;
-        internship.title = title || internship.title;
-        internship.description = description || internship.description;
-        internship.eligibility = eligibility || internship.eligibility;
-        if (isOpen !== undefined) {
-            internship.isOpen = isOpen;
-        }
+// @access  Private/Admin
+router.post('/update/:id', protect, isAdminOrSubAdmin, upload.single('photo'), updateInternship);
 
-        await internship.save();
-        res.json({ msg: 'Internship updated successfully', internship });
-
-    } catch (err) {
-        console.error('Error updating internship:', err);
-        res.status(500).json({ msg: 'Server error while updating internship.' });
-    }
-});
+// @route   PUT api/internships/:id
+// @desc    Update an internship - used by the admin panel
+// @access  Private/Admin
+router.put('/:id', protect, isAdminOrSubAdmin, upload.single('photo'), updateInternship);
 
 // @route   DELETE api/internships/:id
 // @desc    Delete an internship
-// @access  Private (should be protected)
-router.delete('/:id', async (req, res) => {
+// @access  Private/Admin
+router.delete('/:id', protect, isAdminOrSubAdmin, async (req, res) => {
     try {
         const internship = await Internship.findById(req.params.id);
         if (!internship) {
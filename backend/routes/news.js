@@ -1,19 +1,33 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const newsController = require('../controllers/newsController');
+const categoryController = require('../controllers/newsCategoryController');
+const commentController = require('../controllers/newsCommentController');
+const revisionController = require('../controllers/newsRevisionController');
+const previewController = require('../controllers/newsPreviewController');
+const markdownController = require('../controllers/newsMarkdownController');
+const feedController = require('../controllers/newsFeedController');
+const engagementController = require('../controllers/engagementController');
 const { protect, authorize } = require('../middleware/auth');
+const { publicApiLimiter } = require('../middleware/rateLimiter');
 const { upload } = require('../utils/multer');
 
 // Debug: Log all controller methods that are being used
 const requiredHandlers = [
   'getAllNews',
   'getCategories',
+  'getArchives',
   'getNewsBySlug',
   'getRelatedArticles',
   'createArticle',
   'updateArticle',
   'deleteArticle',
-  'toggleFeatured'
+  'toggleFeatured',
+  'getManagedArticle',
+  'scheduleArticle',
+  'updateStatus',
+  'setRelatedNews'
 ];
 
 // Verify all required handlers exist
@@ -27,15 +41,66 @@ console.log('✅ All required news handlers are available');
 
 const uploadSingle = upload('featuredImage');
 
+// Markdown files, their images and zips of both, read in memory by the import
+const uploadMarkdown = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 200 }
+}).array('files');
+
 // Public routes
 router.get('/', newsController.getAllNews);
 router.get('/categories', newsController.getCategories);
-router.get('/:slug', newsController.getNewsBySlug);
+router.get('/categories/tree', categoryController.getCategoryTree);
+router.get('/archives', newsController.getArchives);
+router.get('/feed.:format', feedController.getFeed);
+router.get('/categories/:slug/feed.:format', feedController.getFeed);
+router.get('/tags/:tag/feed.:format', feedController.getFeed);
+// Declared before /:slug, which would otherwise match them
+router.get('/comments', protect, authorize('admin', 'sub-admin'), commentController.getModerationQueue);
+router.get('/manage', protect, authorize('admin', 'sub-admin'), newsController.getAllNews);
+router.get('/manage/:id', protect, authorize('admin', 'sub-admin'), newsController.getManagedArticle);
+router.get('/export', protect, authorize('admin', 'sub-admin'), markdownController.exportArticles);
+// A valid `preview` token shows the article whatever its status
+router.get('/:slug', previewController.getPreviewArticle, newsController.getNewsBySlug);
 router.get('/:id/related', newsController.getRelatedArticles);
+router.get('/:id/comments', commentController.getComments);
+router.post('/:id/comments', publicApiLimiter, commentController.createComment);
+router.get('/:id/engagement', engagementController.getNewsEngagement);
+router.post('/:id/like', publicApiLimiter, engagementController.likeNews);
+router.post('/:id/share', publicApiLimiter, engagementController.shareNews);
 
 // Protected routes (require authentication)
 router.use(protect);
 
+// Category management
+router.get('/categories/manage', authorize('admin', 'sub-admin'), categoryController.getManagedCategories);
+router.post('/categories', authorize('admin', 'sub-admin'), categoryController.createCategory);
+router.patch('/categories/reorder', authorize('admin', 'sub-admin'), categoryController.reorderCategories);
+router.put('/categories/:id', authorize('admin', 'sub-admin'), categoryController.updateCategory);
+router.delete('/categories/:id', authorize('admin'), categoryController.deleteCategory);
+
+// Comment moderation
+router.patch('/comments/moderate', authorize('admin', 'sub-admin'), commentController.moderateComments);
+router.delete('/comments/:commentId', authorize('admin'), commentController.deleteComment);
+router.patch('/:id/comments', authorize('admin', 'sub-admin'), commentController.setCommentsOpen);
+
+// Revision history
+router.get('/:id/revisions', authorize('admin', 'sub-admin'), revisionController.getRevisions);
+router.get('/:id/revisions/compare', authorize('admin', 'sub-admin'), revisionController.compareRevisions);
+router.post('/:id/revisions/:number/restore', revisionController.restoreRevision);
+
+// Preview links; the controller limits them to the article's author and admins
+router.get('/:id/preview-links', authorize('admin', 'sub-admin'), previewController.getPreviewLinks);
+router.post('/:id/preview-links', authorize('admin', 'sub-admin'), previewController.createPreviewLink);
+router.delete('/:id/preview-links/:linkId', authorize('admin', 'sub-admin'), previewController.revokePreviewLink);
+
+// Markdown import and export
+router.post('/import', authorize('admin', 'sub-admin'), uploadMarkdown, markdownController.importArticles);
+router.get('/:id/export', authorize('admin', 'sub-admin'), markdownController.exportArticle);
+
+// Editorial workflow; the controller decides which moves each role may make
+router.patch('/:id/status', authorize('admin', 'sub-admin'), newsController.updateStatus);
+
 // Author and Admin routes
 router.post('/', uploadSingle, newsController.createArticle);
 router.put('/:id', uploadSingle, newsController.updateArticle);
@@ -44,5 +109,7 @@ router.delete('/:id', newsController.deleteArticle);
 // Admin-only routes
 router.use(authorize('admin'));
 router.patch('/:id/featured', newsController.toggleFeatured);
+router.patch('/:id/schedule', newsController.scheduleArticle);
+router.put('/:id/related', newsController.setRelatedNews);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const newsletterController = require('../controllers/newsletterController');
+const { protect, authorize } = require('../middleware/auth');
+const { publicApiLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Public routes; confirm and unsubscribe are reached through links in emails
+router.post('/subscribe', publicApiLimiter, newsletterController.subscribe);
+router.post('/confirm/:token', publicApiLimiter, newsletterController.confirmSubscription);
+router.get('/unsubscribe/:token', publicApiLimiter, newsletterController.getSubscription);
+router.post('/unsubscribe/:token', publicApiLimiter, newsletterController.unsubscribe);
+
+// Protected routes (require authentication)
+router.use(protect, authorize('admin', 'sub-admin'));
+
+router.get('/subscribers', newsletterController.getSubscribers);
+router.get('/digests', newsletterController.getDigests);
+router.get('/digest/preview', newsletterController.previewDigest);
+router.post('/digest/test', newsletterController.sendTestDigest);
+
+// Subscriber addresses only leave the admin panel with an admin's say-so
+router.get('/subscribers/export', authorize('admin'), newsletterController.exportSubscribers);
+router.delete('/subscribers/:id', authorize('admin'), newsletterController.deleteSubscriber);
+
+module.exports = router;
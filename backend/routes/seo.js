@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const seoController = require('../controllers/seoController');
+
+// Served from the site root, where crawlers look for them
+router.get('/robots.txt', seoController.getRobots);
+router.get('/sitemap.xml', seoController.getSitemap);
+router.get('/sitemap-:page(\\d+).xml', seoController.getSitemapPage);
+
+module.exports = router;
@@ -1,9 +1,9 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const { storage: cloudinaryStorage } = require('../config/cloudinary'); // Cloudinary storage for images
-const cloudinary = require('../config/cloudinary');
-const streamifier = require('streamifier');
+const { protect, isAdminOrSubAdmin } = require('../middleware/auth');
+const { publicApiLimiter } = require('../middleware/rateLimiter');
+const resumeStorage = require('../services/resumeStorage.service');
 
 const router = express.Router();
 
@@ -12,7 +12,7 @@ const multerCloudinary = require('multer');
 const imageUpload = multerCloudinary({ storage: cloudinaryStorage });
 
 // New route for uploading images to Cloudinary (for News & Gallery)
-router.post('/image', imageUpload.single('image'), (req, res) => {
+router.post('/image', protect, isAdminOrSubAdmin, imageUpload.single('image'), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ message: 'Image upload failed. Please try again.' });
   }
@@ -24,115 +24,44 @@ router.post('/image', imageUpload.single('image'), (req, res) => {
 });
 
 
-const storage = multer.memoryStorage();
-
-function checkFileType(file, cb) {
-  const filetypes = /pdf/;
-  const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = filetypes.test(file.mimetype);
-  if (mimetype && extname) {
-    return cb(null, true);
-  } else {
-    cb('Error: PDFs Only!');
-  }
-}
-
+// Resumes are kept in memory until their contents have been checked, then handed to storage
 const upload = multer({
-  storage,
-  limits: { fileSize: 2000000 },
-  fileFilter: function (req, file, cb) {
-    checkFileType(file, cb);
-  }
+  storage: multer.memoryStorage(),
+  limits: { fileSize: resumeStorage.MAX_RESUME_SIZE, files: 1 }
 }).single('resume');
 
-router.post('/resume', (req, res) => {
-  console.log('Upload request received. Checking file...');
-  
+// Applicants upload before they submit, so this route is public but rate limited
+router.post('/resume', publicApiLimiter, (req, res) => {
   upload(req, res, async (err) => {
     if (err) {
-      console.error('Multer upload error:', err);
-      return res.status(400).json({ 
-        success: false,
-        error: 'File upload failed',
-        details: err.toString() 
-      });
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ success: false, error: 'File is too large. Maximum size is 2MB.' });
+      }
+      console.error('Resume upload error:', err);
+      return res.status(400).json({ success: false, error: 'File upload failed' });
     }
-    
+
     if (!req.file) {
-      console.error('No file in request');
-      return res.status(400).json({ 
-        success: false,
-        error: 'No file selected or file is too large (max 2MB)'
-      });
+      return res.status(400).json({ success: false, error: 'No file selected' });
     }
+
+    // Check the file's contents rather than trusting its name or reported type
+    if (!resumeStorage.isPdf(req.file.buffer)) {
+      return res.status(400).json({ success: false, error: 'Uploaded file is not a valid PDF.' });
+    }
+
     try {
-      // Debug: log file details
-      console.log('Received file:', {
-        originalname: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size
+      const resume = await resumeStorage.saveResume(req.file.buffer);
+      return res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        resume
       });
-      console.log('Buffer length:', req.file.buffer.length);
-      // Check PDF signature before uploading
-      const pdfSignature = req.file.buffer.slice(0, 4).toString();
-            if (pdfSignature !== '%PDF') {
-                return res.status(400).json({ msg: 'Uploaded file is not a valid PDF.' });
-            }
-
-            console.log('Starting Cloudinary upload...');
-            const public_id = `${path.parse(req.file.originalname).name}-${Date.now()}`;
-            
-            console.log('Uploading to folder: goklyn-portfolio/resumes');
-            console.log('Public ID:', public_id);
-            
-            // Create a promise to handle the upload
-            const uploadResult = await new Promise((resolve, reject) => {
-                const uploadStream = cloudinary.uploader.upload_stream(
-                    {
-                        resource_type: 'raw',
-                        folder: 'goklyn-portfolio/resumes',
-                        public_id: public_id,
-                        type: 'upload',
-                        format: 'pdf'
-                    },
-                    (error, result) => {
-                        if (error) {
-                            console.error('Cloudinary upload error:', error);
-                            reject(error);
-                        } else {
-                            console.log('Cloudinary upload successful:', {
-                                url: result.secure_url,
-                                public_id: result.public_id,
-                                format: result.format
-                            });
-                            resolve(result);
-                        }
-                    }
-                );
-                
-                // Handle stream errors
-                uploadStream.on('error', (error) => {
-                    console.error('Upload stream error:', error);
-                    reject(new Error('Failed to process file upload'));
-                });
-                
-                // Pipe the file buffer to the upload stream
-                streamifier.createReadStream(req.file.buffer).pipe(uploadStream);
-            });
-            
-            // If we get here, upload was successful
-            return res.status(200).json({
-                success: true,
-                message: 'File uploaded successfully',
-                url: uploadResult.secure_url,
-                public_id: uploadResult.public_id,
-                format: uploadResult.format,
-                created_at: uploadResult.created_at
-            });
-        } catch (e) {
-            return res.status(500).json({ msg: 'Server error uploading file', error: e.message });
-        }
-    });
+    } catch (e) {
+      console.error('Error storing resume:', e);
+      return res.status(500).json({ success: false, error: 'Server error uploading file' });
+    }
+  });
 });
 
 module.exports = router;
@@ -4,6 +4,7 @@
 const app = require('./app');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+const { initScheduledJobs } = require('./utils/scheduler');
 
 // Import all models to ensure they're registered before any queries
 require('./models');
@@ -87,6 +88,7 @@ const startServer = async () => {
     // Connect to MongoDB if MONGO_URI is provided
     if (process.env.MONGO_URI) {
       await connectWithRetry();
+      initScheduledJobs();
     } else {
       console.log('No database connection configured. Running in API-only mode.');
     }
@@ -0,0 +1,119 @@
+const emailService = require('./email.service');
+
+// Templates under views/emails/applicant. Subjects and next steps may use
+// {{name}}, {{firstName}} and {{internshipTitle}}, filled in per candidate.
+const APPLICANT_TEMPLATES = {
+  update: {
+    name: 'General update',
+    subject: 'An update on your application for {{internshipTitle}}'
+  },
+  shortlisted: {
+    name: 'Shortlisted',
+    subject: "You've been shortlisted for {{internshipTitle}}"
+  },
+  offer: {
+    name: 'Offer',
+    subject: 'Your offer for the {{internshipTitle}} internship'
+  },
+  rejection: {
+    name: 'Rejection',
+    subject: 'Your application for {{internshipTitle}}'
+  }
+};
+
+// Most recipients one bulk request may email, and how many sends run at once
+const MAX_BULK_RECIPIENTS = 500;
+const SEND_CONCURRENCY = 5;
+
+const fillPlaceholders = (text = '', values) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match));
+
+const placeholderValues = (application) => ({
+  name: application.name,
+  firstName: application.name.split(' ')[0],
+  internshipTitle: application.internship?.title || 'the internship'
+});
+
+/**
+ * Template choices for the admin UI
+ * @returns {Array<{key: string, name: string, subject: string}>}
+ */
+const listTemplates = () =>
+  Object.entries(APPLICANT_TEMPLATES).map(([key, { name, subject }]) => ({ key, name, subject }));
+
+/**
+ * Send one logged email and record the outcome on the application, which is then saved.
+ * A failed send is recorded rather than thrown so it can be retried later.
+ * @param {Object} application - Application document with `internship` populated
+ * @param {Object} email - A new entry ({template, subject, nextSteps}) or a failed one from `emails`
+ * @param {ObjectId} [changedBy] - User sending the email
+ * @returns {Promise<Object>} The log entry
+ */
+const deliver = async (application, email, changedBy) => {
+  let error;
+  try {
+    await emailService.sendTemplate({
+      to: application.email,
+      subject: email.subject,
+      template: `applicant/${email.template}`,
+      locals: {
+        firstName: placeholderValues(application).firstName,
+        internshipTitle: application.internship?.title || 'Goklyn',
+        // Blank lines separate paragraphs
+        nextSteps: (email.nextSteps || '').split(/\r?\n\s*\r?\n/).map(p => p.trim()).filter(Boolean)
+      }
+    });
+  } catch (err) {
+    console.error(`Failed to email application ${application._id}:`, err);
+    error = err;
+  }
+
+  const entry = application.recordEmail(email, { error, changedBy });
+  await application.save();
+  return entry;
+};
+
+/**
+ * Email each application the chosen template, filling in placeholders per candidate
+ * @param {Array} applications - Application documents with `internship` populated
+ * @param {Object} options
+ * @param {string} options.template - Key from APPLICANT_TEMPLATES
+ * @param {string} [options.subject] - Overrides the template's default subject
+ * @param {string} [options.nextSteps] - Extra paragraphs for the body
+ * @param {ObjectId} [changedBy] - User sending the emails
+ * @returns {Promise<{sent: number, failed: Array<{application: ObjectId, name: string, error: string}>}>}
+ */
+const sendBulk = async (applications, { template, subject, nextSteps }, changedBy) => {
+  const subjectTemplate = subject || APPLICANT_TEMPLATES[template].subject;
+  const result = { sent: 0, failed: [] };
+
+  const queue = [...applications];
+  const worker = async () => {
+    while (queue.length) {
+      const application = queue.shift();
+      const values = placeholderValues(application);
+      const entry = await deliver(application, {
+        template,
+        subject: fillPlaceholders(subjectTemplate, values),
+        nextSteps: fillPlaceholders(nextSteps, values)
+      }, changedBy);
+
+      if (entry.status === 'sent') {
+        result.sent++;
+      } else {
+        result.failed.push({ application: application._id, name: application.name, error: entry.error });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(SEND_CONCURRENCY, queue.length) }, worker));
+  return result;
+};
+
+module.exports = {
+  APPLICANT_TEMPLATES,
+  MAX_BULK_RECIPIENTS,
+  listTemplates,
+  deliver,
+  sendBulk
+};
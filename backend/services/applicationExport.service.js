@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Application = require('../models/application.model');
+const Internship = require('../models/internship.model');
+const { isLegacyUrl } = require('./resumeStorage.service');
+const { checkOpen, waitForDrain, writeCsvLine } = require('../utils/csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const BASE_COLUMNS = [
+  { header: 'Applied At', width: 20 },
+  { header: 'Name', width: 25 },
+  { header: 'Email', width: 30 },
+  { header: 'Phone', width: 18 },
+  { header: 'Internship', width: 30 },
+  { header: 'Status', width: 14 },
+  { header: 'Resume', width: 40 }
+];
+
+const formatAnswer = (answer) => {
+  if (!answer) return '';
+  if (answer.type === 'yes_no') return answer.value ? 'Yes' : 'No';
+  return String(answer.value ?? '');
+};
+
+/**
+ * Work out one column per screening question answered by the exported applications,
+ * in the order the questions appear on each posting. Answers to questions that have
+ * since been removed from a posting are still exported, after the current ones.
+ * @param {Object} filter - Application filter
+ * @returns {Promise<Array<{id: string, header: string}>>}
+ */
+const getAnswerColumns = async (filter) => {
+  // Aggregation does not cast like find() does
+  const match = { ...filter };
+  if (typeof match.internship === 'string') {
+    match.internship = new mongoose.Types.ObjectId(match.internship);
+  }
+
+  const answered = await Application.aggregate([
+    { $match: match },
+    { $unwind: '$answers' },
+    {
+      $group: {
+        _id: '$answers.question',
+        label: { $last: '$answers.label' },
+        internship: { $first: '$internship' }
+      }
+    }
+  ]);
+  if (!answered.length) return [];
+
+  const internshipIds = [...new Set(answered.map(a => a.internship.toString()))];
+  const internships = await Internship.find({ _id: { $in: internshipIds } })
+    .select('title questions')
+    .sort('title')
+    .lean();
+  const titles = new Map(internships.map(i => [i._id.toString(), i.title]));
+  const prefixTitle = internshipIds.length > 1;
+
+  const byId = new Map(answered.map(a => [a._id.toString(), a]));
+  const ordered = [];
+  internships.forEach((internship) => {
+    internship.questions.forEach((question) => {
+      const id = question._id.toString();
+      if (byId.has(id)) {
+        ordered.push(byId.get(id));
+        byId.delete(id);
+      }
+    });
+  });
+  ordered.push(...byId.values());
+
+  return ordered.map(({ _id, label, internship }) => ({
+    id: _id.toString(),
+    header: prefixTitle ? `${titles.get(internship.toString()) || 'Internship'}: ${label}` : label
+  }));
+};
+
+// Stored resumes are only served through signed links, so spreadsheets can't link to them
+const formatResume = (resume) => (isLegacyUrl(resume) ? resume : 'Download from the admin panel');
+
+const toRow = (application, answerColumns) => {
+  const answers = new Map(application.answers.map(a => [a.question.toString(), a]));
+  return [
+    application.appliedAt,
+    application.name,
+    application.email,
+    application.phone,
+    application.internship?.title || '',
+    application.status,
+    formatResume(application.resume),
+    ...answerColumns.map(column => formatAnswer(answers.get(column.id)))
+  ];
+};
+
+// Both writers return the number of applications written
+const writeCsv = async (cursor, answerColumns, stream) => {
+  let count = 0;
+  // BOM so Excel opens the file as UTF-8
+  stream.write('\uFEFF');
+  await writeCsvLine(stream, [...BASE_COLUMNS.map(c => c.header), ...answerColumns.map(c => c.header)]);
+  for await (const application of cursor) {
+    await writeCsvLine(stream, toRow(application, answerColumns));
+    count++;
+  }
+  stream.end();
+  return count;
+};
+
+const writeXlsx = async (cursor, answerColumns, stream) => {
+  let count = 0;
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheet = workbook.addWorksheet('Applications', { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = [
+    ...BASE_COLUMNS.map(({ header, width }) => ({ header, width })),
+    ...answerColumns.map(({ header }) => ({ header, width: 30 }))
+  ];
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getColumn(1).numFmt = 'yyyy-mm-dd hh:mm';
+
+  for await (const application of cursor) {
+    checkOpen(stream);
+    const row = worksheet.addRow(toRow(application, answerColumns));
+    if (isLegacyUrl(application.resume)) {
+      row.getCell(7).value = { text: application.resume, hyperlink: application.resume };
+    }
+    row.commit();
+    count++;
+    // The workbook pipes into the stream on its own and would buffer every row
+    // for a slow client, so stop adding rows until it catches up
+    if (stream.writableNeedDrain) await waitForDrain(stream);
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+  return count;
+};
+
+/**
+ * Stream matching applications to a writable stream as CSV or XLSX.
+ * Rows are read with a cursor so large cohorts never sit in memory at once.
+ * @param {Object} filter - Application filter
+ * @param {string} format - csv or xlsx
+ * @param {Writable} stream - Destination, usually the HTTP response
+ * @returns {Promise<number>} Number of applications written
+ */
+const streamApplications = async (filter, format, stream) => {
+  const answerColumns = await getAnswerColumns(filter);
+  const cursor = Application.find(filter)
+    .sort('-appliedAt')
+    .populate('internship', 'title')
+    .lean()
+    .cursor();
+
+  try {
+    return format === 'csv'
+      ? await writeCsv(cursor, answerColumns, stream)
+      : await writeXlsx(cursor, answerColumns, stream);
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamApplications
+};
@@ -0,0 +1,61 @@
+// Comments scoring at least this much skip the pending queue and go straight to spam
+const SPAM_THRESHOLD = 3;
+
+const SPAM_PHRASES = [
+  'viagra', 'cialis', 'casino', 'poker', 'betting', 'payday loan', 'crypto', 'bitcoin',
+  'forex', 'seo services', 'backlinks', 'buy followers', 'work from home', 'earn money',
+  'click here', 'porn', 'xxx', 'replica', 'weight loss'
+];
+
+const countLinks = (text) => (text.match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+
+/**
+ * Score a new comment for spam. Each heuristic adds to the score and records why.
+ * @param {Object} comment - name, email and body as submitted
+ * @param {Object} [context]
+ * @param {boolean} [context.honeypot] - The hidden form field was filled in, which only bots do
+ * @param {number} [context.recentFromSender] - Comments from the same IP in the last ten minutes
+ * @param {boolean} [context.duplicate] - The same text was already posted from this email or IP
+ * @returns {{score: number, reasons: Array<string>, isSpam: boolean}}
+ */
+const scoreComment = ({ name = '', email = '', body = '' }, context = {}) => {
+  const reasons = [];
+  let score = 0;
+  const flag = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  if (context.honeypot) flag(SPAM_THRESHOLD, 'Hidden form field filled in');
+
+  const links = countLinks(body);
+  if (links > 2) {
+    flag(2, `${links} links`);
+  } else if (links) {
+    flag(1, 'Contains a link');
+  }
+  if (countLinks(name)) flag(2, 'Link in name');
+
+  const text = `${name} ${body}`.toLowerCase();
+  const phrases = SPAM_PHRASES.filter(phrase => text.includes(phrase));
+  if (phrases.length) flag(2, `Spam phrases: ${phrases.join(', ')}`);
+
+  const letters = body.replace(/[^a-z]/gi, '');
+  if (letters.length > 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    flag(1, 'Mostly capital letters');
+  }
+  if (/(.)\1{9,}/.test(body)) flag(1, 'Repeated characters');
+  if (/^[^@]+@(mailinator|guerrillamail|10minutemail|trashmail|yopmail)\./i.test(email)) {
+    flag(1, 'Disposable email address');
+  }
+
+  if (context.duplicate) flag(3, 'Duplicate of an earlier comment');
+  if (context.recentFromSender >= 5) flag(2, `${context.recentFromSender} comments in ten minutes from this sender`);
+
+  return { score, reasons, isSpam: score >= SPAM_THRESHOLD };
+};
+
+module.exports = {
+  SPAM_THRESHOLD,
+  scoreComment
+};
@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const pug = require('pug');
 const { convert } = require('html-to-text');
+const { buildCalendar } = require('../utils/ics');
 
 class EmailService {
   constructor() {
@@ -27,6 +28,181 @@ class EmailService {
     });
   }
 
+  /**
+   * Render a Pug template from views/emails to HTML without sending it
+   * @param {string} template - Template name without the .pug extension
+   * @param {string} subject - Email subject, also used as the page title
+   * @param {Object} [locals] - Variables passed to the template
+   * @returns {string}
+   */
+  renderTemplate(template, subject, locals = {}) {
+    return pug.renderFile(`${__dirname}/../views/emails/${template}.pug`, {
+      ...locals,
+      subject
+    });
+  }
+
+  /**
+   * Render a Pug template from views/emails and send it
+   * @param {Object} options
+   * @param {string} options.to - Recipient address
+   * @param {string} options.subject - Email subject
+   * @param {string} options.template - Template name without the .pug extension
+   * @param {Object} [options.locals] - Variables passed to the template
+   * @param {Array} [options.attachments] - Nodemailer attachments
+   * @param {Object} [options.headers] - Extra headers, such as List-Unsubscribe
+   * @returns {Promise<Object>} Nodemailer send info
+   */
+  async sendTemplate({ to, subject, template, locals = {}, attachments, headers }) {
+    const html = this.renderTemplate(template, subject, locals);
+
+    return this.transporter.sendMail({
+      from: `"${process.env.EMAIL_FROM_NAME || 'Goklyn'}" <${process.env.BREVO_SENDER_EMAIL || process.env.EMAIL_USERNAME}>`,
+      to,
+      subject,
+      html,
+      text: convert(html, { wordwrap: 100 }),
+      attachments,
+      headers
+    });
+  }
+
+  /**
+   * Send an applicant the confirmation email with their status portal link
+   * @param {Object} application - Application document
+   * @param {Object} internship - Internship the candidate applied for
+   * @param {string} portalUrl - Signed link to the candidate status page
+   * @param {Date} expiresAt - When the link stops working
+   * @param {Object} [options]
+   * @param {boolean} [options.alreadyApplied] - The candidate tried to apply again; resend their link instead
+   * @returns {Promise<Object>}
+   */
+  async sendApplicationReceived(application, internship, portalUrl, expiresAt, { alreadyApplied = false } = {}) {
+    return this.sendTemplate({
+      to: application.email,
+      subject: alreadyApplied
+        ? `You've already applied for ${internship.title}`
+        : `We received your application for ${internship.title}`,
+      template: 'applicationReceived',
+      locals: {
+        heading: alreadyApplied ? 'Already Applied' : 'Application Received',
+        alreadyApplied,
+        firstName: application.name.split(' ')[0],
+        internshipTitle: internship.title,
+        portalUrl,
+        expiresOn: expiresAt.toDateString()
+      }
+    });
+  }
+
+  /**
+   * Email a candidate an interview invitation, update or cancellation with a matching .ics file
+   * @param {Object} application - Application document with `internship` populated
+   * @param {Object} event - The interview Event
+   * @param {string} kind - One of scheduled, rescheduled, cancelled
+   * @returns {Promise<Object>}
+   */
+  async sendInterviewInvite(application, event, kind = 'scheduled') {
+    const internshipTitle = application.internship?.title || 'Goklyn';
+    const organizerEmail = process.env.BREVO_SENDER_EMAIL || process.env.EMAIL_USERNAME;
+    const method = kind === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    const subjects = {
+      scheduled: `Interview invitation: ${internshipTitle}`,
+      rescheduled: `Interview rescheduled: ${internshipTitle}`,
+      cancelled: `Interview cancelled: ${internshipTitle}`
+    };
+
+    const ics = buildCalendar({
+      uid: `${event._id}@goklyn`,
+      sequence: event.sequence,
+      method,
+      start: event.start,
+      end: event.end,
+      summary: `Interview for ${internshipTitle}`,
+      description: event.description,
+      location: event.location,
+      organizer: { name: process.env.EMAIL_FROM_NAME || 'Goklyn', email: organizerEmail },
+      attendee: { name: application.name, email: application.email }
+    });
+
+    return this.sendTemplate({
+      to: application.email,
+      subject: subjects[kind],
+      template: 'interviewInvitation',
+      locals: {
+        heading: subjects[kind].split(':')[0],
+        kind,
+        firstName: application.name.split(' ')[0],
+        internshipTitle,
+        when: event.formatStart(),
+        duration: Math.round((event.end - event.start) / 60000),
+        format: event.type === 'call' ? 'Phone / video call' : 'Meeting',
+        location: event.location,
+        details: event.description
+      },
+      attachments: [{
+        filename: 'interview.ics',
+        content: ics,
+        contentType: `text/calendar; charset=utf-8; method=${method}`
+      }]
+    });
+  }
+
+  /**
+   * Tell an author how the review of their news article went
+   * @param {Object} author - User with email and username
+   * @param {Object} article - The reviewed article
+   * @param {string} decision - One of approved, published, rejected
+   * @param {Object} options
+   * @param {string} options.reviewerName - Who reviewed it
+   * @param {string} [options.comment] - Reviewer's comment
+   * @param {string} options.articleUrl - Link to the article in the admin panel
+   * @returns {Promise<Object>}
+   */
+  async sendNewsReviewDecision(author, article, decision, { reviewerName, comment, articleUrl }) {
+    const subjects = {
+      approved: `Approved: ${article.title}`,
+      published: `Published: ${article.title}`,
+      rejected: `Changes requested: ${article.title}`
+    };
+
+    return this.sendTemplate({
+      to: author.email,
+      subject: subjects[decision],
+      template: 'newsReviewDecision',
+      locals: {
+        heading: decision === 'rejected' ? 'Changes Requested' : `Article ${decision === 'published' ? 'Published' : 'Approved'}`,
+        decision,
+        firstName: author.username?.split(' ')[0] || 'there',
+        reviewerName,
+        articleTitle: article.title,
+        comment,
+        articleUrl
+      }
+    });
+  }
+
+  /**
+   * Ask a new newsletter subscriber to confirm their address (double opt-in)
+   * @param {Object} subscriber - Subscriber document
+   * @param {string} confirmUrl - Signed confirmation link on the public site
+   * @param {Date} expiresAt - When the link stops working
+   * @returns {Promise<Object>}
+   */
+  async sendNewsletterConfirmation(subscriber, confirmUrl, expiresAt) {
+    return this.sendTemplate({
+      to: subscriber.email,
+      subject: 'Confirm your subscription to Goklyn news',
+      template: 'newsletterConfirm',
+      locals: {
+        heading: 'Confirm Your Subscription',
+        frequency: subscriber.frequency,
+        confirmUrl,
+        expiresOn: expiresAt.toDateString()
+      }
+    });
+  }
+
   /**
    * Send password reset OTP email
    * @param {Object} user - User object with email and username
@@ -0,0 +1,170 @@
+/**
+ * Builds RSS 2.0, Atom and JSON Feed 1.1 documents from published news articles
+ */
+
+const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+const escapeXml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Characters XML 1.0 doesn't allow at all
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// Cloudinary URLs end in the file extension; anything else is assumed to be a JPEG
+const imageType = (url) => {
+  const extension = String(url).split('?')[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+// Plain fields every format needs, worked out once per article
+const toEntry = (article, siteUrl) => {
+  const url = `${siteUrl}/news/${article.slug}`;
+  return {
+    id: String(article._id),
+    url,
+    title: article.title,
+    summary: article.excerpt || '',
+    image: article.featuredImage || null,
+    author: article.author?.username || null,
+    category: article.category?.name || null,
+    tags: article.tags || [],
+    published: new Date(article.publishedAt),
+    updated: new Date(article.updatedAt || article.publishedAt)
+  };
+};
+
+const buildRss = (feed, entries) => {
+  const items = entries.map(entry => [
+    '    <item>',
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(entry.url)}</guid>`,
+    `      <description>${escapeXml(entry.summary)}</description>`,
+    `      <pubDate>${entry.published.toUTCString()}</pubDate>`,
+    entry.author && `      <dc:creator>${escapeXml(entry.author)}</dc:creator>`,
+    entry.category && `      <category>${escapeXml(entry.category)}</category>`,
+    ...entry.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+    // Feed readers don't need the real size; 0 is the accepted "unknown"
+    entry.image && `      <enclosure url="${escapeXml(entry.image)}" length="0" type="${imageType(entry.image)}" />`,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+const buildAtom = (feed, entries) => {
+  const items = entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.url)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}" />`,
+    `    <published>${entry.published.toISOString()}</published>`,
+    `    <updated>${entry.updated.toISOString()}</updated>`,
+    `    <summary>${escapeXml(entry.summary)}</summary>`,
+    `    <author><name>${escapeXml(entry.author || feed.title)}</name></author>`,
+    entry.category && `    <category term="${escapeXml(entry.category)}" />`,
+    ...entry.tags.map(tag => `    <category term="${escapeXml(tag)}" />`),
+    entry.image && `    <link rel="enclosure" type="${imageType(entry.image)}" href="${escapeXml(entry.image)}" />`,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.homeUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />`,
+    ...items,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+const buildJson = (feed, entries) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.feedUrl,
+  description: feed.description,
+  language: 'en',
+  items: entries.map(entry => ({
+    id: entry.url,
+    url: entry.url,
+    title: entry.title,
+    summary: entry.summary,
+    content_text: entry.summary,
+    ...(entry.image && {
+      image: entry.image,
+      attachments: [{ url: entry.image, mime_type: imageType(entry.image) }]
+    }),
+    date_published: entry.published.toISOString(),
+    date_modified: entry.updated.toISOString(),
+    ...(entry.author && { authors: [{ name: entry.author }] }),
+    tags: [entry.category, ...entry.tags].filter(Boolean)
+  }))
+}, null, 2);
+
+const BUILDERS = {
+  rss: buildRss,
+  atom: buildAtom,
+  json: buildJson
+};
+
+/**
+ * Render a feed
+ * @param {string} format - rss, atom or json
+ * @param {Object} feed
+ * @param {string} feed.title
+ * @param {string} feed.description
+ * @param {string} feed.siteUrl - Public site, without a trailing slash; article links point here
+ * @param {string} feed.homeUrl - Page on the site that lists the same articles
+ * @param {string} feed.feedUrl - Where this feed is served
+ * @param {Date} feed.updated - When the newest article changed
+ * @param {Array} articles - Published articles with author and category populated
+ * @returns {{body: string, contentType: string}}
+ */
+const buildFeed = (format, feed, articles) => ({
+  body: BUILDERS[format](feed, articles.map(article => toEntry(article, feed.siteUrl))),
+  contentType: FEED_FORMATS[format]
+});
+
+module.exports = {
+  FEED_FORMATS,
+  buildFeed
+};
@@ -0,0 +1,380 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const slugify = require('slugify');
+const JSZip = require('jszip');
+const News = require('../models/news.model');
+const NewsCategory = require('../models/newsCategory.model');
+const NewsRevision = require('../models/newsRevision.model');
+const logger = require('../config/logger');
+const { uploadToCloudinary } = require('../utils/cloudinary');
+const { markdownToHtml, htmlToMarkdown, findMarkdownImages, findHtmlImages } = require('../utils/markdown');
+const { refreshRelatedLater } = require('./relatedNews.service');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// Guards against zip bombs; an archive of the whole site stays well under these
+const MAX_ZIP_ENTRIES = 2000;
+const MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;
+
+// Images larger than this aren't taken by the media pipeline or put in exports
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_DOWNLOAD_TIMEOUT = 15 * 1000;
+
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+const isMarkdown = name => MARKDOWN_EXTENSIONS.includes(path.extname(name).toLowerCase());
+
+const isRemote = src => /^https?:\/\//i.test(src);
+
+// Exports only download images from our own Cloudinary account. Authors can put
+// any address in an article, and the server mustn't fetch those for them.
+const isSiteImage = (src) => {
+  try {
+    const { protocol, hostname, pathname } = new URL(src);
+    return protocol === 'https:' && hostname === 'res.cloudinary.com'
+      && pathname.startsWith(`/${process.env.CLOUDINARY_CLOUD_NAME}/`);
+  } catch (err) {
+    return false;
+  }
+};
+
+// What an image really is, judged by its first bytes rather than its name
+const imageType = (buffer) => {
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return { ext: 'jpg', mimetype: 'image/jpeg' };
+  if (buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return { ext: 'png', mimetype: 'image/png' };
+  if (buffer.length > 6 && /^GIF8[79]a$/.test(buffer.subarray(0, 6).toString('latin1'))) return { ext: 'gif', mimetype: 'image/gif' };
+  if (buffer.length > 12 && buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return { ext: 'webp', mimetype: 'image/webp' };
+  return null;
+};
+
+/**
+ * Split a Markdown document into its YAML front matter and body
+ * @param {string} text
+ * @returns {{data: Object, body: string}}
+ * @throws {Error} If the front matter isn't valid YAML
+ */
+const parseFrontMatter = (text) => {
+  const match = String(text).match(FRONT_MATTER);
+  if (!match) return { data: {}, body: String(text).replace(/^\uFEFF/, '') };
+  const data = yaml.load(match[1]) || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Front matter must be a set of "key: value" lines');
+  }
+  return { data, body: String(text).slice(match[0].length) };
+};
+
+/**
+ * Sort uploaded files into Markdown documents and images, unpacking zips
+ * @param {Array<{originalname: string, buffer: Buffer}>} uploads - From multer
+ * @returns {Promise<{documents: Array<{name: string, text: string}>, images: Map<string, Buffer>}>}
+ */
+const readUploads = async (uploads) => {
+  const documents = [];
+  const images = new Map();
+  const add = (name, buffer) => {
+    const normalized = path.posix.normalize(name.replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '');
+    if (isMarkdown(normalized)) {
+      documents.push({ name: normalized, text: buffer.toString('utf8') });
+    } else if (imageType(buffer)) {
+      images.set(normalized, buffer);
+    }
+  };
+
+  for (const upload of uploads) {
+    if (path.extname(upload.originalname).toLowerCase() !== '.zip') {
+      add(upload.originalname, upload.buffer);
+      continue;
+    }
+
+    const zip = await JSZip.loadAsync(upload.buffer);
+    const entries = Object.values(zip.files)
+      .filter(entry => !entry.dir && !entry.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX'));
+    if (entries.length > MAX_ZIP_ENTRIES) {
+      throw new Error(`${upload.originalname} has more than ${MAX_ZIP_ENTRIES} files`);
+    }
+    let unzipped = 0;
+    for (const entry of entries) {
+      const buffer = await entry.async('nodebuffer');
+      unzipped += buffer.length;
+      if (unzipped > MAX_UNZIPPED_BYTES) {
+        throw new Error(`${upload.originalname} unpacks to more than ${MAX_UNZIPPED_BYTES / 1024 / 1024}MB`);
+      }
+      add(entry.name, buffer);
+    }
+  }
+
+  return { documents, images };
+};
+
+// Find an image a document refers to: by its path relative to the document,
+// or by file name when files were uploaded loose without their folders
+const findImage = (src, document, images) => {
+  let relative;
+  try {
+    relative = decodeURIComponent(src);
+  } catch (error) {
+    relative = src;
+  }
+  const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(document.name), relative));
+  if (images.has(resolved)) return resolved;
+
+  const byName = [...images.keys()].filter(name => path.posix.basename(name) === path.posix.basename(resolved));
+  return byName.length === 1 ? byName[0] : null;
+};
+
+// Put an image through the same Cloudinary pipeline as images uploaded in the admin
+const uploadImage = async (buffer, name) => {
+  const type = imageType(buffer);
+  const file = {
+    path: path.join(os.tmpdir(), `news-import-${crypto.randomBytes(8).toString('hex')}.${type.ext}`),
+    originalname: path.basename(name),
+    mimetype: type.mimetype,
+    size: buffer.length
+  };
+  await fs.promises.writeFile(file.path, buffer);
+  const result = await uploadToCloudinary(file, 'news');
+  return result.secure_url;
+};
+
+const parseTags = (tags) => {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`"${value}" is not a date`);
+  return date;
+};
+
+/**
+ * Check a document's front matter and work out the article it describes,
+ * before anything is uploaded
+ * @returns {Promise<Object>} Article fields, its status and dates, and the local images to upload
+ */
+const prepareDocument = async (document, images, user) => {
+  const { data, body } = parseFrontMatter(document.text);
+  const title = data.title ? String(data.title).trim() : '';
+  if (!title) throw new Error('Front matter needs a title');
+
+  // The same slug the article would be saved with
+  const slug = slugify(title, { lower: true, strict: true });
+  const existing = await News.findOne({ slug }).anyStatus().select('_id').lean();
+  if (existing) throw new Error(`An article titled "${title}" already exists`);
+
+  if (!data.category) throw new Error('Front matter needs a category (its slug)');
+  const category = await NewsCategory.findOne({ slug: String(data.category) }).select('_id').lean();
+  if (!category) throw new Error(`No category with the slug "${data.category}"`);
+
+  const status = data.status ? String(data.status) : 'draft';
+  if (!News.STATUS_TRANSITIONS[status]) {
+    throw new Error(`Unknown status "${status}"`);
+  }
+  // Admins can bring in archived articles too; others only what they could create
+  if (user.role !== 'admin' && status !== 'draft' && !News.canTransition('draft', status, user.role)) {
+    throw new Error(`Only admins can import articles as "${status}"`);
+  }
+
+  const date = parseDate(data.publishedAt ?? data.date);
+  let publishedAt = null;
+  let scheduledPublish = null;
+  if (date && ['published', 'archived'].includes(status)) {
+    if (date > new Date()) throw new Error('A published article can\'t have a publish date in the future; import it as approved to schedule it');
+    publishedAt = date;
+  } else if (date && date > new Date() && News.SCHEDULABLE_STATUSES.includes(status)) {
+    if (user.role !== 'admin') throw new Error('Only admins can schedule articles');
+    scheduledPublish = date;
+  }
+
+  // Every image the article uses must be found before any is uploaded
+  const sources = [...new Set([...(data.featuredImage ? [String(data.featuredImage)] : []), ...findMarkdownImages(body)])];
+  const local = new Map();
+  sources.filter(src => !isRemote(src)).forEach((src) => {
+    const found = findImage(src, document, images);
+    if (!found) throw new Error(`Image not found: ${src}`);
+    local.set(src, found);
+  });
+
+  const featuredImage = data.featuredImage ? String(data.featuredImage) : findMarkdownImages(body)[0];
+  if (!featuredImage) throw new Error('Front matter needs a featuredImage, or the article an image');
+
+  return {
+    fields: {
+      title,
+      excerpt: data.excerpt ? String(data.excerpt).trim() : '',
+      category: category._id,
+      tags: parseTags(data.tags),
+      featuredImageAlt: data.featuredImageAlt ? String(data.featuredImageAlt) : '',
+      allowComments: data.allowComments === undefined ? true : data.allowComments !== false,
+      seo: {
+        metaTitle: data.metaTitle ? String(data.metaTitle) : title,
+        metaDescription: data.metaDescription ? String(data.metaDescription) : String(data.excerpt || '').slice(0, 160)
+      }
+    },
+    body,
+    featuredImage,
+    local,
+    status,
+    publishedAt,
+    scheduledPublish
+  };
+};
+
+/**
+ * Create articles from Markdown files with YAML front matter. Images the files
+ * refer to by relative path are uploaded to Cloudinary; web addresses are kept.
+ * Each file succeeds or fails on its own.
+ * @param {Array<{originalname: string, buffer: Buffer}>} uploads - .md files, images and zips of both
+ * @param {Object} user - The user importing; becomes the author
+ * @returns {Promise<Array<{file: string, success: boolean, article?: Object, error?: string}>>}
+ */
+const importMarkdown = async (uploads, user) => {
+  const { documents, images } = await readUploads(uploads);
+  // An image used by several articles is only uploaded once
+  const uploaded = new Map();
+  const results = [];
+
+  for (const document of documents) {
+    try {
+      const prepared = await prepareDocument(document, images, user);
+
+      const urlFor = async (src) => {
+        if (!prepared.local.has(src)) return src;
+        const key = prepared.local.get(src);
+        if (!uploaded.has(key)) uploaded.set(key, await uploadImage(images.get(key), key));
+        return uploaded.get(key);
+      };
+      const urls = new Map();
+      for (const src of [prepared.featuredImage, ...prepared.local.keys()]) {
+        urls.set(src, await urlFor(src));
+      }
+
+      const article = new News({
+        ...prepared.fields,
+        content: markdownToHtml(prepared.body, { imageUrl: src => urls.get(src) || src }),
+        featuredImage: urls.get(prepared.featuredImage),
+        author: user.id
+      });
+      if (prepared.status !== 'draft') {
+        article.transitionTo(prepared.status, { changedBy: user.id, comment: 'Imported from Markdown' });
+      }
+      if (prepared.publishedAt) article.publishedAt = prepared.publishedAt;
+      if (prepared.scheduledPublish) {
+        article.scheduledPublish = prepared.scheduledPublish;
+        article.scheduledBy = user.id;
+      }
+
+      await article.save();
+      await NewsRevision.record(article, user.id);
+      if (article.status === 'published') {
+        refreshRelatedLater(article._id);
+      }
+
+      results.push({
+        file: document.name,
+        success: true,
+        article: { _id: article._id, title: article.title, slug: article.slug, status: article.status }
+      });
+    } catch (error) {
+      const message = error.name === 'ValidationError'
+        ? Object.values(error.errors).map(err => err.message).join('; ')
+        : error.message;
+      results.push({ file: document.name, success: false, error: message });
+    }
+  }
+
+  return results;
+};
+
+// Reading stops as soon as the image is known to be too large
+const downloadImage = async (url) => {
+  const response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(IMAGE_DOWNLOAD_TIMEOUT) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+    await response.body?.cancel();
+    throw new Error('too large');
+  }
+
+  const chunks = [];
+  let size = 0;
+  // Leaving the loop early cancels the rest of the download
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_IMAGE_BYTES) throw new Error('too large');
+    chunks.push(chunk);
+  }
+  const buffer = Buffer.concat(chunks);
+  const type = imageType(buffer);
+  if (!type) throw new Error('not an image');
+  return { buffer, ext: type.ext };
+};
+
+// Front matter fields in the order they're written; empty ones are left out
+const toFrontMatter = (article) => {
+  const data = {
+    title: article.title,
+    excerpt: article.excerpt,
+    category: article.category?.slug,
+    tags: article.tags?.length ? article.tags : undefined,
+    status: article.status,
+    publishedAt: article.scheduledPublish || article.publishedAt || undefined,
+    featuredImage: article.featuredImage,
+    featuredImageAlt: article.featuredImageAlt || undefined,
+    allowComments: article.allowComments === false ? false : undefined,
+    metaTitle: article.seo?.metaTitle && article.seo.metaTitle !== article.title ? article.seo.metaTitle : undefined,
+    metaDescription: article.seo?.metaDescription || undefined
+  };
+  Object.keys(data).forEach((key) => data[key] === undefined && delete data[key]);
+  return yaml.dump(data, { lineWidth: -1 });
+};
+
+/**
+ * Write articles to a zip of Markdown files, one per article named after its
+ * slug, with their images in an images folder. Importing the zip gives the
+ * same articles back.
+ * @param {Array<Object>} articles - Articles with their category populated
+ * @returns {Promise<JSZip>}
+ */
+const exportMarkdown = async (articles) => {
+  const zip = new JSZip();
+  // Each image is downloaded once, however many articles use it
+  const saved = new Map();
+
+  for (const article of articles) {
+    // Images hosted anywhere else keep their web address
+    const sources = [...new Set([article.featuredImage, ...findHtmlImages(article.content)].filter(isSiteImage))];
+    let count = 0;
+    for (const url of sources) {
+      if (saved.has(url)) continue;
+      try {
+        const { buffer, ext } = await downloadImage(url);
+        count += 1;
+        const name = `images/${article.slug}/${count}.${ext}`;
+        zip.file(name, buffer, { compression: 'STORE' });
+        saved.set(url, name);
+      } catch (error) {
+        // Keep the web address; the export is still usable while the image is online
+        logger.warn(`[News] Couldn't download ${url} for the Markdown export: ${error.message}`);
+        saved.set(url, url);
+      }
+    }
+
+    const localPath = src => saved.get(src) || src;
+    const frontMatter = toFrontMatter({ ...article, featuredImage: localPath(article.featuredImage) });
+    const body = htmlToMarkdown(article.content, { imageUrl: localPath });
+    zip.file(`${article.slug}.md`, `---\n${frontMatter}---\n\n${body}\n`);
+  }
+
+  return zip;
+};
+
+module.exports = {
+  parseFrontMatter,
+  importMarkdown,
+  exportMarkdown
+};
@@ -0,0 +1,76 @@
+const { escapeRegex, parseSearch, findMatches, buildSnippets } = require('../utils/textSearch');
+
+// Searches whose words are all shorter than this skip the text index. It drops
+// stop words like "us" or "it" and only matches whole word stems, so "ai" or a
+// half-typed "ja" would find little; a word-prefix match does better.
+const MIN_TEXT_TERM_LENGTH = 3;
+
+// Fields the short-query fallback looks in; the text index covers the same ones
+const FALLBACK_FIELDS = ['title', 'excerpt', 'tags', 'content'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+// Article bodies are HTML; snippets are cut from the text a reader sees
+const toPlainText = (html = '') =>
+  String(html)
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, (match, name) => HTML_ENTITIES[name])
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const wordPattern = (term) => ({ $regex: `(^|\\W)${escapeRegex(term)}`, $options: 'i' });
+
+/**
+ * Turn a search into a MongoDB filter. Words, "quoted phrases" and -excluded
+ * words go to the text index, which ranks by relevance (titles count most);
+ * very short searches fall back to matching the start of words instead.
+ * @param {string} query - Search as typed
+ * @returns {{filter: Object, mode: string, terms: Array<string>}|null} mode is
+ * `text` (sort by textScore) or `prefix`; null when there's nothing to search for
+ */
+const buildSearchFilter = (query) => {
+  const search = String(query || '').slice(0, 200);
+  const { words, phrases, excluded } = parseSearch(search);
+  const terms = [...phrases, ...words];
+
+  if (!terms.length && !excluded.length) return null;
+
+  const isShort = !phrases.length && words.every(word => word.length < MIN_TEXT_TERM_LENGTH);
+  if (terms.length && !isShort) {
+    return { filter: { $text: { $search: search } }, mode: 'text', terms };
+  }
+
+  const conditions = terms.map(term => ({
+    $or: FALLBACK_FIELDS.map(field => ({ [field]: wordPattern(term) }))
+  }));
+  if (excluded.length) {
+    conditions.push({
+      $nor: excluded.flatMap(term => FALLBACK_FIELDS.map(field => ({ [field]: wordPattern(term) })))
+    });
+  }
+
+  return { filter: { $and: conditions }, mode: 'prefix', terms };
+};
+
+/**
+ * Where an article matched: title highlights plus snippets of its body, or of
+ * its excerpt when the body doesn't mention the terms
+ * @param {Object} article - Needs title, excerpt and content
+ * @param {Array<string>} terms - From buildSearchFilter
+ * @returns {{titleHighlights: Array<Array<number>>, snippets: Array<{text: string, highlights: Array}>}}
+ */
+const highlightArticle = (article, terms) => {
+  const snippets = buildSnippets(toPlainText(article.content), terms, { max: 2 });
+  return {
+    titleHighlights: findMatches(article.title || '', terms),
+    snippets: snippets.length ? snippets : buildSnippets(article.excerpt || '', terms, { max: 1 })
+  };
+};
+
+module.exports = {
+  MIN_TEXT_TERM_LENGTH,
+  toPlainText,
+  buildSearchFilter,
+  highlightArticle
+};
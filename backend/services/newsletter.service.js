@@ -0,0 +1,313 @@
+const News = require('../models/news.model');
+const Subscriber = require('../models/subscriber.model');
+const NewsletterDigest = require('../models/newsletterDigest.model');
+const emailService = require('./email.service');
+const logger = require('../config/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Most articles one digest shows; any others are mentioned with a link to the news page
+const DIGEST_MAX_ARTICLES = 10;
+
+// How far back the very first digest of each frequency looks
+const FIRST_DIGEST_LOOKBACK = { weekly: 7 * DAY, instant: DAY };
+
+// Digests stop this long before they run. Scheduled articles are published up to a
+// minute late with their scheduled time, and must still land in the next period.
+const SETTLE_TIME = 5 * 60 * 1000;
+
+// Sends run a few at a time and are spread out so the mail provider doesn't throttle us
+const SEND_CONCURRENCY = 3;
+const SENDS_PER_MINUTE = parseInt(process.env.NEWSLETTER_SENDS_PER_MINUTE, 10) || 60;
+
+const siteUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const articleUrl = slug => `${siteUrl()}/news/${encodeURIComponent(slug)}`;
+const confirmUrl = token => `${siteUrl()}/newsletter/confirm/${token}`;
+const unsubscribeUrl = token => `${siteUrl()}/newsletter/unsubscribe/${token}`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Spaces calls out evenly; each caller waits for its turn
+ * @param {number} perMinute - Calls allowed per minute
+ * @returns {function(): Promise<void>}
+ */
+const createThrottle = (perMinute) => {
+  const interval = 60 * 1000 / perMinute;
+  let nextSlot = 0;
+  return async () => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) await sleep(slot - now);
+  };
+};
+
+const digestArticleFields = 'title slug excerpt featuredImage featuredImageAlt category publishedAt readingTime';
+
+/**
+ * Articles published after `from` and up to `to`, newest first
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array>}
+ */
+const findDigestArticles = (from, to) => News.find({
+  status: 'published',
+  publishedAt: { $gt: from, $lte: to }
+})
+  .select(digestArticleFields)
+  .sort({ publishedAt: -1 })
+  .lean();
+
+const toDigestArticle = article => ({
+  title: article.title,
+  url: articleUrl(article.slug),
+  excerpt: article.excerpt,
+  featuredImage: article.featuredImage,
+  featuredImageAlt: article.featuredImageAlt,
+  category: article.category?.name,
+  publishedOn: new Date(article.publishedAt).toDateString(),
+  readingTime: article.readingTime ? `${article.readingTime} min read` : ''
+});
+
+/**
+ * Subject and template variables shared by every copy of a digest
+ * @param {string} frequency - weekly or instant
+ * @param {Array} articles - Articles to show, with `category` populated
+ * @param {number} [moreCount] - Further articles left out of the email
+ * @returns {{subject: string, locals: Object}}
+ */
+const buildDigest = (frequency, articles, moreCount = 0) => {
+  const total = articles.length + moreCount;
+  let subject;
+  if (frequency === 'weekly') {
+    subject = `This week at Goklyn: ${articles[0].title}${total > 1 ? ` and ${total - 1} more` : ''}`;
+  } else {
+    subject = total === 1 ? `New on Goklyn: ${articles[0].title}` : `${total} new articles on Goklyn`;
+  }
+
+  return {
+    subject,
+    locals: {
+      heading: frequency === 'weekly' ? 'Your Weekly News' : 'New on Goklyn',
+      intro: frequency === 'weekly'
+        ? `Here ${total === 1 ? 'is what we published' : `are the ${total} articles we published`} this week.`
+        : null,
+      frequency,
+      articles: articles.map(toDigestArticle),
+      moreCount,
+      newsUrl: `${siteUrl()}/news`
+    }
+  };
+};
+
+/**
+ * Email a subscriber the confirmation link for their address and note when it was sent
+ * @param {Object} subscriber - Subscriber document, saved afterwards
+ * @returns {Promise<void>}
+ */
+const sendConfirmation = async (subscriber) => {
+  const { token, expiresAt } = subscriber.createConfirmToken();
+  await emailService.sendNewsletterConfirmation(subscriber, confirmUrl(token), expiresAt);
+  subscriber.confirmationSentAt = new Date();
+  await subscriber.save();
+};
+
+/**
+ * What the next digest of a frequency would contain if it went out now. When
+ * nothing new has been published, the latest articles are used as a sample so
+ * the layout can still be checked.
+ * @param {string} frequency - weekly or instant
+ * @returns {Promise<{subject: string, locals: Object, periodStart: Date, periodEnd: Date, articleCount: number, sample: boolean}>}
+ */
+const previewDigest = async (frequency) => {
+  const periodEnd = new Date();
+  const periodStart = await NewsletterDigest.lastPeriodEnd(frequency)
+    || new Date(periodEnd.getTime() - FIRST_DIGEST_LOOKBACK[frequency]);
+
+  let articles = await findDigestArticles(periodStart, periodEnd).populate('category', 'name');
+  const sample = !articles.length;
+  if (sample) {
+    articles = await News.find({ status: 'published', publishedAt: { $lte: periodEnd } })
+      .select(digestArticleFields)
+      .sort({ publishedAt: -1 })
+      .limit(frequency === 'weekly' ? 3 : 1)
+      .populate('category', 'name')
+      .lean();
+  }
+  if (!articles.length) {
+    return { periodStart, periodEnd, articleCount: 0, sample };
+  }
+
+  const shown = articles.slice(0, DIGEST_MAX_ARTICLES);
+  return {
+    ...buildDigest(frequency, shown, articles.length - shown.length),
+    periodStart,
+    periodEnd,
+    articleCount: sample ? 0 : articles.length,
+    sample
+  };
+};
+
+/**
+ * Render a digest preview to HTML, with a note in place of the unsubscribe link
+ * @param {Object} digest - From previewDigest
+ * @param {string} email - Address shown in the footer
+ * @returns {string}
+ */
+const renderDigest = (digest, email) => emailService.renderTemplate('newsletterDigest', digest.subject, {
+  ...digest.locals,
+  email,
+  test: true
+});
+
+/**
+ * Send the next digest of a frequency to one address, without recording a run
+ * or marking anyone as sent to
+ * @param {string} frequency - weekly or instant
+ * @param {string} to - Recipient address
+ * @returns {Promise<Object|null>} The preview that was sent, or null if there was nothing to send
+ */
+const sendTestDigest = async (frequency, to) => {
+  const digest = await previewDigest(frequency);
+  if (!digest.subject) return null;
+
+  await emailService.sendTemplate({
+    to,
+    subject: `[Test] ${digest.subject}`,
+    template: 'newsletterDigest',
+    locals: { ...digest.locals, email: to, test: true }
+  });
+  return digest;
+};
+
+/**
+ * Send a digest run to every active subscriber of its frequency who hasn't had
+ * it yet, recording progress on the run as it goes so it can be resumed
+ * @param {Object} run - NewsletterDigest document
+ * @returns {Promise<Object>} The finished run
+ */
+const deliverDigest = async (run) => {
+  // Articles unpublished since the run started are left out
+  const articles = await News.find({ _id: { $in: run.articles }, status: 'published' })
+    .select(digestArticleFields)
+    .sort({ publishedAt: -1 })
+    .populate('category', 'name')
+    .lean();
+
+  if (articles.length) {
+    const { subject, locals } = buildDigest(run.frequency, articles, run.moreArticles);
+    const throttle = createThrottle(SENDS_PER_MINUTE);
+    const cursor = Subscriber.find({
+      status: 'active',
+      frequency: run.frequency,
+      lastDigestAt: { $not: { $gte: run.periodEnd } }
+    })
+      .select('email +unsubscribeToken')
+      .lean()
+      .cursor();
+
+    // Workers share the cursor, which can only fetch one document at a time
+    let fetching = Promise.resolve();
+    const next = () => {
+      fetching = fetching.then(() => cursor.next());
+      return fetching;
+    };
+
+    const worker = async () => {
+      for (let subscriber = await next(); subscriber; subscriber = await next()) {
+        await throttle();
+        const link = unsubscribeUrl(subscriber.unsubscribeToken);
+        try {
+          await emailService.sendTemplate({
+            to: subscriber.email,
+            subject,
+            template: 'newsletterDigest',
+            locals: { ...locals, email: subscriber.email, unsubscribeUrl: link },
+            headers: { 'List-Unsubscribe': `<${link}>` }
+          });
+        } catch (error) {
+          logger.error(`[Newsletter] Failed to send digest ${run._id} to ${subscriber.email}`, { error: error.message });
+          await NewsletterDigest.updateOne({ _id: run._id }, {
+            $inc: { failed: 1 },
+            $push: {
+              failures: {
+                $each: [{ email: subscriber.email, error: error.message }],
+                $slice: NewsletterDigest.MAX_RECORDED_FAILURES
+              }
+            }
+          });
+          continue;
+        }
+        await Promise.all([
+          Subscriber.updateOne({ _id: subscriber._id }, { lastDigestAt: run.periodEnd }, { timestamps: false }),
+          NewsletterDigest.updateOne({ _id: run._id }, { $inc: { sent: 1 } })
+        ]);
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: SEND_CONCURRENCY }, worker));
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  const finished = await NewsletterDigest.findByIdAndUpdate(
+    run._id,
+    { status: 'sent', completedAt: new Date() },
+    { new: true }
+  );
+  logger.info(`[Newsletter] ${run.frequency} digest ${run._id} sent: ${finished.sent} delivered, ${finished.failed} failed`);
+  return finished;
+};
+
+/**
+ * Send a digest of the articles published since the last one of this frequency.
+ * Nothing is sent, or recorded, when nothing new has been published.
+ * @param {string} frequency - weekly or instant
+ * @returns {Promise<Object|null>} The finished run
+ */
+const sendDigest = async (frequency) => {
+  const periodEnd = new Date(Date.now() - SETTLE_TIME);
+  const periodStart = await NewsletterDigest.lastPeriodEnd(frequency)
+    || new Date(periodEnd.getTime() - FIRST_DIGEST_LOOKBACK[frequency]);
+  if (periodStart >= periodEnd) return null;
+
+  const articles = await findDigestArticles(periodStart, periodEnd);
+  if (!articles.length) return null;
+
+  const shown = articles.slice(0, DIGEST_MAX_ARTICLES);
+  const run = await NewsletterDigest.create({
+    frequency,
+    periodStart,
+    periodEnd,
+    articles: shown.map(article => article._id),
+    moreArticles: articles.length - shown.length,
+    recipients: await Subscriber.countDocuments({ status: 'active', frequency })
+  });
+
+  return deliverDigest(run);
+};
+
+/**
+ * Finish digests a restart interrupted. Subscribers who already got one are skipped.
+ * @returns {Promise<number>} Runs resumed
+ */
+const resumeDigests = async () => {
+  const runs = await NewsletterDigest.find({ status: 'sending' }).sort({ createdAt: 1 });
+  for (const run of runs) {
+    logger.info(`[Newsletter] Resuming ${run.frequency} digest ${run._id}`);
+    await deliverDigest(run);
+  }
+  return runs.length;
+};
+
+module.exports = {
+  sendConfirmation,
+  previewDigest,
+  renderDigest,
+  sendTestDigest,
+  sendDigest,
+  resumeDigests
+};
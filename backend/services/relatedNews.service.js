@@ -0,0 +1,293 @@
+const News = require('../models/news.model');
+const logger = require('../config/logger');
+const { toPlainText } = require('./newsSearch.service');
+
+// Suggestions kept per article; more than are shown, so pins and articles that
+// have since been unpublished can be skipped without recomputing
+const CACHE_SIZE = 8;
+
+// Most recent published articles compared against; bounds the work on large sites
+const CORPUS_LIMIT = 2000;
+
+// A word in the title says more about an article than one in the body
+const FIELD_WEIGHTS = { title: 3, excerpt: 2, content: 1 };
+
+// How the final score is made up
+const SCORE_WEIGHTS = { content: 0.6, tags: 0.25, recency: 0.15 };
+
+// An article this many days old gets half the recency score of a new one
+const RECENCY_HALF_LIFE_DAYS = 180;
+
+// Below this, content and tags together don't make an article related, however recent
+const MIN_RELEVANCE = 0.02;
+
+// Caches written per bulk write when refreshing every article
+const SAVE_BATCH_SIZE = 200;
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'all', 'also', 'and', 'any', 'are', 'because', 'been', 'before',
+  'being', 'between', 'both', 'but', 'can', 'could', 'did', 'does', 'doing', 'down', 'during',
+  'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'her', 'here', 'hers',
+  'him', 'his', 'how', 'into', 'its', 'itself', 'just', 'more', 'most', 'much', 'must', 'nor',
+  'not', 'now', 'off', 'once', 'only', 'other', 'our', 'ours', 'out', 'over', 'own', 'same',
+  'she', 'should', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'through', 'too', 'under', 'until', 'very', 'was',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours', 'new', 'news', 'one', 'two', 'get', 'got', 'make', 'made'
+]);
+
+// Lowercased words without stop words, with plural "s" dropped so "projects" matches "project"
+const tokenize = (text = '') => String(text)
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+// Weighted term counts across the title, excerpt and body
+const termCounts = (article) => {
+  const counts = new Map();
+  const add = (text, weight) => tokenize(text).forEach((term) => {
+    counts.set(term, (counts.get(term) || 0) + weight);
+  });
+  add(article.title, FIELD_WEIGHTS.title);
+  add(article.excerpt, FIELD_WEIGHTS.excerpt);
+  add(toPlainText(article.content), FIELD_WEIGHTS.content);
+  return counts;
+};
+
+// TF-IDF vector with its length, so cosine similarity is a dot product away
+const toVector = (counts, idf) => {
+  const weights = new Map();
+  let sumOfSquares = 0;
+  counts.forEach((count, term) => {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+    if (weight > 0) {
+      weights.set(term, weight);
+      sumOfSquares += weight * weight;
+    }
+  });
+  return { weights, norm: Math.sqrt(sumOfSquares) };
+};
+
+const cosine = (a, b) => {
+  if (!a.norm || !b.norm) return 0;
+  const [small, large] = a.weights.size < b.weights.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.weights.forEach((weight, term) => {
+    dot += weight * (large.weights.get(term) || 0);
+  });
+  return dot / (a.norm * b.norm);
+};
+
+// Share of the two articles' tags they have in common
+const tagOverlap = (a = [], b = []) => {
+  if (!a.length || !b.length) return 0;
+  const tags = new Set(a);
+  const shared = b.filter(tag => tags.has(tag)).length;
+  return shared / (tags.size + b.length - shared);
+};
+
+const recency = (date, now) => {
+  const ageDays = Math.max(0, (now - new Date(date)) / (24 * 60 * 60 * 1000));
+  return 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+/**
+ * Published articles with the term statistics needed to compare against them
+ * @returns {Promise<{articles: Array, idf: Map, vectors: Map}>}
+ */
+const loadCorpus = async () => {
+  const articles = await News.find({ status: 'published', publishedAt: { $lte: new Date() } })
+    .select('title excerpt content tags publishedAt +relatedCache')
+    .sort({ publishedAt: -1 })
+    .limit(CORPUS_LIMIT)
+    .lean();
+
+  const counts = new Map(articles.map(article => [String(article._id), termCounts(article)]));
+
+  // Terms found in every article tell them apart least
+  const documentFrequency = new Map();
+  counts.forEach(terms => terms.forEach((count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+  const idf = new Map();
+  documentFrequency.forEach((frequency, term) => {
+    idf.set(term, Math.log((1 + articles.length) / (1 + frequency)) + 1);
+  });
+
+  const vectors = new Map();
+  counts.forEach((terms, id) => vectors.set(id, toVector(terms, idf)));
+
+  return { articles, idf, vectors };
+};
+
+/**
+ * Rank the corpus by similarity to one article
+ * @param {Object} article - Needs title, excerpt, content and tags
+ * @param {Object} corpus - From loadCorpus
+ * @returns {Array<{article: ObjectId, score: number}>} Best first, at most CACHE_SIZE
+ */
+const rank = (article, corpus) => {
+  const id = String(article._id);
+  const vector = corpus.vectors.get(id) || toVector(termCounts(article), corpus.idf);
+  const now = Date.now();
+
+  return corpus.articles
+    .filter(candidate => String(candidate._id) !== id)
+    .map((candidate) => {
+      const relevance = SCORE_WEIGHTS.content * cosine(vector, corpus.vectors.get(String(candidate._id)))
+        + SCORE_WEIGHTS.tags * tagOverlap(article.tags, candidate.tags);
+      return {
+        article: candidate._id,
+        relevance,
+        score: relevance + SCORE_WEIGHTS.recency * recency(candidate.publishedAt, now)
+      };
+    })
+    .filter(candidate => candidate.relevance >= MIN_RELEVANCE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CACHE_SIZE)
+    .map(({ article: candidate, score }) => ({ article: candidate, score: Math.round(score * 1000) / 1000 }));
+};
+
+const saveCache = (updates) => {
+  if (!updates.length) return null;
+  const computedAt = new Date();
+  return News.bulkWrite(updates.map(({ id, articles }) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: { relatedCache: { articles, computedAt } } },
+      timestamps: false
+    }
+  })));
+};
+
+/**
+ * Recompute an article's suggestions after it was published, edited,
+ * unpublished or deleted, along with those of the articles it affects: ones
+ * that suggested it before and ones that are now most like it.
+ * @param {ObjectId|string} articleId
+ * @returns {Promise<number>} How many articles were updated
+ */
+const refreshRelated = async (articleId) => {
+  const id = String(articleId);
+  const [corpus, article] = await Promise.all([
+    loadCorpus(),
+    News.findById(id).anyStatus().select('title excerpt content tags status').lean()
+  ]);
+
+  const updates = [];
+  const affected = new Set(corpus.articles
+    .filter(other => other.relatedCache?.articles?.some(entry => String(entry.article) === id))
+    .map(other => String(other._id)));
+
+  if (article) {
+    const articles = rank(article, corpus);
+    updates.push({ id, articles });
+    // Only published articles are suggested, so only they can join others' lists
+    if (corpus.vectors.has(id)) {
+      articles.forEach(entry => affected.add(String(entry.article)));
+    }
+  }
+
+  affected.delete(id);
+  corpus.articles
+    .filter(other => affected.has(String(other._id)))
+    .forEach(other => updates.push({ id: other._id, articles: rank(other, corpus) }));
+
+  await saveCache(updates);
+  return updates.length;
+};
+
+/**
+ * Recompute the suggestions of every article in the corpus against one load of
+ * it, e.g. to fill the caches of articles from before they were kept. Older
+ * articles get theirs the first time they are asked for.
+ * @returns {Promise<number>} How many articles were updated
+ */
+const refreshAllRelated = async () => {
+  const corpus = await loadCorpus();
+  const updates = corpus.articles.map(article => ({ id: article._id, articles: rank(article, corpus) }));
+  for (let start = 0; start < updates.length; start += SAVE_BATCH_SIZE) {
+    await saveCache(updates.slice(start, start + SAVE_BATCH_SIZE));
+  }
+  return updates.length;
+};
+
+/**
+ * Refresh in the background after a response has been sent; failures are logged
+ * and the old suggestions stay until the next change
+ * @param {ObjectId|string} articleId
+ */
+const refreshRelatedLater = (articleId) => {
+  setImmediate(() => {
+    refreshRelated(articleId)
+      .then(count => logger.debug(`[News] Refreshed related articles for ${count} articles after ${articleId} changed`))
+      .catch(error => logger.error('[News] Failed to refresh related articles', { article: String(articleId), error: error.message }));
+  });
+};
+
+// Articles whose missing suggestions are being worked out, so visitors arriving
+// together don't each start the same computation
+const computing = new Set();
+
+const computeMissingLater = (articleId) => {
+  const id = String(articleId);
+  if (computing.has(id)) return;
+  computing.add(id);
+  setImmediate(() => {
+    refreshRelated(id)
+      .catch(error => logger.error('[News] Failed to work out related articles', { article: id, error: error.message }))
+      .finally(() => computing.delete(id));
+  });
+};
+
+/**
+ * An article's related articles: its pins in order, then the best automatic
+ * suggestions. An article without suggestions yet only gets its pins; they are
+ * worked out in the background for the next request.
+ * @param {Object} article - Published article document
+ * @param {number} [limit=4]
+ * @returns {Promise<Array>} Published articles, each marked `pinned` or with a `score`
+ */
+const getRelated = async (article, limit = 4) => {
+  const pinnedIds = (article.relatedNews || []).map(pin => String(pin._id || pin));
+
+  let cache = article.relatedCache;
+  if (cache === undefined) {
+    cache = (await News.findById(article._id).select('+relatedCache').lean())?.relatedCache;
+  }
+  if (!cache?.computedAt) {
+    computeMissingLater(article._id);
+    cache = { articles: [] };
+  }
+
+  const scores = new Map((cache.articles || []).map(entry => [String(entry.article), entry.score]));
+  const automaticIds = [...scores.keys()].filter(id => !pinnedIds.includes(id));
+  const ids = [...pinnedIds, ...automaticIds];
+
+  const found = await News.find({
+    _id: { $in: ids, $ne: article._id },
+    status: 'published',
+    publishedAt: { $lte: new Date() }
+  })
+    .select('title slug excerpt featuredImage featuredImageAlt publishedAt readingTime')
+    .lean();
+  const byId = new Map(found.map(related => [String(related._id), related]));
+
+  return ids
+    .filter(id => byId.has(id))
+    .slice(0, limit)
+    .map(id => (pinnedIds.includes(id)
+      ? { ...byId.get(id), pinned: true }
+      : { ...byId.get(id), pinned: false, score: scores.get(id) }));
+};
+
+module.exports = {
+  tokenize,
+  rank,
+  loadCorpus,
+  refreshRelated,
+  refreshAllRelated,
+  refreshRelatedLater,
+  getRelated
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const LocalDriver = require('./storage/local.driver');
+const Application = require('../models/application.model');
+const ResumeUpload = require('../models/resumeUpload.model');
+
+const MAX_RESUME_SIZE = 2 * 1024 * 1024;
+
+// Uploads no application has used by then are deleted
+const UPLOAD_RETENTION_HOURS = parseInt(process.env.RESUME_UPLOAD_RETENTION_HOURS, 10) || 24;
+
+const DOWNLOAD_TOKEN_PURPOSE = 'resume-download';
+
+// Stored resumes are referenced as "<driver>:<key>", so files saved by one driver stay
+// readable after RESUME_STORAGE_DRIVER changes. Older applications hold Cloudinary URLs.
+const RESUME_REF = /^([a-z]+):([a-f0-9]{32}\.pdf)$/;
+
+// Each driver implements save, exists, read, createReadStream, size and remove by key
+const DRIVERS = {
+  local: () => new LocalDriver(process.env.RESUME_STORAGE_DIR || path.join(__dirname, '../storage/resumes'))
+};
+
+const instances = {};
+const getDriver = (name) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown resume storage driver: ${name}`);
+  }
+  if (!instances[name]) instances[name] = DRIVERS[name]();
+  return instances[name];
+};
+
+const parseRef = (ref) => {
+  const match = typeof ref === 'string' && ref.match(RESUME_REF);
+  return match && DRIVERS[match[1]] ? { driver: getDriver(match[1]), key: match[2] } : null;
+};
+
+// Files from before local storage, which are already hosted on Cloudinary. Only ever
+// read from existing applications; new ones must reference a stored upload.
+const isLegacyUrl = (ref) => {
+  if (typeof ref !== 'string') return false;
+  try {
+    const { protocol, hostname } = new URL(ref);
+    return protocol === 'https:' && hostname === 'res.cloudinary.com';
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Whether a buffer is a PDF, going by its magic bytes rather than the name or MIME type
+ * the browser reported
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+const isPdf = (buffer) => buffer.length > 5 && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+
+/**
+ * Store an uploaded resume under a random, unguessable key, and record it as
+ * unused until an application claims it
+ * @param {Buffer} buffer - File contents, already checked with isPdf
+ * @returns {Promise<string>} Reference to save on the application
+ */
+const saveResume = async (buffer) => {
+  const name = process.env.RESUME_STORAGE_DRIVER || 'local';
+  const key = `${crypto.randomBytes(16).toString('hex')}.pdf`;
+  const driver = getDriver(name);
+  await driver.save(key, buffer);
+  try {
+    await ResumeUpload.create({ resume: `${name}:${key}` });
+  } catch (err) {
+    await driver.remove(key);
+    throw err;
+  }
+  return `${name}:${key}`;
+};
+
+/**
+ * Whether a resume reference from a request can be put on an application: only an
+ * upload that no application has claimed yet and that exists in storage. Legacy
+ * URLs are never accepted from clients.
+ * @param {string} ref
+ * @returns {Promise<boolean>}
+ */
+const isValidResume = async (ref) => {
+  const stored = parseRef(ref);
+  return !!stored && !!(await ResumeUpload.exists({ resume: ref })) && stored.driver.exists(stored.key);
+};
+
+/**
+ * Mark an upload as used once the application holding it is saved, so it isn't cleaned up
+ * @param {string} ref
+ * @returns {Promise<void>}
+ */
+const claimResume = async (ref) => {
+  await ResumeUpload.deleteOne({ resume: ref });
+};
+
+/**
+ * Delete a stored resume, e.g. one a candidate has replaced. Legacy URLs are left alone.
+ * @param {string} ref
+ * @returns {Promise<void>}
+ */
+const removeResume = async (ref) => {
+  const stored = parseRef(ref);
+  if (stored) await stored.driver.remove(stored.key);
+};
+
+/**
+ * Delete uploads that no application has claimed within the retention time
+ * @returns {Promise<number>} Files removed
+ */
+const removeUnusedUploads = async () => {
+  const cutoff = new Date(Date.now() - UPLOAD_RETENTION_HOURS * 60 * 60 * 1000);
+  let removed = 0;
+  for await (const upload of ResumeUpload.find({ createdAt: { $lt: cutoff } }).lean().cursor()) {
+    // An application saved just before its claim failed still keeps its file
+    if (!(await Application.exists({ resume: upload.resume }))) {
+      await removeResume(upload.resume);
+      removed += 1;
+    }
+    await ResumeUpload.deleteOne({ _id: upload._id });
+  }
+  return removed;
+};
+
+/**
+ * Read a stored resume into memory, e.g. to attach it to an email
+ * @param {string} ref
+ * @returns {Promise<Buffer|null>} null for legacy URLs
+ */
+const readResume = async (ref) => {
+  const stored = parseRef(ref);
+  return stored ? stored.driver.read(stored.key) : null;
+};
+
+/**
+ * Open a stored resume for streaming
+ * @param {string} ref
+ * @returns {Promise<{stream: Readable, size: number}>}
+ */
+const openResume = async (ref) => {
+  const stored = parseRef(ref);
+  if (!stored) throw new Error('Resume is not held in storage');
+  const size = await stored.driver.size(stored.key);
+  return { stream: stored.driver.createReadStream(stored.key), size };
+};
+
+/**
+ * Sign a short-lived token for downloading an application's resume
+ * @param {Object} application - Application document
+ * @returns {{token: string, expiresAt: Date}}
+ */
+const createDownloadToken = (application) => {
+  const token = jwt.sign(
+    { purpose: DOWNLOAD_TOKEN_PURPOSE, resume: application.resume },
+    process.env.JWT_SECRET,
+    {
+      subject: application._id.toString(),
+      expiresIn: process.env.RESUME_URL_EXPIRES_IN || '5m'
+    }
+  );
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Check a download token. Throws if it is invalid or expired.
+ * @param {string} token
+ * @returns {{applicationId: string, resume: string}}
+ */
+const verifyDownloadToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== DOWNLOAD_TOKEN_PURPOSE) {
+    throw new Error('Invalid resume download token');
+  }
+  return { applicationId: decoded.sub, resume: decoded.resume };
+};
+
+module.exports = {
+  MAX_RESUME_SIZE,
+  isPdf,
+  isLegacyUrl,
+  saveResume,
+  isValidResume,
+  claimResume,
+  removeResume,
+  removeUnusedUploads,
+  readResume,
+  openResume,
+  createDownloadToken,
+  verifyDownloadToken
+};
@@ -0,0 +1,40 @@
+const axios = require('axios');
+// The package entry point runs a self-test when loaded directly, so use the library file
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const resumeStorage = require('./resumeStorage.service');
+
+// Enough for any real resume; stops a huge PDF bloating the application document
+const MAX_TEXT_LENGTH = 50000;
+
+/**
+ * Extract the plain text from a PDF resume, with whitespace collapsed
+ * @param {Buffer} buffer - PDF contents
+ * @returns {Promise<string>}
+ */
+const extractText = async (buffer) => {
+  const { text } = await pdfParse(buffer);
+  return text.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+};
+
+/**
+ * Extract the text of the resume an application points at. Extraction is best effort:
+ * scanned or broken PDFs give an empty string rather than failing the request.
+ * @param {string} ref - Stored resume reference or legacy Cloudinary URL
+ * @returns {Promise<string>}
+ */
+const extractResumeText = async (ref) => {
+  try {
+    const buffer = resumeStorage.isLegacyUrl(ref)
+      ? Buffer.from((await axios.get(ref, { responseType: 'arraybuffer' })).data)
+      : await resumeStorage.readResume(ref);
+    return buffer ? await extractText(buffer) : '';
+  } catch (err) {
+    console.error('Could not extract resume text:', err.message);
+    return '';
+  }
+};
+
+module.exports = {
+  extractText,
+  extractResumeText
+};
@@ -0,0 +1,207 @@
+const News = require('../models/news.model');
+const NewsCategory = require('../models/newsCategory.model');
+const Project = require('../models/Project');
+const GalleryItem = require('../models/gallery.model');
+const Album = require('../models/Album');
+const Internship = require('../models/internship.model');
+
+// The sitemap protocol allows 50,000 URLs per file; staying well under keeps
+// each file small enough to generate on request
+const URLS_PER_SITEMAP = 10000;
+
+// Indexable pages declared in src/App.jsx. Aliases (/about-us, /contact-us),
+// forms and per-applicant pages are left out.
+const STATIC_PAGES = [
+  { path: '/', changefreq: 'weekly', priority: '1.0' },
+  { path: '/about', changefreq: 'monthly', priority: '0.8' },
+  { path: '/services', changefreq: 'monthly', priority: '0.8' },
+  { path: '/portfolio', changefreq: 'weekly', priority: '0.8' },
+  { path: '/career', changefreq: 'daily', priority: '0.8' },
+  { path: '/news', changefreq: 'daily', priority: '0.8' },
+  { path: '/gallery', changefreq: 'weekly', priority: '0.7' },
+  { path: '/team', changefreq: 'monthly', priority: '0.6' },
+  { path: '/faq', changefreq: 'monthly', priority: '0.5' },
+  { path: '/contact', changefreq: 'yearly', priority: '0.5' },
+  { path: '/terms', changefreq: 'yearly', priority: '0.3' }
+];
+
+// Paths no crawler needs, added to robots.txt when indexing is allowed
+const DISALLOWED_PATHS = ['/application-status/', '/gallery-upload', '/add-testimonial'];
+
+const escapeXml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const latest = (...dates) => dates
+  .filter(Boolean)
+  .map(date => new Date(date))
+  .reduce((newest, date) => (!newest || date > newest ? date : newest), null);
+
+const newestOf = (docs, ...fields) => latest(...docs.flatMap(doc => fields.map(field => doc[field])));
+
+/**
+ * Whether this environment may be indexed. Opt-in, so staging and local
+ * copies are never indexed by accident.
+ * @returns {boolean}
+ */
+const isIndexingAllowed = () => process.env.ALLOW_INDEXING === 'true';
+
+/**
+ * Every public URL on the site with when it last changed
+ * @param {string} siteUrl - Public site, without a trailing slash
+ * @returns {Promise<Array<{loc: string, lastmod: ?Date, changefreq: ?string, priority: ?string}>>}
+ */
+const collectUrls = async (siteUrl) => {
+  const now = new Date();
+
+  const [articles, categories, projects, galleryItems, albums, internships] = await Promise.all([
+    News.find({ status: 'published', publishedAt: { $lte: now } })
+      .select('slug category publishedAt updatedAt')
+      .lean(),
+    NewsCategory.find({ isActive: true }).select('slug updatedAt').lean(),
+    Project.find().select('+createdAt').lean(),
+    GalleryItem.find({ status: 'published' }).select('updatedAt createdAt').lean(),
+    Album.find({ isActive: true }).select('updatedAt createdAt').lean(),
+    Internship.find({
+      isOpen: true,
+      $or: [{ applicationDeadline: null }, { applicationDeadline: { $gt: now } }]
+    }).select('createdAt').lean()
+  ]);
+
+  // Projects and albums have no page of their own; they change the page that lists them
+  const listingUpdates = {
+    '/news': newestOf(articles, 'publishedAt', 'updatedAt'),
+    '/portfolio': newestOf(projects, 'createdAt', 'updatedAt'),
+    '/gallery': latest(newestOf(galleryItems, 'updatedAt'), newestOf(albums, 'updatedAt', 'createdAt')),
+    '/career': newestOf(internships, 'createdAt')
+  };
+
+  // Categories change when an article filed under them does
+  const categoryUpdates = {};
+  articles.forEach((article) => {
+    const key = String(article.category?._id || article.category);
+    categoryUpdates[key] = latest(categoryUpdates[key], article.updatedAt, article.publishedAt);
+  });
+
+  return [
+    ...STATIC_PAGES.map(page => ({
+      loc: `${siteUrl}${page.path}`,
+      lastmod: listingUpdates[page.path] || null,
+      changefreq: page.changefreq,
+      priority: page.priority
+    })),
+    ...categories.map(category => ({
+      loc: `${siteUrl}/news/category/${encodeURIComponent(category.slug)}`,
+      lastmod: latest(category.updatedAt, categoryUpdates[String(category._id)]),
+      changefreq: 'weekly',
+      priority: '0.5'
+    })),
+    ...articles.map(article => ({
+      loc: `${siteUrl}/news/${encodeURIComponent(article.slug)}`,
+      lastmod: latest(article.updatedAt, article.publishedAt),
+      changefreq: 'monthly',
+      priority: '0.7'
+    })),
+    ...galleryItems.map(item => ({
+      loc: `${siteUrl}/gallery/${item._id}`,
+      lastmod: latest(item.updatedAt, item.createdAt),
+      changefreq: 'monthly',
+      priority: '0.4'
+    })),
+    ...internships.map(internship => ({
+      loc: `${siteUrl}/apply/${internship._id}`,
+      lastmod: latest(internship.createdAt),
+      changefreq: 'weekly',
+      priority: '0.6'
+    }))
+  ];
+};
+
+/**
+ * Render a <urlset> sitemap
+ * @param {Array} urls - From collectUrls
+ * @returns {string}
+ */
+const buildUrlset = (urls) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...urls.map(url => [
+    '  <url>',
+    `    <loc>${escapeXml(url.loc)}</loc>`,
+    url.lastmod && `    <lastmod>${url.lastmod.toISOString()}</lastmod>`,
+    url.changefreq && `    <changefreq>${url.changefreq}</changefreq>`,
+    url.priority && `    <priority>${url.priority}</priority>`,
+    '  </url>'
+  ].filter(Boolean).join('\n')),
+  '</urlset>',
+  ''
+].join('\n');
+
+/**
+ * Render a <sitemapindex> pointing at numbered sitemaps
+ * @param {Array<{loc: string, lastmod: ?Date}>} sitemaps
+ * @returns {string}
+ */
+const buildIndex = (sitemaps) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...sitemaps.map(sitemap => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(sitemap.loc)}</loc>`,
+    sitemap.lastmod && `    <lastmod>${sitemap.lastmod.toISOString()}</lastmod>`,
+    '  </sitemap>'
+  ].filter(Boolean).join('\n')),
+  '</sitemapindex>',
+  ''
+].join('\n');
+
+/**
+ * Split URLs into sitemap-sized pages
+ * @param {Array} urls
+ * @returns {Array<Array>}
+ */
+const paginate = (urls) => {
+  const pages = [];
+  for (let start = 0; start < urls.length; start += URLS_PER_SITEMAP) {
+    pages.push(urls.slice(start, start + URLS_PER_SITEMAP));
+  }
+  return pages;
+};
+
+/**
+ * Render robots.txt for this environment
+ * @param {string} sitemapUrl - Absolute URL of sitemap.xml
+ * @returns {string}
+ */
+const buildRobots = (sitemapUrl) => {
+  if (!isIndexingAllowed()) {
+    return ['# Indexing is disabled in this environment (set ALLOW_INDEXING=true to enable)', 'User-agent: *', 'Disallow: /', ''].join('\n');
+  }
+
+  const extra = (process.env.ROBOTS_DISALLOW || '')
+    .split(',')
+    .map(path => path.trim())
+    .filter(Boolean);
+
+  return [
+    'User-agent: *',
+    ...[...DISALLOWED_PATHS, ...extra].map(path => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${sitemapUrl}`,
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  URLS_PER_SITEMAP,
+  isIndexingAllowed,
+  collectUrls,
+  buildUrlset,
+  buildIndex,
+  paginate,
+  buildRobots
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keys are generated by the storage service; anything else could escape the root directory
+const SAFE_KEY = /^[a-f0-9]{32}\.pdf$/;
+
+/**
+ * Stores files in a directory on the server's disk. The directory must not be
+ * served statically; files are only read back through the storage service.
+ */
+class LocalDriver {
+  constructor(root) {
+    this.root = root;
+    fs.mkdirSync(root, { recursive: true });
+  }
+
+  resolve(key) {
+    if (!SAFE_KEY.test(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.root, key);
+  }
+
+  async save(key, buffer) {
+    // wx fails rather than overwrite an existing file
+    await fs.promises.writeFile(this.resolve(key), buffer, { flag: 'wx', mode: 0o600 });
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async read(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async size(key) {
+    const stats = await fs.promises.stat(this.resolve(key));
+    return stats.size;
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,170 @@
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const Application = require('../models/application.model');
+const Internship = require('../models/internship.model');
+
+const CRITERIA = [
+  { _id: 'skills', label: 'Skills' },
+  { _id: 'fit', label: 'Team fit' }
+];
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const newApplication = (fields = {}) => new Application({
+  internship: newId(),
+  name: 'Asha Rao',
+  email: 'asha@example.com',
+  phone: '9876543210',
+  resume: 'local:0123456789abcdef0123456789abcdef.pdf',
+  ...fields
+});
+
+describe('application scoring', () => {
+  describe('setScorecard', () => {
+    it("averages one reviewer's ratings", () => {
+      const application = newApplication();
+      const reviewer = newId();
+
+      expect(application.setScorecard(reviewer, { ratings: { skills: 5, fit: 4 }, comment: 'Strong' }, CRITERIA))
+        .to.deep.equal([]);
+
+      const [card] = application.scorecards;
+      expect(card.reviewer.equals(reviewer)).to.equal(true);
+      expect(card.average).to.equal(4.5);
+      expect(card.comment).to.equal('Strong');
+      expect(card.ratings.map(({ criterion, label, score }) => ({ criterion, label, score }))).to.deep.equal([
+        { criterion: 'skills', label: 'Skills', score: 5 },
+        { criterion: 'fit', label: 'Team fit', score: 4 }
+      ]);
+      // A single reviewer agrees with themselves
+      expect(application.averageScore).to.equal(4.5);
+      expect(application.consensusScore).to.equal(4.5);
+    });
+
+    it('lowers the consensus score when reviewers disagree', () => {
+      const application = newApplication();
+      application.setScorecard(newId(), { ratings: { skills: 5, fit: 4 } }, CRITERIA);
+      application.setScorecard(newId(), { ratings: { skills: 2, fit: 3 } }, CRITERIA);
+
+      // Averages of 4.5 and 2.5: mean 3.5, spread 1
+      expect(application.scorecards).to.have.lengthOf(2);
+      expect(application.averageScore).to.equal(3.5);
+      expect(application.consensusScore).to.equal(2.5);
+    });
+
+    it('rounds the aggregates to two decimals', () => {
+      const application = newApplication();
+      application.setScorecard(newId(), { ratings: { overall: 5 } }, [{ _id: 'overall', label: 'Overall' }]);
+      application.setScorecard(newId(), { ratings: { overall: 4 } }, [{ _id: 'overall', label: 'Overall' }]);
+      application.setScorecard(newId(), { ratings: { overall: 4 } }, [{ _id: 'overall', label: 'Overall' }]);
+
+      expect(application.averageScore).to.equal(4.33);
+      expect(application.consensusScore).to.equal(3.86);
+    });
+
+    it("replaces a reviewer's earlier scorecard", () => {
+      const application = newApplication();
+      const reviewer = newId();
+      application.setScorecard(reviewer, { ratings: { skills: 1, fit: 1 } }, CRITERIA);
+      application.setScorecard(reviewer, { ratings: { skills: 3, fit: 4 } }, CRITERIA);
+
+      expect(application.scorecards).to.have.lengthOf(1);
+      expect(application.scorecards[0].average).to.equal(3.5);
+      expect(application.averageScore).to.equal(3.5);
+    });
+
+    it('accepts scores sent as strings', () => {
+      const application = newApplication();
+      expect(application.setScorecard(newId(), { ratings: { skills: '4', fit: '2' } }, CRITERIA)).to.deep.equal([]);
+      expect(application.averageScore).to.equal(3);
+    });
+
+    it('rejects missing, fractional and out of range scores without changing anything', () => {
+      const application = newApplication();
+      const errors = application.setScorecard(newId(), { ratings: { skills: 6 } }, CRITERIA);
+
+      expect(errors).to.deep.equal(['Give "Skills" a score from 1 to 5', 'Give "Team fit" a score from 1 to 5']);
+      expect(application.setScorecard(newId(), { ratings: { skills: 0, fit: 2.5 } }, CRITERIA)).to.have.lengthOf(2);
+      expect(application.scorecards).to.have.lengthOf(0);
+      expect(application.averageScore).to.equal(undefined);
+    });
+
+    it("scores against the internship's criteria, or overall when it has none", () => {
+      const internship = new Internship({
+        title: 'Frontend Intern',
+        scoringCriteria: [{ label: 'React' }, { label: 'Communication' }]
+      });
+      const criteria = internship.getScoringCriteria();
+      const ratings = { [criteria[0]._id]: 4, [criteria[1]._id]: 2 };
+
+      const application = newApplication();
+      expect(application.setScorecard(newId(), { ratings }, criteria)).to.deep.equal([]);
+      expect(application.averageScore).to.equal(3);
+      expect(new Internship({ title: 'Any' }).getScoringCriteria()).to.deep.equal([{ _id: 'overall', label: 'Overall' }]);
+    });
+  });
+
+  describe('toReviewerJSON', () => {
+    const admin = { _id: newId(), role: 'admin' };
+    const subAdmin = { _id: newId(), role: 'sub-admin' };
+    const otherSubAdmin = { _id: newId(), role: 'sub-admin' };
+
+    const scoredApplication = (fields) => {
+      const application = newApplication(fields);
+      application.setScorecard(admin._id, { ratings: { skills: 5, fit: 5 } }, CRITERIA);
+      application.setScorecard(subAdmin._id, { ratings: { skills: 3, fit: 2 } }, CRITERIA);
+      return application;
+    };
+
+    const reviewerIds = json => json.scorecards.map(card => card.reviewer.toString());
+
+    it('shows admins every scorecard and the aggregates', () => {
+      const json = scoredApplication().toReviewerJSON(admin);
+
+      expect(reviewerIds(json)).to.deep.equal([admin._id.toString(), subAdmin._id.toString()]);
+      expect(json.averageScore).to.equal(3.75);
+      expect(json).to.have.property('consensusScore');
+    });
+
+    it('shows sub-admins only their own scorecard and no aggregates', () => {
+      const json = scoredApplication().toReviewerJSON(subAdmin);
+
+      expect(reviewerIds(json)).to.deep.equal([subAdmin._id.toString()]);
+      expect(json).to.not.have.property('averageScore');
+      expect(json).to.not.have.property('consensusScore');
+    });
+
+    it('shows a sub-admin who has not scored no scorecards', () => {
+      const json = scoredApplication().toReviewerJSON(otherSubAdmin);
+
+      expect(json.scorecards).to.deep.equal([]);
+      expect(json).to.not.have.property('averageScore');
+    });
+
+    it('handles populated reviewers', () => {
+      const application = scoredApplication();
+      const json = application.toJSON();
+      json.scorecards[1].reviewer = { _id: subAdmin._id, username: 'sub' };
+      application.toJSON = () => json;
+
+      expect(application.toReviewerJSON(subAdmin).scorecards).to.have.lengthOf(1);
+    });
+
+    it('shows everyone all scores once the application is decided', () => {
+      ['Hired', 'Rejected', 'Withdrawn'].forEach((status) => {
+        const json = scoredApplication({ status }).toReviewerJSON(subAdmin);
+
+        expect(json.scorecards, status).to.have.lengthOf(2);
+        expect(json.averageScore, status).to.equal(3.75);
+      });
+    });
+
+    it("doesn't change the document itself", () => {
+      const application = scoredApplication();
+      application.toReviewerJSON(subAdmin);
+
+      expect(application.scorecards).to.have.lengthOf(2);
+      expect(application.averageScore).to.equal(3.75);
+    });
+  });
+});
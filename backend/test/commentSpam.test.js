@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const { SPAM_THRESHOLD, scoreComment } = require('../services/commentSpam.service');
+
+const comment = (fields = {}) => ({
+  name: 'Asha Rao',
+  email: 'asha@example.com',
+  body: 'Thanks for writing this up, the section on interviews was really useful.',
+  ...fields
+});
+
+describe('commentSpam', () => {
+  describe('scoreComment', () => {
+    it('lets an ordinary comment through', () => {
+      expect(scoreComment(comment())).to.deep.equal({ score: 0, reasons: [], isSpam: false });
+    });
+
+    it('marks a filled-in hidden field as spam on its own', () => {
+      const result = scoreComment(comment(), { honeypot: true });
+
+      expect(result.score).to.equal(SPAM_THRESHOLD);
+      expect(result.reasons).to.deep.equal(['Hidden form field filled in']);
+      expect(result.isSpam).to.equal(true);
+    });
+
+    it('scores one or two links lightly and more than two heavily', () => {
+      const one = scoreComment(comment({ body: 'More at https://example.com' }));
+      const two = scoreComment(comment({ body: 'See https://a.example and www.b.example' }));
+      const three = scoreComment(comment({ body: 'http://a.example http://b.example www.c.example' }));
+
+      expect(one).to.include({ score: 1, isSpam: false });
+      expect(one.reasons).to.deep.equal(['Contains a link']);
+      expect(two.score).to.equal(1);
+      expect(three.score).to.equal(2);
+      expect(three.reasons).to.deep.equal(['3 links']);
+    });
+
+    it('scores a link in the name', () => {
+      const result = scoreComment(comment({ name: 'www.cheap.example' }));
+
+      expect(result.score).to.equal(2);
+      expect(result.reasons).to.deep.equal(['Link in name']);
+    });
+
+    it('finds spam phrases in the name and body, in any case', () => {
+      const result = scoreComment(comment({ name: 'Crypto Tips', body: 'Great post. CLICK HERE for more.' }));
+
+      expect(result.score).to.equal(2);
+      expect(result.reasons).to.deep.equal(['Spam phrases: crypto, click here']);
+    });
+
+    it('scores bodies that are mostly capital letters', () => {
+      expect(scoreComment(comment({ body: 'THIS IS THE BEST ARTICLE I HAVE EVER READ' })).reasons)
+        .to.deep.equal(['Mostly capital letters']);
+      // Too short to judge
+      expect(scoreComment(comment({ body: 'GREAT POST THANKS' })).score).to.equal(0);
+      // Some capitals are fine
+      expect(scoreComment(comment({ body: 'Loved the NASA and ISRO parts of this article' })).score).to.equal(0);
+    });
+
+    it('scores long runs of one character', () => {
+      expect(scoreComment(comment({ body: 'Wow!!!!!!!!!!' })).reasons).to.deep.equal(['Repeated characters']);
+      expect(scoreComment(comment({ body: 'Wow!!!!!!!!!' })).score).to.equal(0);
+    });
+
+    it('scores disposable email addresses', () => {
+      expect(scoreComment(comment({ email: 'someone@mailinator.com' })).reasons)
+        .to.deep.equal(['Disposable email address']);
+      expect(scoreComment(comment({ email: 'someone@mailinator-fan.org' })).score).to.equal(0);
+    });
+
+    it('marks duplicates as spam', () => {
+      const result = scoreComment(comment(), { duplicate: true });
+
+      expect(result.reasons).to.deep.equal(['Duplicate of an earlier comment']);
+      expect(result.isSpam).to.equal(true);
+    });
+
+    it('scores bursts of five or more comments from one sender', () => {
+      expect(scoreComment(comment(), { recentFromSender: 4 }).score).to.equal(0);
+      expect(scoreComment(comment(), { recentFromSender: 5 })).to.deep.equal({
+        score: 2,
+        reasons: ['5 comments in ten minutes from this sender'],
+        isSpam: false
+      });
+    });
+
+    it('is spam from the threshold up', () => {
+      const below = scoreComment(comment({ body: 'Cheap poker tips here' }));
+      const at = scoreComment(comment({ body: 'Cheap poker tips at https://example.com' }));
+
+      expect(below).to.include({ score: SPAM_THRESHOLD - 1, isSpam: false });
+      expect(at).to.include({ score: SPAM_THRESHOLD, isSpam: true });
+    });
+
+    it('adds up every heuristic that matches', () => {
+      const result = scoreComment({
+        name: 'http://seo.example',
+        email: 'x@yopmail.com',
+        body: 'BUY BACKLINKS NOW AT HTTP://A.EXAMPLE HTTP://B.EXAMPLE HTTP://C.EXAMPLE!!!!!!!!!!'
+      }, { honeypot: true, duplicate: true, recentFromSender: 12 });
+
+      expect(result.reasons).to.have.lengthOf(9);
+      expect(result.score).to.equal(SPAM_THRESHOLD + 2 + 2 + 2 + 1 + 1 + 1 + 3 + 2);
+      expect(result.isSpam).to.equal(true);
+    });
+
+    it('copes with missing fields', () => {
+      expect(scoreComment({})).to.deep.equal({ score: 0, reasons: [], isSpam: false });
+    });
+  });
+});
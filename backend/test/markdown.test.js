@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const {
+  isSafeUrl,
+  markdownToHtml,
+  htmlToMarkdown,
+  findMarkdownImages,
+  findHtmlImages
+} = require('../utils/markdown');
+
+// Exporting writes Markdown from the stored HTML; importing converts it back
+const roundTrip = (html, options) => markdownToHtml(htmlToMarkdown(html, options), options);
+
+describe('markdown', () => {
+  describe('isSafeUrl', () => {
+    it('allows web, email and relative addresses', () => {
+      ['https://example.com', 'http://example.com/a', 'mailto:team@example.com', '/news/a', 'images/a.png', '#top']
+        .forEach(url => expect(isSafeUrl(url), url).to.equal(true));
+    });
+
+    it('blocks javascript: and other schemes', () => {
+      ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,<b>x</b>', 'vbscript:msgbox', 'file:///etc/passwd']
+        .forEach(url => expect(isSafeUrl(url), url).to.equal(false));
+    });
+  });
+
+  describe('round trip', () => {
+    [
+      ['headings and emphasis', '<h2>Heading</h2><p>Some <strong>bold</strong>, <em>italic</em> and <s>struck</s> text.</p>'],
+      ['links with query strings', '<p>A <a href="https://example.com/a_b?x=1&amp;y=2">link</a> and <a href="mailto:team@example.com">email</a>.</p>'],
+      ['nested and numbered lists', '<ul><li>One</li><li>Two<ul><li>Nested</li></ul></li></ul><ol><li>First</li><li>Second</li></ol>'],
+      ['quotes, code blocks and rules', '<blockquote><p>Quoted</p></blockquote><pre>const a = 1 &lt; 2;\nif (a) {}</pre><hr>'],
+      ['line breaks and inline code', '<p>Line one<br>Line two</p><p><code>x *y*</code> and 2 * 3 * 4 and snake_case_name</p>'],
+      ['images', '<p><img src="https://res.cloudinary.com/demo/a.jpg" alt="A photo"></p>'],
+      ['text that looks like Markdown', '<p>1. not a list</p><p># not a heading</p><p>- not a bullet</p><p>[brackets] and \\backslash and `ticks`</p>']
+    ].forEach(([name, html]) => {
+      it(`gives back the same HTML for ${name}`, () => {
+        expect(roundTrip(html)).to.equal(html);
+      });
+    });
+
+    it('keeps escaped text escaped', () => {
+      const html = '<p>Tom &amp; Jerry &lt;script&gt;alert(1)&lt;/script&gt;</p>';
+      expect(roundTrip(html)).to.equal(html);
+    });
+
+    it('is stable once quotes have been turned into entities', () => {
+      const once = roundTrip('<p>"Double" and \'single\' quotes</p>');
+      expect(once).to.equal('<p>&quot;Double&quot; and &#39;single&#39; quotes</p>');
+      expect(roundTrip(once)).to.equal(once);
+    });
+
+    it('maps image sources both ways', () => {
+      const html = '<p><img src="https://res.cloudinary.com/demo/a.jpg" alt="A"></p>';
+      const markdown = htmlToMarkdown(html, { imageUrl: () => 'images/post/1.jpg' });
+      expect(markdown).to.equal('![A](images/post/1.jpg)');
+      expect(markdownToHtml(markdown, { imageUrl: () => 'https://res.cloudinary.com/demo/b.jpg' }))
+        .to.equal('<p><img src="https://res.cloudinary.com/demo/b.jpg" alt="A"></p>');
+    });
+  });
+
+  describe('markdownToHtml', () => {
+    it('escapes raw HTML instead of passing it through', () => {
+      expect(markdownToHtml('<script>alert(1)</script> and <b onclick="x()">bold</b>')).to.equal(
+        '<p>&lt;script&gt;alert(1)&lt;/script&gt; and &lt;b onclick=&quot;x()&quot;&gt;bold&lt;/b&gt;</p>'
+      );
+    });
+
+    it('escapes HTML in code blocks', () => {
+      expect(markdownToHtml('```html\n<img src=x onerror=alert(1)>\n```')).to.equal(
+        '<pre>&lt;img src=x onerror=alert(1)&gt;</pre>'
+      );
+    });
+
+    it('drops javascript: links and images but keeps their text', () => {
+      expect(markdownToHtml('[click](javascript:alert) and [case](JaVaScRiPt:alert)')).to.equal('<p>click and case</p>');
+      expect(markdownToHtml('![alt text](javascript:alert)')).to.equal('<p>alt text</p>');
+    });
+
+    it("doesn't let link or image text break out of attributes", () => {
+      expect(markdownToHtml('![a" onerror="x](https://example.com/a.jpg)')).to.equal(
+        '<p><img src="https://example.com/a.jpg" alt="a&quot; onerror=&quot;x"></p>'
+      );
+      expect(markdownToHtml('<https://example.com/?q="x">')).to.not.include('"x"');
+    });
+
+    it('turns autolinks into links', () => {
+      expect(markdownToHtml('See <https://example.com> or <mailto:team@example.com>')).to.equal(
+        '<p>See <a href="https://example.com">https://example.com</a> or <a href="mailto:team@example.com">team@example.com</a></p>'
+      );
+    });
+  });
+
+  describe('htmlToMarkdown', () => {
+    it('drops unsafe links and embeds', () => {
+      expect(htmlToMarkdown('<p><a href="javascript:alert(1)">click</a> <a href="data:text/html,x">data</a></p>'))
+        .to.equal('click data');
+      expect(htmlToMarkdown('<iframe src="javascript:alert(1)"></iframe>')).to.equal('');
+    });
+
+    it('reads indented Quill lists as nested lists', () => {
+      const html = '<ol><li data-list="bullet">One</li><li data-list="bullet" class="ql-indent-1">Nested</li></ol>';
+      expect(htmlToMarkdown(html)).to.equal('- One\n   - Nested');
+    });
+  });
+
+  describe('finding images', () => {
+    it('lists images in Markdown in order', () => {
+      expect(findMarkdownImages('![a](images/1.png) text ![b](<images/2.png>) ![c](https://e.com/c.jpg "Title")'))
+        .to.deep.equal(['images/1.png', 'images/2.png', 'https://e.com/c.jpg']);
+    });
+
+    it('lists images in HTML in order', () => {
+      expect(findHtmlImages('<p><img src="a.png"></p><ul><li><img src=\'b.png\' alt="B"></li></ul><img alt="no source">'))
+        .to.deep.equal(['a.png', 'b.png']);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { expect } = require('chai');
+const { diffLines, toSideBySide, compareText } = require('../utils/textDiff');
+
+describe('textDiff', () => {
+  describe('diffLines', () => {
+    it('marks identical texts as all equal', () => {
+      expect(diffLines('one\ntwo', 'one\ntwo')).to.deep.equal([
+        { type: 'equal', value: 'one' },
+        { type: 'equal', value: 'two' }
+      ]);
+    });
+
+    it('finds lines added and removed between shared lines', () => {
+      expect(diffLines('a\nb\nc\nd', 'a\nc\nx\nd')).to.deep.equal([
+        { type: 'equal', value: 'a' },
+        { type: 'removed', value: 'b' },
+        { type: 'equal', value: 'c' },
+        { type: 'added', value: 'x' },
+        { type: 'equal', value: 'd' }
+      ]);
+    });
+
+    it('treats a missing side as empty', () => {
+      expect(diffLines(undefined, 'new')).to.deep.equal([{ type: 'added', value: 'new' }]);
+      expect(diffLines('old', null)).to.deep.equal([{ type: 'removed', value: 'old' }]);
+      expect(diffLines('', '')).to.deep.equal([]);
+    });
+
+    it('ignores line ending differences and a trailing newline', () => {
+      expect(diffLines('a\r\nb\r\n', 'a\nb')).to.deep.equal([
+        { type: 'equal', value: 'a' },
+        { type: 'equal', value: 'b' }
+      ]);
+    });
+
+    it('splits single-line HTML after block elements', () => {
+      const ops = diffLines('<p>One</p><p>Two</p>', '<p>One</p><p>Three</p>');
+      expect(ops).to.deep.equal([
+        { type: 'equal', value: '<p>One</p>' },
+        { type: 'removed', value: '<p>Two</p>' },
+        { type: 'added', value: '<p>Three</p>' }
+      ]);
+    });
+
+    it('splits after line breaks but not inline elements', () => {
+      const ops = diffLines('<p>a <strong>b</strong><br>c</p>', '<p>a <strong>b</strong><br/>d</p>');
+      expect(ops).to.deep.equal([
+        { type: 'removed', value: '<p>a <strong>b</strong><br>' },
+        { type: 'removed', value: 'c</p>' },
+        { type: 'added', value: '<p>a <strong>b</strong><br/>' },
+        { type: 'added', value: 'd</p>' }
+      ]);
+    });
+
+    it('keeps every line of both texts, in order', () => {
+      const before = ['intro', 'a', 'b', 'c', 'd', 'outro'].join('\n');
+      const after = ['intro', 'b', 'a', 'd', 'e', 'outro'].join('\n');
+      const ops = diffLines(before, after);
+
+      expect(ops.filter(op => op.type !== 'added').map(op => op.value).join('\n')).to.equal(before);
+      expect(ops.filter(op => op.type !== 'removed').map(op => op.value).join('\n')).to.equal(after);
+      // At most two middle lines can be kept in order, so two are removed and two added
+      expect(ops.filter(op => op.type !== 'equal')).to.have.lengthOf(4);
+    });
+
+    it('reports everything as changed when the texts are too large to compare', () => {
+      const before = Array.from({ length: 2100 }, (_, i) => `old ${i}`);
+      const after = Array.from({ length: 2100 }, (_, i) => `new ${i}`);
+      const ops = diffLines(['same', ...before, 'end'].join('\n'), ['same', ...after, 'end'].join('\n'));
+
+      expect(ops[0]).to.deep.equal({ type: 'equal', value: 'same' });
+      expect(ops.slice(1, 2101).every(op => op.type === 'removed')).to.equal(true);
+      expect(ops.slice(2101, 4201).every(op => op.type === 'added')).to.equal(true);
+      expect(ops[4201]).to.deep.equal({ type: 'equal', value: 'end' });
+    });
+  });
+
+  describe('toSideBySide', () => {
+    it('pairs removed lines with the added lines that follow as changes', () => {
+      const rows = toSideBySide([
+        { type: 'equal', value: 'a' },
+        { type: 'removed', value: 'b' },
+        { type: 'removed', value: 'c' },
+        { type: 'added', value: 'B' },
+        { type: 'equal', value: 'd' }
+      ]);
+
+      expect(rows).to.deep.equal([
+        { type: 'equal', left: 'a', right: 'a' },
+        { type: 'changed', left: 'b', right: 'B' },
+        { type: 'removed', left: 'c', right: null },
+        { type: 'equal', left: 'd', right: 'd' }
+      ]);
+    });
+
+    it('shows extra added lines on the right only', () => {
+      const rows = toSideBySide([
+        { type: 'removed', value: 'x' },
+        { type: 'added', value: 'y' },
+        { type: 'added', value: 'z' }
+      ]);
+
+      expect(rows).to.deep.equal([
+        { type: 'changed', left: 'x', right: 'y' },
+        { type: 'added', left: null, right: 'z' }
+      ]);
+    });
+
+    it('starts a new block when a removal follows additions', () => {
+      const rows = toSideBySide([
+        { type: 'added', value: 'new' },
+        { type: 'removed', value: 'old' }
+      ]);
+
+      expect(rows).to.deep.equal([
+        { type: 'added', left: null, right: 'new' },
+        { type: 'removed', left: 'old', right: null }
+      ]);
+    });
+  });
+
+  describe('compareText', () => {
+    it('returns side-by-side rows with counts of added and removed lines', () => {
+      const result = compareText('<h2>Title</h2><p>Old text</p>', '<h2>Title</h2><p>New text</p><p>More</p>');
+
+      expect(result.added).to.equal(2);
+      expect(result.removed).to.equal(1);
+      expect(result.rows).to.deep.equal([
+        { type: 'equal', left: '<h2>Title</h2>', right: '<h2>Title</h2>' },
+        { type: 'changed', left: '<p>Old text</p>', right: '<p>New text</p>' },
+        { type: 'added', left: null, right: '<p>More</p>' }
+      ]);
+    });
+
+    it('reports no changes for the same content', () => {
+      const result = compareText('<p>Same</p>', '<p>Same</p>');
+
+      expect(result.added).to.equal(0);
+      expect(result.removed).to.equal(0);
+      expect(result.rows.every(row => row.type === 'equal')).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const { expect } = require('chai');
+const { parseSearch, searchTerms, findMatches, buildSnippets } = require('../utils/textSearch');
+const { buildSearchFilter, highlightArticle, toPlainText } = require('../services/newsSearch.service');
+
+const FIELDS = ['title', 'excerpt', 'tags', 'content'];
+
+// Text the highlights in a snippet point at
+const highlighted = snippet => snippet.highlights.map(([start, end]) => snippet.text.slice(start, end));
+
+describe('textSearch', () => {
+  describe('parseSearch', () => {
+    it('splits words, quoted phrases and excluded terms', () => {
+      expect(parseSearch('react "node.js" -php developer')).to.deep.equal({
+        words: ['react', 'developer'],
+        phrases: ['node.js'],
+        excluded: ['php']
+      });
+    });
+
+    it('keeps the spaces inside a phrase and trims its ends', () => {
+      expect(parseSearch('"  machine learning "').phrases).to.deep.equal(['machine learning']);
+    });
+
+    it('excludes whole phrases', () => {
+      expect(parseSearch('design -"old school"')).to.deep.equal({
+        words: ['design'],
+        phrases: [],
+        excluded: ['old school']
+      });
+    });
+
+    it('ignores a lone dash and empty searches', () => {
+      expect(parseSearch('react - ')).to.deep.equal({ words: ['react'], phrases: [], excluded: [] });
+      expect(parseSearch('')).to.deep.equal({ words: [], phrases: [], excluded: [] });
+      expect(parseSearch()).to.deep.equal({ words: [], phrases: [], excluded: [] });
+    });
+
+    it('gives phrases first, then words, for highlighting', () => {
+      expect(searchTerms('react "node.js" -php')).to.deep.equal(['node.js', 'react']);
+    });
+  });
+
+  describe('findMatches', () => {
+    it('matches words starting with a term, in any case', () => {
+      const text = 'Developers develop; redevelopment is DEVELOPING';
+      expect(findMatches(text, ['develop']).map(([start, end]) => text.slice(start, end)))
+        .to.deep.equal(['Developers', 'develop', 'DEVELOPING']);
+    });
+
+    it('treats terms as literal text, not patterns', () => {
+      const text = 'C++ and a.b but not axb';
+      expect(findMatches(text, ['c++', 'a.b']).map(([start, end]) => text.slice(start, end)))
+        .to.deep.equal(['C++', 'a.b']);
+    });
+
+    it('finds nothing without text or terms', () => {
+      expect(findMatches('', ['x'])).to.deep.equal([]);
+      expect(findMatches('text', [])).to.deep.equal([]);
+    });
+  });
+
+  describe('buildSnippets', () => {
+    const filler = word => `${word} `.repeat(40);
+    const text = `${filler('alpha')}needle one ${filler('beta')}needle two ${filler('gamma')}needle three ${filler('delta')}needle four`;
+
+    it('returns short text whole, with every match highlighted', () => {
+      const [snippet, ...rest] = buildSnippets('Short text about developers and development', ['develop']);
+      expect(rest).to.have.lengthOf(0);
+      expect(snippet.text).to.equal('Short text about developers and development');
+      expect(highlighted(snippet)).to.deep.equal(['developers', 'development']);
+    });
+
+    it('cuts passages around matches, marking cut ends with an ellipsis', () => {
+      const snippets = buildSnippets(text, ['needle']);
+
+      expect(snippets).to.have.lengthOf(3);
+      snippets.forEach((snippet) => {
+        expect(snippet.text.startsWith('…')).to.equal(true);
+        expect(snippet.text.endsWith('…')).to.equal(true);
+        expect(snippet.text.length).to.be.at.most(80 * 2 + 2);
+        expect(highlighted(snippet)).to.deep.equal(['needle']);
+      });
+    });
+
+    it("doesn't cut words in half", () => {
+      const words = new Set(text.split(' '));
+      buildSnippets(text, ['needle']).forEach((snippet) => {
+        snippet.text.replace(/^…|…$/g, '').split(' ').forEach(word => expect(words.has(word), word).to.equal(true));
+      });
+    });
+
+    it('leaves off the ellipsis at the start and end of the text', () => {
+      const [first] = buildSnippets(`needle ${filler('alpha')}`, ['needle']);
+      const [last] = buildSnippets(`${filler('alpha')}needle`, ['needle']);
+
+      expect(first.text.startsWith('needle')).to.equal(true);
+      expect(first.highlights).to.deep.equal([[0, 6]]);
+      expect(last.text.endsWith('needle')).to.equal(true);
+    });
+
+    it('shows nearby matches in one snippet', () => {
+      const snippets = buildSnippets('one two needle three needle four', ['needle']);
+      expect(snippets).to.deep.equal([{ text: 'one two needle three needle four', highlights: [[8, 14], [21, 27]] }]);
+    });
+
+    it('stops at the maximum number of snippets', () => {
+      expect(buildSnippets(text, ['needle'], { max: 1 })).to.have.lengthOf(1);
+    });
+
+    it('returns nothing when the terms are not in the text', () => {
+      expect(buildSnippets(text, ['missing'])).to.deep.equal([]);
+      expect(buildSnippets('', ['needle'])).to.deep.equal([]);
+    });
+  });
+
+  describe('buildSearchFilter', () => {
+    it('returns null when there is nothing to search for', () => {
+      expect(buildSearchFilter('')).to.equal(null);
+      expect(buildSearchFilter('   ')).to.equal(null);
+      expect(buildSearchFilter(undefined)).to.equal(null);
+    });
+
+    it('uses the text index for ordinary searches', () => {
+      expect(buildSearchFilter('react "node.js" -php')).to.deep.equal({
+        filter: { $text: { $search: 'react "node.js" -php' } },
+        mode: 'text',
+        terms: ['node.js', 'react']
+      });
+    });
+
+    it('uses the text index once any word is long enough', () => {
+      expect(buildSearchFilter('ai ethics').mode).to.equal('text');
+    });
+
+    it('uses the text index for a short quoted phrase', () => {
+      expect(buildSearchFilter('"ai"').mode).to.equal('text');
+    });
+
+    it('matches the start of words when every word is short', () => {
+      const search = buildSearchFilter('ai ml');
+
+      expect(search.mode).to.equal('prefix');
+      expect(search.terms).to.deep.equal(['ai', 'ml']);
+      expect(search.filter).to.deep.equal({
+        $and: ['ai', 'ml'].map(term => ({
+          $or: FIELDS.map(field => ({ [field]: { $regex: `(^|\\W)${term}`, $options: 'i' } }))
+        }))
+      });
+    });
+
+    it('leaves out excluded words when matching prefixes', () => {
+      const { filter, mode } = buildSearchFilter('ai -ml');
+
+      expect(mode).to.equal('prefix');
+      expect(filter.$and).to.have.lengthOf(2);
+      expect(filter.$and[1]).to.deep.equal({
+        $nor: FIELDS.map(field => ({ [field]: { $regex: '(^|\\W)ml', $options: 'i' } }))
+      });
+    });
+
+    it('can search with only excluded words', () => {
+      const search = buildSearchFilter('-draft');
+
+      expect(search.mode).to.equal('prefix');
+      expect(search.terms).to.deep.equal([]);
+      expect(search.filter.$and).to.have.lengthOf(1);
+      expect(search.filter.$and[0]).to.have.property('$nor');
+    });
+
+    it('escapes regex characters in short words', () => {
+      const { filter } = buildSearchFilter('c+');
+      expect(filter.$and[0].$or[0].title.$regex).to.equal('(^|\\W)c\\+');
+    });
+
+    it('cuts long searches to 200 characters', () => {
+      const search = buildSearchFilter(`react ${'x'.repeat(300)}`);
+      expect(search.filter.$text.$search).to.have.lengthOf(200);
+    });
+  });
+
+  describe('highlightArticle', () => {
+    it('highlights the title and cuts snippets from the body text', () => {
+      const result = highlightArticle({
+        title: 'React tips',
+        excerpt: 'Tips',
+        content: '<p>Using <strong>React</strong> &amp; hooks</p><script>react()</script>'
+      }, ['react']);
+
+      expect(result.titleHighlights).to.deep.equal([[0, 5]]);
+      expect(result.snippets).to.deep.equal([{ text: 'Using React & hooks', highlights: [[6, 11]] }]);
+    });
+
+    it('falls back to the excerpt when the body has no match', () => {
+      const result = highlightArticle({ title: 'News', excerpt: 'All about React', content: '<p>Nothing</p>' }, ['react']);
+      expect(result.snippets).to.deep.equal([{ text: 'All about React', highlights: [[10, 15]] }]);
+    });
+  });
+
+  describe('toPlainText', () => {
+    it('strips tags, scripts and entities and collapses whitespace', () => {
+      expect(toPlainText('<h2>Title</h2>\n<p>A &lt;b&gt; &quot;tag&quot;&nbsp;here</p><style>p{}</style>'))
+        .to.equal('Title A <b> "tag" here');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { once } = require('events');
+
+// Stop spreadsheet apps treating user input as a formula. Phone numbers like
+// "+91 98765 43210" are left alone.
+const neutralizeFormula = (value) =>
+  /^[=@\t\r]/.test(value) || /^[+-](?![\d\s()-]+$)/.test(value) ? `'${value}` : value;
+
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = neutralizeFormula(value instanceof Date ? value.toISOString() : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Same code Node uses when a stream closes early, so callers can tell a client
+// that went away from a failed export
+const closedError = () => Object.assign(
+  new Error('The connection closed before the export finished'),
+  { code: 'ERR_STREAM_PREMATURE_CLOSE' }
+);
+
+/**
+ * Throw if the destination has closed, e.g. because the client disconnected,
+ * so an export stops reading rows nobody will receive
+ * @param {Writable} stream
+ */
+const checkOpen = (stream) => {
+  if (stream.destroyed) throw closedError();
+};
+
+/**
+ * Wait for a full stream to drain. A closed stream never drains, so this
+ * waits for whichever comes first.
+ * @param {Writable} stream
+ * @returns {Promise<void>}
+ * @throws {Error} With code ERR_STREAM_PREMATURE_CLOSE once the stream has closed
+ */
+const waitForDrain = async (stream) => {
+  checkOpen(stream);
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    // once() also rejects if the stream emits an error
+    await Promise.race([
+      once(stream, 'drain', { signal }),
+      once(stream, 'close', { signal }).then(() => { throw closedError(); })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+/**
+ * Write one CSV row, waiting for the stream to drain when its buffer is full
+ * @param {Writable} stream - Destination, usually the HTTP response
+ * @param {Array} values - Cell values; dates are written as ISO strings
+ * @returns {Promise<void>}
+ * @throws {Error} With code ERR_STREAM_PREMATURE_CLOSE once the stream has closed
+ */
+const writeCsvLine = async (stream, values) => {
+  checkOpen(stream);
+  if (!stream.write(values.map(toCsvCell).join(',') + '\r\n')) {
+    await waitForDrain(stream);
+  }
+};
+
+module.exports = {
+  checkOpen,
+  waitForDrain,
+  writeCsvLine
+};
@@ -0,0 +1,87 @@
+/**
+ * Minimal iCalendar (RFC 5545) builder for emailed meeting invitations
+ */
+
+// 20250303T050000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Parameter values such as CN are quoted rather than escaped and cannot contain quotes
+const quoteParam = (value = '') => `"${String(value).replace(/"/g, '')}"`;
+
+// Lines longer than 75 octets must be folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build a single-event calendar
+ * @param {Object} options
+ * @param {string} options.uid - Stable identifier, reused for updates and cancellations
+ * @param {number} [options.sequence] - Revision number, increase on every change
+ * @param {string} [options.method] - REQUEST for new or updated invites, CANCEL to withdraw one
+ * @param {Date} options.start
+ * @param {Date} options.end
+ * @param {string} options.summary
+ * @param {string} [options.description]
+ * @param {string} [options.location]
+ * @param {{name: string, email: string}} options.organizer
+ * @param {{name: string, email: string}} options.attendee
+ * @returns {string} The .ics file contents
+ */
+const buildCalendar = ({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  start,
+  end,
+  summary,
+  description,
+  location,
+  organizer,
+  attendee
+}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Goklyn//Careers//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    `ORGANIZER;CN=${quoteParam(organizer.name)}:mailto:${organizer.email}`,
+    `ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${attendee.email}`,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildCalendar };
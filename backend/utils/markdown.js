@@ -0,0 +1,376 @@
+/**
+ * Markdown to and from the HTML the admin's rich text editor (Quill) produces.
+ * Covers what the editor can make: headings, paragraphs, bold, italic,
+ * strikethrough, links, images, lists, quotes, code and line breaks. HTML
+ * written inside Markdown is escaped, not passed through.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text = '') => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text = '') => String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? match;
+});
+
+// Links and images may point at web pages, email addresses or relative paths,
+// never at javascript: and the like
+const isSafeUrl = url => !/^[a-z][a-z0-9+.-]*:/i.test(url) || /^(https?|mailto):/i.test(url);
+
+// ![alt](src "title"), with the src optionally in <angle brackets>
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g;
+
+/**
+ * Sources of the images a Markdown document uses, in order of appearance
+ * @param {string} markdown
+ * @returns {Array<string>}
+ */
+const findMarkdownImages = markdown => [...String(markdown).matchAll(IMAGE_PATTERN)].map(match => match[2]);
+
+// --- Markdown to HTML ---
+
+const renderInline = (text, options) => {
+  const stash = [];
+  const keep = (html) => {
+    stash.push(html);
+    return `\uE000${stash.length - 1}\uE000`;
+  };
+
+  let html = String(text)
+    .replace(/\\([\\`*_{}[\]()#+\-.!~>|])/g, (match, char) => keep(escapeHtml(char)))
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+    .replace(IMAGE_PATTERN, (match, alt, src, title) => {
+      const url = options.imageUrl ? options.imageUrl(src) : src;
+      if (!isSafeUrl(url)) return keep(escapeHtml(alt));
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      return keep(`<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${titleAttr}>`);
+    })
+    .replace(/<(https?:\/\/[^\s>]+|mailto:[^\s>]+)>/g, (match, url) => keep(`<a href="${escapeHtml(url)}">${escapeHtml(url.replace(/^mailto:/, ''))}</a>`));
+
+  html = escapeHtml(html)
+    .replace(/\[([^\]]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;[^)]*?&quot;)?\s*\)/g, (match, label, href) => (
+      // The address is set aside so emphasis markers in it are left alone
+      isSafeUrl(decodeEntities(href)) ? `<a href="${keep(href)}">${label}</a>` : label
+    ))
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>')
+    .replace(/\n/g, ' ');
+
+  return html.replace(/\uE000(\d+)\uE000/g, (match, index) => stash[index]);
+};
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+
+// Nested <ul>/<ol> from a run of list lines; deeper indents nest under the item above
+const renderList = (lines, options) => {
+  const items = [];
+  lines.forEach((line) => {
+    const match = line.match(LIST_ITEM);
+    if (match) {
+      items.push({ indent: match[1].replace(/\t/g, '    ').length, ordered: /\d/.test(match[2]), text: match[3] });
+    } else if (items.length) {
+      items[items.length - 1].text += `\n${line.trim()}`;
+    }
+  });
+
+  const build = (start, indent) => {
+    const tag = items[start].ordered ? 'ol' : 'ul';
+    let html = `<${tag}>`;
+    let index = start;
+    while (index < items.length && items[index].indent >= indent) {
+      const item = items[index];
+      // A bullet after numbered items (or the other way round) starts a new list
+      if (item.indent === indent && item.ordered !== items[start].ordered) break;
+      let inner = renderInline(item.text, options);
+      index += 1;
+      while (index < items.length && items[index].indent > item.indent) {
+        const nested = build(index, items[index].indent);
+        inner += nested.html;
+        index = nested.next;
+      }
+      html += `<li>${inner}</li>`;
+    }
+    return { html: `${html}</${tag}>`, next: index };
+  };
+
+  let html = '';
+  let index = 0;
+  while (index < items.length) {
+    const list = build(index, items[index].indent);
+    html += list.html;
+    index = list.next;
+  }
+  return html;
+};
+
+/**
+ * Convert Markdown to HTML for an article's content
+ * @param {string} markdown
+ * @param {Object} [options]
+ * @param {Function} [options.imageUrl] - Maps each image source to the URL to use
+ * @returns {string}
+ */
+const markdownToHtml = (markdown, options = {}) => {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  const isBlockStart = line => FENCE.test(line) || HEADING.test(line) || RULE.test(line)
+    || QUOTE.test(line) || LIST_ITEM.test(line);
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+    } else if (FENCE.test(line)) {
+      const fence = line.match(FENCE)[1];
+      const code = [];
+      index += 1;
+      while (index < lines.length && !lines[index].trim().startsWith(fence)) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      blocks.push(`<pre>${escapeHtml(code.join('\n'))}</pre>`);
+    } else if (HEADING.test(line)) {
+      const [, hashes, text] = line.match(HEADING);
+      blocks.push(`<h${hashes.length}>${renderInline(text, options)}</h${hashes.length}>`);
+      index += 1;
+    } else if (RULE.test(line)) {
+      blocks.push('<hr>');
+      index += 1;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && lines[index].trim() && QUOTE.test(lines[index])) {
+        quoted.push(lines[index].match(QUOTE)[1]);
+        index += 1;
+      }
+      blocks.push(`<blockquote>${markdownToHtml(quoted.join('\n'), options)}</blockquote>`);
+    } else if (LIST_ITEM.test(line)) {
+      const listLines = [];
+      while (index < lines.length && (LIST_ITEM.test(lines[index])
+        || (lines[index].trim() && /^\s+/.test(lines[index]) && listLines.length))) {
+        listLines.push(lines[index]);
+        index += 1;
+      }
+      blocks.push(renderList(listLines, options));
+    } else {
+      const paragraph = [];
+      while (index < lines.length && lines[index].trim() && (!paragraph.length || !isBlockStart(lines[index]))) {
+        paragraph.push(lines[index]);
+        index += 1;
+      }
+      blocks.push(`<p>${renderInline(paragraph.join('\n').trim(), options)}</p>`);
+    }
+  }
+
+  return blocks.join('');
+};
+
+// --- HTML to Markdown ---
+
+const VOID_TAGS = new Set(['br', 'img', 'hr', 'input', 'meta', 'link', 'source', 'wbr', 'col', 'area']);
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'hr',
+  'table', 'section', 'article', 'header', 'footer', 'figure', 'iframe'
+]);
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+// A forgiving tree builder: unknown closing tags are ignored, unclosed tags
+// close with their parent
+const parseHtml = (html) => {
+  const root = { tag: 'root', attrs: {}, children: [] };
+  const stack = [root];
+
+  String(html || '').replace(TOKEN_PATTERN, (token, closing, name, rawAttrs) => {
+    const parent = stack[stack.length - 1];
+    if (!name) {
+      if (!token.startsWith('<!--')) parent.children.push({ text: decodeEntities(token) });
+      return token;
+    }
+    const tag = name.toLowerCase();
+    if (closing) {
+      const open = stack.map(node => node.tag).lastIndexOf(tag);
+      if (open > 0) stack.length = open;
+      return token;
+    }
+    const attrs = {};
+    (rawAttrs || '').replace(ATTRIBUTE_PATTERN, (match, key, double, single, bare) => {
+      attrs[key.toLowerCase()] = decodeEntities(double ?? single ?? bare ?? '');
+      return match;
+    });
+    // A new list item closes the previous one
+    if (tag === 'li' && parent.tag === 'li') stack.pop();
+    const node = { tag, attrs, children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (!VOID_TAGS.has(tag)) stack.push(node);
+    return token;
+  });
+
+  return root;
+};
+
+const escapeMarkdown = text => text.replace(/([\\`*_[\]])/g, '\\$1');
+
+const textContent = node => (node.text !== undefined
+  ? node.text
+  : node.children.map(child => (child.tag === 'br' ? '\n' : textContent(child))).join(''));
+
+// Keep spaces outside emphasis markers, where Markdown needs them
+const wrap = (marker, inner) => {
+  const match = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : inner;
+};
+
+const inlineMarkdown = (nodes, options) => nodes.map((node) => {
+  if (node.text !== undefined) return escapeMarkdown(node.text.replace(/\s+/g, ' '));
+  const inner = () => inlineMarkdown(node.children, options);
+  switch (node.tag) {
+    case 'strong':
+    case 'b':
+      return wrap('**', inner());
+    case 'em':
+    case 'i':
+      return wrap('*', inner());
+    case 's':
+    case 'strike':
+    case 'del':
+      return wrap('~~', inner());
+    case 'code':
+      return `\`${textContent(node)}\``;
+    case 'br':
+      return '  \n';
+    case 'a': {
+      const label = inner();
+      return node.attrs.href && isSafeUrl(node.attrs.href) ? `[${label}](${node.attrs.href})` : label;
+    }
+    case 'img': {
+      const src = options.imageUrl ? options.imageUrl(node.attrs.src || '') : node.attrs.src;
+      return src ? `![${escapeMarkdown(node.attrs.alt || '')}](${src})` : '';
+    }
+    default:
+      return inner();
+  }
+}).join('');
+
+// Quill marks nested list items with a class rather than nesting the lists,
+// and newer versions put bullets in an <ol> with data-list="bullet"
+const listItemIndent = node => parseInt((node.attrs.class || '').match(/ql-indent-(\d+)/)?.[1] || 0, 10);
+
+const blockMarkdown = (node, options) => {
+  const blocks = [];
+  let inline = [];
+  const flush = () => {
+    const text = inlineMarkdown(inline, options).trim();
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  node.children.forEach((child) => {
+    if (child.text !== undefined || !BLOCK_TAGS.has(child.tag)) {
+      inline.push(child);
+      return;
+    }
+    flush();
+    const text = () => inlineMarkdown(child.children, options).trim();
+    switch (child.tag) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        if (text()) blocks.push(`${'#'.repeat(Number(child.tag[1]))} ${text().replace(/ {2}\n/g, ' ')}`);
+        break;
+      case 'p':
+        // Escape what would otherwise start a heading, quote or list
+        if (text()) blocks.push(text().replace(/^(\d+)\.(?=\s)/, '$1\\.').replace(/^([#>+-])(?=\s)/, '\\$1'));
+        break;
+      case 'hr':
+        blocks.push('---');
+        break;
+      case 'pre':
+        blocks.push(`\`\`\`\n${textContent(child).replace(/\n$/, '')}\n\`\`\``);
+        break;
+      case 'blockquote': {
+        const quoted = blockMarkdown(child, options);
+        if (quoted) blocks.push(quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+        break;
+      }
+      case 'ul':
+      case 'ol': {
+        let number = 0;
+        const items = child.children.filter(item => item.tag === 'li').map((item) => {
+          const ordered = child.tag === 'ol' && item.attrs['data-list'] !== 'bullet';
+          number = ordered ? number + 1 : number;
+          const nested = item.children.filter(sub => ['ul', 'ol'].includes(sub.tag));
+          const own = inlineMarkdown(item.children.filter(sub => !nested.includes(sub)), options).trim();
+          const sublists = nested
+            .map(list => blockMarkdown({ children: [list] }, options).replace(/^/gm, '   '))
+            .join('\n');
+          const indent = '   '.repeat(listItemIndent(item));
+          return `${indent}${ordered ? `${number}.` : '-'} ${own}${sublists ? `\n${sublists}` : ''}`;
+        });
+        if (items.length) blocks.push(items.join('\n'));
+        break;
+      }
+      case 'iframe':
+        if (child.attrs.src && isSafeUrl(child.attrs.src)) blocks.push(`[Embedded content](${child.attrs.src})`);
+        break;
+      default: {
+        const nested = blockMarkdown(child, options);
+        if (nested) blocks.push(nested);
+      }
+    }
+  });
+  flush();
+
+  return blocks.join('\n\n');
+};
+
+/**
+ * Convert an article's HTML content to Markdown
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {Function} [options.imageUrl] - Maps each image source to the one to write
+ * @returns {string}
+ */
+const htmlToMarkdown = (html, options = {}) => blockMarkdown(parseHtml(html), options);
+
+/**
+ * Sources of the images an HTML fragment uses, in order of appearance
+ * @param {string} html
+ * @returns {Array<string>}
+ */
+const findHtmlImages = (html) => {
+  const sources = [];
+  const visit = (node) => {
+    if (node.tag === 'img' && node.attrs.src) sources.push(node.attrs.src);
+    (node.children || []).forEach(visit);
+  };
+  visit(parseHtml(html));
+  return sources;
+};
+
+module.exports = {
+  isSafeUrl,
+  markdownToHtml,
+  htmlToMarkdown,
+  findMarkdownImages,
+  findHtmlImages
+};
@@ -4,6 +4,12 @@ const path = require('path');
 const { promisify } = require('util');
 const { exec } = require('child_process');
 const execAsync = promisify(exec);
+const Internship = require('../models/internship.model');
+const News = require('../models/news.model');
+const Activity = require('../models/activity.model');
+const { refreshRelatedLater } = require('../services/relatedNews.service');
+const { sendDigest, resumeDigests } = require('../services/newsletter.service');
+const { removeUnusedUploads } = require('../services/resumeStorage.service');
 const { log } = console;
 
 // Clean up temporary uploads directory
@@ -80,14 +86,105 @@ const backupDatabase = async () => {
   }
 };
 
+// Close internships that are past their deadline or have filled every opening
+const closeExpiredInternships = async () => {
+  try {
+    const { deadline, filled } = await Internship.closeExpired();
+    if (deadline || filled) {
+      log(`Closed internships: ${deadline} past deadline, ${filled} filled`);
+    }
+  } catch (error) {
+    log('Error closing expired internships:', error);
+  }
+};
+
+// Publish news articles whose scheduled time has passed
+let publishingNews = false;
+const publishScheduledNews = async () => {
+  // A slow run must not overlap the next one
+  if (publishingNews) return;
+  publishingNews = true;
+  try {
+    const published = await News.publishScheduled();
+    for (const article of published) {
+      log(`Published scheduled news article: ${article.title}`);
+      refreshRelatedLater(article._id);
+      await Activity.logActivity({
+        user: article.scheduledBy || article.author?._id || article.author,
+        type: 'publish',
+        entityType: 'news',
+        entityId: article._id,
+        title: 'Scheduled article published',
+        description: `"${article.title}" was published as scheduled`,
+        metadata: { slug: article.slug, scheduledFor: article.scheduledPublish }
+      });
+    }
+  } catch (error) {
+    log('Error publishing scheduled news:', error);
+  } finally {
+    publishingNews = false;
+  }
+};
+
+// Email newsletter subscribers the articles published since their last digest.
+// Digests go out one after another, each first finishing any a restart cut
+// short; a frequency already waiting or sending isn't queued twice.
+const queuedNewsletters = new Set();
+let newsletterQueue = Promise.resolve();
+const sendNewsletterDigests = (frequency) => {
+  const job = frequency || 'resume';
+  if (queuedNewsletters.has(job)) return newsletterQueue;
+  queuedNewsletters.add(job);
+
+  newsletterQueue = newsletterQueue.then(async () => {
+    try {
+      await resumeDigests();
+      if (frequency) {
+        const run = await sendDigest(frequency);
+        if (run) {
+          log(`Sent ${frequency} newsletter digest to ${run.sent} subscribers (${run.failed} failed)`);
+        }
+      }
+    } catch (error) {
+      log(`Error sending ${frequency || 'interrupted'} newsletter digests:`, error);
+    } finally {
+      queuedNewsletters.delete(job);
+    }
+  });
+  return newsletterQueue;
+};
+
+// Delete resumes uploaded for applications that were never submitted
+const removeUnusedResumes = async () => {
+  try {
+    const removed = await removeUnusedUploads();
+    if (removed) {
+      log(`Removed ${removed} unused resume uploads`);
+    }
+  } catch (error) {
+    log('Error removing unused resume uploads:', error);
+  }
+};
+
 // Initialize all scheduled jobs
 const initScheduledJobs = () => {
   try {
-    // Clean up temp uploads every 6 hours
-    cron.schedule('0 */6 * * *', cleanTempUploads);
-    
-    // Create database backup every day at midnight
-    cron.schedule('0 0 * * *', backupDatabase);
+    // Close expired or filled internships every 15 minutes
+    cron.schedule('*/15 * * * *', closeExpiredInternships);
+
+    // Remove unused resume uploads every hour
+    cron.schedule('30 * * * *', removeUnusedResumes);
+
+    // Publish scheduled news every minute, and straight away to catch up
+    // on anything that came due while the server was down
+    cron.schedule('* * * * *', publishScheduledNews);
+    publishScheduledNews();
+
+    // Newsletter: instant subscribers every 10 minutes, weekly ones on Monday
+    // morning, and straight away to finish any digest cut short by a restart
+    cron.schedule('*/10 * * * *', () => sendNewsletterDigests('instant'));
+    cron.schedule(process.env.NEWSLETTER_WEEKLY_SCHEDULE || '0 8 * * 1', () => sendNewsletterDigests('weekly'));
+    sendNewsletterDigests();
     
     log('Scheduled jobs initialized');
   } catch (error) {
@@ -98,5 +195,9 @@ const initScheduledJobs = () => {
 module.exports = {
   initScheduledJobs,
   cleanTempUploads,
-  backupDatabase
+  backupDatabase,
+  closeExpiredInternships,
+  removeUnusedResumes,
+  publishScheduledNews,
+  sendNewsletterDigests
 };
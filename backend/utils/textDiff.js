@@ -0,0 +1,145 @@
+/**
+ * Line-based text diff for comparing article revisions
+ */
+
+// Past this many line pairs the diff falls back to "everything changed"
+// rather than building a huge comparison table
+const MAX_CELLS = 4000000;
+
+// Article bodies are HTML that is often saved on a single line, so break
+// after block-level elements to get something worth comparing line by line
+const BLOCK_END = /(<\/(?:p|h[1-6]|li|ul|ol|blockquote|pre|div|table|tr|figure)>|<br\s*\/?>)/gi;
+
+const splitLines = (text = '') => {
+  const normalised = String(text || '').replace(/\r\n?/g, '\n').replace(BLOCK_END, '$1\n');
+  const lines = normalised.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+/**
+ * Compare two texts line by line
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: string, value: string}>} Operations in order; type is
+ * equal, removed or added
+ */
+const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Lines shared at either end don't need the full comparison
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(value => ({ type: 'equal', value }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  if (rows * cols > MAX_CELLS) {
+    midA.forEach(value => ops.push({ type: 'removed', value }));
+    midB.forEach(value => ops.push({ type: 'added', value }));
+  } else {
+    // Longest common subsequence lengths of every pair of suffixes
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: 'equal', value: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        ops.push({ type: 'removed', value: midA[i++] });
+      } else {
+        ops.push({ type: 'added', value: midB[j++] });
+      }
+    }
+    while (i < midA.length) ops.push({ type: 'removed', value: midA[i++] });
+    while (j < midB.length) ops.push({ type: 'added', value: midB[j++] });
+  }
+
+  a.slice(endA).forEach(value => ops.push({ type: 'equal', value }));
+  return ops;
+};
+
+/**
+ * Lay out a diff as side-by-side rows. Removed lines followed by added lines
+ * are paired up as changes.
+ * @param {Array<{type: string, value: string}>} ops - From diffLines
+ * @returns {Array<{type: string, left: ?string, right: ?string}>} type is
+ * equal, changed, removed or added
+ */
+const toSideBySide = (ops) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let k = 0; k < count; k++) {
+      const left = k < removed.length ? removed[k] : null;
+      const right = k < added.length ? added[k] : null;
+      let type = 'changed';
+      if (left === null) type = 'added';
+      else if (right === null) type = 'removed';
+      rows.push({ type, left, right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  ops.forEach((op) => {
+    if (op.type === 'removed') {
+      // A removal after additions starts a new block
+      if (added.length) flush();
+      removed.push(op.value);
+    } else if (op.type === 'added') {
+      added.push(op.value);
+    } else {
+      flush();
+      rows.push({ type: 'equal', left: op.value, right: op.value });
+    }
+  });
+  flush();
+
+  return rows;
+};
+
+/**
+ * Side-by-side diff of two texts
+ * @param {string} before
+ * @param {string} after
+ * @returns {{rows: Array, added: number, removed: number}} Rows from
+ * toSideBySide plus counts of added and removed lines
+ */
+const compareText = (before, after) => {
+  const ops = diffLines(before, after);
+  return {
+    rows: toSideBySide(ops),
+    added: ops.filter(op => op.type === 'added').length,
+    removed: ops.filter(op => op.type === 'removed').length
+  };
+};
+
+module.exports = {
+  diffLines,
+  toSideBySide,
+  compareText
+};
@@ -0,0 +1,100 @@
+/**
+ * Helpers shared by the MongoDB text searches (resumes, news): reading the
+ * query syntax and cutting highlighted snippets out of the matched text
+ */
+
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPETS = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search into its parts
+ * @param {string} query - Search as typed, e.g. `react "node.js" -php`
+ * @returns {{words: Array<string>, phrases: Array<string>, excluded: Array<string>}}
+ */
+const parseSearch = (query = '') => {
+  const parsed = { words: [], phrases: [], excluded: [] };
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query)))) {
+    const excluded = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!term || term === '-') continue;
+    if (excluded) parsed.excluded.push(term);
+    else if (match[2]) parsed.phrases.push(term);
+    else parsed.words.push(term);
+  }
+  return parsed;
+};
+
+/**
+ * The words and phrases in a search, for highlighting. Excluded terms (-word) are dropped.
+ * @param {string} query - Search as typed, e.g. `react "node.js" -php`
+ * @returns {Array<string>}
+ */
+const searchTerms = (query) => {
+  const { words, phrases } = parseSearch(query);
+  return [...phrases, ...words];
+};
+
+/**
+ * Where the search terms appear in a piece of text. Matches any word starting
+ * with a term, since MongoDB matches on word stems.
+ * @param {string} text
+ * @param {Array<string>} terms - From searchTerms
+ * @returns {Array<Array<number>>} [start, end] offsets into text
+ */
+const findMatches = (text, terms) => {
+  if (!text || !terms.length) return [];
+  const pattern = new RegExp(`(?<![\\w])(?:${terms.map(escapeRegex).join('|')})[\\w]*`, 'gi');
+  return [...text.matchAll(pattern)].map(m => [m.index, m.index + m[0].length]);
+};
+
+/**
+ * Short passages of text around the search terms. MongoDB matches on word stems,
+ * so highlights match any word starting with a term, e.g. "develop" highlights "developer".
+ * @param {string} text - Plain text to cut snippets from
+ * @param {Array<string>} terms - From searchTerms
+ * @param {Object} [options]
+ * @param {number} [options.max=3] - Most snippets to return
+ * @returns {Array<{text: string, highlights: Array<Array<number>>}>} Highlights are [start, end] offsets into text
+ */
+const buildSnippets = (text, terms, { max = MAX_SNIPPETS } = {}) => {
+  const matches = findMatches(text, terms);
+
+  const snippets = [];
+  for (const [start] of matches) {
+    if (snippets.length >= max) break;
+    // Skip matches already shown in the previous snippet
+    const previous = snippets[snippets.length - 1];
+    if (previous && start < previous.end) continue;
+
+    let from = Math.max(previous ? previous.end : 0, start - SNIPPET_RADIUS);
+    let to = Math.min(text.length, start + SNIPPET_RADIUS);
+    // Don't cut words in half
+    const space = text.indexOf(' ', from);
+    if (from > 0 && space !== -1 && space < start) from = space + 1;
+    if (to < text.length && text.lastIndexOf(' ', to) > start) to = text.lastIndexOf(' ', to);
+    snippets.push({ from, end: to });
+  }
+
+  return snippets.map(({ from, end }) => {
+    const prefix = from > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return {
+      text: `${prefix}${text.slice(from, end)}${suffix}`,
+      highlights: matches
+        .filter(([start, stop]) => start >= from && stop <= end)
+        .map(([start, stop]) => [start - from + prefix.length, stop - from + prefix.length])
+    };
+  });
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearch,
+  searchTerms,
+  findMatches,
+  buildSnippets
+};
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Random id the public site keeps in localStorage and sends with likes and shares
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+/**
+ * An anonymous key for the visitor making a request. Uses the X-Visitor-Id
+ * header when it looks like one the site generated, otherwise the IP address
+ * and browser. Only a hash is returned, so raw ids and IPs are never stored.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const visitorKey = (req) => {
+  const id = req.get('X-Visitor-Id');
+  const source = id && VISITOR_ID_PATTERN.test(id)
+    ? `id:${id}`
+    : `ip:${req.ip}|${req.get('User-Agent') || ''}`;
+
+  return crypto.createHash('sha256').update(source).digest('hex');
+};
+
+module.exports = {
+  visitorKey
+};
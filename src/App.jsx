@@ -29,12 +29,17 @@ const TeamPage = lazy(() => import('./pages/TeamPage'));
 const ContactUsPage = lazy(() => import('./pages/ContactUsPage'));
 const CareerPage = lazy(() => import('./pages/CareerPage'));
 const ApplyPage = lazy(() => import('./pages/ApplyPage'));
+const ApplicationStatusPage = lazy(() => import('./pages/ApplicationStatusPage'));
 const AddTestimonialPage = lazy(() => import('./pages/AddTestimonialPage'));
 const TermsPage = lazy(() => import('./pages/TermsPage'));
 const NotFoundPage = lazy(() => import('./pages/NotFoundPage'));
 const GalleryPage = lazy(() => import('./pages/GalleryPage'));
 const GalleryDetailPage = lazy(() => import('./pages/GalleryDetailPage'));
 const GalleryFormPage = lazy(() => import('./pages/GalleryFormPage'));
+const NewsPage = lazy(() => import('./pages/NewsPage'));
+const NewsDetailPage = lazy(() => import('./pages/NewsDetailPage'));
+const NewsletterConfirmPage = lazy(() => import('./pages/NewsletterConfirmPage'));
+const NewsletterUnsubscribePage = lazy(() => import('./pages/NewsletterUnsubscribePage'));
 
 // Define page-specific classes for different routes
 const pageClasses = {
@@ -49,7 +54,8 @@ const pageClasses = {
   "/contact-us": "sub-banner-section-outer contact-banner-section-outer",
   "/career": "sub-banner-section-outer contact-banner-section-outer",
   "/gallery": "sub-banner-section-outer",
-  "/gallery/upload": "sub-banner-section-outer"
+  "/gallery/upload": "sub-banner-section-outer",
+  "/news": "sub-banner-section-outer"
 };
 
 const App = () => {
@@ -58,7 +64,8 @@ const App = () => {
   // Create a separate component to handle route content
   const RouteContent = () => {
     const location = useLocation();
-    const containerClass = pageClasses[location.pathname] || "banner-section-outer";
+    const containerClass = pageClasses[location.pathname]
+      || (/^\/news(letter)?\//.test(location.pathname) ? pageClasses['/news'] : "banner-section-outer");
     
     console.log('RouteContent: Rendering with pathname:', location.pathname);
     
@@ -101,6 +108,7 @@ const App = () => {
                 <Route path="/contact-us" element={<ContactUsPage />} />
                 <Route path="/career" element={<CareerPage />} />
                 <Route path="/apply/:internshipId" element={<ApplyPage />} />
+                <Route path="/application-status/:token" element={<ApplicationStatusPage />} />
                 <Route path="/add-testimonial" element={<AddTestimonialPage />} />
                 <Route path="/terms" element={<TermsPage />} />
                 
@@ -109,6 +117,15 @@ const App = () => {
                 <Route path="/gallery/:id" element={<GalleryDetailPage />} />
                 <Route path="/gallery-upload" element={<GalleryFormPage />} />
                 
+                {/* News Routes */}
+                <Route path="/news" element={<NewsPage />} />
+                <Route path="/news/category/:slug" element={<NewsPage />} />
+                <Route path="/news/tag/:tag" element={<NewsPage />} />
+                <Route path="/news/archive/:year/:month" element={<NewsPage />} />
+                <Route path="/news/:slug" element={<NewsDetailPage />} />
+                <Route path="/newsletter/confirm/:token" element={<NewsletterConfirmPage />} />
+                <Route path="/newsletter/unsubscribe/:token" element={<NewsletterUnsubscribePage />} />
+                
                 {/* 404 - Keep this as the last route */}
                 <Route path="*" element={<NotFoundPage />} />
               </Routes>
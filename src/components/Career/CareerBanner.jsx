@@ -2,6 +2,14 @@ import React, { useState, useEffect } from 'react';
 import api from '../../api';
 import { Link } from 'react-router-dom';
 
+const WORK_MODE_LABELS = { remote: 'Remote', onsite: 'On-site', hybrid: 'Hybrid' };
+
+const closedMessage = (internship) => {
+    if (internship.closedReason === 'filled') return 'All openings filled';
+    if (internship.isDeadlinePassed) return 'Applications closed';
+    return 'Not accepting applications';
+};
+
 const CareerBanner = () => {
     const [internships, setInternships] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -11,7 +19,12 @@ const CareerBanner = () => {
         const fetchInternships = async () => {
             try {
                 const response = await api.get('/internships');
-                setInternships(response.data);
+                // Open postings first, each group newest first as returned by the API
+                const list = Array.isArray(response.data) ? response.data : [];
+                setInternships([
+                    ...list.filter(i => i.acceptingApplications),
+                    ...list.filter(i => !i.acceptingApplications),
+                ]);
             } catch (err) {
                 setError('Failed to load internship opportunities. Please try again later.');
                 console.error('Error fetching internships:', err);
@@ -113,9 +126,31 @@ const CareerBanner = () => {
                                         <p className="card-text">{internship.description}</p>
                                         <h6 className="card-subtitle mb-2 text-white">Eligibility:</h6>
                                         <p className="card-text">{internship.eligibility}</p>
+                                        <ul className="list-unstyled card-text small mb-2">
+                                            {(internship.location || internship.workMode) && (
+                                                <li>📍 {[internship.location, WORK_MODE_LABELS[internship.workMode]].filter(Boolean).join(' · ')}</li>
+                                            )}
+                                            {internship.duration && <li>⏳ {internship.duration}</li>}
+                                            {internship.stipend && <li>💰 {internship.stipend}</li>}
+                                            {internship.openings > 0 && <li>👥 {internship.openings} {internship.openings === 1 ? 'opening' : 'openings'}</li>}
+                                            {internship.applicationDeadline && (
+                                                <li>🗓️ Apply by {new Date(internship.applicationDeadline).toLocaleDateString()}</li>
+                                            )}
+                                        </ul>
+                                        {internship.requiredSkills?.length > 0 && (
+                                            <div className="d-flex flex-wrap gap-1">
+                                                {internship.requiredSkills.map(skill => (
+                                                    <span key={skill} className="badge bg-secondary">{skill}</span>
+                                                ))}
+                                            </div>
+                                        )}
                                     </div>
                                     <div className="card-footer bg-transparent border-0 text-center">
-                                        <Link to={`/apply/${internship._id}`} className="btn btn-primary">Apply Now</Link>
+                                        {internship.acceptingApplications ? (
+                                            <Link to={`/apply/${internship._id}`} className="btn btn-primary">Apply Now</Link>
+                                        ) : (
+                                            <button type="button" className="btn btn-secondary" disabled>{closedMessage(internship)}</button>
+                                        )}
                                     </div>
                                 </div>
                             </div>
@@ -80,6 +80,10 @@ const Footer = () => {
                     <span></span>
                     <Link to="/career">Career</Link>
                   </li>
+                  <li>
+                    <span></span>
+                    <Link to="/news">News</Link>
+                  </li>
                   <li>
                     <span></span>
                     <Link to="/contact-us">Contact us</Link>
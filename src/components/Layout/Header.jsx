@@ -103,6 +103,17 @@ const Header = () => {
                     </Link>
                   </li>
 
+                  <li className="nav-item">
+                    <Link
+                      to="/news"
+                      className={`nav-link ${
+                        path.startsWith("/news") ? "active" : ""
+                      }`}
+                    >
+                      News
+                    </Link>
+                  </li>
+
                   <li className="nav-item">
                     <Link
                       to="/contact-us"
@@ -178,6 +189,16 @@ const Header = () => {
                             Projects
                           </Link>
                         </li>
+                        <li className="nav-item">
+                          <Link
+                            to="/news"
+                            className={`nav-link ${
+                              path.startsWith("/news") ? "active" : ""
+                            }`}
+                          >
+                            News
+                          </Link>
+                        </li>
                         <li className="nav-item">
                           <Link
                             to="/contact-us"
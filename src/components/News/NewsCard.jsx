@@ -0,0 +1,95 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { Card } from 'react-bootstrap';
+import { FaRegClock } from 'react-icons/fa';
+
+export const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+});
+
+// Wrap the [start, end] ranges a search matched in <mark>
+export const highlight = (text, highlights = []) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return parts;
+};
+
+const NewsCard = ({ article, compact }) => (
+  <Card
+    as={Link}
+    to={`/news/${article.slug}`}
+    className="h-100 text-decoration-none text-dark"
+    style={{ transition: 'transform 0.2s' }}
+    onMouseOver={(e) => e.currentTarget.style.transform = 'translateY(-5px)'}
+    onMouseOut={(e) => e.currentTarget.style.transform = 'translateY(0)'}
+  >
+    {article.featuredImage && (
+      <Card.Img
+        variant="top"
+        src={article.featuredImage}
+        alt={article.featuredImageAlt || article.title}
+        style={{ height: compact ? '140px' : '200px', objectFit: 'cover' }}
+      />
+    )}
+    <Card.Body>
+      <div className="small text-muted mb-2">
+        {article.category?.name && <span className="badge bg-primary me-2">{article.category.name}</span>}
+        {article.publishedAt && formatDate(article.publishedAt)}
+      </div>
+      <Card.Title className={compact ? 'h6 mb-1' : 'h5'}>
+        {highlight(article.title, article.search?.titleHighlights)}
+      </Card.Title>
+      {!compact && article.search?.snippets?.length > 0 && article.search.snippets.map((snippet) => (
+        <Card.Text key={snippet.text} className="text-muted small">{highlight(snippet.text, snippet.highlights)}</Card.Text>
+      ))}
+      {!compact && !article.search?.snippets?.length && article.excerpt && (
+        <Card.Text className="text-muted">{article.excerpt}</Card.Text>
+      )}
+    </Card.Body>
+    {!compact && article.readingTime > 0 && (
+      <Card.Footer className="bg-transparent border-0 small text-muted">
+        <FaRegClock className="me-1" /> {article.readingTime} min read
+      </Card.Footer>
+    )}
+  </Card>
+);
+
+NewsCard.propTypes = {
+  article: PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    excerpt: PropTypes.string,
+    featuredImage: PropTypes.string,
+    featuredImageAlt: PropTypes.string,
+    publishedAt: PropTypes.string,
+    readingTime: PropTypes.number,
+    category: PropTypes.shape({
+      name: PropTypes.string,
+      slug: PropTypes.string
+    }),
+    // Present on search results
+    search: PropTypes.shape({
+      titleHighlights: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+      snippets: PropTypes.arrayOf(PropTypes.shape({
+        text: PropTypes.string,
+        highlights: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number))
+      }))
+    })
+  }).isRequired,
+  compact: PropTypes.bool
+};
+
+NewsCard.defaultProps = {
+  compact: false
+};
+
+export default NewsCard;
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Alert, Button, Form, Spinner } from 'react-bootstrap';
+import { FaRegComment, FaReply } from 'react-icons/fa';
+import { getComments, postComment } from '../../services/newsService';
+import { formatDate } from './NewsCard';
+
+const EMPTY_FORM = { name: '', email: '', body: '', website: '' };
+
+const CommentForm = ({ articleId, parent, onDone, onCancel }) => {
+  const [values, setValues] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const result = await postComment(articleId, { ...values, parent: parent || undefined });
+      setValues(EMPTY_FORM);
+      setError(null);
+      onDone(result.message);
+    } catch (err) {
+      setError(err.message || 'Could not post your comment. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Form onSubmit={handleSubmit} className="mb-4">
+      {error && <Alert variant="danger">{error}</Alert>}
+      <div className="row g-3">
+        <Form.Group className="col-md-6" controlId={`comment-name-${parent || 'new'}`}>
+          <Form.Label>Name</Form.Label>
+          <Form.Control name="name" value={values.name} onChange={handleChange} maxLength={80} required />
+        </Form.Group>
+        <Form.Group className="col-md-6" controlId={`comment-email-${parent || 'new'}`}>
+          <Form.Label>Email</Form.Label>
+          <Form.Control type="email" name="email" value={values.email} onChange={handleChange} required />
+          <Form.Text muted>Never shown publicly.</Form.Text>
+        </Form.Group>
+        {/* Hidden from people; bots that fill in every field give themselves away */}
+        <div style={{ position: 'absolute', left: '-10000px' }} aria-hidden="true">
+          <input type="text" name="website" tabIndex={-1} autoComplete="off" value={values.website} onChange={handleChange} />
+        </div>
+        <Form.Group className="col-12" controlId={`comment-body-${parent || 'new'}`}>
+          <Form.Label>{parent ? 'Reply' : 'Comment'}</Form.Label>
+          <Form.Control as="textarea" rows={4} name="body" value={values.body} onChange={handleChange} maxLength={2000} required />
+        </Form.Group>
+      </div>
+      <div className="mt-3">
+        <Button type="submit" disabled={submitting}>
+          {submitting ? <Spinner animation="border" size="sm" /> : (parent ? 'Post reply' : 'Post comment')}
+        </Button>
+        {onCancel && (
+          <Button variant="link" onClick={onCancel} className="text-decoration-none">
+            Cancel
+          </Button>
+        )}
+      </div>
+    </Form>
+  );
+};
+
+CommentForm.propTypes = {
+  articleId: PropTypes.string.isRequired,
+  parent: PropTypes.string,
+  onDone: PropTypes.func.isRequired,
+  onCancel: PropTypes.func
+};
+
+CommentForm.defaultProps = {
+  parent: null,
+  onCancel: null
+};
+
+/**
+ * Approved comments on an article with threaded replies, and the form for
+ * posting new ones. New comments are held for moderation before they appear.
+ */
+const NewsComments = ({ articleId }) => {
+  const [comments, setComments] = useState([]);
+  const [allowComments, setAllowComments] = useState(true);
+  const [maxDepth, setMaxDepth] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [replyTo, setReplyTo] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getComments(articleId)
+      .then((result) => {
+        if (cancelled) return;
+        setComments(result.data || []);
+        setAllowComments(result.allowComments);
+        setMaxDepth(result.maxDepth || 0);
+      })
+      .catch(() => !cancelled && setComments([]))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [articleId]);
+
+  const handleDone = (message) => {
+    setReplyTo(null);
+    setNotice(message || 'Thanks! Your comment will appear once it has been approved.');
+  };
+
+  const countAll = (list) => list.reduce((total, comment) => total + 1 + countAll(comment.replies), 0);
+
+  const renderComment = (comment) => (
+    <div key={comment._id} className="mb-3">
+      <div className="border-start border-3 ps-3">
+        <div className="small text-muted">
+          <strong className="text-dark">{comment.name}</strong> · {formatDate(comment.createdAt)}
+        </div>
+        <p className="mb-1" style={{ whiteSpace: 'pre-line' }}>{comment.body}</p>
+        {allowComments && comment.depth < maxDepth && (
+          <Button
+            variant="link"
+            size="sm"
+            className="p-0 text-decoration-none"
+            onClick={() => {
+              setNotice(null);
+              setReplyTo(replyTo === comment._id ? null : comment._id);
+            }}
+          >
+            <FaReply className="me-1" /> Reply
+          </Button>
+        )}
+        {replyTo === comment._id && (
+          <div className="mt-3">
+            <CommentForm articleId={articleId} parent={comment._id} onDone={handleDone} onCancel={() => setReplyTo(null)} />
+          </div>
+        )}
+      </div>
+      {comment.replies.length > 0 && (
+        <div className="ms-4 mt-3">
+          {comment.replies.map(renderComment)}
+        </div>
+      )}
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="text-center py-4">
+        <Spinner animation="border" size="sm" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+      </div>
+    );
+  }
+
+  return (
+    <section className="mt-5">
+      <h3 className="mb-4">
+        <FaRegComment className="me-2" />
+        {comments.length ? `Comments (${countAll(comments)})` : 'Comments'}
+      </h3>
+
+      {notice && <Alert variant="success" onClose={() => setNotice(null)} dismissible>{notice}</Alert>}
+
+      {comments.length > 0
+        ? <div className="mb-5">{comments.map(renderComment)}</div>
+        : allowComments && <p className="text-muted">No comments yet. Start the conversation.</p>}
+
+      {allowComments ? (
+        <>
+          <h5 className="mb-3">Leave a comment</h5>
+          <CommentForm articleId={articleId} onDone={handleDone} />
+        </>
+      ) : (
+        <p className="text-muted">Comments are closed on this article.</p>
+      )}
+    </section>
+  );
+};
+
+NewsComments.propTypes = {
+  articleId: PropTypes.string.isRequired
+};
+
+export default NewsComments;
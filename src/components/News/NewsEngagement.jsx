@@ -0,0 +1,156 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Button, Dropdown } from 'react-bootstrap';
+import {
+  FaHeart,
+  FaRegHeart,
+  FaShareAlt,
+  FaLink,
+  FaTwitter,
+  FaFacebook,
+  FaLinkedin,
+  FaWhatsapp,
+  FaEnvelope,
+} from 'react-icons/fa';
+import { getEngagement, likeArticle, shareArticle } from '../../services/newsService';
+
+// Counts are refreshed this often while the page is open
+const REFRESH_INTERVAL = 60 * 1000;
+
+const SHARE_TARGETS = [
+  { network: 'twitter', label: 'X (Twitter)', icon: FaTwitter, url: (link, title) => `https://twitter.com/intent/tweet?url=${link}&text=${title}` },
+  { network: 'facebook', label: 'Facebook', icon: FaFacebook, url: link => `https://www.facebook.com/sharer/sharer.php?u=${link}` },
+  { network: 'linkedin', label: 'LinkedIn', icon: FaLinkedin, url: link => `https://www.linkedin.com/sharing/share-offsite/?url=${link}` },
+  { network: 'whatsapp', label: 'WhatsApp', icon: FaWhatsapp, url: (link, title) => `https://wa.me/?text=${title}%20${link}` },
+  { network: 'email', label: 'Email', icon: FaEnvelope, url: (link, title) => `mailto:?subject=${title}&body=${link}` },
+];
+
+/**
+ * Like and share buttons for an article, with counts that stay current while
+ * the page is open. Each visitor's like or share is only counted once.
+ */
+const NewsEngagement = ({ articleId, title }) => {
+  const [counts, setCounts] = useState({ likeCount: 0, shareCount: 0 });
+  const [liked, setLiked] = useState(false);
+  const [liking, setLiking] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const refresh = useCallback(() => {
+    if (document.hidden) return;
+    getEngagement(articleId)
+      .then((data) => {
+        setCounts({ likeCount: data.likeCount, shareCount: data.shareCount });
+        setLiked(data.liked);
+      })
+      .catch(() => {});
+  }, [articleId]);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    document.addEventListener('visibilitychange', refresh);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', refresh);
+    };
+  }, [refresh]);
+
+  const handleLike = async () => {
+    if (liked || liking) return;
+    setLiking(true);
+    // Show it straight away; the server's count replaces this
+    setLiked(true);
+    setCounts(current => ({ ...current, likeCount: current.likeCount + 1 }));
+    try {
+      const data = await likeArticle(articleId);
+      setCounts({ likeCount: data.likeCount, shareCount: data.shareCount });
+    } catch (error) {
+      setLiked(false);
+      setCounts(current => ({ ...current, likeCount: Math.max(current.likeCount - 1, 0) }));
+    } finally {
+      setLiking(false);
+    }
+  };
+
+  const recordShare = (network) => {
+    shareArticle(articleId, network)
+      .then(data => setCounts({ likeCount: data.likeCount, shareCount: data.shareCount }))
+      .catch(() => {});
+  };
+
+  const link = window.location.href.split('#')[0];
+
+  const handleNativeShare = async () => {
+    try {
+      await navigator.share({ title, url: link });
+      recordShare('native');
+    } catch (error) {
+      // Closing the share sheet isn't a share
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+      recordShare('copy');
+    } catch (error) {
+      window.prompt('Copy this link:', link);
+    }
+  };
+
+  return (
+    <div className="d-flex align-items-center gap-2 mb-4">
+      <Button
+        variant={liked ? 'danger' : 'outline-danger'}
+        size="sm"
+        onClick={handleLike}
+        disabled={liking}
+        aria-pressed={liked}
+        title={liked ? 'You liked this article' : 'Like this article'}
+      >
+        {liked ? <FaHeart className="me-1" /> : <FaRegHeart className="me-1" />}
+        {counts.likeCount}
+        <span className="visually-hidden"> likes</span>
+      </Button>
+
+      {navigator.share ? (
+        <Button variant="outline-secondary" size="sm" onClick={handleNativeShare} title="Share this article">
+          <FaShareAlt className="me-1" /> {counts.shareCount}
+          <span className="visually-hidden"> shares</span>
+        </Button>
+      ) : (
+        <Dropdown>
+          <Dropdown.Toggle variant="outline-secondary" size="sm" title="Share this article">
+            <FaShareAlt className="me-1" /> {counts.shareCount}
+            <span className="visually-hidden"> shares</span>
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            <Dropdown.Item as="button" onClick={handleCopy}>
+              <FaLink className="me-2" /> {copied ? 'Link copied' : 'Copy link'}
+            </Dropdown.Item>
+            {SHARE_TARGETS.map(({ network, label, icon: Icon, url }) => (
+              <Dropdown.Item
+                key={network}
+                href={url(encodeURIComponent(link), encodeURIComponent(title))}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={() => recordShare(network)}
+              >
+                <Icon className="me-2" /> {label}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+      )}
+    </div>
+  );
+};
+
+NewsEngagement.propTypes = {
+  articleId: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+};
+
+export default NewsEngagement;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Alert, Button, Form, Spinner } from 'react-bootstrap';
+import { FaEnvelope } from 'react-icons/fa';
+import { subscribe } from '../../services/newsletterService';
+
+export const FREQUENCY_LABELS = {
+  weekly: 'Weekly digest',
+  instant: 'Every new article',
+};
+
+/**
+ * Email signup for news updates. The address gets a confirmation link first
+ * and nothing else until it is clicked.
+ */
+const NewsletterSignup = ({ source, className }) => {
+  const [email, setEmail] = useState('');
+  const [frequency, setFrequency] = useState('weekly');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const result = await subscribe({ email, frequency, source });
+      setNotice(result.message);
+      setEmail('');
+    } catch (err) {
+      setError(err.message || 'Could not subscribe you. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={className}>
+      <h5><FaEnvelope className="me-2" />Get news by email</h5>
+      {notice ? (
+        <Alert variant="success" className="small" onClose={() => setNotice(null)} dismissible>{notice}</Alert>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          {error && <Alert variant="danger" className="small">{error}</Alert>}
+          <Form.Control
+            type="email"
+            placeholder="you@example.com"
+            aria-label="Email address"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            maxLength={254}
+            required
+            className="mb-2"
+          />
+          <Form.Select
+            aria-label="How often"
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+            className="mb-2"
+          >
+            {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </Form.Select>
+          <Button type="submit" disabled={submitting} className="w-100">
+            {submitting ? <Spinner animation="border" size="sm" /> : 'Subscribe'}
+          </Button>
+          <Form.Text muted>We&apos;ll email you a link to confirm. Unsubscribe at any time.</Form.Text>
+        </Form>
+      )}
+    </div>
+  );
+};
+
+NewsletterSignup.propTypes = {
+  source: PropTypes.string,
+  className: PropTypes.string
+};
+
+NewsletterSignup.defaultProps = {
+  source: 'news',
+  className: ''
+};
+
+export default NewsletterSignup;
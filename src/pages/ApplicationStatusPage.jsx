@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import api from '../api';
+import { toast } from 'react-toastify';
+
+const WORK_MODE_LABELS = { remote: 'Remote', onsite: 'On-site', hybrid: 'Hybrid' };
+
+// What each status means for the candidate
+const STATUS_DESCRIPTIONS = {
+    'Received': 'We have your application and it is waiting to be reviewed.',
+    'Under Review': 'Our team is currently reviewing your application.',
+    'Interviewing': 'You have been shortlisted for an interview. Keep an eye on your inbox.',
+    'Hired': 'Congratulations! We would love to have you on board.',
+    'Rejected': 'Thank you for your interest. We will not be moving forward with your application this time.',
+    'Withdrawn': 'You withdrew this application.',
+};
+
+const STATUS_BADGES = {
+    'Hired': 'bg-success',
+    'Rejected': 'bg-danger',
+    'Withdrawn': 'bg-secondary',
+    'Interviewing': 'bg-info text-dark',
+};
+
+const MAX_RESUME_SIZE = 2 * 1024 * 1024;
+
+const getErrorMessage = (error, fallback) =>
+    error.response?.data?.message || error.response?.data?.msg || error.response?.data?.error || fallback;
+
+const ApplicationStatusPage = () => {
+    const { token } = useParams();
+
+    const [portal, setPortal] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [confirmingWithdraw, setConfirmingWithdraw] = useState(false);
+    const [withdrawReason, setWithdrawReason] = useState('');
+    const [withdrawing, setWithdrawing] = useState(false);
+    const [newResume, setNewResume] = useState(null);
+    const [uploadingResume, setUploadingResume] = useState(false);
+
+    useEffect(() => {
+        const fetchApplication = async () => {
+            try {
+                const response = await api.get(`/applications/portal/${token}`);
+                setPortal(response.data.data);
+            } catch (err) {
+                console.error('Error fetching application status:', err);
+                setError(getErrorMessage(err, 'We could not load your application. Please try again later.'));
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchApplication();
+    }, [token]);
+
+    const handleWithdraw = async () => {
+        setWithdrawing(true);
+        try {
+            const response = await api.post(`/applications/portal/${token}/withdraw`, { reason: withdrawReason });
+            setPortal(response.data.data);
+            setConfirmingWithdraw(false);
+            toast.success('Your application has been withdrawn.');
+        } catch (err) {
+            console.error('Error withdrawing application:', err);
+            toast.error(getErrorMessage(err, 'Could not withdraw your application. Please try again.'));
+        } finally {
+            setWithdrawing(false);
+        }
+    };
+
+    const handleResumeChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        if (file.type !== 'application/pdf') {
+            toast.error('Only PDF files are allowed.');
+            e.target.value = '';
+            return;
+        }
+        if (file.size > MAX_RESUME_SIZE) {
+            toast.error('PDF file size must be 2MB or less.');
+            e.target.value = '';
+            return;
+        }
+        setNewResume(file);
+    };
+
+    const handleResumeUpload = async (e) => {
+        e.preventDefault();
+        if (!newResume) return;
+
+        setUploadingResume(true);
+        try {
+            const resumeFormData = new FormData();
+            resumeFormData.append('resume', newResume);
+            const uploadRes = await api.post('/upload/resume', resumeFormData, {
+                headers: { 'Content-Type': 'multipart/form-data' },
+                timeout: 60000
+            });
+            if (!uploadRes.data?.success || !uploadRes.data.resume) {
+                throw new Error(uploadRes.data?.error || 'Failed to upload resume. Please try again.');
+            }
+
+            const response = await api.post(`/applications/portal/${token}/resume`, { resume: uploadRes.data.resume });
+            setPortal(response.data.data);
+            setNewResume(null);
+            e.target.reset();
+            toast.success('Your resume has been updated.');
+        } catch (err) {
+            console.error('Error updating resume:', err);
+            toast.error(getErrorMessage(err, err.message || 'Could not update your resume. Please try again.'));
+        } finally {
+            setUploadingResume(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <section className="apply-section py-5" style={{ paddingTop: '150px' }}>
+                <div className="container text-center">
+                    <div className="spinner-border text-primary" role="status">
+                        <span className="visually-hidden">Loading...</span>
+                    </div>
+                    <p className="mt-3">Loading your application...</p>
+                </div>
+            </section>
+        );
+    }
+
+    if (error || !portal) {
+        return (
+            <section className="apply-section py-5" style={{ paddingTop: '150px' }}>
+                <div className="container text-center">
+                    <h2>Application Unavailable</h2>
+                    <p>{error}</p>
+                    <Link to="/career" className="btn btn-primary">Back to Careers</Link>
+                </div>
+            </section>
+        );
+    }
+
+    const { application, internship } = portal;
+
+    return (
+        <section className="apply-section py-5" style={{ paddingTop: '150px' }}>
+            <div className="container">
+                <div className="row justify-content-center">
+                    <div className="col-lg-8 col-md-10">
+                        <div className="card bg-dark text-white p-4 p-md-5 rounded shadow-lg">
+                            <div className="card-body">
+                                <p className="text-center text-white-50 mb-1">Hi {application.name}, here is your application for</p>
+                                <h2 className="text-center text-primary mb-4">{internship?.title || 'an internship'}</h2>
+
+                                <div className="text-center mb-4">
+                                    <span className={`badge fs-6 ${STATUS_BADGES[application.status] || 'bg-primary'}`}>
+                                        {application.status}
+                                    </span>
+                                    <p className="mt-3 mb-0">{STATUS_DESCRIPTIONS[application.status]}</p>
+                                </div>
+
+                                <h5 className="mb-3">Progress</h5>
+                                <ul className="list-unstyled border-start border-primary ps-3 mb-4">
+                                    {application.timeline.map((step, index) => (
+                                        <li key={index} className="mb-2">
+                                            <strong>{step.status}</strong>
+                                            <span className="text-white-50 ms-2">{new Date(step.date).toLocaleDateString()}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+
+                                {internship && (
+                                    <>
+                                        <h5 className="mb-3">About the role</h5>
+                                        <p>{internship.description}</p>
+                                        <ul className="list-unstyled d-flex flex-wrap gap-3 mb-4">
+                                            {(internship.location || internship.workMode) && (
+                                                <li>📍 {[internship.location, WORK_MODE_LABELS[internship.workMode]].filter(Boolean).join(' · ')}</li>
+                                            )}
+                                            {internship.duration && <li>⏳ {internship.duration}</li>}
+                                            {internship.stipend && <li>💰 {internship.stipend}</li>}
+                                        </ul>
+                                    </>
+                                )}
+
+                                {application.canUpdateResume && (
+                                    <form className="mb-4" onSubmit={handleResumeUpload}>
+                                        <h5 className="mb-3">Your resume</h5>
+                                        <p className="mb-2">We have your resume on file. It is only shared with our hiring team.</p>
+                                        <label htmlFor="new-resume" className="form-label">Upload a newer version (PDF, up to 2MB)</label>
+                                        <div className="d-flex gap-2">
+                                            <input
+                                                type="file"
+                                                id="new-resume"
+                                                className="form-control"
+                                                accept="application/pdf"
+                                                onChange={handleResumeChange}
+                                                disabled={uploadingResume}
+                                            />
+                                            <button type="submit" className="btn btn-primary" disabled={!newResume || uploadingResume}>
+                                                {uploadingResume ? 'Uploading...' : 'Update'}
+                                            </button>
+                                        </div>
+                                    </form>
+                                )}
+
+                                {application.canWithdraw && !confirmingWithdraw && (
+                                    <div className="text-center">
+                                        <button type="button" className="btn btn-outline-danger" onClick={() => setConfirmingWithdraw(true)}>
+                                            Withdraw application
+                                        </button>
+                                    </div>
+                                )}
+
+                                {confirmingWithdraw && (
+                                    <div className="alert alert-warning text-dark">
+                                        <p className="fw-bold mb-2">Are you sure you want to withdraw? This cannot be undone.</p>
+                                        <label htmlFor="withdraw-reason" className="form-label">Reason (optional)</label>
+                                        <textarea
+                                            id="withdraw-reason"
+                                            className="form-control mb-3"
+                                            rows={3}
+                                            maxLength={1000}
+                                            value={withdrawReason}
+                                            onChange={e => setWithdrawReason(e.target.value)}
+                                            disabled={withdrawing}
+                                        />
+                                        <div className="d-flex gap-2 justify-content-end">
+                                            <button type="button" className="btn btn-secondary" onClick={() => setConfirmingWithdraw(false)} disabled={withdrawing}>
+                                                Keep my application
+                                            </button>
+                                            <button type="button" className="btn btn-danger" onClick={handleWithdraw} disabled={withdrawing}>
+                                                {withdrawing ? 'Withdrawing...' : 'Withdraw'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </section>
+    );
+};
+
+export default ApplicationStatusPage;
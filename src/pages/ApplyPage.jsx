@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import api from '../api';
 import { toast } from 'react-toastify';
+import PropTypes from 'prop-types';
 
 // Add error boundary for CSS loading errors
 const handleCssError = (e) => {
@@ -16,6 +17,100 @@ if (typeof window !== 'undefined') {
   window.addEventListener('error', handleCssError, true);
 }
 
+const WORK_MODE_LABELS = { remote: 'Remote', onsite: 'On-site', hybrid: 'Hybrid' };
+
+// Explain why a posting can't take applications any more
+const getClosedMessage = (internship) => {
+    if (internship.isDeadlinePassed) {
+        return `Applications for this internship closed on ${new Date(internship.applicationDeadline).toLocaleDateString()}.`;
+    }
+    if (internship.closedReason === 'filled') {
+        return 'All openings for this internship have been filled.';
+    }
+    return 'This internship is no longer accepting applications.';
+};
+
+// Renders one of the internship's custom screening questions
+const ScreeningQuestion = ({ question, value, onChange, disabled }) => {
+    const id = `question-${question._id}`;
+    const label = (
+        <>
+            {question.label}
+            {question.required && <span className="text-danger"> *</span>}
+        </>
+    );
+    const help = question.helpText && <div className="form-text text-white-50">{question.helpText}</div>;
+
+    if (question.type === 'multiple_choice' || question.type === 'yes_no') {
+        const choices = question.type === 'yes_no'
+            ? [{ value: 'yes', label: 'Yes' }, { value: 'no', label: 'No' }]
+            : question.options.map(option => ({ value: option, label: option }));
+        return (
+            <fieldset className="mb-3">
+                <legend className="form-label fs-6">{label}</legend>
+                {choices.map((choice, index) => (
+                    <div className="form-check" key={choice.value}>
+                        <input
+                            className="form-check-input"
+                            type="radio"
+                            name={id}
+                            id={`${id}-${index}`}
+                            value={choice.value}
+                            checked={value === choice.value}
+                            onChange={() => onChange(choice.value)}
+                            disabled={disabled}
+                            required={question.required}
+                        />
+                        <label className="form-check-label" htmlFor={`${id}-${index}`}>{choice.label}</label>
+                    </div>
+                ))}
+                {help}
+            </fieldset>
+        );
+    }
+
+    const inputProps = {
+        className: 'form-control',
+        id,
+        name: id,
+        value: value || '',
+        onChange: e => onChange(e.target.value),
+        disabled,
+        required: question.required,
+    };
+
+    return (
+        <div className="mb-3">
+            <label htmlFor={id} className="form-label">{label}</label>
+            {question.type === 'long_text' ? (
+                <textarea rows={4} maxLength={5000} {...inputProps} />
+            ) : (
+                <input
+                    type={question.type === 'url' ? 'url' : 'text'}
+                    maxLength={question.type === 'url' ? 500 : 300}
+                    placeholder={question.type === 'url' ? 'https://' : undefined}
+                    {...inputProps}
+                />
+            )}
+            {help}
+        </div>
+    );
+};
+
+ScreeningQuestion.propTypes = {
+    question: PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired,
+        type: PropTypes.oneOf(['short_text', 'long_text', 'multiple_choice', 'url', 'yes_no']).isRequired,
+        required: PropTypes.bool,
+        helpText: PropTypes.string,
+        options: PropTypes.arrayOf(PropTypes.string),
+    }).isRequired,
+    value: PropTypes.string,
+    onChange: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+};
+
 const ApplyPage = () => {
     const { internshipId } = useParams();
     const navigate = useNavigate();
@@ -26,10 +121,12 @@ const ApplyPage = () => {
         phone: '',
         resume: null,
     });
+    const [answers, setAnswers] = useState({});
     const [internship, setInternship] = useState(null);
     const [loading, setLoading] = useState(true);
     const [submitting, setSubmitting] = useState(false);
     const [message, setMessage] = useState('');
+    const [alreadyApplied, setAlreadyApplied] = useState('');
 
     // Fetch internship details
     useEffect(() => {
@@ -58,6 +155,10 @@ const ApplyPage = () => {
         setFormData({ ...formData, [e.target.name]: e.target.value });
     };
 
+    const handleAnswerChange = (questionId, value) => {
+        setAnswers({ ...answers, [questionId]: value });
+    };
+
     const handleFileChange = (e) => {
         const file = e.target.files[0];
         if (!file) return;
@@ -97,6 +198,15 @@ const ApplyPage = () => {
             setMessage('Please enter a valid phone number (at least 10 digits).');
             return false;
         }
+
+        const unanswered = (internship.questions || []).find(q => {
+            const value = answers[q._id];
+            return q.required && (value === undefined || String(value).trim() === '');
+        });
+        if (unanswered) {
+            setMessage(`Please answer: ${unanswered.label}`);
+            return false;
+        }
         
         return true;
     };
@@ -136,12 +246,12 @@ const ApplyPage = () => {
                 
                 // Handle the response from our updated upload endpoint
                 if (uploadRes.data && uploadRes.data.success === true) {
-                    if (uploadRes.data.url) {
-                        resumeUrl = uploadRes.data.url;
-                        console.log('Resume uploaded successfully:', resumeUrl);
+                    if (uploadRes.data.resume) {
+                        resumeUrl = uploadRes.data.resume;
+                        console.log('Resume uploaded successfully');
                     } else {
-                        console.error('Missing URL in successful response:', uploadRes.data);
-                        throw new Error('Server did not return a valid file URL');
+                        console.error('Missing resume in successful response:', uploadRes.data);
+                        throw new Error('Server did not return the uploaded resume');
                     }
                 } else if (uploadRes.data && uploadRes.data.error) {
                     // Handle explicit error from our endpoint
@@ -184,8 +294,8 @@ const ApplyPage = () => {
             setMessage('Submitting application details...');
 
             // Step 2: Prepare application data with validation
-            if (!resumeUrl || !resumeUrl.includes('cloudinary.com')) {
-                throw new Error('Invalid resume URL. Please upload your resume again.');
+            if (!resumeUrl) {
+                throw new Error('Your resume was not uploaded. Please upload it again.');
             }
 
             const applicationData = {
@@ -194,6 +304,7 @@ const ApplyPage = () => {
                 phone: formData.phone.trim(),
                 resume: resumeUrl, // Match backend expected field name
                 internshipId,
+                answers,
             };
 
             console.log('Submitting application data:', {
@@ -215,6 +326,14 @@ const ApplyPage = () => {
 
                 console.log('Application submission response:', response);
 
+                // Already applied: not an error, their existing link has been emailed to them
+                if (response.status === 409) {
+                    setMessage('');
+                    setAlreadyApplied(response.data.msg);
+                    setSubmitting(false);
+                    return;
+                }
+
                 if (response.status === 400) {
                     console.error('Validation error:', response.data);
                     throw new Error(response.data.msg || response.data.message || 'Invalid application data. Please check your information.');
@@ -222,9 +341,9 @@ const ApplyPage = () => {
 
                 if (response.status >= 200 && response.status < 300) {
                     // Success: Keep form disabled and redirect
-                    setMessage('Application submitted successfully! Redirecting...');
+                    setMessage('Application submitted successfully! Check your email for a link to track its status. Redirecting...');
                     toast.success('Application submitted successfully!');
-                    setTimeout(() => navigate('/career'), 3000);
+                    setTimeout(() => navigate('/career'), 5000);
                 } else {
                     throw new Error(response.data?.message || 'Failed to submit application');
                 }
@@ -309,42 +428,83 @@ const ApplyPage = () => {
                             <div className="card-body">
                                 <h2 className="text-center text-primary mb-2">Apply for: {internship.title}</h2>
                                 <p className="text-center mb-4">{internship.description}</p>
-                                <form onSubmit={handleSubmit}>
-                                    <div className="mb-3">
-                                        <label htmlFor="name" className="form-label">Full Name</label>
-                                        <input type="text" className="form-control" id="name" name="name" value={formData.name} onChange={handleChange} required />
-                                    </div>
-                                    <div className="mb-3">
-                                        <label htmlFor="email" className="form-label">Email Address</label>
-                                        <input type="email" className="form-control" id="email" name="email" value={formData.email} onChange={handleChange} required />
+                                <ul className="list-unstyled d-flex flex-wrap justify-content-center gap-3 mb-3">
+                                    {(internship.location || internship.workMode) && (
+                                        <li>📍 {[internship.location, WORK_MODE_LABELS[internship.workMode]].filter(Boolean).join(' · ')}</li>
+                                    )}
+                                    {internship.duration && <li>⏳ {internship.duration}</li>}
+                                    {internship.stipend && <li>💰 {internship.stipend}</li>}
+                                    {internship.openings > 0 && <li>👥 {internship.openings} {internship.openings === 1 ? 'opening' : 'openings'}</li>}
+                                    {internship.applicationDeadline && (
+                                        <li>🗓️ Apply by {new Date(internship.applicationDeadline).toLocaleString()}</li>
+                                    )}
+                                </ul>
+                                {internship.requiredSkills?.length > 0 && (
+                                    <div className="d-flex flex-wrap justify-content-center gap-1 mb-4">
+                                        {internship.requiredSkills.map(skill => (
+                                            <span key={skill} className="badge bg-secondary">{skill}</span>
+                                        ))}
                                     </div>
-                                    <div className="mb-3">
-                                        <label htmlFor="phone" className="form-label">Phone Number</label>
-                                        <input type="tel" className="form-control" id="phone" name="phone" value={formData.phone} onChange={handleChange} required />
-                                    </div>
-                                    <div className="mb-4">
-                                        <label htmlFor="resume" className="form-label">Upload Resume (PDF)</label>
-                                        <input
-                                            type="file"
-                                            className="form-control"
-                                            id="resume"
-                                            name="resume"
-                                            accept="application/pdf"
-                                            onChange={handleFileChange}
-                                            disabled={submitting}
-                                            required
-                                        />
-                                    </div>
-                                    <div className="text-center">
-                                        <button type="submit" className="btn btn-primary w-100" disabled={submitting}>
-                                            {submitting ? 'Submitting...' : 'Submit Application'}
-                                        </button>
+                                )}
+                                {!internship.acceptingApplications ? (
+                                    <div className="alert alert-warning text-center">
+                                        <p className="mb-3">{getClosedMessage(internship)}</p>
+                                        <Link to="/career" className="btn btn-primary">See open internships</Link>
                                     </div>
-                                </form>
-                                {message && (
-                                    <div className={`alert ${message.includes('successfully') ? 'alert-success' : 'alert-danger'} mt-4 text-center`}>
-                                        {message}
+                                ) : alreadyApplied ? (
+                                    <div className="alert alert-info text-center">
+                                        <p className="mb-3">{alreadyApplied}</p>
+                                        <Link to="/career" className="btn btn-primary">See other internships</Link>
                                     </div>
+                                ) : (
+                                    <>
+                                        <form onSubmit={handleSubmit}>
+                                            <div className="mb-3">
+                                                <label htmlFor="name" className="form-label">Full Name</label>
+                                                <input type="text" className="form-control" id="name" name="name" value={formData.name} onChange={handleChange} required />
+                                            </div>
+                                            <div className="mb-3">
+                                                <label htmlFor="email" className="form-label">Email Address</label>
+                                                <input type="email" className="form-control" id="email" name="email" value={formData.email} onChange={handleChange} required />
+                                            </div>
+                                            <div className="mb-3">
+                                                <label htmlFor="phone" className="form-label">Phone Number</label>
+                                                <input type="tel" className="form-control" id="phone" name="phone" value={formData.phone} onChange={handleChange} required />
+                                            </div>
+                                            {(internship.questions || []).map(question => (
+                                                <ScreeningQuestion
+                                                    key={question._id}
+                                                    question={question}
+                                                    value={answers[question._id]}
+                                                    onChange={value => handleAnswerChange(question._id, value)}
+                                                    disabled={submitting}
+                                                />
+                                            ))}
+                                            <div className="mb-4">
+                                                <label htmlFor="resume" className="form-label">Upload Resume (PDF)</label>
+                                                <input
+                                                    type="file"
+                                                    className="form-control"
+                                                    id="resume"
+                                                    name="resume"
+                                                    accept="application/pdf"
+                                                    onChange={handleFileChange}
+                                                    disabled={submitting}
+                                                    required
+                                                />
+                                            </div>
+                                            <div className="text-center">
+                                                <button type="submit" className="btn btn-primary w-100" disabled={submitting}>
+                                                    {submitting ? 'Submitting...' : 'Submit Application'}
+                                                </button>
+                                            </div>
+                                        </form>
+                                        {message && (
+                                            <div className={`alert ${message.includes('successfully') ? 'alert-success' : 'alert-danger'} mt-4 text-center`}>
+                                                {message}
+                                            </div>
+                                        )}
+                                    </>
                                 )}
                             </div>
                         </div>
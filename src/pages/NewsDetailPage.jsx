@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import { Container, Row, Col, Button, Spinner, Badge, Alert } from 'react-bootstrap';
+import { FaArrowLeft, FaRegClock, FaEye } from 'react-icons/fa';
+import { motion } from 'framer-motion';
+import NewsCard, { formatDate } from '../components/News/NewsCard';
+import NewsComments from '../components/News/NewsComments';
+import NewsEngagement from '../components/News/NewsEngagement';
+import NewsletterSignup from '../components/News/NewsletterSignup';
+import { getArticle, getRelatedArticles } from '../services/newsService';
+
+const PREVIEW_STATUS_LABELS = {
+  'draft': 'a draft',
+  'in-review': 'in review',
+  'approved': 'approved but not yet published',
+  'archived': 'archived',
+  'published': 'published',
+};
+
+const NewsDetailPage = () => {
+  const { slug } = useParams();
+  const [searchParams] = useSearchParams();
+  const previewToken = searchParams.get('preview');
+  const [article, setArticle] = useState(null);
+  const [related, setRelated] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchArticle = async () => {
+      try {
+        setLoading(true);
+        setNotFound(false);
+        setError(null);
+        setRelated([]);
+        const data = await getArticle(slug, previewToken);
+        if (cancelled) return;
+        setArticle(data);
+        // Related articles, likes and comments are for published articles only
+        if (data.preview) return;
+        getRelatedArticles(data._id)
+          .then((articles) => !cancelled && setRelated(articles))
+          .catch(() => {});
+      } catch (err) {
+        if (cancelled) return;
+        setArticle(null);
+        if (err.status === 404) {
+          setNotFound(true);
+        } else {
+          setError(err.message || 'Failed to load this article.');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchArticle();
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, previewToken]);
+
+  useEffect(() => {
+    if (article) document.title = article.seo?.metaTitle || article.title;
+  }, [article]);
+
+  // Keep search engines away from previews even if a link gets out
+  useEffect(() => {
+    if (!article?.preview) return undefined;
+    const robots = document.createElement('meta');
+    robots.name = 'robots';
+    robots.content = 'noindex, nofollow';
+    document.head.appendChild(robots);
+    return () => robots.remove();
+  }, [article]);
+
+  if (loading) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p className="mt-2">Loading article...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container className="py-5">
+        <div className="alert alert-danger" role="alert">
+          {error}
+        </div>
+        <Button as={Link} to="/news" variant="outline-primary" className="mt-3">
+          <FaArrowLeft className="me-2" /> Back to News
+        </Button>
+      </Container>
+    );
+  }
+
+  if (notFound || !article) {
+    return (
+      <Container className="py-5 text-center">
+        <h2>Article Not Found</h2>
+        <p className="text-muted mb-4">The article you are looking for has been moved or no longer exists.</p>
+        <Button as={Link} to="/news" variant="primary">
+          <FaArrowLeft className="me-2" /> Back to News
+        </Button>
+      </Container>
+    );
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      {article.preview && (
+        <Alert variant="warning" className="mb-0 rounded-0 text-center sticky-top" role="status">
+          <FaEye className="me-2" />
+          <strong>Preview</strong>
+          {' '}&middot; This article is {PREVIEW_STATUS_LABELS[article.preview.status] || article.preview.status} and
+          only people with this link can see it. The link expires on {formatDate(article.preview.expiresAt)}.
+        </Alert>
+      )}
+
+      <Container className="py-3">
+        <Button as={Link} to="/news" variant="link" className="text-decoration-none ps-0">
+          <FaArrowLeft className="me-2" /> Back to News
+        </Button>
+      </Container>
+
+      <Container className="pb-5">
+        <Row className="justify-content-center">
+          <Col lg={9}>
+            <div className="small text-muted mb-2">
+              {article.category?.slug && (
+                <Link to={`/news/category/${article.category.slug}`} className="badge bg-primary text-decoration-none me-2">
+                  {article.category.name}
+                </Link>
+              )}
+              {article.publishedAt ? formatDate(article.publishedAt) : 'Not published yet'}
+              {article.readingTime > 0 && (
+                <span className="ms-3"><FaRegClock className="me-1" /> {article.readingTime} min read</span>
+              )}
+            </div>
+            <h1 className="mb-3">{article.title}</h1>
+            {article.author?.username && <p className="text-muted">By {article.author.username}</p>}
+
+            {article.featuredImage && (
+              <img
+                src={article.featuredImage}
+                alt={article.featuredImageAlt || article.title}
+                className="img-fluid rounded mb-4 w-100"
+                style={{ maxHeight: '480px', objectFit: 'cover' }}
+              />
+            )}
+
+            <p className="lead">{article.excerpt}</p>
+            <div
+              className="news-content mb-4"
+              style={{ whiteSpace: 'pre-line' }}
+              dangerouslySetInnerHTML={{ __html: article.content }}
+            />
+
+            {article.tags?.length > 0 && (
+              <div className="mb-4">
+                {article.tags.map((tag) => (
+                  <Badge
+                    key={tag}
+                    as={Link}
+                    to={`/news/tag/${encodeURIComponent(tag)}`}
+                    bg="light"
+                    text="dark"
+                    className="me-2 text-decoration-none"
+                  >
+                    #{tag}
+                  </Badge>
+                ))}
+              </div>
+            )}
+
+            {!article.preview && (
+              <>
+                <NewsEngagement articleId={article._id} title={article.title} />
+
+                <NewsletterSignup source="article" className="mt-5 p-4 bg-light rounded" />
+
+                <NewsComments articleId={article._id} />
+              </>
+            )}
+          </Col>
+        </Row>
+
+        {related.length > 0 && (
+          <div className="mt-5">
+            <h3 className="mb-4">Related Articles</h3>
+            <Row xs={1} sm={2} lg={4} className="g-4">
+              {related.map((relatedArticle) => (
+                <Col key={relatedArticle._id}>
+                  <NewsCard article={relatedArticle} compact />
+                </Col>
+              ))}
+            </Row>
+          </div>
+        )}
+      </Container>
+    </motion.div>
+  );
+};
+
+export default NewsDetailPage;
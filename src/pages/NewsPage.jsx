@@ -0,0 +1,294 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { Container, Row, Col, Button, Spinner, ListGroup, Form, InputGroup } from 'react-bootstrap';
+import { FaArrowLeft, FaRss, FaSearch } from 'react-icons/fa';
+import { motion } from 'framer-motion';
+import NewsCard from '../components/News/NewsCard';
+import NewsletterSignup from '../components/News/NewsletterSignup';
+import { getArticles, getCategories, getArchives, getFeedUrl } from '../services/newsService';
+
+const PAGE_SIZE = 9;
+
+const FEEDS = [
+  { format: 'rss', label: 'RSS', type: 'application/rss+xml' },
+  { format: 'atom', label: 'Atom', type: 'application/atom+xml' },
+  { format: 'json', label: 'JSON Feed', type: 'application/feed+json' },
+];
+
+const monthName = (year, month) => new Date(year, month - 1, 1).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+});
+
+/**
+ * News listing. The same page serves /news and the category, tag and monthly
+ * archive listings; the route params decide which filter is applied.
+ */
+const NewsPage = () => {
+  const { slug: categorySlug, tag, year, month } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const page = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+  const search = searchParams.get('q') || '';
+  const [searchInput, setSearchInput] = useState(search);
+
+  const [articles, setArticles] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [categories, setCategories] = useState([]);
+  const [archives, setArchives] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Feeds follow the category or tag being viewed; archives use the site-wide feed
+  const feedScope = { category: categorySlug, tag };
+
+  // Lets browsers and feed readers find the feeds for this listing
+  useEffect(() => {
+    const links = FEEDS.map(({ format, label, type }) => {
+      const link = document.createElement('link');
+      link.rel = 'alternate';
+      link.type = type;
+      link.title = label;
+      link.href = getFeedUrl(format, { category: categorySlug, tag });
+      document.head.appendChild(link);
+      return link;
+    });
+    return () => links.forEach(link => link.remove());
+  }, [categorySlug, tag]);
+
+  // Keep the box in step with the URL, e.g. after going back
+  useEffect(() => {
+    setSearchInput(search);
+  }, [search]);
+
+  // Sidebar lists don't depend on the current filter
+  useEffect(() => {
+    getCategories().then(setCategories).catch(() => setCategories([]));
+    getArchives().then(setArchives).catch(() => setArchives([]));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchArticles = async () => {
+      try {
+        setLoading(true);
+        const result = await getArticles({
+          category: categorySlug,
+          tag,
+          year,
+          month,
+          search,
+          page,
+          limit: PAGE_SIZE,
+          fields: 'title,slug,excerpt,featuredImage,featuredImageAlt,category,publishedAt,readingTime',
+        });
+        if (cancelled) return;
+        setArticles(result.data || []);
+        setPagination({ total: result.total || 0, totalPages: result.totalPages || 0 });
+        setError(null);
+      } catch (err) {
+        if (cancelled) return;
+        setArticles([]);
+        setError(err.status === 404 ? 'This category does not exist.' : err.message || 'Failed to load news.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchArticles();
+    return () => {
+      cancelled = true;
+    };
+  }, [categorySlug, tag, year, month, search, page]);
+
+  const handlePageChange = (pageNum) => {
+    setSearchParams({ ...(search && { q: search }), ...(pageNum > 1 && { page: pageNum }) });
+    window.scrollTo(0, 0);
+  };
+
+  // Searches within the listing being viewed and starts again from the first page
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const value = searchInput.trim();
+    setSearchParams(value ? { q: value } : {});
+  };
+
+  const isFiltered = Boolean(categorySlug || tag || year || search);
+  let heading = 'Latest News';
+  if (search) {
+    heading = `Results for “${search}”`;
+  } else if (categorySlug) {
+    heading = categories.find(category => category.slug === categorySlug)?.name || 'News';
+  } else if (tag) {
+    heading = `Tagged “${tag}”`;
+  } else if (year && month) {
+    heading = `News from ${monthName(year, month)}`;
+  }
+
+  return (
+    <Container className="py-5">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        <h1 className="text-center mb-4">{heading}</h1>
+        {isFiltered && (
+          <p className="text-center mb-5">
+            <Button as={Link} to="/news" variant="link" className="text-decoration-none">
+              <FaArrowLeft className="me-2" /> All news
+            </Button>
+          </p>
+        )}
+
+        <Row className="g-5">
+          <Col lg={9}>
+            {loading && (
+              <div className="text-center py-5">
+                <Spinner animation="border" role="status">
+                  <span className="visually-hidden">Loading...</span>
+                </Spinner>
+                <p className="mt-2">Loading news...</p>
+              </div>
+            )}
+
+            {!loading && error && (
+              <div className="alert alert-danger" role="alert">
+                {error}
+              </div>
+            )}
+
+            {!loading && !error && articles.length === 0 && (
+              <div className="text-center py-5">
+                <h4>{search ? 'No matching articles' : 'No articles yet'}</h4>
+                <p className="text-muted">
+                  {search ? 'Try fewer or different words.' : 'Check back soon for updates.'}
+                </p>
+              </div>
+            )}
+
+            {!loading && articles.length > 0 && (
+              <>
+                <Row xs={1} md={2} xl={3} className="g-4">
+                  {articles.map((article) => (
+                    <Col key={article._id}>
+                      <NewsCard article={article} />
+                    </Col>
+                  ))}
+                </Row>
+
+                {pagination.totalPages > 1 && (
+                  <div className="d-flex justify-content-center mt-5">
+                    <nav aria-label="News pagination">
+                      <ul className="pagination">
+                        <li className={`page-item ${page === 1 ? 'disabled' : ''}`}>
+                          <button
+                            className="page-link"
+                            onClick={() => handlePageChange(page - 1)}
+                            disabled={page === 1}
+                          >
+                            Previous
+                          </button>
+                        </li>
+                        {Array.from({ length: pagination.totalPages }, (_, i) => i + 1).map((pageNum) => (
+                          <li key={pageNum} className={`page-item ${page === pageNum ? 'active' : ''}`}>
+                            <button className="page-link" onClick={() => handlePageChange(pageNum)}>
+                              {pageNum}
+                            </button>
+                          </li>
+                        ))}
+                        <li className={`page-item ${page >= pagination.totalPages ? 'disabled' : ''}`}>
+                          <button
+                            className="page-link"
+                            onClick={() => handlePageChange(page + 1)}
+                            disabled={page >= pagination.totalPages}
+                          >
+                            Next
+                          </button>
+                        </li>
+                      </ul>
+                    </nav>
+                  </div>
+                )}
+              </>
+            )}
+          </Col>
+
+          <Col lg={3}>
+            <Form onSubmit={handleSearch} className="mb-4" role="search">
+              <InputGroup>
+                <Form.Control
+                  type="search"
+                  placeholder="Search news"
+                  aria-label="Search news"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  maxLength={200}
+                />
+                <Button type="submit" variant="outline-secondary" aria-label="Search">
+                  <FaSearch />
+                </Button>
+              </InputGroup>
+            </Form>
+            {categories.length > 0 && (
+              <div className="mb-4">
+                <h5>Categories</h5>
+                <ListGroup variant="flush">
+                  {categories.map((category) => (
+                    <ListGroup.Item
+                      key={category._id}
+                      as={Link}
+                      to={`/news/category/${category.slug}`}
+                      action
+                      active={category.slug === categorySlug}
+                    >
+                      {category.name}
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              </div>
+            )}
+            {archives.length > 0 && (
+              <div>
+                <h5>Archives</h5>
+                <ListGroup variant="flush">
+                  {archives.map((archive) => (
+                    <ListGroup.Item
+                      key={`${archive.year}-${archive.month}`}
+                      as={Link}
+                      to={`/news/archive/${archive.year}/${archive.month}`}
+                      action
+                      active={Number(year) === archive.year && Number(month) === archive.month}
+                      className="d-flex justify-content-between"
+                    >
+                      {monthName(archive.year, archive.month)}
+                      <span className="text-muted">{archive.count}</span>
+                    </ListGroup.Item>
+                  ))}
+                </ListGroup>
+              </div>
+            )}
+            <NewsletterSignup source="news" className="mt-4" />
+            <div className="mt-4">
+              <h5>Subscribe</h5>
+              <p className="small text-muted mb-2">
+                Follow {categorySlug || tag ? 'this listing' : 'our news'} in your feed reader.
+              </p>
+              {FEEDS.map(({ format, label }) => (
+                <a
+                  key={format}
+                  href={getFeedUrl(format, feedScope)}
+                  className="btn btn-outline-secondary btn-sm me-2 mb-2"
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  <FaRss className="me-1" /> {label}
+                </a>
+              ))}
+            </div>
+          </Col>
+        </Row>
+      </motion.div>
+    </Container>
+  );
+};
+
+export default NewsPage;
@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Container, Button, Spinner } from 'react-bootstrap';
+import { FaArrowLeft, FaCheckCircle } from 'react-icons/fa';
+import { confirmSubscription } from '../services/newsletterService';
+
+/**
+ * Landing page for the link in the newsletter confirmation email
+ */
+const NewsletterConfirmPage = () => {
+  const { token } = useParams();
+  const [subscription, setSubscription] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    confirmSubscription(token)
+      .then(data => !cancelled && setSubscription(data))
+      .catch(err => !cancelled && setError(err.message || 'We could not confirm your subscription. Please try again later.'))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p className="mt-2">Confirming your subscription...</p>
+      </div>
+    );
+  }
+
+  return (
+    <Container className="py-5 text-center">
+      {error ? (
+        <>
+          <h2>Subscription Not Confirmed</h2>
+          <p className="text-muted mb-4">{error}</p>
+        </>
+      ) : (
+        <>
+          <FaCheckCircle size={48} className="text-success mb-3" />
+          <h2>You&apos;re Subscribed</h2>
+          <p className="text-muted mb-4">
+            We&apos;ll send {subscription.frequency === 'instant' ? 'new articles' : 'a weekly digest of our news'} to{' '}
+            <strong>{subscription.email}</strong>. Every email has a link to unsubscribe.
+          </p>
+        </>
+      )}
+      <Button as={Link} to="/news" variant="primary">
+        <FaArrowLeft className="me-2" /> Back to News
+      </Button>
+    </Container>
+  );
+};
+
+export default NewsletterConfirmPage;
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Container, Button, Spinner, Alert } from 'react-bootstrap';
+import { FaArrowLeft } from 'react-icons/fa';
+import { FREQUENCY_LABELS } from '../components/News/NewsletterSignup';
+import { getSubscription, updateSubscription } from '../services/newsletterService';
+
+/**
+ * Landing page for the unsubscribe link in newsletter emails. Unsubscribing
+ * takes a click, so link checkers that open the page don't do it by accident.
+ */
+const NewsletterUnsubscribePage = () => {
+  const { token } = useParams();
+  const [subscription, setSubscription] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getSubscription(token)
+      .then(data => !cancelled && setSubscription(data))
+      .catch(err => !cancelled && setError(err.message || 'We could not find your subscription.'))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const handleUpdate = async (frequency) => {
+    try {
+      setSaving(true);
+      setNotice(null);
+      const data = await updateSubscription(token, frequency);
+      setSubscription(data);
+      setNotice(frequency ? `You'll now get: ${FREQUENCY_LABELS[frequency].toLowerCase()}.` : null);
+    } catch (err) {
+      setNotice(null);
+      setError(err.message || 'Could not update your subscription. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+      </div>
+    );
+  }
+
+  if (!subscription) {
+    return (
+      <Container className="py-5 text-center">
+        <h2>Link Not Valid</h2>
+        <p className="text-muted mb-4">{error}</p>
+        <Button as={Link} to="/news" variant="primary">
+          <FaArrowLeft className="me-2" /> Back to News
+        </Button>
+      </Container>
+    );
+  }
+
+  const otherFrequency = subscription.frequency === 'weekly' ? 'instant' : 'weekly';
+
+  return (
+    <Container className="py-5 text-center" style={{ maxWidth: 640 }}>
+      {error && <Alert variant="danger" onClose={() => setError(null)} dismissible>{error}</Alert>}
+      {notice && <Alert variant="success" onClose={() => setNotice(null)} dismissible>{notice}</Alert>}
+
+      {subscription.status === 'unsubscribed' ? (
+        <>
+          <h2>You&apos;re Unsubscribed</h2>
+          <p className="text-muted mb-4">
+            We won&apos;t email <strong>{subscription.email}</strong> about our news any more.
+            Changed your mind? You can subscribe again from the news page.
+          </p>
+        </>
+      ) : (
+        <>
+          <h2>Unsubscribe</h2>
+          <p className="text-muted mb-4">
+            Stop emails about our news to <strong>{subscription.email}</strong>?
+            {subscription.status === 'active' && (
+              <> You currently get: {FREQUENCY_LABELS[subscription.frequency].toLowerCase()}.</>
+            )}
+          </p>
+          <div className="d-flex flex-wrap justify-content-center gap-2 mb-4">
+            <Button variant="danger" disabled={saving} onClick={() => handleUpdate()}>
+              {saving ? <Spinner animation="border" size="sm" /> : 'Unsubscribe'}
+            </Button>
+            {subscription.status === 'active' && (
+              <Button variant="outline-secondary" disabled={saving} onClick={() => handleUpdate(otherFrequency)}>
+                Switch to: {FREQUENCY_LABELS[otherFrequency].toLowerCase()}
+              </Button>
+            )}
+          </div>
+        </>
+      )}
+      <Button as={Link} to="/news" variant="link">
+        <FaArrowLeft className="me-2" /> Back to News
+      </Button>
+    </Container>
+  );
+};
+
+export default NewsletterUnsubscribePage;
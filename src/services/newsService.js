@@ -0,0 +1,185 @@
+import api from '../api';
+import { getVisitorId } from '../utils/visitorId';
+
+const NEWS_ENDPOINT = '/news';
+
+/**
+ * Get a page of published articles
+ * @param {Object} filters - category (slug), tag, year, month, search, page, limit
+ * @returns {Promise<Object>} - { data, total, totalPages, currentPage }
+ */
+export const getArticles = async (filters = {}) => {
+  try {
+    const params = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params[key] = value;
+      }
+    });
+
+    const response = await api.get(NEWS_ENDPOINT, { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching news articles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a published article by its slug, or an unpublished one through a preview link
+ * @param {string} slug - Article slug
+ * @param {string} [preview] - Token from a preview link
+ * @returns {Promise<Object>} - Article with author and category populated; previews
+ * also have `preview: { status, expiresAt }`
+ */
+export const getArticle = async (slug, preview) => {
+  try {
+    const response = await api.get(`${NEWS_ENDPOINT}/${encodeURIComponent(slug)}`, {
+      params: preview ? { preview } : undefined,
+    });
+    return response.data.preview
+      ? { ...response.data.data, preview: response.data.preview }
+      : response.data.data;
+  } catch (error) {
+    console.error(`Error fetching news article ${slug}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get an article's related articles: pinned ones first, then the most similar
+ * @param {string} id - Article ID
+ * @returns {Promise<Array>} - Up to four related articles
+ */
+export const getRelatedArticles = async (id) => {
+  try {
+    const response = await api.get(`${NEWS_ENDPOINT}/${id}/related`);
+    return response.data.data;
+  } catch (error) {
+    console.error(`Error fetching articles related to ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the active news categories
+ * @returns {Promise<Array>} - Categories with name and slug
+ */
+export const getCategories = async () => {
+  try {
+    const response = await api.get(`${NEWS_ENDPOINT}/categories`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching news categories:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the months that have published articles, newest first
+ * @returns {Promise<Array>} - [{ year, month, count }]
+ */
+export const getArchives = async () => {
+  try {
+    const response = await api.get(`${NEWS_ENDPOINT}/archives`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching news archives:', error);
+    throw error;
+  }
+};
+
+/**
+ * URL of a news feed, for feed readers rather than for fetching here
+ * @param {string} format - rss, atom or json
+ * @param {Object} [scope] - category (slug) or tag; site-wide when neither is given
+ * @returns {string}
+ */
+export const getFeedUrl = (format, { category, tag } = {}) => {
+  let path = NEWS_ENDPOINT;
+  if (category) path += `/categories/${encodeURIComponent(category)}`;
+  else if (tag) path += `/tags/${encodeURIComponent(tag)}`;
+  return `${api.defaults.baseURL}${path}/feed.${format}`;
+};
+
+/**
+ * Get the approved comments on an article, threaded
+ * @param {string} id - Article ID
+ * @returns {Promise<Object>} - { data, allowComments, maxDepth }
+ */
+export const getComments = async (id) => {
+  try {
+    const response = await api.get(`${NEWS_ENDPOINT}/${id}/comments`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching comments for ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Post a comment, or a reply when `parent` is set. It is held for moderation.
+ * @param {string} id - Article ID
+ * @param {Object} comment - name, email, body, parent, website (honeypot)
+ * @returns {Promise<Object>} - { message }
+ */
+export const postComment = async (id, comment) => {
+  try {
+    const response = await api.post(`${NEWS_ENDPOINT}/${id}/comments`, comment);
+    return response.data;
+  } catch (error) {
+    console.error(`Error posting comment on ${id}:`, error);
+    throw error;
+  }
+};
+
+const visitorHeaders = () => {
+  const id = getVisitorId();
+  return id ? { 'X-Visitor-Id': id } : {};
+};
+
+/**
+ * Get an article's like and share counts, and whether this visitor liked or shared it
+ * @param {string} id - Article ID
+ * @returns {Promise<Object>} - { likeCount, shareCount, liked, shared }
+ */
+export const getEngagement = async (id) => {
+  try {
+    const response = await api.get(`${NEWS_ENDPOINT}/${id}/engagement`, { headers: visitorHeaders() });
+    return response.data.data;
+  } catch (error) {
+    console.error(`Error fetching likes and shares for ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Like an article. Liking again within the window doesn't change the count.
+ * @param {string} id - Article ID
+ * @returns {Promise<Object>} - { counted, likeCount, shareCount }
+ */
+export const likeArticle = async (id) => {
+  try {
+    const response = await api.post(`${NEWS_ENDPOINT}/${id}/like`, {}, { headers: visitorHeaders() });
+    return response.data.data;
+  } catch (error) {
+    console.error(`Error liking ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Record that an article was shared
+ * @param {string} id - Article ID
+ * @param {string} network - native, copy, twitter, facebook, linkedin, whatsapp or email
+ * @returns {Promise<Object>} - { counted, likeCount, shareCount }
+ */
+export const shareArticle = async (id, network) => {
+  try {
+    const response = await api.post(`${NEWS_ENDPOINT}/${id}/share`, { network }, { headers: visitorHeaders() });
+    return response.data.data;
+  } catch (error) {
+    console.error(`Error recording a share of ${id}:`, error);
+    throw error;
+  }
+};
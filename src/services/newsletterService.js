@@ -0,0 +1,68 @@
+import api from '../api';
+
+const NEWSLETTER_ENDPOINT = '/newsletter';
+
+/**
+ * Subscribe an address to news emails. Nothing is sent until it is confirmed
+ * from the link emailed to it.
+ * @param {Object} subscription - email, frequency (weekly or instant), source
+ * @returns {Promise<Object>} - { message }
+ */
+export const subscribe = async (subscription) => {
+  try {
+    const response = await api.post(`${NEWSLETTER_ENDPOINT}/subscribe`, subscription);
+    return response.data;
+  } catch (error) {
+    console.error('Error subscribing to the newsletter:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm a subscription with the token from the confirmation email
+ * @param {string} token - Token from the confirmation link
+ * @returns {Promise<Object>} - { email, status, frequency }
+ */
+export const confirmSubscription = async (token) => {
+  try {
+    const response = await api.post(`${NEWSLETTER_ENDPOINT}/confirm/${encodeURIComponent(token)}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error confirming newsletter subscription:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the subscription an unsubscribe link belongs to
+ * @param {string} token - Token from the unsubscribe link
+ * @returns {Promise<Object>} - { email, status, frequency }
+ */
+export const getSubscription = async (token) => {
+  try {
+    const response = await api.get(`${NEWSLETTER_ENDPOINT}/unsubscribe/${encodeURIComponent(token)}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching newsletter subscription:', error);
+    throw error;
+  }
+};
+
+/**
+ * Unsubscribe, or switch how often emails come when `frequency` is given
+ * @param {string} token - Token from the unsubscribe link
+ * @param {string} [frequency] - weekly or instant
+ * @returns {Promise<Object>} - { email, status, frequency }
+ */
+export const updateSubscription = async (token, frequency) => {
+  try {
+    const response = await api.post(
+      `${NEWSLETTER_ENDPOINT}/unsubscribe/${encodeURIComponent(token)}`,
+      frequency ? { frequency } : {}
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('Error updating newsletter subscription:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,25 @@
+const STORAGE_KEY = 'visitorId';
+
+const randomId = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
+
+/**
+ * Anonymous id for this browser, so the API counts a visitor's like or share
+ * once. Nothing personal is stored; clearing site data makes a new one.
+ * @returns {string}
+ */
+export const getVisitorId = () => {
+  try {
+    let id = localStorage.getItem(STORAGE_KEY);
+    if (!id) {
+      id = randomId();
+      localStorage.setItem(STORAGE_KEY, id);
+    }
+    return id;
+  } catch (error) {
+    // Storage blocked (private mode); the API falls back to the IP address
+    return '';
+  }
+};